@@ -3,8 +3,22 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import { MongoClient } from 'mongodb';
 import { createClient } from '@supabase/supabase-js';
+import { resolveStoreKind, createMongoClient, createLocalDb } from './lib/dataStore.js';
+import { DbSupervisor } from './lib/dbSupervisor.js';
+import { ROLES, hasRole, loadRoles } from './lib/roles.js';
+import { ensureCommentIndexes, migrateEmbeddedComments } from './lib/comments.js';
+import { ensureFollowIndexes } from './lib/follows.js';
+import { ensureNotificationIndexes, notifyPriceDrop, notifyWishlistAlert } from './lib/notifications.js';
+import { ensureModerationIndexes, migrateEmbeddedWarnings } from './lib/moderation.js';
+import { ensureUsernameIndexes, migrateUsernameKeys } from './lib/usernames.js';
+import { PriceTracker } from './lib/priceTracker.js';
+import { scrapeCache, domainLimiter } from './lib/productScraper.js';
+import { scrapeJobs } from './lib/scrapeJobs.js';
+import { providerQuota } from './lib/backgroundRemovalProviders.js';
+import { imageJobs } from './lib/imageJobs.js';
+import { imageWorkerPool } from './lib/imageWorkerPool.js';
+import { loadCustomRules } from './lib/retailerRules.js';
 
 // Load environment variables from server/.env
 dotenv.config({ path: './server/.env' });
@@ -12,45 +26,62 @@ dotenv.config({ path: './server/.env' });
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// MongoDB connection
-let db;
-const mongoClient = new MongoClient(process.env.MONGODB_URI, {
-  retryWrites: true,
-  w: 'majority',
-  serverSelectionTimeoutMS: 30000,
-  socketTimeoutMS: 45000,
-  maxPoolSize: 10,
-  minPoolSize: 2,
-  tls: true,
-  tlsAllowInvalidCertificates: false,
-  tlsAllowInvalidHostnames: false,
+// Data store (MongoDB Atlas or local store, see server/lib/dataStore.js)
+const storeKind = resolveStoreKind();
+const supervisor = new DbSupervisor(storeKind === 'mongo'
+  ? { client: createMongoClient(), dbName: process.env.MONGODB_DB_NAME }
+  : { localDb: createLocalDb(storeKind) });
+let db = null;
+
+// Scheduled wishlist price checks (see server/lib/priceTracker.js)
+const priceTracker = new PriceTracker();
+priceTracker.on('price_drop', ({ item, oldPrice, newPrice }) => {
+  if (db) notifyPriceDrop(db, item, oldPrice, newPrice);
+});
+priceTracker.on('alert', ({ item, rule, price }) => {
+  if (db) notifyWishlistAlert(db, item, rule, price);
+});
+
+supervisor.on('connected', (connectedDb) => {
+  db = connectedDb;
+  mountDatabaseRoutes(connectedDb);
+  prepareDatabase(connectedDb);
+  priceTracker.start(connectedDb);
 });
 
-async function connectDB() {
+// One-off data migrations and indexes; failures are logged and retried on the next connect
+async function prepareDatabase(connectedDb) {
   try {
-    console.log('🔌 Connecting to MongoDB...');
-    console.log('⚠️  Note: Hotel/public WiFi may block MongoDB connections');
-    
-    await mongoClient.connect();
-    db = mongoClient.db(process.env.MONGODB_DB_NAME);
-    console.log('✅ Connected to MongoDB Atlas');
-    
-    // Test the connection
-    await db.command({ ping: 1 });
-    console.log('✅ MongoDB ping successful');
+    await migrateEmbeddedComments(connectedDb);
+    await ensureCommentIndexes(connectedDb);
+    await ensureFollowIndexes(connectedDb);
+    await ensureNotificationIndexes(connectedDb);
+    await migrateEmbeddedWarnings(connectedDb);
+    await ensureModerationIndexes(connectedDb);
+    await migrateUsernameKeys(connectedDb);
+    await ensureUsernameIndexes(connectedDb);
+    await loadCustomRules(connectedDb);
   } catch (error) {
-    console.error('❌ MongoDB connection error:', error.message);
-    console.log('\n💡 Troubleshooting (Hotel WiFi Issues):');
-    console.log('   • Hotel/public WiFi often blocks MongoDB (port 27017)');
-    console.log('   • Solution: Use mobile hotspot or VPN');
-    console.log('   • Or: Set MongoDB IP whitelist to 0.0.0.0/0 in Atlas');
-    console.log('   • Server will continue without database...\n');
-    
-    // Don't exit - allow server to run in degraded mode
-    db = null;
+    console.error('⚠️  Database preparation failed:', error.message);
   }
 }
 
+supervisor.on('disconnected', () => {
+  db = null;
+  priceTracker.stop();
+  unmountDatabaseRoutes();
+  logConnectionTroubleshooting();
+});
+
+function logConnectionTroubleshooting() {
+  console.log('\n💡 Troubleshooting (Hotel WiFi Issues):');
+  console.log('   • Hotel/public WiFi often blocks MongoDB (port 27017)');
+  console.log('   • Solution: Use mobile hotspot or VPN');
+  console.log('   • Or: Set MongoDB IP whitelist to 0.0.0.0/0 in Atlas');
+  console.log('   • Or: Set DATA_STORE=file to run against a local data store');
+  console.log('   • Server will keep retrying in the background...\n');
+}
+
 // Supabase client for JWT verification
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -86,10 +117,20 @@ app.use(express.json({ limit: '10mb' }));
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // A batch of image jobs takes a few requests per photo; imageJobsLimiter counts those per user
+  skip: (req) => req.originalUrl.startsWith('/api/image-jobs')
 });
 app.use('/api/', limiter);
 
+// Image jobs, per signed-in user (mounted after authenticate)
+const imageJobsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.IMAGE_JOB_RATE_LIMIT || '500', 10),
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many image requests, please try again later.'
+});
+
 // Authentication middleware
 async function authenticate(req, res, next) {
   try {
@@ -125,12 +166,41 @@ async function authenticate(req, res, next) {
   }
 }
 
+// Load the user's stored roles onto req.user (needs the database)
+async function attachRoles(req, res, next) {
+  try {
+    req.user.roles = await loadRoles(db.collection('users'), req.user);
+    next();
+  } catch (error) {
+    console.error('❌ Failed to load user roles:', error);
+    res.status(500).json({ error: 'Failed to load user roles' });
+  }
+}
+
+// Role check middleware (run after authenticate + attachRoles); founders pass every check
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, ...roles)) {
+      console.log('⛔ Role check failed for user:', req.user?.id, 'needs one of:', roles);
+      return res.status(403).json({ error: 'Forbidden', message: `Requires role: ${roles.join(' or ')}` });
+    }
+    next();
+  };
+}
+
 // Health check endpoint (no auth required)
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     timestamp: new Date().toISOString(),
-    mongodb: db ? 'connected' : 'disconnected'
+    mongodb: db ? 'connected' : 'disconnected',
+    store: storeKind,
+    supervisor: supervisor.status(),
+    price_tracker: priceTracker.status(),
+    scraper: { cache: scrapeCache.stats(), domains: domainLimiter.stats(), jobs: scrapeJobs.stats() },
+    background_removal: { quota: providerQuota.stats() },
+    image_jobs: imageJobs.stats(),
+    image_workers: imageWorkerPool.stats()
   });
 });
 
@@ -140,8 +210,12 @@ import outfitsRoutes from './routes/outfits.js';
 import usersRoutes from './routes/users.js';
 import communityRoutes from './routes/community.js';
 import backgroundRemovalRoutes from './routes/backgroundRemoval.js';
+import imageJobsRoutes from './routes/imageJobs.js';
 import scraperRoutes from './routes/scraper.js';
 import wishlistRoutes from './routes/wishlist.js';
+import adminRoutes from './routes/admin.js';
+import moderationRoutes from './routes/moderation.js';
+import notificationsRoutes from './routes/notifications.js';
 
 // Database check middleware
 function requireDB(req, res, next) {
@@ -154,38 +228,72 @@ function requireDB(req, res, next) {
   next();
 }
 
+// Database-backed routers, swapped in and out as the supervisor connects/disconnects
+const databaseRouteFactories = {
+  '/api/closet': closetRoutes,
+  '/api/outfits': outfitsRoutes,
+  '/api/users': usersRoutes,
+  '/api/community': communityRoutes,
+  '/api/wishlist': wishlistRoutes,
+  '/api/admin': adminRoutes,
+  '/api/moderation': moderationRoutes,
+  '/api/notifications': notificationsRoutes,
+};
+// Extra middleware run before a database router (after auth and role loading)
+const databaseRouteGuards = {
+  '/api/admin': [requireRole(ROLES.ADMIN)],
+  '/api/moderation': [requireRole(ROLES.ADMIN, ROLES.MODERATOR)],
+};
+const activeRouters = {};
+
+function mountDatabaseRoutes(connectedDb) {
+  for (const [path, factory] of Object.entries(databaseRouteFactories)) {
+    activeRouters[path] = factory(connectedDb);
+  }
+  console.log('✅ Database routes initialized');
+}
+
+function unmountDatabaseRoutes() {
+  for (const path of Object.keys(activeRouters)) delete activeRouters[path];
+  console.log('⚠️  Database routes disabled (MongoDB not connected)');
+}
+
+// Dispatch to the live router, or answer 503 while the database is unavailable
+function databaseRoute(path) {
+  return (req, res, next) => {
+    const router = activeRouters[path];
+    if (!router) {
+      return res.status(503).json({ error: 'Database unavailable - check network connection' });
+    }
+    const chain = [authenticate, requireDB, attachRoles, ...(databaseRouteGuards[path] || []), router];
+    const run = (index) => chain[index](req, res, index === chain.length - 1
+      ? next
+      : (err) => (err ? next(err) : run(index + 1)));
+    run(0);
+  };
+}
+
 // Start server
 async function startServer() {
-  try {
-    await connectDB();
-  } catch (error) {
-    console.error('⚠️  Failed to connect to MongoDB, but server will continue:', error.message);
-    db = null;
-  }
-  
-  // Background removal route FIRST (needs raw body buffer, must come before other routes)
-  app.use('/api/background-removal', express.raw({ type: 'image/*', limit: '10mb' }), backgroundRemovalRoutes);
+  // Background removal route FIRST (needs raw body buffer, must come before other routes);
+  // signed-in users only, provider quotas are per user
+  app.use('/api/background-removal', authenticate, express.raw({ type: 'image/*', limit: '10mb' }), backgroundRemovalRoutes);
+  app.use('/api/image-jobs', authenticate, imageJobsLimiter, express.raw({ type: 'image/*', limit: '10mb' }), imageJobsRoutes);
   
-  // Web scraper route (no auth required, no DB required)
+  // Web scraper route (no auth required, no DB required); parsing supplied HTML and batch jobs need sign-in
+  app.use('/api/scraper/parse', authenticate);
+  app.use('/api/scraper/jobs', authenticate);
   app.use('/api/scraper', scraperRoutes);
   
-  // Only initialize DB routes if database is connected
-  if (db) {
-    // Apply routes with authentication and DB check
-    app.use('/api/closet', authenticate, requireDB, closetRoutes(db));
-    app.use('/api/outfits', authenticate, requireDB, outfitsRoutes(db));
-    app.use('/api/users', authenticate, requireDB, usersRoutes(db));
-    app.use('/api/community', authenticate, requireDB, communityRoutes(db));
-    app.use('/api/wishlist', authenticate, requireDB, wishlistRoutes(db));
-    console.log('✅ Database routes initialized');
-  } else {
-    // Stub routes that return 503 when DB is unavailable
-    app.use('/api/closet', (req, res) => res.status(503).json({ error: 'Database unavailable - check network connection' }));
-    app.use('/api/outfits', (req, res) => res.status(503).json({ error: 'Database unavailable - check network connection' }));
-    app.use('/api/users', (req, res) => res.status(503).json({ error: 'Database unavailable - check network connection' }));
-    app.use('/api/community', (req, res) => res.status(503).json({ error: 'Database unavailable - check network connection' }));
-    app.use('/api/wishlist', (req, res) => res.status(503).json({ error: 'Database unavailable - check network connection' }));
-    console.log('⚠️  Database routes disabled (MongoDB not connected)');
+  // Database routes are always mounted; they serve 503 until the supervisor connects
+  for (const path of Object.keys(databaseRouteFactories)) {
+    app.use(path, databaseRoute(path));
+  }
+
+  await supervisor.start();
+  if (!db) {
+    logConnectionTroubleshooting();
+    console.log('⚠️  Database routes disabled until MongoDB becomes reachable');
   }
 
   // Error handling middleware
@@ -212,7 +320,8 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
-  await mongoClient.close();
+  priceTracker.stop();
+  await supervisor.stop();
   process.exit(0);
 });
 
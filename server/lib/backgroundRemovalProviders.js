@@ -0,0 +1,217 @@
+/**
+ * Background removal providers
+ * Server-side calls to the paid / hosted background removal APIs so their
+ * keys never reach the browser, plus "local": CPU segmentation on this
+ * server (lib/imageSegmentation.js, run in the image worker threads) that
+ * needs no key and is always available. Providers are tried in BG_REMOVAL_PROVIDERS order ("auto") or
+ * one is picked by name; every provider returns the same shape:
+ *
+ *   { provider: 'removebg', contentType: 'image/png', buffer: <Buffer> }
+ *
+ * "browser" is the client's own canvas processing, what clients fall back to
+ * when no provider can serve a request.
+ */
+
+import { UsageQuota } from './usageQuota.js';
+import { imageWorkerPool } from './imageWorkerPool.js';
+
+export const LOCAL_PROVIDER = 'local';
+export const CLIENT_FALLBACK = 'browser';
+
+const TIMEOUT_MS = parseInt(process.env.BG_REMOVAL_TIMEOUT_MS || '60000', 10);
+
+export class BackgroundRemovalError extends Error {
+  /**
+   * @param {string} message - Returned to clients as `error`
+   * @param {number} status - HTTP status for route handlers
+   * @param {Object} extra - Extra response fields
+   */
+  constructor(message, status = 502, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+async function providerError(name, response) {
+  const details = await response.text().catch(() => '');
+  console.error(`${name} API error:`, response.status, details.slice(0, 500));
+  // Our key or quota with the provider, not the user's request
+  const status = response.status === 402 || response.status === 429 ? 503 : 502;
+  return new BackgroundRemovalError(`${name} API error: ${response.status}`, status, { details: details.slice(0, 500) });
+}
+
+export const PROVIDERS = {
+  removebg: {
+    name: 'Remove.bg',
+    isConfigured: () => Boolean(process.env.REMOVEBG_API_KEY),
+    async remove(buffer, contentType, { quality }) {
+      const form = new FormData();
+      form.append('image_file', new Blob([buffer], { type: contentType }), 'image');
+      form.append('size', quality === 'preview' ? 'preview' : 'auto');
+      form.append('type', 'product'); // Optimized for product/clothing photos
+
+      const response = await fetch('https://api.remove.bg/v1.0/removebg', {
+        method: 'POST',
+        headers: { 'X-Api-Key': process.env.REMOVEBG_API_KEY },
+        body: form,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (!response.ok) throw await providerError('Remove.bg', response);
+      return {
+        contentType: response.headers.get('content-type') || 'image/png',
+        buffer: Buffer.from(await response.arrayBuffer()),
+      };
+    },
+  },
+
+  huggingface: {
+    name: 'Hugging Face',
+    isConfigured: () => Boolean(process.env.HUGGINGFACE_API_KEY),
+    async remove(buffer, contentType) {
+      const model = process.env.HUGGINGFACE_BG_MODEL || 'Xenova/segformer-b2-finetuned-ade-512-512';
+      const response = await fetch(`https://api-inference.huggingface.co/models/${model}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
+          'Content-Type': contentType || 'application/octet-stream'
+        },
+        body: buffer,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      if (!response.ok) throw await providerError('Hugging Face', response);
+      return {
+        contentType: response.headers.get('content-type') || 'image/png',
+        buffer: Buffer.from(await response.arrayBuffer()),
+      };
+    },
+  },
+
+  [LOCAL_PROVIDER]: {
+    name: 'SnapFit cutout',
+    isConfigured: () => true,
+    async remove(buffer, contentType, { quality }) {
+      try {
+        const { contentType: type, buffer: png } = await imageWorkerPool.run('segment', buffer, { quality });
+        return { contentType: type, buffer: png };
+      } catch (error) {
+        // Bad input or a photo it can't separate, not a server fault
+        if (error.status) throw new BackgroundRemovalError(error.message, error.status);
+        throw error;
+      }
+    },
+  },
+};
+
+// Calls per user per day for each provider (0 = unlimited); only successful calls count
+export const providerQuota = new UsageQuota({
+  removebg: parseInt(process.env.BG_REMOVAL_DAILY_LIMIT_REMOVEBG || '10', 10),
+  huggingface: parseInt(process.env.BG_REMOVAL_DAILY_LIMIT_HUGGINGFACE || '50', 10),
+  [LOCAL_PROVIDER]: parseInt(process.env.BG_REMOVAL_DAILY_LIMIT_LOCAL || '0', 10),
+});
+
+/**
+ * Provider names tried for "auto", in order (BG_REMOVAL_PROVIDERS, default "removebg,huggingface,local")
+ * @returns {Array<string>}
+ */
+export function providerOrder() {
+  return (process.env.BG_REMOVAL_PROVIDERS || `removebg,huggingface,${LOCAL_PROVIDER}`)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROVIDERS[name]);
+}
+
+/**
+ * Remove the background from an image
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} contentType - e.g. "image/jpeg"
+ * @param {Object} options
+ * @param {string} [options.provider] - 'auto' or a provider name
+ * @param {string} [options.quality] - 'high' | 'medium' | 'preview'
+ * @param {Function} [options.canUse] - (provider) => boolean, asked right before each provider
+ *   call; false skips the provider (quota). May reserve a use, handed back through `release`
+ * @param {Function} [options.release] - (provider) => void, called when a provider that
+ *   canUse allowed fails
+ * @returns {Promise<Object>} { provider, contentType, buffer }
+ * @throws {BackgroundRemovalError} 400 for unknown providers, 429 when canUse refused every
+ *   provider, 503 when none can serve the request
+ */
+export async function removeBackground(buffer, contentType, { provider = 'auto', quality = 'high', canUse = () => true, release = () => {} } = {}) {
+  if (provider !== 'auto' && !PROVIDERS[provider]) {
+    throw new BackgroundRemovalError(`Unknown background removal provider: ${provider}`, 400);
+  }
+  if (provider !== 'auto' && !PROVIDERS[provider].isConfigured()) {
+    throw new BackgroundRemovalError(`${PROVIDERS[provider].name} is not configured on the server`, 503);
+  }
+
+  const candidates = provider === 'auto'
+    ? providerOrder().filter(name => PROVIDERS[name].isConfigured())
+    : [provider];
+  if (candidates.length === 0) {
+    throw new BackgroundRemovalError('No background removal provider is available', 503);
+  }
+
+  let lastError = null;
+  for (const name of candidates) {
+    if (!canUse(name)) continue;
+    try {
+      const result = await PROVIDERS[name].remove(buffer, contentType, { quality });
+      return { provider: name, ...result };
+    } catch (error) {
+      release(name);
+      lastError = error instanceof BackgroundRemovalError
+        ? error
+        : new BackgroundRemovalError(`${PROVIDERS[name].name} failed: ${error.message}`, 502);
+      console.warn(`⚠️  Background removal via ${name} failed:`, lastError.message);
+    }
+  }
+  throw lastError || new BackgroundRemovalError('Daily background removal limit reached', 429);
+}
+
+/**
+ * removeBackground on a user's behalf, within their daily provider quotas:
+ * a named provider must have uses left, "auto" skips providers that don't.
+ * A use is reserved before each provider call (so concurrent requests, from
+ * the route and from image jobs, can't overrun a quota) and refunded when the
+ * call fails; only the provider that served the request keeps its use.
+ * @param {string} userId
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @param {Object} options - provider, quality (see removeBackground)
+ * @returns {Promise<Object>} { provider, contentType, buffer, quota }
+ * @throws {BackgroundRemovalError} 429 (with `quota` in extra) when the quota is used up
+ */
+export async function removeBackgroundForUser(userId, buffer, contentType, { provider = 'auto', quality = 'high' } = {}) {
+  if (PROVIDERS[provider] && !providerQuota.allows(userId, provider)) {
+    throw new BackgroundRemovalError(`Daily ${PROVIDERS[provider].name} limit reached`, 429, {
+      quota: providerQuota.status(userId, provider)
+    });
+  }
+  if (provider === 'auto') {
+    const configured = providerOrder().filter(id => PROVIDERS[id].isConfigured());
+    if (configured.length > 0 && configured.every(id => !providerQuota.allows(userId, id))) {
+      throw new BackgroundRemovalError('Daily background removal limit reached', 429, {
+        quota: providerQuota.status(userId, configured[0])
+      });
+    }
+  }
+
+  const result = await removeBackground(buffer, contentType, {
+    provider,
+    quality,
+    canUse: (id) => providerQuota.reserve(userId, id),
+    release: (id) => providerQuota.refund(userId, id)
+  });
+  return { ...result, quota: providerQuota.status(userId, result.provider) };
+}
+
+export default {
+  LOCAL_PROVIDER,
+  CLIENT_FALLBACK,
+  PROVIDERS,
+  BackgroundRemovalError,
+  providerQuota,
+  providerOrder,
+  removeBackground,
+  removeBackgroundForUser
+};
@@ -0,0 +1,102 @@
+/**
+ * Outfit comments
+ * Comments live in the `comments` collection, one document per comment:
+ *
+ *   { outfit_id: ObjectId, user_id, text, parent_id: ObjectId | null,
+ *     reply_count, created_at, updated_at, edited_at, hidden }
+ *
+ * Threads are one level deep: replies to a reply attach to its root comment.
+ * Outfits keep a denormalized `comments_count` for feeds.
+ */
+
+import { ObjectId } from 'mongodb';
+
+/**
+ * Create indexes used by comment listing (safe to call on every connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function ensureCommentIndexes(db) {
+  await db.collection('comments').createIndex({ outfit_id: 1, parent_id: 1, created_at: 1 });
+}
+
+/**
+ * Delete a comment and, for root comments, all of its replies
+ * Keeps outfit.comments_count and the parent's reply_count in step.
+ * @param {import('mongodb').Db} db
+ * @param {Object} comment - Comment document
+ * @returns {Promise<number>} Number of comments deleted
+ */
+export async function deleteCommentThread(db, comment) {
+  const commentsCollection = db.collection('comments');
+
+  const filter = comment.parent_id
+    ? { _id: comment._id }
+    : { $or: [{ _id: comment._id }, { parent_id: comment._id }] };
+  const { deletedCount } = await commentsCollection.deleteMany(filter);
+
+  if (comment.parent_id) {
+    await commentsCollection.updateOne({ _id: comment.parent_id }, { $inc: { reply_count: -deletedCount } });
+  }
+  await db.collection('outfits').updateOne(
+    { _id: comment.outfit_id },
+    { $inc: { comments_count: -deletedCount } }
+  );
+
+  return deletedCount;
+}
+
+/**
+ * Move comments embedded in outfit documents (the old `outfits.comments`
+ * array) into the comments collection. Idempotent: migrated outfits have
+ * the array removed.
+ * @param {import('mongodb').Db} db
+ * @returns {Promise<number>} Number of comments migrated
+ */
+export async function migrateEmbeddedComments(db) {
+  const outfitsCollection = db.collection('outfits');
+  const commentsCollection = db.collection('comments');
+  let migrated = 0;
+
+  const outfits = await outfitsCollection
+    .find({ comments: { $exists: true } }, { projection: { comments: 1 } })
+    .toArray();
+
+  for (const outfit of outfits) {
+    const embedded = Array.isArray(outfit.comments) ? outfit.comments : [];
+    const docs = embedded.map(c => ({
+      _id: c._id instanceof ObjectId ? c._id : new ObjectId(),
+      outfit_id: outfit._id,
+      user_id: c.user_id,
+      text: c.text,
+      parent_id: null,
+      reply_count: 0,
+      created_at: c.created_at ? new Date(c.created_at) : new Date(),
+      updated_at: c.created_at ? new Date(c.created_at) : new Date(),
+      ...(c.hidden ? { hidden: true } : {}),
+    }));
+
+    if (docs.length > 0) {
+      // Skip comments already copied by an interrupted earlier run
+      const existing = await commentsCollection.distinct('_id', { _id: { $in: docs.map(d => d._id) } });
+      const existingIds = new Set(existing.map(String));
+      const pending = docs.filter(d => !existingIds.has(String(d._id)));
+      if (pending.length > 0) await commentsCollection.insertMany(pending);
+      migrated += pending.length;
+    }
+
+    const count = await commentsCollection.countDocuments({ outfit_id: outfit._id });
+    await outfitsCollection.updateOne(
+      { _id: outfit._id },
+      { $set: { comments_count: count }, $unset: { comments: '' } }
+    );
+  }
+
+  if (migrated > 0) console.log(`💬 Migrated ${migrated} embedded comments to the comments collection`);
+  return migrated;
+}
+
+export default {
+  ensureCommentIndexes,
+  deleteCommentThread,
+  migrateEmbeddedComments
+};
@@ -0,0 +1,234 @@
+/**
+ * Currency detection and conversion
+ * Reads ISO 4217 codes out of price text ("€49,99", "49,99 kr", "CA$ 1,299.00"),
+ * parses comma-decimal and dot-decimal amounts, and converts between
+ * currencies with the local rate table in server/currency-rates.json
+ * (CURRENCY_RATES_FILE points elsewhere). Rates are units per one `base`:
+ *
+ *   { "base": "USD", "updated": "2026-10-01", "rates": { "USD": 1, "EUR": 0.92 } }
+ *
+ * Amounts without a known currency are treated as DEFAULT_CURRENCY (USD).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const RATES_FILE = process.env.CURRENCY_RATES_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'currency-rates.json');
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Longest first so "CA$" wins over "$"
+const SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['NZ$', 'NZD'],
+  ['HK$', 'HKD'], ['S$', 'SGD'], ['R$', 'BRL'], ['MX$', 'MXN'], ['zł', 'PLN'], ['kr', 'SEK'],
+  ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₩', 'KRW'], ['$', 'USD'],
+];
+
+const CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'JPY', 'CNY', 'INR', 'KRW', 'CHF', 'SEK',
+  'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'HKD', 'SGD', 'ZAR', 'AED', 'TRY'];
+
+// Country TLDs whose stores price in a known currency (settles "$" and bare numbers)
+const TLD_CURRENCIES = {
+  uk: 'GBP', ca: 'CAD', au: 'AUD', nz: 'NZD', jp: 'JPY', in: 'INR', kr: 'KRW', ch: 'CHF',
+  se: 'SEK', no: 'NOK', dk: 'DKK', pl: 'PLN', br: 'BRL', mx: 'MXN', hk: 'HKD', sg: 'SGD',
+  za: 'ZAR', ae: 'AED', tr: 'TRY', de: 'EUR', fr: 'EUR', es: 'EUR', it: 'EUR', nl: 'EUR',
+  be: 'EUR', at: 'EUR', ie: 'EUR', pt: 'EUR', fi: 'EUR', gr: 'EUR',
+};
+
+// Symbols shared by several currencies; a store's own currency in the family wins
+const SHARED_SYMBOLS = {
+  '$': ['USD', 'CAD', 'AUD', 'NZD', 'MXN', 'HKD', 'SGD'],
+  kr: ['SEK', 'NOK', 'DKK'],
+};
+
+// Currencies whose stores write "1.299,00" (a lone ".ddd" is a thousands group)
+const COMMA_DECIMAL = new Set(['EUR', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'TRY']);
+
+const SYMBOL_PATTERN = SYMBOLS.map(([symbol]) => symbol.replace(/[$]/g, '\\$')).join('|');
+// Codes are matched in upper case only ("try" and "aed" are words too)
+const CODE_PATTERN = `\\b(?:${CODES.join('|')})\\b`;
+const AMOUNT_PATTERN = "\\d{1,3}(?:[.,\\s\\u00a0\\u202f']\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+// "€49,99", "USD 20", "49,99 €", "1 299,00 kr"
+const PRICE_IN_TEXT = new RegExp(
+  `(${SYMBOL_PATTERN}|${CODE_PATTERN})\\s*(${AMOUNT_PATTERN})|(${AMOUNT_PATTERN})\\s*(${SYMBOL_PATTERN}|${CODE_PATTERN})`
+);
+
+let rateTable = { base: DEFAULT_CURRENCY, updated: null, rates: { [DEFAULT_CURRENCY]: 1 } };
+
+/**
+ * Whether a value is a three-letter currency code
+ * @param {string} code
+ */
+export function isCurrencyCode(code) {
+  return typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+}
+
+/**
+ * ISO code for a currency symbol or code in text
+ * @param {string} text - e.g. "€", "eur", "CA$", "Price: 49,99 €"
+ * @param {Object} options
+ * @param {string} [options.hint] - The store's currency; settles shared symbols like "$" and "kr"
+ * @returns {string} ISO code, or '' when none is found
+ */
+export function detectCurrency(text, { hint = '' } = {}) {
+  const value = String(text || '').trim();
+  if (!value) return '';
+  // A bare code, e.g. JSON-LD priceCurrency or a meta tag
+  if (/^[a-z]{3}$/i.test(value)) return value.toUpperCase();
+  const code = value.match(new RegExp(CODE_PATTERN));
+  if (code) return code[0];
+
+  // Letter symbols ("kr") must stand alone, not inside a word
+  const entry = SYMBOLS.find(([symbol]) => (/^[a-z]+$/.test(symbol)
+    ? new RegExp(`(^|[\\d\\s])${symbol}\\b`).test(value)
+    : value.includes(symbol)));
+  if (!entry) return '';
+  const [symbol, currency] = entry;
+  return SHARED_SYMBOLS[symbol]?.includes(hint) ? hint : currency;
+}
+
+/**
+ * Currency a store's country domain prices in
+ * @param {string} hostname - e.g. "www.zara.co.uk"
+ * @returns {string} ISO code, or '' for .com and unknown TLDs
+ */
+export function currencyForHostname(hostname) {
+  const tld = String(hostname || '').toLowerCase().split('.').pop();
+  return TLD_CURRENCIES[tld] || '';
+}
+
+/**
+ * Parse an amount written with either decimal convention
+ * "1,299.00" and "1.299,00" are both 1299; "49,99" is 49.99.
+ * @param {string|number} value
+ * @param {string} [currency] - Settles "1.299" (EUR: 1299, USD: 1.299)
+ * @returns {number|null}
+ */
+export function parseAmount(value, currency = '') {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = String(value ?? '').match(/\d[\d.,\s\u00a0\u202f']*/);
+  if (!match) return null;
+  let number = match[0].trim().replace(/[\s\u00a0\u202f']/g, '');
+  number = number.replace(/[.,]+$/, '');
+
+  const lastDot = number.lastIndexOf('.');
+  const lastComma = number.lastIndexOf(',');
+  if (lastDot >= 0 && lastComma >= 0) {
+    // Whichever separator comes last is the decimal point
+    number = lastComma > lastDot
+      ? number.replace(/\./g, '').replace(',', '.')
+      : number.replace(/,/g, '');
+  } else if (lastComma >= 0) {
+    const decimal = (number.match(/,/g).length === 1 && /,\d{1,2}$/.test(number));
+    number = decimal ? number.replace(',', '.') : number.replace(/,/g, '');
+  } else if (lastDot >= 0) {
+    const groups = number.match(/\./g).length > 1 || (COMMA_DECIMAL.has(currency) && /\.\d{3}$/.test(number));
+    if (groups) number = number.replace(/\./g, '');
+  }
+
+  const amount = parseFloat(number);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Amount and currency from a price string
+ * @param {string|number} value - e.g. "€49,99", "$1,299.00", 49.99
+ * @param {Object} options
+ * @param {string} [options.currency] - Currency to assume when the text has none
+ * @returns {Object} { amount: number|null, currency: string }
+ */
+export function parsePrice(value, { currency = '' } = {}) {
+  if (typeof value === 'number') return { amount: parseAmount(value), currency };
+  const code = detectCurrency(value, { hint: currency }) || currency;
+  return { amount: parseAmount(value, code), currency: code };
+}
+
+/**
+ * First price written in free text (page body, price element)
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} [options.hint] - The store's currency (see detectCurrency)
+ * @returns {Object|null} { amount, currency } or null when none is found
+ */
+export function findPrice(text, { hint = '' } = {}) {
+  const match = String(text || '').match(PRICE_IN_TEXT);
+  if (!match) return null;
+  const [, symbolBefore, amountAfter, amountBefore, symbolAfter] = match;
+  const currency = detectCurrency(symbolBefore || symbolAfter, { hint });
+  const amount = parseAmount(amountAfter || amountBefore, currency);
+  return amount === null ? null : { amount, currency };
+}
+
+/**
+ * (Re)load the rate table
+ * @param {string} [file]
+ * @returns {Object} The loaded table
+ */
+export function loadRates(file = RATES_FILE) {
+  try {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const base = String(table.base || '').toUpperCase();
+    if (!isCurrencyCode(base) || !table.rates || typeof table.rates !== 'object') {
+      throw new Error('needs a base currency and a rates object');
+    }
+    const rates = { [base]: 1 };
+    for (const [code, rate] of Object.entries(table.rates)) {
+      if (isCurrencyCode(code) && typeof rate === 'number' && rate > 0) rates[code] = rate;
+    }
+    rateTable = { base, updated: table.updated || null, rates };
+  } catch (error) {
+    console.warn(`⚠️  Currency rates not loaded from ${file}:`, error.message);
+  }
+  return rateTable;
+}
+
+export function getRates() {
+  return rateTable;
+}
+
+/**
+ * Convert an amount between currencies with the local rate table
+ * @param {number} amount
+ * @param {string} from - ISO code (DEFAULT_CURRENCY when empty)
+ * @param {string} to - ISO code
+ * @returns {number|null} Rounded to cents; null when either rate is missing
+ */
+export function convertAmount(amount, from, to) {
+  const source = from || DEFAULT_CURRENCY;
+  const target = to || DEFAULT_CURRENCY;
+  if (!Number.isFinite(amount)) return null;
+  if (source === target) return amount;
+  const fromRate = rateTable.rates[source];
+  const toRate = rateTable.rates[target];
+  if (!fromRate || !toRate) return null;
+  return Math.round((amount / fromRate) * toRate * 100) / 100;
+}
+
+/**
+ * The currency a user totals their wishlist in (profile home_currency)
+ * @param {import('mongodb').Db} db
+ * @param {string} userId - Supabase auth id
+ */
+export async function userHomeCurrency(db, userId) {
+  const user = await db.collection('users').findOne({ auth_id: userId }, { projection: { home_currency: 1 } });
+  return isCurrencyCode(user?.home_currency) ? user.home_currency : DEFAULT_CURRENCY;
+}
+
+loadRates();
+
+export default {
+  RATES_FILE,
+  DEFAULT_CURRENCY,
+  isCurrencyCode,
+  detectCurrency,
+  currencyForHostname,
+  parseAmount,
+  parsePrice,
+  findPrice,
+  loadRates,
+  getRates,
+  convertAmount,
+  userHomeCurrency
+};
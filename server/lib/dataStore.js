@@ -0,0 +1,51 @@
+/**
+ * Data store selection
+ * Route factories receive a `db` with the MongoDB Db/Collection interface.
+ * DATA_STORE picks the backend behind it:
+ *   - mongo  : MongoDB Atlas via MONGODB_URI (default when MONGODB_URI is set)
+ *   - file   : in-memory store persisted to DATA_STORE_PATH (default otherwise)
+ *   - memory : in-memory store, discarded on restart
+ */
+
+import path from 'path';
+import { MongoClient } from 'mongodb';
+import { MemoryDb } from './memoryStore.js';
+
+const DEFAULT_FILE_PATH = './server/.data/snapfit.json';
+
+export function resolveStoreKind(env = process.env) {
+  const kind = (env.DATA_STORE || '').toLowerCase();
+  if (['mongo', 'file', 'memory'].includes(kind)) return kind;
+  if (kind) console.warn(`⚠️  Unknown DATA_STORE "${env.DATA_STORE}", falling back to default`);
+  return env.MONGODB_URI ? 'mongo' : 'file';
+}
+
+export function createMongoClient(env = process.env) {
+  return new MongoClient(env.MONGODB_URI, {
+    retryWrites: true,
+    w: 'majority',
+    serverSelectionTimeoutMS: 30000,
+    socketTimeoutMS: 45000,
+    maxPoolSize: 10,
+    minPoolSize: 2,
+    tls: true,
+    tlsAllowInvalidCertificates: false,
+    tlsAllowInvalidHostnames: false,
+  });
+}
+
+/**
+ * Create the local (non-Atlas) store
+ * @param {'file'|'memory'} kind
+ * @returns {MemoryDb}
+ */
+export function createLocalDb(kind, env = process.env) {
+  const filePath = kind === 'file' ? path.resolve(env.DATA_STORE_PATH || DEFAULT_FILE_PATH) : null;
+  return new MemoryDb({ filePath });
+}
+
+export default {
+  resolveStoreKind,
+  createMongoClient,
+  createLocalDb
+};
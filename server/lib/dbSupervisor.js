@@ -0,0 +1,156 @@
+/**
+ * MongoDB connection supervisor
+ * Connects with exponential backoff, pings periodically once connected and
+ * emits 'connected' / 'disconnected' so the server can swap route mounts at
+ * runtime instead of deciding once at boot.
+ */
+
+import { EventEmitter } from 'events';
+
+export const SUPERVISOR_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RETRYING: 'retrying',
+  STOPPED: 'stopped',
+  LOCAL: 'local',
+};
+
+export class DbSupervisor extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import('mongodb').MongoClient} [options.client] - Mongo client (omit for local stores)
+   * @param {string} [options.dbName] - Database name passed to client.db()
+   * @param {Object} [options.localDb] - Local store used instead of Mongo
+   * @param {number} [options.minDelayMs] - First retry delay
+   * @param {number} [options.maxDelayMs] - Retry delay cap
+   * @param {number} [options.healthIntervalMs] - Ping interval while connected
+   */
+  constructor({
+    client = null,
+    dbName,
+    localDb = null,
+    minDelayMs = parseInt(process.env.DB_RETRY_MIN_MS || '1000', 10),
+    maxDelayMs = parseInt(process.env.DB_RETRY_MAX_MS || '60000', 10),
+    healthIntervalMs = parseInt(process.env.DB_HEALTH_INTERVAL_MS || '15000', 10),
+  } = {}) {
+    super();
+    this.client = client;
+    this.dbName = dbName;
+    this.localDb = localDb;
+    this.minDelayMs = minDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.healthIntervalMs = healthIntervalMs;
+
+    this.db = null;
+    this.state = SUPERVISOR_STATES.IDLE;
+    this.attempts = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.connectedAt = null;
+    this.nextRetryAt = null;
+    this._timer = null;
+  }
+
+  /**
+   * Start supervising. Resolves after the first connection attempt so
+   * startup logs stay in order; retries continue in the background.
+   */
+  async start() {
+    if (this.localDb) {
+      this.db = this.localDb;
+      this.state = SUPERVISOR_STATES.LOCAL;
+      this.connectedAt = new Date();
+      this.emit('connected', this.db);
+      return;
+    }
+    await this._attempt();
+  }
+
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.state = SUPERVISOR_STATES.STOPPED;
+    if (this.client) await this.client.close();
+  }
+
+  status() {
+    return {
+      state: this.state,
+      attempts: this.attempts,
+      connectedAt: this.connectedAt ? this.connectedAt.toISOString() : null,
+      nextRetryAt: this.nextRetryAt ? this.nextRetryAt.toISOString() : null,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt ? this.lastErrorAt.toISOString() : null,
+    };
+  }
+
+  _schedule(fn, delay) {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(fn, delay);
+    // Never keep the process alive just for reconnect attempts
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  _backoffDelay() {
+    const exp = Math.min(this.maxDelayMs, this.minDelayMs * 2 ** Math.max(0, this.attempts - 1));
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+  }
+
+  _recordError(error) {
+    this.lastError = error?.message || String(error);
+    this.lastErrorAt = new Date();
+  }
+
+  async _attempt() {
+    if (this.state === SUPERVISOR_STATES.STOPPED) return;
+    this.state = SUPERVISOR_STATES.CONNECTING;
+    this.attempts++;
+    this.nextRetryAt = null;
+
+    try {
+      console.log(`🔌 Connecting to MongoDB (attempt ${this.attempts})...`);
+      await this.client.connect();
+      const db = this.client.db(this.dbName);
+      await db.command({ ping: 1 });
+
+      this.db = db;
+      this.state = SUPERVISOR_STATES.CONNECTED;
+      this.connectedAt = new Date();
+      this.attempts = 0;
+      console.log('✅ Connected to MongoDB Atlas');
+      this.emit('connected', db);
+      this._schedule(() => this._healthCheck(), this.healthIntervalMs);
+    } catch (error) {
+      this._recordError(error);
+      console.error('❌ MongoDB connection error:', this.lastError);
+      this._retry();
+    }
+  }
+
+  _retry() {
+    if (this.state === SUPERVISOR_STATES.STOPPED) return;
+    const delay = this._backoffDelay();
+    this.state = SUPERVISOR_STATES.RETRYING;
+    this.nextRetryAt = new Date(Date.now() + delay);
+    console.log(`⏳ Retrying MongoDB connection in ${Math.round(delay / 1000)}s`);
+    this._schedule(() => this._attempt(), delay);
+  }
+
+  async _healthCheck() {
+    if (this.state !== SUPERVISOR_STATES.CONNECTED) return;
+    try {
+      await this.db.command({ ping: 1 });
+      this._schedule(() => this._healthCheck(), this.healthIntervalMs);
+    } catch (error) {
+      this._recordError(error);
+      console.error('⚠️  Lost MongoDB connection:', this.lastError);
+      this.db = null;
+      this.connectedAt = null;
+      this.emit('disconnected', error);
+      this._retry();
+    }
+  }
+}
+
+export default DbSupervisor;
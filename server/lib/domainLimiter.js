@@ -0,0 +1,111 @@
+/**
+ * Per-hostname request limiter for retailer fetches
+ * At most `concurrency` requests run against one hostname at a time, request
+ * starts are spaced at least `minIntervalMs` apart, and at most `maxQueue`
+ * requests wait per hostname so a burst can't pile up behind a slow retailer.
+ */
+
+export class DomainLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.concurrency] - Requests in flight per hostname
+   * @param {number} [options.minIntervalMs] - Gap between request starts per hostname
+   * @param {number} [options.maxQueue] - Requests allowed to wait per hostname
+   */
+  constructor({
+    concurrency = parseInt(process.env.SCRAPER_DOMAIN_CONCURRENCY || '2', 10),
+    minIntervalMs = parseInt(process.env.SCRAPER_DOMAIN_MIN_INTERVAL_MS || '1000', 10),
+    maxQueue = parseInt(process.env.SCRAPER_DOMAIN_MAX_QUEUE || '20', 10),
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.minIntervalMs = Math.max(0, minIntervalMs);
+    this.maxQueue = Math.max(1, maxQueue);
+    this.domains = new Map();
+  }
+
+  _state(hostname) {
+    let state = this.domains.get(hostname);
+    if (!state) {
+      state = { active: 0, queue: [], lastStart: 0, timer: null, pruneTimer: null };
+      this.domains.set(hostname, state);
+    }
+    return state;
+  }
+
+  /**
+   * Whether a new request for the hostname would be rejected
+   * @param {string} hostname
+   */
+  isFull(hostname) {
+    const state = this.domains.get(hostname);
+    return Boolean(state) && state.queue.length >= this.maxQueue;
+  }
+
+  /**
+   * Run a task when the hostname has capacity
+   * @param {string} hostname
+   * @param {Function} task - () => Promise
+   * @returns {Promise} Resolves or rejects with the task's result
+   */
+  run(hostname, task) {
+    const state = this._state(hostname);
+    return new Promise((resolve, reject) => {
+      state.queue.push({ task, resolve, reject });
+      this._drain(hostname, state);
+    });
+  }
+
+  _drain(hostname, state) {
+    if (state.timer) return;
+
+    while (state.active < this.concurrency && state.queue.length > 0) {
+      const wait = state.lastStart + this.minIntervalMs - Date.now();
+      if (wait > 0) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          this._drain(hostname, state);
+        }, wait);
+        return;
+      }
+
+      const job = state.queue.shift();
+      state.active++;
+      state.lastStart = Date.now();
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          state.active--;
+          this._drain(hostname, state);
+          this._prune(hostname, state);
+        });
+    }
+  }
+
+  // Forget idle hostnames once their spacing window has passed
+  _prune(hostname, state) {
+    if (state.active > 0 || state.queue.length > 0 || state.timer || state.pruneTimer) return;
+    const idleFor = Date.now() - state.lastStart;
+    if (idleFor >= this.minIntervalMs) {
+      this.domains.delete(hostname);
+      return;
+    }
+    state.pruneTimer = setTimeout(() => {
+      state.pruneTimer = null;
+      this._prune(hostname, state);
+    }, this.minIntervalMs - idleFor);
+    state.pruneTimer.unref?.();
+  }
+
+  stats() {
+    let active = 0;
+    let queued = 0;
+    for (const state of this.domains.values()) {
+      active += state.active;
+      queued += state.queue.length;
+    }
+    return { domains: this.domains.size, active, queued };
+  }
+}
+
+export default DomainLimiter;
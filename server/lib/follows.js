@@ -0,0 +1,101 @@
+/**
+ * Follow graph
+ * One document per edge in the `follows` collection:
+ *
+ *   { follower_id, following_id, created_at }   (both Supabase auth ids)
+ *
+ * Users keep denormalized `followers_count` and `following_count`, updated
+ * only when an edge is actually created or removed so repeats are harmless.
+ */
+
+/**
+ * Create indexes used by follow lookups (safe to call on every connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function ensureFollowIndexes(db) {
+  const follows = db.collection('follows');
+  await follows.createIndex({ follower_id: 1, following_id: 1 }, { unique: true });
+  await follows.createIndex({ following_id: 1, created_at: -1 });
+  await follows.createIndex({ follower_id: 1, created_at: -1 });
+}
+
+async function adjustCounts(db, followerId, followingId, delta) {
+  const users = db.collection('users');
+  await users.updateOne({ auth_id: followerId }, { $inc: { following_count: delta } });
+  await users.updateOne({ auth_id: followingId }, { $inc: { followers_count: delta } });
+}
+
+/**
+ * Follow a user (no-op when already following)
+ * @param {import('mongodb').Db} db
+ * @param {string} followerId - Auth id of the user following
+ * @param {string} followingId - Auth id of the user being followed
+ * @returns {Promise<boolean>} True when a new edge was created
+ */
+export async function follow(db, followerId, followingId) {
+  let result;
+  try {
+    result = await db.collection('follows').updateOne(
+      { follower_id: followerId, following_id: followingId },
+      { $setOnInsert: { created_at: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent follow of the same pair won the upsert race on the unique index
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (!result.upsertedCount) return false;
+  await adjustCounts(db, followerId, followingId, 1);
+  return true;
+}
+
+/**
+ * Unfollow a user (no-op when not following)
+ * @param {import('mongodb').Db} db
+ * @param {string} followerId - Auth id of the user unfollowing
+ * @param {string} followingId - Auth id of the user being unfollowed
+ * @returns {Promise<boolean>} True when an edge was removed
+ */
+export async function unfollow(db, followerId, followingId) {
+  const { deletedCount } = await db.collection('follows').deleteOne({
+    follower_id: followerId,
+    following_id: followingId,
+  });
+
+  if (!deletedCount) return false;
+  await adjustCounts(db, followerId, followingId, -1);
+  return true;
+}
+
+/**
+ * Check whether one user follows another
+ * @param {import('mongodb').Db} db
+ * @returns {Promise<boolean>}
+ */
+export async function isFollowing(db, followerId, followingId) {
+  const edge = await db.collection('follows').findOne(
+    { follower_id: followerId, following_id: followingId },
+    { projection: { _id: 1 } }
+  );
+  return !!edge;
+}
+
+/**
+ * Auth ids of everyone a user follows
+ * @param {import('mongodb').Db} db
+ * @param {string} userId - Auth id
+ * @returns {Promise<string[]>}
+ */
+export async function followingIds(db, userId) {
+  return db.collection('follows').distinct('following_id', { follower_id: userId });
+}
+
+export default {
+  ensureFollowIndexes,
+  follow,
+  unfollow,
+  isFollowing,
+  followingIds
+};
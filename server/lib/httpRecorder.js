@@ -0,0 +1,144 @@
+/**
+ * Record / replay for scraper HTTP traffic
+ * With SCRAPER_HTTP_MODE=record every response the scraper adapter fetches
+ * (direct, proxy or scraping API) is saved to SCRAPER_FIXTURES_DIR, one JSON
+ * file per URL. With SCRAPER_HTTP_MODE=replay those files are served instead
+ * of going to the network, so extractor changes can be checked offline
+ * against the same pages every time (see server/test-scraper.js --replay).
+ *
+ *   { "url": "https://...", "via": "direct", "recorded_at": "...",
+ *     "status": 200, "statusText": "OK", "headers": { "content-type": "text/html" },
+ *     "body": "<!DOCTYPE html>..." }
+ *
+ * A URL is recorded once per fetch; the last response fetched for it (the one
+ * the scraper ended up using) is what replay serves.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = process.env.SCRAPER_FIXTURES_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'scraper-fixtures');
+
+export const HTTP_MODES = ['off', 'record', 'replay'];
+
+// Not written to fixtures
+const SKIPPED_HEADERS = new Set(['set-cookie', 'content-encoding', 'content-length', 'transfer-encoding']);
+const NO_BODY_STATUSES = new Set([204, 205, 304]);
+
+export class MissingRecordingError extends Error {
+  constructor(url, dir) {
+    super(`No recorded response for ${url} in ${dir}`);
+    this.url = url;
+  }
+}
+
+export class HttpRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} [options.mode] - 'off' | 'record' | 'replay'
+   * @param {string} [options.dir] - Fixture directory
+   */
+  constructor({
+    mode = process.env.SCRAPER_HTTP_MODE || 'off',
+    dir = FIXTURES_DIR,
+  } = {}) {
+    if (!HTTP_MODES.includes(mode)) {
+      console.warn(`⚠️  Unknown SCRAPER_HTTP_MODE "${mode}", recording is off`);
+      mode = 'off';
+    }
+    this.mode = mode;
+    this.dir = dir;
+    if (mode !== 'off') console.log(`📼 Scraper HTTP ${mode} mode (${dir})`);
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Fixture path for a URL, e.g. "www.example.com_3f2a9c1b0d4e5f60.json"
+   * @param {string} url - Page URL (or another stable key such as "scrapingbee-amazon:B0ABC12345")
+   */
+  fileFor(url) {
+    let host = 'other';
+    try {
+      host = new URL(url).hostname || host;
+    } catch {
+      host = String(url).split(':')[0] || host;
+    }
+    const hash = crypto.createHash('sha1').update(String(url)).digest('hex').slice(0, 16);
+    return path.join(this.dir, `${host.replace(/[^a-z0-9.-]/gi, '_')}_${hash}.json`);
+  }
+
+  /**
+   * Saved response for a URL
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  read(url) {
+    try {
+      return JSON.parse(fs.readFileSync(this.fileFor(url), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch through the recorder
+   * off: calls `load`; record: calls `load` and saves the response;
+   * replay: serves the saved response without calling `load`.
+   * @param {string} url - Key the response is saved under
+   * @param {string} via - Where it came from ('direct', 'proxy', 'scrapingbee', ...)
+   * @param {Function} load - () => Promise<Response|null>
+   * @returns {Promise<Response|null>}
+   * @throws {MissingRecordingError} In replay mode when the URL was never recorded
+   */
+  async fetch(url, via, load) {
+    if (this.mode === 'replay') {
+      const saved = this.read(url);
+      if (!saved) throw new MissingRecordingError(url, this.dir);
+      return new Response(NO_BODY_STATUSES.has(saved.status) ? null : saved.body, {
+        status: saved.status,
+        statusText: saved.statusText || '',
+        headers: saved.headers || {},
+      });
+    }
+
+    const response = await load();
+    if (this.mode !== 'record' || !response) return response;
+
+    const body = await response.text();
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      if (!SKIPPED_HEADERS.has(name)) headers[name] = value;
+    });
+    const fixture = {
+      url,
+      via,
+      recorded_at: new Date().toISOString(),
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body,
+    };
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this.fileFor(url), JSON.stringify(fixture, null, 2));
+      console.log(`📼 Recorded ${response.status} ${url} (${via})`);
+    } catch (error) {
+      console.warn(`⚠️  Could not record ${url}:`, error.message);
+    }
+    return new Response(NO_BODY_STATUSES.has(response.status) ? null : body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+}
+
+export const httpRecorder = new HttpRecorder();
+
+export default HttpRecorder;
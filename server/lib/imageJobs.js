@@ -0,0 +1,268 @@
+/**
+ * Background image jobs
+ * A job is one image operation (lib/imageOperations.js) run off the request:
+ * the upload is answered with a job id at once, the client follows the job
+ * (polling or the event stream) and fetches the result image when it's done.
+ * Jobs from all users share one queue with at most `concurrency` operations
+ * in flight; the queue only does the bookkeeping, the pixel work runs in the
+ * image worker threads (lib/imageWorkerPool.js). Results stay in memory until fetched, or `ttlMs` after the job
+ * finishes; an 'update' event is emitted on every status change.
+ *
+ *   { id, operation, status: 'queued' | 'running' | 'done' | 'error', position,
+ *     error: { message, status }, result: { content_type, size, width, height, provider, quota } }
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { IMAGE_OPERATIONS } from './imageOperations.js';
+
+export class ImageJobError extends Error {
+  /**
+   * @param {string} message - Safe to show clients
+   * @param {number} status - HTTP status for route handlers
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const FINISHED = new Set(['done', 'error']);
+
+export class ImageJobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.concurrency] - Operations run at once across all jobs
+   * @param {number} [options.maxJobsPerUser] - Jobs a user may hold (unfinished or with unfetched results)
+   * @param {number} [options.maxStoredBytes] - Uploads and results held across all jobs
+   * @param {number} [options.ttlMs] - How long an unfetched result is kept
+   * @param {Object} [options.operations] - Operation name -> { parse, run }
+   */
+  constructor({
+    concurrency = parseInt(process.env.IMAGE_JOB_CONCURRENCY || '2', 10),
+    maxJobsPerUser = parseInt(process.env.IMAGE_JOB_MAX_PER_USER || '50', 10),
+    maxStoredBytes = parseInt(process.env.IMAGE_JOB_MAX_STORED_BYTES || '500000000', 10),
+    ttlMs = parseInt(process.env.IMAGE_JOB_TTL_MS || '3600000', 10),
+    operations = IMAGE_OPERATIONS,
+  } = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open event stream
+    this.concurrency = Math.max(1, concurrency);
+    this.maxJobsPerUser = Math.max(1, maxJobsPerUser);
+    this.maxStoredBytes = Math.max(0, maxStoredBytes);
+    this.ttlMs = Math.max(0, ttlMs);
+    this.operations = operations;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+    this.storedBytes = 0;
+  }
+
+  /**
+   * Queue an operation on an uploaded image
+   * @param {string} userId - Owner (Supabase auth id)
+   * @param {string} operation - Key of `operations`
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} contentType
+   * @param {Object} query - Operation options as query-string values
+   * @returns {Object} The job (see toJSON)
+   * @throws {ImageJobError} 400 for unknown operations or empty uploads, 429 when the user
+   *   holds too many jobs, 503 when the queue is out of room
+   */
+  create(userId, operation, buffer, contentType, query = {}) {
+    const handler = this.operations[operation];
+    if (!handler) {
+      throw new ImageJobError(`Unknown operation: ${operation}. Use one of: ${Object.keys(this.operations).join(', ')}`);
+    }
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new ImageJobError('Send the image as the request body with an image/* Content-Type');
+    }
+    const held = [...this.jobs.values()].filter(job => job.userId === userId && job.status !== 'error').length;
+    if (held >= this.maxJobsPerUser) {
+      throw new ImageJobError('Too many image jobs: fetch or discard finished results first', 429);
+    }
+    if (this.storedBytes + buffer.length > this.maxStoredBytes) {
+      throw new ImageJobError('Image processing is busy, please try again shortly', 503);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      operation,
+      options: handler.parse(query),
+      status: 'queued',
+      created_at: new Date(),
+      started_at: null,
+      finished_at: null,
+      input: { buffer, contentType },
+      result: null,
+      error: null,
+      bytes: buffer.length,
+      timer: null,
+    };
+    this.storedBytes += job.bytes;
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this._emit(job);
+    this._drain();
+    return this.toJSON(job);
+  }
+
+  /**
+   * A user's job
+   * @param {string} jobId
+   * @param {string} userId
+   * @returns {Object|null} null when missing, expired or someone else's
+   */
+  get(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.userId !== userId) return null;
+    return this.toJSON(job);
+  }
+
+  /**
+   * A user's jobs, oldest first
+   * @param {string} userId
+   * @param {Array<string>} [ids] - Only these jobs
+   * @returns {Array<Object>}
+   */
+  list(userId, ids = null) {
+    return [...this.jobs.values()]
+      .filter(job => job.userId === userId && (!ids || ids.includes(job.id)))
+      .map(job => this.toJSON(job));
+  }
+
+  /**
+   * Hand over a finished job's result image and forget the job
+   * @param {string} jobId
+   * @param {string} userId
+   * @returns {Object|null} { job, contentType, buffer }; null when missing or someone else's
+   * @throws {ImageJobError} 409 while the job is unfinished; the job's own error when it failed
+   */
+  takeResult(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.userId !== userId) return null;
+    if (job.status === 'error') {
+      this._forget(job);
+      throw new ImageJobError(job.error.message, job.error.status);
+    }
+    if (job.status !== 'done') throw new ImageJobError('The job has not finished yet', 409);
+
+    const taken = { job: this.toJSON(job), contentType: job.result.contentType, buffer: job.result.buffer };
+    this._forget(job);
+    return taken;
+  }
+
+  /**
+   * Drop a job (a queued one never runs; a running one's result is thrown away)
+   * @param {string} jobId
+   * @param {string} userId
+   * @returns {boolean} false when missing or someone else's
+   */
+  discard(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.userId !== userId) return false;
+    this.pending = this.pending.filter(queued => queued !== job);
+    this._forget(job);
+    return true;
+  }
+
+  toJSON(job) {
+    const { result } = job;
+    return {
+      id: job.id,
+      operation: job.operation,
+      status: job.status,
+      position: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      error: job.error,
+      result: result && {
+        content_type: result.contentType,
+        size: result.buffer.length,
+        width: result.width ?? null,
+        height: result.height ?? null,
+        provider: result.provider ?? null,
+        quota: result.quota ?? null,
+      },
+    };
+  }
+
+  _emit(job) {
+    this.emit('update', this.toJSON(job), job.userId);
+  }
+
+  _forget(job) {
+    if (!this.jobs.delete(job.id)) return;
+    clearTimeout(job.timer);
+    this.storedBytes -= job.bytes;
+    job.input = null;
+    job.result = null;
+    job.discarded = true;
+  }
+
+  _drain() {
+    let started = false;
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      started = true;
+      const job = this.pending.shift();
+      this.active++;
+      job.status = 'running';
+      job.started_at = new Date();
+      this._run(job).finally(() => {
+        this.active--;
+        this._drain();
+      });
+    }
+    // Queue positions moved
+    if (started) this.pending.forEach(job => this._emit(job));
+  }
+
+  async _run(job) {
+    if (job.discarded) return;
+    this._emit(job);
+
+    const { buffer, contentType } = job.input;
+    try {
+      const result = await this.operations[job.operation].run(buffer, contentType, job.options, { userId: job.userId });
+      if (job.discarded) return;
+      job.result = result;
+      job.status = 'done';
+    } catch (error) {
+      if (job.discarded) return;
+      const status = error.status || 500;
+      if (status >= 500) console.error(`❌ Image job ${job.id} (${job.operation}) error:`, error);
+      job.error = {
+        message: status >= 500 && !error.status ? 'Failed to process image' : error.message,
+        status,
+        ...(error.extra?.quota ? { quota: error.extra.quota } : {}),
+      };
+      job.status = 'error';
+    }
+
+    // The upload is no longer needed; the result is held until fetched
+    this.storedBytes += (job.result ? job.result.buffer.length : 0) - job.bytes;
+    job.bytes = job.result ? job.result.buffer.length : 0;
+    job.input = null;
+    job.finished_at = new Date();
+    job.timer = setTimeout(() => this._forget(job), this.ttlMs);
+    job.timer.unref?.();
+    this._emit(job);
+  }
+
+  stats() {
+    const jobs = [...this.jobs.values()];
+    return {
+      jobs: jobs.length,
+      unfinished: jobs.filter(job => !FINISHED.has(job.status)).length,
+      active: this.active,
+      queued: this.pending.length,
+      stored_bytes: this.storedBytes,
+    };
+  }
+}
+
+export const imageJobs = new ImageJobQueue();
+
+export default ImageJobQueue;
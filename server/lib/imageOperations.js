@@ -0,0 +1,58 @@
+/**
+ * Image operations for background image jobs (lib/imageJobs.js)
+ * Each operation turns one uploaded image into one result image:
+ *
+ *   remove-background  provider, quality ('high' | 'medium' | 'preview')
+ *   compress           maxWidth, maxHeight, quality (0-1) - JPEG, or PNG when
+ *                      the image has transparency
+ *   auto-crop          padding - crops to the non-transparent pixels (cutouts)
+ *
+ * `parse(query)` reads an operation's options from the job request's query
+ * string; `run(buffer, contentType, options, { userId })` resolves to
+ * { contentType, buffer, ...details }. Compression, cropping and the local
+ * cutout run in the image worker threads (lib/imageWorkerPool.js); hosted
+ * background removal providers are only waited on.
+ */
+
+import { removeBackgroundForUser } from './backgroundRemovalProviders.js';
+import { imageWorkerPool } from './imageWorkerPool.js';
+
+const QUALITIES = ['high', 'medium', 'preview'];
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+export const IMAGE_OPERATIONS = {
+  'remove-background': {
+    parse: (query) => ({
+      provider: String(query.provider || 'auto').toLowerCase(),
+      quality: QUALITIES.includes(query.quality) ? query.quality : 'high',
+    }),
+    async run(buffer, contentType, options, { userId }) {
+      const result = await removeBackgroundForUser(userId, buffer, contentType, options);
+      return { contentType: result.contentType, buffer: result.buffer, provider: result.provider, quota: result.quota };
+    },
+  },
+
+  compress: {
+    // Same defaults as the client's compressImage (src/lib/storage.js)
+    parse: (query) => ({
+      maxWidth: Math.round(clampNumber(query.maxWidth, 16, 8000, 1200)),
+      maxHeight: Math.round(clampNumber(query.maxHeight, 16, 8000, 1200)),
+      quality: clampNumber(query.quality, 0.1, 1, 0.8),
+    }),
+    run: (buffer, contentType, options) => imageWorkerPool.run('compress', buffer, options),
+  },
+
+  'auto-crop': {
+    parse: (query) => ({
+      padding: Math.round(clampNumber(query.padding, 0, 500, 10)),
+    }),
+    run: (buffer, contentType, options) => imageWorkerPool.run('auto-crop', buffer, options),
+  },
+};
+
+export default IMAGE_OPERATIONS;
@@ -0,0 +1,466 @@
+/**
+ * CPU background removal (no external service)
+ * The "local" background removal provider: cuts a clothing item out of a
+ * product-style photo (one item on a fairly plain backdrop) and returns a
+ * transparent PNG.
+ *
+ *   1. Decode the JPEG / PNG (JPEG EXIF orientation applied) and scale it
+ *      down to the working size for the requested quality
+ *   2. Model the backdrop by clustering the colors along the image border
+ *   3. Flood-fill from the border through pixels close to a backdrop
+ *      cluster, stopping at strong edges; what the fill can't reach is the
+ *      item. Backdrop showing through enclosed gaps (between a sleeve and
+ *      the body) and small specks are cleaned up afterwards
+ *   4. Feather the mask into an alpha matte and remove the backdrop color
+ *      bleeding into the semi-transparent edge pixels
+ *
+ * Busy backgrounds (clothes worn in a room) are beyond it; those fail with a
+ * 422 rather than returning a bad cutout. Everything here is synchronous CPU
+ * work: callers go through the image worker pool (lib/imageWorkerPool.js).
+ */
+
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+
+// Longest side of the processed (and returned) image per quality
+export const WORKING_SIZES = { preview: 800, medium: 1200, high: 2000 };
+
+const MAX_INPUT_MEGAPIXELS = parseInt(process.env.BG_REMOVAL_MAX_MEGAPIXELS || '12', 10);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CLUSTERS = 4;
+const MAX_BORDER_SAMPLES = 4000;
+// Color step between neighbours the flood fill won't cross (an outline)
+const EDGE_STEP = 48;
+
+export class SegmentationError extends Error {
+  /**
+   * @param {string} message - Safe to show clients
+   * @param {number} status - HTTP status for route handlers
+   */
+  constructor(message, status = 422) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// EXIF orientation (1-8) from a JPEG's APP1 segment; 1 when missing or unreadable
+function jpegOrientation(buffer) {
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xda) return 1; // Image data starts, no EXIF before it
+      if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = offset + 10;
+        const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+        const u16 = (at) => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+        const u32 = (at) => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+        const ifd = tiff + u32(tiff + 4);
+        const entries = u16(ifd);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (u16(entry) === 0x0112) {
+            const orientation = u16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+      offset += 2 + length;
+    }
+  } catch {
+    // Truncated or odd EXIF: treat as upright
+  }
+  return 1;
+}
+
+// Rotate / flip RGBA pixels so EXIF orientation 1 is upright
+function applyOrientation(image, orientation) {
+  if (orientation === 1) return image;
+  const { width: w, height: h } = image;
+  const swap = orientation >= 5;
+  const width = swap ? h : w;
+  const height = swap ? w : h;
+  const bytes = image.data.byteOffset % 4 ? image.data.slice() : image.data;
+  const source = new Uint32Array(bytes.buffer, bytes.byteOffset, w * h);
+  const data = new Uint8Array(width * height * 4);
+  const target = new Uint32Array(data.buffer);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let dx, dy;
+      switch (orientation) {
+        case 2: dx = w - 1 - x; dy = y; break;
+        case 3: dx = w - 1 - x; dy = h - 1 - y; break;
+        case 4: dx = x; dy = h - 1 - y; break;
+        case 5: dx = y; dy = x; break;
+        case 6: dx = h - 1 - y; dy = x; break;
+        case 7: dx = h - 1 - y; dy = w - 1 - x; break;
+        default: dx = y; dy = w - 1 - x; break; // 8
+      }
+      target[dy * width + dx] = source[y * w + x];
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Decode a JPEG or PNG to RGBA pixels
+ * @param {Buffer} buffer
+ * @returns {Object} { width, height, data: Uint8Array (RGBA) }
+ * @throws {SegmentationError} 415 for other formats, 413 for huge images, 422 for corrupt ones
+ */
+export function decodeImage(buffer) {
+  const tooLarge = new SegmentationError(`Images over ${MAX_INPUT_MEGAPIXELS} megapixels can't be processed on the server`, 413);
+
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let image;
+    try {
+      image = jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: MAX_INPUT_MEGAPIXELS,
+        maxMemoryUsageInMB: 1024,
+      });
+    } catch (error) {
+      if (/maxResolutionInMP|maxMemoryUsageInMB/.test(error.message)) throw tooLarge;
+      throw new SegmentationError(`Could not decode the JPEG: ${error.message}`);
+    }
+    return applyOrientation(image, jpegOrientation(buffer));
+  }
+
+  if (buffer.length > 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    // Size from the IHDR chunk, checked before decoding anything
+    if (buffer.readUInt32BE(16) * buffer.readUInt32BE(20) > MAX_INPUT_MEGAPIXELS * 1e6) throw tooLarge;
+    try {
+      const png = PNG.sync.read(buffer);
+      return { width: png.width, height: png.height, data: new Uint8Array(png.data.buffer, png.data.byteOffset, png.data.length) };
+    } catch (error) {
+      throw new SegmentationError(`Could not decode the PNG: ${error.message}`);
+    }
+  }
+
+  throw new SegmentationError('Only JPEG and PNG images can be processed on the server', 415);
+}
+
+/**
+ * Area-average downscale to fit within maxWidth x maxHeight (never upscales)
+ * @param {Object} image - { width, height, data (RGBA) }
+ * @param {number} maxWidth
+ * @param {number} [maxHeight] - Defaults to maxWidth
+ * @returns {Object} { width, height, data }
+ */
+export function fitWithin(image, maxWidth, maxHeight = maxWidth) {
+  const { width: w, height: h, data: src } = image;
+  const scale = Math.min(1, maxWidth / w, maxHeight / h);
+  if (scale === 1) return image;
+
+  const width = Math.max(1, Math.round(w * scale));
+  const height = Math.max(1, Math.round(h * scale));
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * h / height);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * h / height));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * w / width);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * w / width));
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * w + sx) * 4;
+          r += src[i]; g += src[i + 1]; b += src[i + 2]; a += src[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      data[o] = r / count; data[o + 1] = g / count; data[o + 2] = b / count; data[o + 3] = a / count;
+    }
+  }
+  return { width, height, data };
+}
+
+function colorDistance(data, i, color) {
+  const dr = data[i] - color[0];
+  const dg = data[i + 1] - color[1];
+  const db = data[i + 2] - color[2];
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+// Indices of pixels in a band along the four edges, evenly subsampled
+function borderSamples(width, height) {
+  const band = Math.max(2, Math.round(Math.min(width, height) * 0.02));
+  const indices = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < band || y < band || x >= width - band || y >= height - band) indices.push(y * width + x);
+    }
+  }
+  const step = Math.max(1, Math.floor(indices.length / MAX_BORDER_SAMPLES));
+  return indices.filter((_, i) => i % step === 0);
+}
+
+/**
+ * Backdrop colors: k-means over the border pixels. Clusters holding only a
+ * few samples are the item touching the edge and are dropped.
+ * @returns {Array<Object>} [{ color: [r, g, b], tolerance }]
+ */
+function backdropClusters(image) {
+  const { width, height, data } = image;
+  const samples = borderSamples(width, height).map(p => p * 4);
+
+  // Farthest-point seeding keeps the result deterministic
+  const centers = [[data[samples[0]], data[samples[0] + 1], data[samples[0] + 2]]];
+  while (centers.length < CLUSTERS) {
+    let best = samples[0];
+    let bestDistance = -1;
+    for (const i of samples) {
+      const distance = Math.min(...centers.map(c => colorDistance(data, i, c)));
+      if (distance > bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    if (bestDistance < 10) break;
+    centers.push([data[best], data[best + 1], data[best + 2]]);
+  }
+
+  let members = [];
+  for (let iteration = 0; iteration < 8; iteration++) {
+    members = centers.map(() => []);
+    for (const i of samples) {
+      let nearest = 0;
+      let nearestDistance = Infinity;
+      centers.forEach((c, k) => {
+        const distance = colorDistance(data, i, c);
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = k;
+        }
+      });
+      members[nearest].push(i);
+    }
+    members.forEach((list, k) => {
+      if (list.length === 0) return;
+      const sum = [0, 0, 0];
+      for (const i of list) {
+        sum[0] += data[i]; sum[1] += data[i + 1]; sum[2] += data[i + 2];
+      }
+      centers[k] = sum.map(v => v / list.length);
+    });
+  }
+
+  return centers
+    .map((color, k) => {
+      const list = members[k];
+      const spread = list.length
+        ? Math.sqrt(list.reduce((total, i) => total + colorDistance(data, i, color) ** 2, 0) / list.length)
+        : 0;
+      // Smooth backdrops get a tight tolerance, noisy / gradient ones a looser one
+      return { color, share: list.length / samples.length, tolerance: Math.min(70, Math.max(22, spread * 2.5 + 12)) };
+    })
+    .filter(cluster => cluster.share >= 0.08);
+}
+
+/**
+ * How backdrop-like each pixel is: distance to the nearest backdrop cluster
+ * over that cluster's tolerance (< 1 reads as backdrop), plus which cluster
+ */
+function backdropScores(image, clusters) {
+  const { width, height, data } = image;
+  const scores = new Float32Array(width * height);
+  const nearest = new Uint8Array(width * height);
+  for (let p = 0; p < scores.length; p++) {
+    let best = Infinity;
+    for (let k = 0; k < clusters.length; k++) {
+      const score = colorDistance(data, p * 4, clusters[k].color) / clusters[k].tolerance;
+      if (score < best) {
+        best = score;
+        nearest[p] = k;
+      }
+    }
+    scores[p] = best;
+  }
+  return { scores, nearest };
+}
+
+// Flood fill from the border over backdrop-like pixels; 1 = backdrop
+function floodBackdrop(image, scores) {
+  const { width, height, data } = image;
+  const backdrop = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0, tail = 0;
+
+  const seed = (p) => {
+    if (!backdrop[p] && scores[p] < 1) {
+      backdrop[p] = 1;
+      queue[tail++] = p;
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    seed((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width);
+    seed(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    const neighbours = [
+      x > 0 ? p - 1 : -1,
+      x < width - 1 ? p + 1 : -1,
+      p >= width ? p - width : -1,
+      p < width * (height - 1) ? p + width : -1,
+    ];
+    for (const n of neighbours) {
+      if (n < 0 || backdrop[n] || scores[n] >= 1) continue;
+      const step = Math.abs(data[p * 4] - data[n * 4]) + Math.abs(data[p * 4 + 1] - data[n * 4 + 1]) + Math.abs(data[p * 4 + 2] - data[n * 4 + 2]);
+      if (step > EDGE_STEP) continue;
+      backdrop[n] = 1;
+      queue[tail++] = n;
+    }
+  }
+  return backdrop;
+}
+
+/**
+ * 4-connected regions of pixels where include(p) holds
+ * @returns {Array<Array<number>>} Pixel indices per region
+ */
+function regions(width, height, include) {
+  const seen = new Uint8Array(width * height);
+  const found = [];
+  const stack = [];
+  for (let start = 0; start < seen.length; start++) {
+    if (seen[start] || !include(start)) continue;
+    const region = [];
+    seen[start] = 1;
+    stack.push(start);
+    while (stack.length) {
+      const p = stack.pop();
+      region.push(p);
+      const x = p % width;
+      if (x > 0 && !seen[p - 1] && include(p - 1)) { seen[p - 1] = 1; stack.push(p - 1); }
+      if (x < width - 1 && !seen[p + 1] && include(p + 1)) { seen[p + 1] = 1; stack.push(p + 1); }
+      if (p >= width && !seen[p - width] && include(p - width)) { seen[p - width] = 1; stack.push(p - width); }
+      if (p < width * (height - 1) && !seen[p + width] && include(p + width)) { seen[p + width] = 1; stack.push(p + width); }
+    }
+    found.push(region);
+  }
+  return found;
+}
+
+// Separable box blur of a 0-255 mask (two passes approximate a gaussian)
+function blurMask(mask, width, height, radius) {
+  const horizontal = new Float32Array(mask.length);
+  const out = new Uint8ClampedArray(mask.length);
+  const size = radius * 2 + 1;
+  for (let y = 0; y < height; y++) {
+    let sum = 0;
+    for (let x = -radius; x <= radius; x++) sum += mask[y * width + Math.min(width - 1, Math.max(0, x))];
+    for (let x = 0; x < width; x++) {
+      horizontal[y * width + x] = sum / size;
+      sum += mask[y * width + Math.min(width - 1, x + radius + 1)] - mask[y * width + Math.max(0, x - radius)];
+    }
+  }
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let y = -radius; y <= radius; y++) sum += horizontal[Math.min(height - 1, Math.max(0, y)) * width + x];
+    for (let y = 0; y < height; y++) {
+      out[y * width + x] = sum / size;
+      sum += horizontal[Math.min(height - 1, y + radius + 1) * width + x] - horizontal[Math.max(0, y - radius) * width + x];
+    }
+  }
+  return out;
+}
+
+/**
+ * Cut the item out of a photo
+ * @param {Buffer} buffer - JPEG or PNG bytes
+ * @param {Object} options
+ * @param {string} [options.quality] - 'high' | 'medium' | 'preview' (working size)
+ * @returns {Object} { contentType: 'image/png', buffer, width, height, foreground (share of pixels kept) }
+ * @throws {SegmentationError}
+ */
+export function segmentImage(buffer, { quality = 'high' } = {}) {
+  const image = fitWithin(decodeImage(buffer), WORKING_SIZES[quality] || WORKING_SIZES.high);
+  const { width, height, data } = image;
+  const total = width * height;
+
+  const clusters = backdropClusters(image);
+  if (clusters.length === 0) {
+    throw new SegmentationError('Could not find a plain background around the item');
+  }
+  const { scores, nearest } = backdropScores(image, clusters);
+
+  // Foreground: what the border fill couldn't reach (transparent pixels of a PNG stay out)
+  const backdrop = floodBackdrop(image, scores);
+  const mask = new Uint8Array(total);
+  for (let p = 0; p < total; p++) mask[p] = !backdrop[p] && data[p * 4 + 3] > 0 ? 255 : 0;
+
+  // Backdrop showing through enclosed gaps: large, clearly backdrop-colored regions inside the item
+  const minGap = Math.max(16, Math.round(total * 0.002));
+  for (const gap of regions(width, height, p => mask[p] && scores[p] < 0.6)) {
+    if (gap.length >= minGap) for (const p of gap) mask[p] = 0;
+  }
+
+  // Specks: keep the item (largest region) and anything reasonably large next to it
+  const pieces = regions(width, height, p => mask[p]);
+  const largest = Math.max(0, ...pieces.map(piece => piece.length));
+  const minPiece = Math.max(Math.round(total * 0.001), largest * 0.05);
+  let kept = 0;
+  for (const piece of pieces) {
+    if (piece.length < minPiece) for (const p of piece) mask[p] = 0;
+    else kept += piece.length;
+  }
+
+  const foreground = kept / total;
+  if (foreground < 0.005 || foreground > 0.97) {
+    throw new SegmentationError('Could not separate the item from its background');
+  }
+
+  // Alpha matte: feathered mask, crisp where the color is clearly item or clearly backdrop
+  const radius = Math.max(1, Math.round(Math.max(width, height) / 800));
+  const alpha = blurMask(blurMask(mask, width, height, radius), width, height, radius);
+  const out = new Uint8Array(total * 4);
+  for (let p = 0; p < total; p++) {
+    const i = p * 4;
+    let a = alpha[p];
+    if (mask[p] && scores[p] >= 1.5) a = 255;
+    else if (!mask[p] && scores[p] < 0.6) a = 0;
+    a = Math.min(a, data[i + 3]);
+
+    out[i + 3] = a;
+    if (a === 0) continue;
+    if (a === 255) {
+      out[i] = data[i]; out[i + 1] = data[i + 1]; out[i + 2] = data[i + 2];
+      continue;
+    }
+    // Edge pixel = a * item + (1 - a) * backdrop; solve for the item color
+    const opacity = a / 255;
+    const back = clusters[nearest[p]].color;
+    for (let c = 0; c < 3; c++) {
+      out[i + c] = Math.min(255, Math.max(0, Math.round((data[i + c] - (1 - opacity) * back[c]) / Math.max(opacity, 0.25))));
+    }
+  }
+
+  return {
+    contentType: 'image/png',
+    buffer: PNG.sync.write({ width, height, data: Buffer.from(out.buffer) }, { colorType: 6 }),
+    width,
+    height,
+    foreground: Math.round(foreground * 1000) / 1000,
+  };
+}
+
+export default {
+  WORKING_SIZES,
+  SegmentationError,
+  decodeImage,
+  fitWithin,
+  segmentImage
+};
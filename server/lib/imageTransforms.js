@@ -0,0 +1,90 @@
+/**
+ * CPU image transforms
+ * The pixel work behind the compress and auto-crop image operations
+ * (lib/imageOperations.js) and the local background removal provider
+ * (segmentImage, lib/imageSegmentation.js). These block the thread they run
+ * on, so they are called from the image worker threads
+ * (lib/imageWorkerPool.js), never from a request handler. Each takes the
+ * encoded image and resolves to { contentType, buffer, width, height }.
+ */
+
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { decodeImage, fitWithin, segmentImage } from './imageSegmentation.js';
+
+function encodePng({ width, height, data }) {
+  return PNG.sync.write({ width, height, data: Buffer.from(data.buffer, data.byteOffset, data.length) }, { colorType: 6 });
+}
+
+function hasTransparency(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+/**
+ * Scale an image down to fit a box: JPEG, or PNG when it has transparency
+ * @param {Buffer} buffer - JPEG or PNG bytes
+ * @param {Object} options - maxWidth, maxHeight, quality (0-1)
+ */
+export function compressImage(buffer, { maxWidth, maxHeight, quality }) {
+  const image = fitWithin(decodeImage(buffer), maxWidth, maxHeight);
+  if (hasTransparency(image.data)) {
+    return { contentType: 'image/png', buffer: encodePng(image), width: image.width, height: image.height };
+  }
+  const encoded = jpeg.encode({ width: image.width, height: image.height, data: image.data }, Math.round(quality * 100));
+  return { contentType: 'image/jpeg', buffer: Buffer.from(encoded.data), width: image.width, height: image.height };
+}
+
+/**
+ * Crop to the non-transparent pixels (cutouts), keeping `padding` around them
+ * @param {Buffer} buffer - JPEG or PNG bytes
+ * @param {Object} options - padding
+ */
+export function autoCropImage(buffer, { padding }) {
+  const { width, height, data } = decodeImage(buffer);
+
+  // Bounds of the non-transparent pixels (the whole image when it's opaque)
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > 0) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  if (maxX < 0) {
+    minX = 0; minY = 0; maxX = width - 1; maxY = height - 1;
+  }
+  minX = Math.max(0, minX - padding);
+  minY = Math.max(0, minY - padding);
+  maxX = Math.min(width - 1, maxX + padding);
+  maxY = Math.min(height - 1, maxY + padding);
+
+  const croppedWidth = maxX - minX + 1;
+  const croppedHeight = maxY - minY + 1;
+  const cropped = new Uint8Array(croppedWidth * croppedHeight * 4);
+  for (let y = 0; y < croppedHeight; y++) {
+    const start = ((minY + y) * width + minX) * 4;
+    cropped.set(data.subarray(start, start + croppedWidth * 4), y * croppedWidth * 4);
+  }
+  return {
+    contentType: 'image/png',
+    buffer: encodePng({ width: croppedWidth, height: croppedHeight, data: cropped }),
+    width: croppedWidth,
+    height: croppedHeight,
+  };
+}
+
+// Task name -> transform, for the image worker
+export const IMAGE_TRANSFORMS = {
+  compress: compressImage,
+  'auto-crop': autoCropImage,
+  segment: segmentImage,
+};
+
+export default IMAGE_TRANSFORMS;
@@ -0,0 +1,123 @@
+/**
+ * Image worker pool
+ * Runs CPU image transforms (lib/imageTransforms.js) in worker threads
+ * (lib/workers/imageWorker.js) so decoding and re-encoding a large photo
+ * doesn't stall every other request. Tasks wait in a FIFO queue for one of
+ * `size` workers; workers start on demand and stay up once started. A worker
+ * that crashes fails its task and is replaced by the next one needed.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+const WORKER_URL = new URL('./workers/imageWorker.js', import.meta.url);
+
+export class ImageWorkerError extends Error {
+  /**
+   * @param {string} message - Safe to show clients
+   * @param {number} status - HTTP status for route handlers
+   */
+  constructor(message, status = 422) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class ImageWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} [options.size] - Worker threads (default: one per CPU core)
+   */
+  constructor({
+    size = parseInt(process.env.IMAGE_WORKER_THREADS || String(os.availableParallelism()), 10),
+  } = {}) {
+    this.size = Math.max(1, size || 1);
+    this.idle = [];
+    this.busy = new Map(); // Worker -> task
+    this.pending = [];
+    this.nextId = 1;
+    this.completed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Run a transform in the next free worker
+   * @param {string} task - Key of IMAGE_TRANSFORMS
+   * @param {Buffer} buffer - Encoded image (copied to the worker)
+   * @param {Object} options - Transform options (must be cloneable)
+   * @returns {Promise<Object>} { contentType, buffer, ...details }
+   * @throws {ImageWorkerError} The transform's own status (413, 415, 422) for bad images
+   */
+  run(task, buffer, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ id: this.nextId++, task, buffer, options, resolve, reject });
+      this._drain();
+    });
+  }
+
+  _spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.on('message', (data) => this._handleMessage(worker, data));
+    worker.on('error', (error) => this._fail(worker, error));
+    worker.on('exit', (code) => this._fail(worker, new Error(`Image worker exited with code ${code}`)));
+    return worker;
+  }
+
+  _drain() {
+    while (this.pending.length > 0 && (this.idle.length > 0 || this.busy.size < this.size)) {
+      const task = this.pending.shift();
+      const worker = this.idle.pop() || this._spawn();
+      this.busy.set(worker, task);
+      worker.ref();
+      worker.postMessage({ id: task.id, task: task.task, buffer: task.buffer, options: task.options });
+      task.buffer = null;
+    }
+  }
+
+  _handleMessage(worker, data) {
+    const task = this.busy.get(worker);
+    if (!task || data.id !== task.id) return;
+
+    this.busy.delete(worker);
+    this.idle.push(worker);
+    worker.unref(); // Idle workers don't keep the process alive
+    if (data.error) {
+      this.failed++;
+      const { message, status } = data.error;
+      task.reject(status ? new ImageWorkerError(message, status) : new Error(message));
+    } else {
+      this.completed++;
+      const { buffer } = data.result;
+      task.resolve({ ...data.result, buffer: Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length) });
+    }
+    this._drain();
+  }
+
+  _fail(worker, error) {
+    const task = this.busy.get(worker);
+    this.busy.delete(worker);
+    this.idle = this.idle.filter(idle => idle !== worker);
+    worker.terminate();
+    if (task) {
+      this.failed++;
+      console.error(`❌ Image worker failed on ${task.task}:`, error);
+      task.reject(error);
+    }
+    this._drain();
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      workers: this.idle.length + this.busy.size,
+      busy: this.busy.size,
+      queued: this.pending.length,
+      completed: this.completed,
+      failed: this.failed,
+    };
+  }
+}
+
+export const imageWorkerPool = new ImageWorkerPool();
+
+export default ImageWorkerPool;
@@ -0,0 +1,930 @@
+/**
+ * In-memory data store
+ * Implements the subset of the MongoDB Db/Collection API used by the route
+ * factories (find, aggregate with $lookup, findOneAndUpdate, bulkWrite, ...)
+ * so the API can run without Atlas. Optionally persists to a JSON file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ObjectId, BSON } from 'mongodb';
+
+// ---------------------------------------------------------------------------
+// Value helpers
+// ---------------------------------------------------------------------------
+
+function isPlainObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof ObjectId) &&
+    !(value instanceof RegExp);
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(k => k.startsWith('$'));
+}
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (v !== undefined) out[k] = clone(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+function typeName(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (value instanceof ObjectId) return 'objectId';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'string') return 'string';
+  return 'object';
+}
+
+// BSON comparison order (simplified)
+const TYPE_ORDER = {
+  missing: 1, null: 1, int: 2, double: 2, string: 3, object: 4, array: 5,
+  objectId: 7, bool: 8, date: 9, regex: 11
+};
+
+function compareValues(a, b) {
+  const ta = TYPE_ORDER[typeName(a)];
+  const tb = TYPE_ORDER[typeName(b)];
+  if (ta !== tb) return ta < tb ? -1 : 1;
+
+  if (a === undefined || a === null) return 0;
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return a.length - b.length;
+  }
+  return valuesEqual(a, b) ? 0 : JSON.stringify(a) < JSON.stringify(b) ? -1 : 1;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((v, i) => valuesEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(k => valuesEqual(a[k], b[k]));
+  }
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  return a === b;
+}
+
+function getPath(doc, dottedPath) {
+  const parts = dottedPath.split('.');
+  let current = doc;
+  for (let i = 0; i < parts.length; i++) {
+    if (current === undefined || current === null) return undefined;
+    if (Array.isArray(current) && !/^\d+$/.test(parts[i])) {
+      const rest = parts.slice(i).join('.');
+      return current.map(el => getPath(el, rest)).filter(v => v !== undefined);
+    }
+    current = current[parts[i]];
+  }
+  return current;
+}
+
+function setPath(doc, dottedPath, value) {
+  const parts = dottedPath.split('.');
+  let current = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!isPlainObject(current[parts[i]]) && !Array.isArray(current[parts[i]])) {
+      current[parts[i]] = {};
+    }
+    current = current[parts[i]];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, dottedPath) {
+  const parts = dottedPath.split('.');
+  let current = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    current = current?.[parts[i]];
+    if (current === undefined || current === null) return;
+  }
+  delete current[parts[parts.length - 1]];
+}
+
+// Values a query path can match: the value itself plus array elements
+function candidateValues(doc, dottedPath) {
+  const value = getPath(doc, dottedPath);
+  if (Array.isArray(value)) return [value, ...value.flat()];
+  return [value];
+}
+
+// ---------------------------------------------------------------------------
+// Query matching
+// ---------------------------------------------------------------------------
+
+function matchesRegex(value, regex) {
+  return typeof value === 'string' && regex.test(value);
+}
+
+function matchesOperator(doc, dottedPath, op, operand, condition) {
+  const candidates = candidateValues(doc, dottedPath);
+  const raw = getPath(doc, dottedPath);
+
+  switch (op) {
+    case '$eq':
+      return candidates.some(v => valuesEqual(v, operand));
+    case '$ne':
+      return !candidates.some(v => valuesEqual(v, operand));
+    case '$gt':
+      return candidates.some(v => v !== undefined && TYPE_ORDER[typeName(v)] === TYPE_ORDER[typeName(operand)] && compareValues(v, operand) > 0);
+    case '$gte':
+      return candidates.some(v => v !== undefined && TYPE_ORDER[typeName(v)] === TYPE_ORDER[typeName(operand)] && compareValues(v, operand) >= 0);
+    case '$lt':
+      return candidates.some(v => v !== undefined && TYPE_ORDER[typeName(v)] === TYPE_ORDER[typeName(operand)] && compareValues(v, operand) < 0);
+    case '$lte':
+      return candidates.some(v => v !== undefined && TYPE_ORDER[typeName(v)] === TYPE_ORDER[typeName(operand)] && compareValues(v, operand) <= 0);
+    case '$in':
+      return operand.some(o => o instanceof RegExp
+        ? candidates.some(v => matchesRegex(v, o))
+        : candidates.some(v => valuesEqual(v, o)));
+    case '$nin':
+      return !matchesOperator(doc, dottedPath, '$in', operand, condition);
+    case '$exists':
+      return (raw !== undefined) === Boolean(operand);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return candidates.some(v => matchesRegex(v, regex));
+    }
+    case '$options':
+      return true;
+    case '$size':
+      return Array.isArray(raw) && raw.length === operand;
+    case '$all':
+      return operand.every(o => candidates.some(v => valuesEqual(v, o)));
+    case '$elemMatch':
+      return Array.isArray(raw) && raw.some(el => isOperatorObject(operand)
+        ? matchesCondition({ v: el }, 'v', operand)
+        : matchesFilter(el, operand));
+    case '$not':
+      return !matchesCondition(doc, dottedPath, operand);
+    case '$type':
+      return candidates.some(v => typeName(v) === operand || (operand === 'number' && typeof v === 'number'));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function matchesCondition(doc, dottedPath, condition) {
+  if (condition instanceof RegExp) {
+    return candidateValues(doc, dottedPath).some(v => matchesRegex(v, condition));
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([op, operand]) =>
+      matchesOperator(doc, dottedPath, op, operand, condition));
+  }
+  return candidateValues(doc, dottedPath).some(v => valuesEqual(v, condition));
+}
+
+export function matchesFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(f => matchesFilter(doc, f));
+    if (key === '$or') return condition.some(f => matchesFilter(doc, f));
+    if (key === '$nor') return !condition.some(f => matchesFilter(doc, f));
+    if (key === '$expr') return Boolean(evaluate(condition, doc));
+    return matchesCondition(doc, key, condition);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Updates
+// ---------------------------------------------------------------------------
+
+// Resolve the positional operator (`comments.$.hidden`) to the index of the
+// first array element matched by the query
+function resolvePositional(doc, field, filter) {
+  const marker = field.indexOf('.$');
+  if (marker === -1 || field[marker + 2] === '[') return field;
+  const prefix = field.slice(0, marker);
+  const rest = field.slice(marker + 2);
+  const list = getPath(doc, prefix);
+  const elemMatch = isPlainObject(filter?.[prefix]) ? filter[prefix].$elemMatch : undefined;
+  const conditions = Object.entries(filter || {})
+    .filter(([key]) => key.startsWith(`${prefix}.`))
+    .map(([key, condition]) => ({ [key.slice(prefix.length + 1)]: condition }));
+
+  const index = Array.isArray(list)
+    ? list.findIndex(el => (elemMatch ? matchesFilter(el, elemMatch) : true) &&
+      conditions.every(condition => matchesFilter(el, condition)))
+    : -1;
+  if (index === -1 || (!elemMatch && conditions.length === 0)) {
+    throw new Error(`The positional operator did not find the match needed from the query (${field})`);
+  }
+  return `${prefix}.${index}${rest}`;
+}
+
+function applyUpdate(doc, update, isInsert = false, filter = {}) {
+  const ops = Object.keys(update);
+  if (!ops.some(k => k.startsWith('$'))) {
+    // Replacement document
+    const replaced = { _id: doc._id, ...clone(update) };
+    Object.keys(doc).forEach(k => delete doc[k]);
+    Object.assign(doc, replaced);
+    return;
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [rawField, value] of Object.entries(fields)) {
+      const field = isInsert ? rawField : resolvePositional(doc, rawField, filter);
+      const current = getPath(doc, field);
+      switch (op) {
+        case '$set':
+          setPath(doc, field, clone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, field, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, field);
+          break;
+        case '$inc':
+          setPath(doc, field, (typeof current === 'number' ? current : 0) + value);
+          break;
+        case '$min':
+          if (current === undefined || compareValues(value, current) < 0) setPath(doc, field, clone(value));
+          break;
+        case '$max':
+          if (current === undefined || compareValues(value, current) > 0) setPath(doc, field, clone(value));
+          break;
+        case '$push': {
+          const list = Array.isArray(current) ? current : [];
+          const each = isPlainObject(value) && value.$each ? value.$each : [value];
+          list.push(...each.map(clone));
+          let result = list;
+          if (isPlainObject(value) && typeof value.$slice === 'number') {
+            result = value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice);
+          }
+          setPath(doc, field, result);
+          break;
+        }
+        case '$addToSet': {
+          const list = Array.isArray(current) ? current : [];
+          const each = isPlainObject(value) && value.$each ? value.$each : [value];
+          each.forEach(v => {
+            if (!list.some(existing => valuesEqual(existing, v))) list.push(clone(v));
+          });
+          setPath(doc, field, list);
+          break;
+        }
+        case '$pull': {
+          if (!Array.isArray(current)) break;
+          const remaining = current.filter(el => {
+            if (isOperatorObject(value)) return !matchesCondition({ v: el }, 'v', value);
+            if (isPlainObject(value) && isPlainObject(el)) return !matchesFilter(el, value);
+            return !valuesEqual(el, value);
+          });
+          setPath(doc, field, remaining);
+          break;
+        }
+        case '$pop': {
+          if (!Array.isArray(current)) break;
+          setPath(doc, field, value < 0 ? current.slice(1) : current.slice(0, -1));
+          break;
+        }
+        case '$currentDate':
+          setPath(doc, field, new Date());
+          break;
+        default:
+          throw new Error(`Unsupported update operator: ${op}`);
+      }
+    }
+  }
+}
+
+// Seed an upserted document from the equality fields of a filter
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(condition)) {
+      if ('$eq' in condition) setPath(doc, key, clone(condition.$eq));
+    } else if (!(condition instanceof RegExp)) {
+      setPath(doc, key, clone(condition));
+    }
+  }
+  return doc;
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation expressions
+// ---------------------------------------------------------------------------
+
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === 'string') {
+    if (expr.startsWith('$$')) {
+      const [name, ...rest] = expr.slice(2).split('.');
+      const base = name === 'ROOT' || name === 'CURRENT' ? (vars.ROOT ?? doc) : vars[name];
+      return rest.length ? getPath(base, rest.join('.')) : base;
+    }
+    if (expr.startsWith('$')) return getPath(doc, expr.slice(1));
+    return expr;
+  }
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+
+  const keys = Object.keys(expr);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    const op = keys[0];
+    const handler = EXPRESSION_OPERATORS[op];
+    if (!handler) throw new Error(`Unsupported expression operator: ${op}`);
+    return handler(expr[op], doc, vars);
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(expr)) out[k] = evaluate(v, doc, vars);
+  return out;
+}
+
+function evalArgs(args, doc, vars) {
+  return (Array.isArray(args) ? args : [args]).map(a => evaluate(a, doc, vars));
+}
+
+const EXPRESSION_OPERATORS = {
+  $literal: (arg) => arg,
+  $ifNull: (args, doc, vars) => {
+    for (const a of args) {
+      const v = evaluate(a, doc, vars);
+      if (v !== undefined && v !== null) return v;
+    }
+    return null;
+  },
+  $size: (arg, doc, vars) => {
+    const v = evaluate(arg, doc, vars);
+    if (!Array.isArray(v)) throw new Error('$size requires an array');
+    return v.length;
+  },
+  $in: (args, doc, vars) => {
+    const [needle, haystack] = evalArgs(args, doc, vars);
+    return Array.isArray(haystack) && haystack.some(v => valuesEqual(v, needle));
+  },
+  $map: ({ input, as = 'this', in: inExpr }, doc, vars) => {
+    const list = evaluate(input, doc, vars);
+    if (!Array.isArray(list)) return null;
+    return list.map(item => evaluate(inExpr, doc, { ...vars, [as]: item }));
+  },
+  $filter: ({ input, as = 'this', cond }, doc, vars) => {
+    const list = evaluate(input, doc, vars);
+    if (!Array.isArray(list)) return null;
+    return list.filter(item => evaluate(cond, doc, { ...vars, [as]: item }));
+  },
+  $cond: (arg, doc, vars) => {
+    const [ifExpr, thenExpr, elseExpr] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+    return evaluate(ifExpr, doc, vars) ? evaluate(thenExpr, doc, vars) : evaluate(elseExpr, doc, vars);
+  },
+  $type: (arg, doc, vars) => typeName(evaluate(Array.isArray(arg) ? arg[0] : arg, doc, vars)),
+  $eq: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return valuesEqual(a, b); },
+  $ne: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return !valuesEqual(a, b); },
+  $gt: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return compareValues(a, b) > 0; },
+  $gte: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return compareValues(a, b) >= 0; },
+  $lt: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return compareValues(a, b) < 0; },
+  $lte: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return compareValues(a, b) <= 0; },
+  $and: (args, doc, vars) => evalArgs(args, doc, vars).every(Boolean),
+  $or: (args, doc, vars) => evalArgs(args, doc, vars).some(Boolean),
+  $not: (args, doc, vars) => !evalArgs(args, doc, vars)[0],
+  $regexMatch: ({ input, regex, options }, doc, vars) => {
+    const value = evaluate(input, doc, vars);
+    const pattern = regex instanceof RegExp ? regex : new RegExp(regex, options || '');
+    return typeof value === 'string' && pattern.test(value);
+  },
+  $toObjectId: (arg, doc, vars) => {
+    const v = evaluate(arg, doc, vars);
+    if (v === null || v === undefined || v instanceof ObjectId) return v ?? null;
+    return new ObjectId(String(v));
+  },
+  $toString: (arg, doc, vars) => {
+    const v = evaluate(arg, doc, vars);
+    if (v === null || v === undefined) return null;
+    if (v instanceof ObjectId) return v.toHexString();
+    if (v instanceof Date) return v.toISOString();
+    return String(v);
+  },
+  $concat: (args, doc, vars) => {
+    const parts = evalArgs(args, doc, vars);
+    return parts.some(p => p === null || p === undefined) ? null : parts.join('');
+  },
+  $add: (args, doc, vars) => {
+    const parts = evalArgs(args, doc, vars);
+    const date = parts.find(p => p instanceof Date);
+    const sum = parts.reduce((acc, p) => acc + (p instanceof Date ? p.getTime() : Number(p) || 0), 0);
+    return date ? new Date(sum) : sum;
+  },
+  $subtract: (args, doc, vars) => {
+    const [a, b] = evalArgs(args, doc, vars);
+    const diff = (a instanceof Date ? a.getTime() : a) - (b instanceof Date ? b.getTime() : b);
+    return a instanceof Date && !(b instanceof Date) ? new Date(diff) : diff;
+  },
+  $multiply: (args, doc, vars) => evalArgs(args, doc, vars).reduce((acc, v) => acc * v, 1),
+  $divide: (args, doc, vars) => { const [a, b] = evalArgs(args, doc, vars); return a / b; },
+  $arrayElemAt: (args, doc, vars) => {
+    const [list, index] = evalArgs(args, doc, vars);
+    if (!Array.isArray(list)) return null;
+    return index < 0 ? list[list.length + index] : list[index];
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Projection
+// ---------------------------------------------------------------------------
+
+// Expand dotted keys ('user.username': 1) into nested specs
+function expandProjection(spec) {
+  const out = {};
+  for (const [key, value] of Object.entries(spec)) {
+    if (key.includes('.')) {
+      const [head, ...rest] = key.split('.');
+      out[head] = isPlainObject(out[head]) ? out[head] : {};
+      Object.assign(out[head], expandProjection({ [rest.join('.')]: value }));
+    } else if (isPlainObject(value) && !isOperatorObject(value)) {
+      out[key] = { ...(isPlainObject(out[key]) ? out[key] : {}), ...expandProjection(value) };
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function isExclusionSpec(spec) {
+  const keys = Object.keys(spec);
+  if (keys.length === 1 && keys[0] === '_id') return spec._id === 0 || spec._id === false;
+  return Object.entries(spec).some(([key, value]) => {
+    if (key === '_id') return false;
+    if (value === 0 || value === false) return true;
+    return isPlainObject(value) && !isOperatorObject(value) && isExclusionSpec(value);
+  });
+}
+
+function projectValue(value, spec, exclusion, root, vars) {
+  if (Array.isArray(value)) return value.map(el => projectValue(el, spec, exclusion, root, vars));
+  if (!isPlainObject(value)) return exclusion ? value : undefined;
+  return projectDocument(value, spec, exclusion, root, vars, true);
+}
+
+function projectDocument(doc, spec, exclusion, root = doc, vars = {}, nested = false) {
+  if (exclusion) {
+    const out = clone(doc);
+    for (const [key, value] of Object.entries(spec)) {
+      if (value === 0 || value === false) delete out[key];
+      else if (isPlainObject(value) && out[key] !== undefined) out[key] = projectValue(doc[key], value, true, root, vars);
+    }
+    return out;
+  }
+
+  const out = {};
+  if (!nested && spec._id !== 0 && spec._id !== false && doc._id !== undefined) out._id = clone(doc._id);
+  for (const [key, value] of Object.entries(spec)) {
+    if (value === 0 || value === false) continue;
+    if (value === 1 || value === true) {
+      if (doc[key] !== undefined) out[key] = clone(doc[key]);
+    } else if (isPlainObject(value) && !isOperatorObject(value)) {
+      if (doc[key] !== undefined) {
+        const projected = projectValue(doc[key], value, false, root, vars);
+        if (projected !== undefined) out[key] = projected;
+      }
+    } else {
+      const computed = evaluate(value, root, vars);
+      if (computed !== undefined) out[key] = computed;
+    }
+  }
+  return out;
+}
+
+export function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return clone(doc);
+  const spec = expandProjection(projection);
+  return projectDocument(doc, spec, isExclusionSpec(spec));
+}
+
+// ---------------------------------------------------------------------------
+// Sorting
+// ---------------------------------------------------------------------------
+
+function sortDocuments(docs, sortSpec) {
+  const entries = Object.entries(sortSpec || {});
+  if (entries.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of entries) {
+      const c = compareValues(getPath(a, field), getPath(b, field));
+      if (c !== 0) return direction < 0 ? -c : c;
+    }
+    return 0;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Aggregation pipeline
+// ---------------------------------------------------------------------------
+
+const ACCUMULATORS = {
+  $sum: (values) => values.reduce((acc, v) => acc + (typeof v === 'number' ? v : 0), 0),
+  $avg: (values) => {
+    const nums = values.filter(v => typeof v === 'number');
+    return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+  },
+  $min: (values) => values.filter(v => v !== undefined && v !== null).sort(compareValues)[0] ?? null,
+  $max: (values) => values.filter(v => v !== undefined && v !== null).sort(compareValues).pop() ?? null,
+  $push: (values) => values.filter(v => v !== undefined),
+  $addToSet: (values) => values.filter(v => v !== undefined)
+    .reduce((set, v) => (set.some(s => valuesEqual(s, v)) ? set : [...set, v]), []),
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values[values.length - 1] ?? null,
+};
+
+function runGroup(docs, spec) {
+  const { _id: idExpr, ...fields } = spec;
+  const groups = [];
+  for (const doc of docs) {
+    const key = evaluate(idExpr, doc) ?? null;
+    let group = groups.find(g => valuesEqual(g.key, key));
+    if (!group) {
+      group = { key, docs: [] };
+      groups.push(group);
+    }
+    group.docs.push(doc);
+  }
+
+  return groups.map(({ key, docs: members }) => {
+    const out = { _id: key };
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [op, expr] = Object.entries(accumulator)[0];
+      if (!ACCUMULATORS[op]) throw new Error(`Unsupported accumulator: ${op}`);
+      out[field] = ACCUMULATORS[op](members.map(d => evaluate(expr, d)));
+    }
+    return out;
+  });
+}
+
+function runStage(docs, stage, db) {
+  const [name, spec] = Object.entries(stage)[0];
+  switch (name) {
+    case '$match':
+      return docs.filter(d => matchesFilter(d, spec));
+    case '$sort':
+      return sortDocuments(docs, spec);
+    case '$skip':
+      return docs.slice(spec);
+    case '$limit':
+      return docs.slice(0, spec);
+    case '$addFields':
+    case '$set':
+      return docs.map(d => {
+        const out = clone(d);
+        for (const [field, expr] of Object.entries(spec)) setPath(out, field, evaluate(expr, d));
+        return out;
+      });
+    case '$project':
+      return docs.map(d => applyProjection(d, spec));
+    case '$unset':
+      return docs.map(d => {
+        const out = clone(d);
+        (Array.isArray(spec) ? spec : [spec]).forEach(f => unsetPath(out, f));
+        return out;
+      });
+    case '$lookup': {
+      const foreign = db.collection(spec.from)._documents();
+      return docs.map(d => {
+        const local = getPath(d, spec.localField);
+        const localValues = Array.isArray(local) ? local : [local];
+        const matches = foreign.filter(f => {
+          const foreignValue = getPath(f, spec.foreignField);
+          const foreignValues = Array.isArray(foreignValue) ? foreignValue : [foreignValue];
+          return localValues.some(lv => foreignValues.some(fv => valuesEqual(lv, fv)));
+        });
+        const out = clone(d);
+        setPath(out, spec.as, matches.map(clone));
+        return out;
+      });
+    }
+    case '$unwind': {
+      const options = typeof spec === 'string' ? { path: spec } : spec;
+      const field = options.path.slice(1);
+      return docs.flatMap(d => {
+        const value = getPath(d, field);
+        if (Array.isArray(value) && value.length > 0) {
+          return value.map((el, index) => {
+            const out = clone(d);
+            setPath(out, field, clone(el));
+            if (options.includeArrayIndex) setPath(out, options.includeArrayIndex, index);
+            return out;
+          });
+        }
+        if (!options.preserveNullAndEmptyArrays) return [];
+        if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+          const out = clone(d);
+          unsetPath(out, field);
+          return [out];
+        }
+        return [clone(d)];
+      });
+    }
+    case '$group':
+      return runGroup(docs, spec);
+    case '$count':
+      return docs.length ? [{ [spec]: docs.length }] : [];
+    case '$replaceRoot':
+      return docs.map(d => clone(evaluate(spec.newRoot, d)));
+    default:
+      throw new Error(`Unsupported aggregation stage: ${name}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Cursor / Collection / Db
+// ---------------------------------------------------------------------------
+
+class MemoryCursor {
+  constructor(producer) {
+    this._producer = producer;
+    this._sort = null;
+    this._skip = 0;
+    this._limit = 0;
+    this._projection = null;
+  }
+
+  sort(spec) { this._sort = spec; return this; }
+  skip(n) { this._skip = n; return this; }
+  limit(n) { this._limit = n; return this; }
+  project(spec) { this._projection = spec; return this; }
+
+  async toArray() {
+    let docs = this._producer();
+    if (this._sort) docs = sortDocuments(docs, this._sort);
+    if (this._skip) docs = docs.slice(this._skip);
+    if (this._limit) docs = docs.slice(0, this._limit);
+    return docs.map(d => (this._projection ? applyProjection(d, this._projection) : clone(d)));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class MemoryCollection {
+  constructor(db, name, documents = []) {
+    this._db = db;
+    this.collectionName = name;
+    this._docs = documents;
+  }
+
+  _documents() {
+    return this._docs;
+  }
+
+  _findRaw(filter, sort) {
+    const matches = this._docs.filter(d => matchesFilter(d, filter));
+    return sort ? sortDocuments(matches, sort) : matches;
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(() => this._findRaw(filter));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = this._findRaw(filter, options.sort);
+    if (!doc) return null;
+    return options.projection ? applyProjection(doc, options.projection) : clone(doc);
+  }
+
+  async countDocuments(filter = {}) {
+    return this._findRaw(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this._findRaw(filter).flatMap(d => {
+      const v = getPath(d, field);
+      return Array.isArray(v) ? v : [v];
+    }).filter(v => v !== undefined);
+    return ACCUMULATORS.$addToSet(values);
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this._docs.some(d => valuesEqual(d._id, doc._id))) {
+      throw new Error(`E11000 duplicate key error collection: ${this.collectionName} index: _id_`);
+    }
+    this._docs.push(clone(doc));
+    this._db._persist();
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) {
+      const { insertedId } = await this.insertOne(docs[i]);
+      insertedIds[i] = insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  _update(filter, update, options, many) {
+    const targets = this._findRaw(filter, options.sort);
+    const selected = many ? targets : targets.slice(0, 1);
+    selected.forEach(doc => applyUpdate(doc, update, false, filter));
+
+    let upsertedId = null;
+    if (selected.length === 0 && options.upsert) {
+      const doc = seedFromFilter(filter);
+      applyUpdate(doc, update, true);
+      if (doc._id === undefined) doc._id = new ObjectId();
+      this._docs.push(doc);
+      upsertedId = doc._id;
+    }
+
+    if (selected.length || upsertedId) this._db._persist();
+    return { matched: selected, upsertedId };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { matched, upsertedId } = this._update(filter, update, options, false);
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length, upsertedId, upsertedCount: upsertedId ? 1 : 0 };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const { matched, upsertedId } = this._update(filter, update, options, true);
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length, upsertedId, upsertedCount: upsertedId ? 1 : 0 };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [existing] = this._findRaw(filter, options.sort);
+    const before = existing ? clone(existing) : null;
+    const { matched, upsertedId } = this._update(filter, update, options, false);
+
+    let after = matched[0] || null;
+    if (upsertedId) after = this._docs.find(d => valuesEqual(d._id, upsertedId));
+
+    let value = options.returnDocument === 'after' ? after : before;
+    if (value && options.projection) value = applyProjection(value, options.projection);
+    else if (value) value = clone(value);
+
+    // Match the v6+ driver: return the document unless metadata is requested
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this._findRaw(filter, options.sort);
+    if (doc) {
+      this._docs.splice(this._docs.indexOf(doc), 1);
+      this._db._persist();
+    }
+    const value = doc ? clone(doc) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter = {}) {
+    const [doc] = this._findRaw(filter);
+    if (!doc) return { acknowledged: true, deletedCount: 0 };
+    this._docs.splice(this._docs.indexOf(doc), 1);
+    this._db._persist();
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this._docs.length;
+    this._docs = this._docs.filter(d => !matchesFilter(d, filter));
+    const deletedCount = before - this._docs.length;
+    if (deletedCount) this._db._persist();
+    return { acknowledged: true, deletedCount };
+  }
+
+  async bulkWrite(operations) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      const [type, spec] = Object.entries(operation)[0];
+      switch (type) {
+        case 'insertOne':
+          await this.insertOne(spec.document);
+          result.insertedCount++;
+          break;
+        case 'updateOne':
+        case 'updateMany':
+        case 'replaceOne': {
+          const r = await this[type](spec.filter, spec.update || spec.replacement, { upsert: spec.upsert });
+          result.matchedCount += r.matchedCount;
+          result.modifiedCount += r.modifiedCount;
+          result.upsertedCount += r.upsertedCount;
+          break;
+        }
+        case 'deleteOne':
+        case 'deleteMany': {
+          const r = await this[type](spec.filter);
+          result.deletedCount += r.deletedCount;
+          break;
+        }
+        default:
+          throw new Error(`Unsupported bulk operation: ${type}`);
+      }
+    }
+    return { acknowledged: true, ...result };
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() =>
+      pipeline.reduce((docs, stage) => runStage(docs, stage, this._db), this._docs.map(clone)));
+  }
+
+  async createIndex(spec) {
+    return Object.entries(spec).map(([k, v]) => `${k}_${v}`).join('_');
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(specs.map(s => this.createIndex(s.key)));
+  }
+}
+
+export class MemoryDb {
+  /**
+   * @param {Object} options
+   * @param {string} [options.filePath] - JSON file to load from and persist to
+   */
+  constructor({ filePath = null } = {}) {
+    this.databaseName = 'snapfit-local';
+    this._filePath = filePath;
+    this._collections = new Map();
+    if (filePath) this._load();
+  }
+
+  collection(name) {
+    if (!this._collections.has(name)) {
+      this._collections.set(name, new MemoryCollection(this, name));
+    }
+    return this._collections.get(name);
+  }
+
+  async command(cmd) {
+    if (cmd.ping) return { ok: 1 };
+    throw new Error(`Unsupported command: ${Object.keys(cmd)[0]}`);
+  }
+
+  listCollections() {
+    const names = [...this._collections.keys()].map(name => ({ name, type: 'collection' }));
+    return { toArray: async () => names };
+  }
+
+  _load() {
+    if (!fs.existsSync(this._filePath)) return;
+    try {
+      const data = BSON.EJSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+      for (const [name, docs] of Object.entries(data)) {
+        this._collections.set(name, new MemoryCollection(this, name, docs));
+      }
+      console.log(`📂 Loaded local data store from ${this._filePath}`);
+    } catch (error) {
+      console.error('❌ Could not read local data store:', error.message);
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    const data = {};
+    for (const [name, collection] of this._collections) data[name] = collection._documents();
+    const tmpPath = `${this._filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, BSON.EJSON.stringify(data));
+    fs.renameSync(tmpPath, this._filePath);
+  }
+}
+
+export default MemoryDb;
@@ -0,0 +1,312 @@
+/**
+ * Content moderation
+ * Reports on outfits, outfit comments and message board posts are collected
+ * in the `moderation_queue` collection, one entry per reported item:
+ *
+ *   { target_type, target_id, outfit_id, author_id, content, reports: [...],
+ *     report_count, status: 'open' | 'dismissed' | 'actioned', ... }
+ *
+ * Hidden content keeps its document but is flagged `hidden: true` and left
+ * out of public reads; removed content is deleted.
+ *
+ * Warnings go to the `user_warnings` collection, readable only by the warned
+ * user (without the moderator's id) and by moderators:
+ *
+ *   { user_id, queue_id, target_type, reason, note, by, created_at }
+ */
+
+import { ObjectId } from 'mongodb';
+import { fields } from './validation.js';
+import { deleteCommentThread } from './comments.js';
+import { PERMISSIONS, hasPermission } from './roles.js';
+
+export const REPORT_TARGETS = {
+  OUTFIT: 'outfit',
+  COMMENT: 'comment',
+  MESSAGE: 'message',
+};
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'nudity', 'inappropriate', 'other'];
+
+export const QUEUE_STATUSES = {
+  OPEN: 'open',
+  DISMISSED: 'dismissed',
+  ACTIONED: 'actioned',
+};
+
+export const MODERATION_ACTIONS = ['dismiss', 'hide', 'unhide', 'remove', 'warn'];
+
+export const reportSchema = {
+  reason: fields.string({ required: true, enum: REPORT_REASONS }),
+  details: fields.string({ max: 1000, default: '' }),
+};
+
+// Filter for documents that are visible to the public
+export const visibleFilter = { hidden: { $ne: true } };
+
+/**
+ * Whether hidden content should be treated as missing for a user
+ * (hidden content stays visible to its author and to moderators)
+ * @param {Object} doc - Outfit, comment or message with `user_id`
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+export function isHiddenFrom(doc, user) {
+  return Boolean(doc.hidden) && doc.user_id !== user.id && !hasPermission(user, PERMISSIONS.DELETE_ANY_POST);
+}
+
+export class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Create indexes used by warning lookups (safe to call on every connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function ensureModerationIndexes(db) {
+  await db.collection('user_warnings').createIndex({ user_id: 1, created_at: -1 });
+}
+
+/**
+ * Move warnings once embedded in user documents to the user_warnings collection
+ * (user documents are served on public profiles). Safe to run repeatedly.
+ * @param {import('mongodb').Db} db
+ * @returns {Promise<number>} Number of warnings moved
+ */
+export async function migrateEmbeddedWarnings(db) {
+  const usersCollection = db.collection('users');
+  const warningsCollection = db.collection('user_warnings');
+  let migrated = 0;
+
+  const users = await usersCollection
+    .find({ warnings: { $exists: true } }, { projection: { auth_id: 1, warnings: 1 } })
+    .toArray();
+
+  for (const user of users) {
+    const docs = (Array.isArray(user.warnings) ? user.warnings : []).map(w => ({ user_id: user.auth_id, ...w }));
+    if (docs.length > 0) {
+      await warningsCollection.insertMany(docs);
+      migrated += docs.length;
+    }
+    await usersCollection.updateOne({ _id: user._id }, { $unset: { warnings: '' } });
+  }
+
+  if (migrated > 0) console.log(`🛡️ Migrated ${migrated} warnings to the user_warnings collection`);
+  return migrated;
+}
+
+/**
+ * A user's own warnings, newest first (without the acting moderator)
+ * @param {import('mongodb').Db} db
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} [{ _id, target_type, reason, note, created_at }]
+ */
+export async function listWarnings(db, userId) {
+  const warnings = await db.collection('user_warnings')
+    .find({ user_id: userId })
+    .sort({ created_at: -1 })
+    .toArray();
+  return warnings.map(({ _id, target_type, reason, note, created_at }) => ({ _id, target_type, reason, note, created_at }));
+}
+
+/**
+ * Load the reported item and describe it for the queue
+ * @param {import('mongodb').Db} db
+ * @param {Object} target - { type, id, outfitId } (outfitId for comments)
+ * @returns {Promise<Object|null>} { author_id, content, hidden } or null when missing
+ */
+export async function describeTarget(db, { type, id, outfitId }) {
+  if (type === REPORT_TARGETS.OUTFIT) {
+    const outfit = await db.collection('outfits').findOne({ _id: new ObjectId(id) });
+    if (!outfit) return null;
+    return {
+      author_id: outfit.user_id,
+      content: [outfit.name, outfit.notes].filter(Boolean).join(' — '),
+      hidden: !!outfit.hidden,
+    };
+  }
+
+  if (type === REPORT_TARGETS.COMMENT) {
+    const comment = await db.collection('comments').findOne({
+      _id: new ObjectId(id),
+      outfit_id: new ObjectId(outfitId),
+    });
+    if (!comment) return null;
+    return { author_id: comment.user_id, content: comment.text, hidden: !!comment.hidden };
+  }
+
+  if (type === REPORT_TARGETS.MESSAGE) {
+    const message = await db.collection('messages').findOne({ _id: new ObjectId(id) });
+    if (!message) return null;
+    return { author_id: message.user_id, content: message.text, hidden: !!message.hidden };
+  }
+
+  return null;
+}
+
+/**
+ * File a report, adding it to the open queue entry for the item
+ * @param {import('mongodb').Db} db
+ * @param {Object} target - { type, id, outfitId }
+ * @param {Object} report - { reporter_id, reason, details }
+ * @returns {Promise<Object>} Queue entry
+ */
+export async function fileReport(db, target, { reporter_id, reason, details = '' }) {
+  const queue = db.collection('moderation_queue');
+  const described = await describeTarget(db, target);
+
+  if (!described) {
+    throw new ModerationError('Content not found', 404);
+  }
+  if (described.author_id === reporter_id) {
+    throw new ModerationError('You cannot report your own content');
+  }
+
+  const openFilter = {
+    target_type: target.type,
+    target_id: String(target.id),
+    status: QUEUE_STATUSES.OPEN,
+  };
+
+  const existing = await queue.findOne({ ...openFilter, 'reports.reporter_id': reporter_id });
+  if (existing) {
+    throw new ModerationError('You have already reported this', 409);
+  }
+
+  const now = new Date();
+  return queue.findOneAndUpdate(
+    openFilter,
+    {
+      $setOnInsert: {
+        outfit_id: target.outfitId ? String(target.outfitId) : null,
+        author_id: described.author_id,
+        content: described.content.slice(0, 1000),
+        created_at: now,
+      },
+      $push: { reports: { reporter_id, reason, details, created_at: now } },
+      $inc: { report_count: 1 },
+      $set: { updated_at: now },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Express handler for report endpoints (use after validateBody(reportSchema))
+ * @param {import('mongodb').Db} db
+ * @param {Function} getTarget - req => { type, id, outfitId }
+ */
+export function reportHandler(db, getTarget) {
+  return async (req, res) => {
+    try {
+      const target = getTarget(req);
+      if (!ObjectId.isValid(target.id) || (target.outfitId !== undefined && !ObjectId.isValid(target.outfitId))) {
+        return res.status(400).json({ error: 'Invalid ID' });
+      }
+
+      const entry = await fileReport(db, target, { reporter_id: req.user.id, ...req.body });
+      console.log(`🚩 ${target.type} ${target.id} reported (${entry.report_count} report(s))`);
+      res.status(201).json({ success: true, message: 'Thanks, a moderator will review this' });
+    } catch (error) {
+      if (error instanceof ModerationError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error filing report:', error);
+      res.status(500).json({ error: 'Failed to file report' });
+    }
+  };
+}
+
+async function setHidden(db, entry, hidden) {
+  const update = hidden
+    ? { hidden: true, hidden_at: new Date() }
+    : { hidden: false };
+
+  if (entry.target_type === REPORT_TARGETS.OUTFIT) {
+    return db.collection('outfits').updateOne({ _id: new ObjectId(entry.target_id) }, { $set: update });
+  }
+  if (entry.target_type === REPORT_TARGETS.COMMENT) {
+    return db.collection('comments').updateOne({ _id: new ObjectId(entry.target_id) }, { $set: update });
+  }
+  return db.collection('messages').updateOne({ _id: new ObjectId(entry.target_id) }, { $set: update });
+}
+
+async function removeContent(db, entry) {
+  if (entry.target_type === REPORT_TARGETS.OUTFIT) {
+    const outfitId = new ObjectId(entry.target_id);
+    await db.collection('comments').deleteMany({ outfit_id: outfitId });
+    return db.collection('outfits').deleteOne({ _id: outfitId });
+  }
+  if (entry.target_type === REPORT_TARGETS.COMMENT) {
+    const comment = await db.collection('comments').findOne({ _id: new ObjectId(entry.target_id) });
+    return comment ? deleteCommentThread(db, comment) : 0;
+  }
+  return db.collection('messages').deleteOne({ _id: new ObjectId(entry.target_id) });
+}
+
+/**
+ * Record a warning for the author
+ */
+async function warnAuthor(db, entry, { moderator_id, note }) {
+  return db.collection('user_warnings').insertOne({
+    user_id: entry.author_id,
+    queue_id: entry._id,
+    target_type: entry.target_type,
+    reason: entry.reports?.[0]?.reason || 'other',
+    note,
+    by: moderator_id,
+    created_at: new Date(),
+  });
+}
+
+/**
+ * Apply a moderation action to a queue entry
+ * @param {import('mongodb').Db} db
+ * @param {Object} entry - Queue entry
+ * @param {Object} options
+ * @param {string} options.action - One of MODERATION_ACTIONS
+ * @param {boolean} [options.warn] - Also warn the author (with hide/remove)
+ * @param {string} [options.note] - Moderator note, shown to the author with warnings
+ * @param {string} options.moderator_id - Acting user
+ * @returns {Promise<Object>} Updated queue entry
+ */
+export async function resolveEntry(db, entry, { action, warn = false, note = '', moderator_id }) {
+  if (action === 'hide') await setHidden(db, entry, true);
+  if (action === 'unhide') await setHidden(db, entry, false);
+  if (action === 'remove') await removeContent(db, entry);
+  if (action === 'warn' || (warn && action !== 'dismiss')) {
+    await warnAuthor(db, entry, { moderator_id, note });
+  }
+
+  const status = action === 'dismiss' ? QUEUE_STATUSES.DISMISSED : QUEUE_STATUSES.ACTIONED;
+  const actions = [action, ...(warn && action !== 'warn' && action !== 'dismiss' ? ['warn'] : [])];
+
+  return db.collection('moderation_queue').findOneAndUpdate(
+    { _id: entry._id },
+    {
+      $set: { status, resolved_at: new Date(), resolved_by: moderator_id, updated_at: new Date() },
+      $push: { history: { actions, note, by: moderator_id, created_at: new Date() } },
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+export default {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  QUEUE_STATUSES,
+  MODERATION_ACTIONS,
+  visibleFilter,
+  isHiddenFrom,
+  reportSchema,
+  ensureModerationIndexes,
+  migrateEmbeddedWarnings,
+  listWarnings,
+  describeTarget,
+  fileReport,
+  reportHandler,
+  resolveEntry
+};
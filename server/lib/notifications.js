@@ -0,0 +1,141 @@
+/**
+ * Notifications inbox
+ * One document per notification in the `notifications` collection:
+ *
+ *   { user_id, type, actor_id, outfit_id, comment_id, data, read, created_at }
+ *
+ * `user_id` is the recipient and `actor_id` the user who caused it (null for
+ * system events such as price drops). Creating a notification never fails
+ * the request that triggered it; errors are logged and swallowed.
+ */
+
+export const NOTIFICATION_TYPES = {
+  LIKE: 'like',
+  COMMENT: 'comment',
+  REPLY: 'reply',
+  FOLLOW: 'follow',
+  PRICE_DROP: 'price_drop',
+  WISHLIST_ALERT: 'wishlist_alert',
+};
+
+// Types where repeating the action (unlike + like again) must not notify twice
+const ONCE_PER_ACTOR = new Set([NOTIFICATION_TYPES.LIKE, NOTIFICATION_TYPES.FOLLOW]);
+
+/**
+ * Create indexes used by the inbox (safe to call on every connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function ensureNotificationIndexes(db) {
+  const notifications = db.collection('notifications');
+  await notifications.createIndex({ user_id: 1, created_at: -1 });
+  await notifications.createIndex({ user_id: 1, read: 1 });
+}
+
+/**
+ * Record a notification for a user
+ * @param {import('mongodb').Db} db
+ * @param {Object} notification
+ * @param {string} notification.user_id - Recipient auth id
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} [notification.actor_id] - Auth id of the user who acted
+ * @param {ObjectId} [notification.outfit_id]
+ * @param {ObjectId} [notification.comment_id]
+ * @param {Object} [notification.data] - Type-specific details
+ * @returns {Promise<boolean>} True when a notification was stored
+ */
+export async function notify(db, { user_id, type, actor_id = null, outfit_id = null, comment_id = null, data = {} }) {
+  if (!user_id || user_id === actor_id) return false;
+
+  try {
+    const notifications = db.collection('notifications');
+    const doc = { user_id, type, actor_id, outfit_id, comment_id, data, read: false, created_at: new Date() };
+
+    if (ONCE_PER_ACTOR.has(type)) {
+      const { user_id: _u, type: _t, actor_id: _a, outfit_id: _o, ...rest } = doc;
+      const result = await notifications.updateOne(
+        { user_id, type, actor_id, outfit_id },
+        { $setOnInsert: rest },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    }
+
+    await notifications.insertOne(doc);
+    return true;
+  } catch (error) {
+    console.error(`⚠️  Failed to create ${type} notification:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Tell a user that a tracked wishlist item got cheaper
+ * @param {import('mongodb').Db} db
+ * @param {Object} item - Wishlist item (before the price change)
+ * @param {number} oldPrice
+ * @param {number} newPrice
+ * @returns {Promise<boolean>} True when a notification was stored
+ */
+export function notifyPriceDrop(db, item, oldPrice, newPrice) {
+  if (!(oldPrice > 0) || !(newPrice < oldPrice)) return Promise.resolve(false);
+
+  return notify(db, {
+    user_id: item.user_id,
+    type: NOTIFICATION_TYPES.PRICE_DROP,
+    data: {
+      item_id: item._id,
+      item_name: item.name,
+      image_url: item.image_url,
+      old_price: oldPrice,
+      new_price: newPrice,
+      percent_drop: Math.round(((oldPrice - newPrice) / oldPrice) * 100),
+    },
+  });
+}
+
+/**
+ * Tell a user that one of their wishlist alert rules fired
+ * @param {import('mongodb').Db} db
+ * @param {Object} item - Wishlist item
+ * @param {Object} rule - Alert rule that fired (see wishlistAlerts.js)
+ * @param {number|null} price - Price from the scrape that fired it
+ * @returns {Promise<boolean>} True when a notification was stored
+ */
+export function notifyWishlistAlert(db, item, rule, price) {
+  return notify(db, {
+    user_id: item.user_id,
+    type: NOTIFICATION_TYPES.WISHLIST_ALERT,
+    data: {
+      item_id: item._id,
+      item_name: item.name,
+      image_url: item.image_url,
+      alert_id: rule._id,
+      alert_type: rule.type,
+      price,
+      target_price: rule.target_price,
+      percent: rule.percent,
+      base_price: rule.base_price,
+      size: rule.size,
+      color: rule.color,
+    },
+  });
+}
+
+/**
+ * Count unread notifications for a user
+ * @param {import('mongodb').Db} db
+ * @param {string} userId - Auth id
+ * @returns {Promise<number>}
+ */
+export function unreadCount(db, userId) {
+  return db.collection('notifications').countDocuments({ user_id: userId, read: false });
+}
+
+export default {
+  NOTIFICATION_TYPES,
+  ensureNotificationIndexes,
+  notify,
+  notifyPriceDrop,
+  notifyWishlistAlert,
+  unreadCount
+};
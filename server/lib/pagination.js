@@ -0,0 +1,159 @@
+/**
+ * Cursor pagination
+ * List endpoints page by (sort key, _id) instead of skip/limit so that
+ * inserts between requests never shift or duplicate results. Responses use
+ * one envelope:
+ *
+ *   { items: [...], next_cursor: 'opaque' | null, has_more: boolean, sort, order }
+ *
+ * Cursors are base64url-encoded EJSON of the last item's sort value and _id,
+ * bound to the sort they were issued for.
+ */
+
+import { ObjectId, BSON } from 'mongodb';
+
+export class PaginationError extends Error {}
+
+function encodeCursor(payload) {
+  return Buffer.from(BSON.EJSON.stringify(payload, { relaxed: false })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = BSON.EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || !('id' in payload) || !('s' in payload)) throw new Error();
+    // cursorFilter compares against ObjectId _ids
+    if (!(payload.id instanceof ObjectId) && !ObjectId.isValid(String(payload.id))) throw new Error();
+    return payload;
+  } catch {
+    throw new PaginationError('Invalid cursor');
+  }
+}
+
+function getValue(doc, dottedPath) {
+  return dottedPath.split('.').reduce((current, key) => (current == null ? undefined : current[key]), doc);
+}
+
+/**
+ * Parse limit / sort / order / cursor query params
+ * @param {Object} query - req.query
+ * @param {Object} options
+ * @param {string[]} options.sortKeys - Fields clients may sort by
+ * @param {string} options.defaultSort - Sort key when none is given
+ * @param {'asc'|'desc'} [options.defaultOrder]
+ * @param {number} [options.defaultLimit]
+ * @param {number} [options.maxLimit]
+ * @returns {{ limit: number, sort: string, order: string, direction: number, after: Object|null }}
+ */
+export function parsePageParams(query, {
+  sortKeys,
+  defaultSort,
+  defaultOrder = 'desc',
+  defaultLimit = 20,
+  maxLimit = 100,
+}) {
+  const sort = query.sort || defaultSort;
+  if (!sortKeys.includes(sort)) {
+    throw new PaginationError(`sort must be one of: ${sortKeys.join(', ')}`);
+  }
+
+  const order = (query.order || defaultOrder).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw new PaginationError('order must be asc or desc');
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) throw new PaginationError('limit must be a positive integer');
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (after.s !== sort || after.o !== order) {
+      throw new PaginationError('Cursor was issued for a different sort order');
+    }
+  }
+
+  return { limit, sort, order, direction: order === 'asc' ? 1 : -1, after };
+}
+
+/**
+ * Filter selecting documents strictly after the cursor position
+ * Missing/null sort values sort lowest in MongoDB and never match range
+ * operators, so they get their own branches.
+ * @returns {Object} Mongo filter ({} on the first page)
+ */
+export function cursorFilter(page) {
+  if (!page.after) return {};
+  const { sort } = page;
+  const value = page.after.v;
+  const op = page.direction === 1 ? '$gt' : '$lt';
+  const id = page.after.id instanceof ObjectId ? page.after.id : new ObjectId(String(page.after.id));
+  const tie = { [sort]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return page.direction === 1
+      ? { $or: [{ [sort]: { $ne: null } }, tie] }
+      : tie;
+  }
+  return {
+    $or: page.direction === 1
+      ? [{ [sort]: { [op]: value } }, tie]
+      : [{ [sort]: { [op]: value } }, { [sort]: null }, tie],
+  };
+}
+
+/**
+ * Sort spec with _id as the tiebreaker
+ */
+export function sortSpec(page) {
+  return { [page.sort]: page.direction, _id: page.direction };
+}
+
+/**
+ * Build the response envelope from up to limit + 1 fetched documents
+ * @param {Array} docs - Documents fetched with limit + 1
+ * @param {Object} page - Result of parsePageParams
+ * @param {Function} [map] - Optional transform applied to returned items
+ */
+export function pageResponse(docs, page, map = (doc) => doc) {
+  const hasMore = docs.length > page.limit;
+  const items = hasMore ? docs.slice(0, page.limit) : docs;
+  const last = items[items.length - 1];
+  const nextCursor = hasMore && last
+    ? encodeCursor({ s: page.sort, o: page.order, v: getValue(last, page.sort) ?? null, id: last._id })
+    : null;
+
+  return {
+    items: items.map(map),
+    next_cursor: nextCursor,
+    has_more: hasMore,
+    sort: page.sort,
+    order: page.order,
+  };
+}
+
+/**
+ * Express helper: parse page params or answer 400
+ * @returns {Object|null} page, or null when a response was already sent
+ */
+export function readPageParams(req, res, options) {
+  try {
+    return parsePageParams(req.query, options);
+  } catch (error) {
+    if (!(error instanceof PaginationError)) throw error;
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+}
+
+export default {
+  parsePageParams,
+  readPageParams,
+  cursorFilter,
+  sortSpec,
+  pageResponse
+};
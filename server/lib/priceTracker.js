@@ -0,0 +1,281 @@
+/**
+ * Wishlist price tracker
+ * Re-scrapes the purchaseUrl of every unpurchased wishlist item on a fixed
+ * interval so prices are tracked while nobody has the app open. Requests are
+ * grouped by domain: one domain is never hit more often than domainDelayMs,
+ * and a domain that blocks us is skipped for the rest of the run. A page
+ * priced in another currency than the item is converted (currency.js).
+ *
+ * Emits:
+ *   'checked'    { item, product, price } after every successful scrape
+ *   'price_drop' { item, oldPrice, newPrice } when the price went down
+ *   'alert'      { item, rule, price, product } when one of the item's alert rules fires
+ *   'run'        { checked, updated, dropped, failed, skipped } after each run
+ */
+
+import { EventEmitter } from 'events';
+import { getProduct, ScrapeError } from './productScraper.js';
+import { applyAlertRules } from './wishlistAlerts.js';
+import { DEFAULT_CURRENCY, convertAmount } from './currency.js';
+
+// Retailer responses that mean we should stop hitting the domain for this run
+const BACK_OFF_STATUSES = new Set([403, 429, 503]);
+
+function shouldBackOff(error) {
+  if (!(error instanceof ScrapeError)) return false;
+  // 423: blocked page, 429: our own per-domain limiter is full
+  return error.status === 423 || error.status === 429 || BACK_OFF_STATUSES.has(error.upstreamStatus);
+}
+
+// Always fetch fresh (the result still refreshes the shared scrape cache)
+async function scrapeFresh(url) {
+  const { product } = await getProduct(url, { refresh: true });
+  return product;
+}
+
+const MAX_PRICE_HISTORY = 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+function parsePrice(value) {
+  const price = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(price) && price > 0 ? Math.round(price * 100) / 100 : null;
+}
+
+export class PriceTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.intervalMs] - Time between runs, and how stale an item must be to re-check (0 disables)
+   * @param {number} [options.initialDelayMs] - Delay before the first run after start()
+   * @param {number} [options.domainDelayMs] - Minimum gap between requests to one domain
+   * @param {number} [options.concurrency] - Domains scraped in parallel
+   * @param {number} [options.batchSize] - Items checked per run (least recently checked first)
+   * @param {Function} [options.scrape] - url => product (defaults to a fresh, cache-updating scrape)
+   */
+  constructor({
+    intervalMs = parseInt(process.env.PRICE_TRACK_INTERVAL_MS || '21600000', 10),
+    initialDelayMs = parseInt(process.env.PRICE_TRACK_INITIAL_DELAY_MS || '30000', 10),
+    domainDelayMs = parseInt(process.env.PRICE_TRACK_DOMAIN_DELAY_MS || '5000', 10),
+    concurrency = parseInt(process.env.PRICE_TRACK_CONCURRENCY || '3', 10),
+    batchSize = parseInt(process.env.PRICE_TRACK_BATCH_SIZE || '100', 10),
+    scrape = scrapeFresh,
+  } = {}) {
+    super();
+    this.intervalMs = intervalMs;
+    this.initialDelayMs = initialDelayMs;
+    this.domainDelayMs = domainDelayMs;
+    this.concurrency = Math.max(1, concurrency);
+    this.batchSize = batchSize;
+    this.scrape = scrape;
+
+    this.db = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastRunStats = null;
+    this.nextRunAt = null;
+    this._timer = null;
+  }
+
+  get enabled() {
+    return this.intervalMs > 0;
+  }
+
+  /**
+   * Start the schedule against a connected database
+   * @param {import('mongodb').Db} db
+   */
+  start(db) {
+    this.db = db;
+    if (!this.enabled) return;
+    this._schedule(this.initialDelayMs);
+    console.log(`🏷️  Price tracker scheduled every ${Math.round(this.intervalMs / 60000)} min`);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.nextRunAt = null;
+    this.db = null;
+  }
+
+  status() {
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      interval_ms: this.intervalMs,
+      last_run_at: this.lastRunAt,
+      last_run: this.lastRunStats,
+      next_run_at: this.nextRunAt,
+    };
+  }
+
+  _schedule(delayMs) {
+    clearTimeout(this._timer);
+    this.nextRunAt = new Date(Date.now() + delayMs);
+    this._timer = setTimeout(async () => {
+      try {
+        await this.runOnce();
+      } catch (error) {
+        console.error('⚠️  Price tracker run failed:', error.message);
+      }
+      if (this.db) this._schedule(this.intervalMs);
+    }, delayMs);
+    this._timer.unref?.();
+  }
+
+  /**
+   * Check every due item once
+   * @returns {Promise<Object>} { checked, updated, dropped, failed, skipped }
+   */
+  async runOnce() {
+    const db = this.db;
+    if (!db || this.running) return null;
+
+    this.running = true;
+    const stats = { checked: 0, updated: 0, dropped: 0, failed: 0, skipped: 0 };
+
+    try {
+      const cutoff = new Date(Date.now() - this.intervalMs).toISOString();
+      const items = await db.collection('wishlist_items')
+        .find({
+          purchased: { $ne: true },
+          purchaseUrl: { $nin: [null, ''] },
+          $or: [
+            { lastChecked: { $exists: false } },
+            { lastChecked: { $in: [null, ''] } },
+            { lastChecked: { $lt: cutoff } },
+          ],
+        })
+        .sort({ lastChecked: 1 })
+        .limit(this.batchSize)
+        .toArray();
+
+      const byDomain = new Map();
+      for (const item of items) {
+        const domain = domainOf(item.purchaseUrl);
+        if (!domain) continue;
+        if (!byDomain.has(domain)) byDomain.set(domain, []);
+        byDomain.get(domain).push(item);
+      }
+
+      // A small pool of workers, each draining one domain at a time
+      const queues = [...byDomain.entries()];
+      const worker = async () => {
+        while (queues.length > 0) {
+          const [domain, domainItems] = queues.shift();
+          await this._checkDomain(db, domain, domainItems, stats);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, queues.length) }, worker));
+
+      this.lastRunAt = new Date();
+      this.lastRunStats = stats;
+      if (items.length > 0) {
+        console.log(`🏷️  Price tracker: ${stats.checked} checked, ${stats.dropped} dropped, ${stats.failed} failed, ${stats.skipped} skipped`);
+      }
+      this.emit('run', stats);
+      return stats;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async _checkDomain(db, domain, items, stats) {
+    for (let i = 0; i < items.length; i++) {
+      if (i > 0) await sleep(this.domainDelayMs);
+
+      const backOff = await this.checkItem(db, items[i], stats);
+      if (backOff) {
+        stats.skipped += items.length - i - 1;
+        console.warn(`🏷️  ${domain} asked us to back off; skipping its remaining items this run`);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Scrape one item and record the result
+   * @returns {Promise<boolean>} True when the domain blocked or rate-limited us
+   */
+  async checkItem(db, item, stats = { checked: 0, updated: 0, dropped: 0, failed: 0, skipped: 0 }) {
+    const wishlist = db.collection('wishlist_items');
+    const now = new Date().toISOString();
+
+    let product;
+    try {
+      product = await this.scrape(item.purchaseUrl);
+    } catch (error) {
+      stats.failed++;
+      await wishlist.updateOne(
+        { _id: item._id },
+        { $set: { lastChecked: now, priceCheckError: error.message }, $inc: { priceCheckFailures: 1 } }
+      );
+      return shouldBackOff(error);
+    }
+
+    stats.checked++;
+    let price = parsePrice(product.price);
+
+    // A store can serve another currency (geo redirect); compare in the item's currency
+    const itemCurrency = item.currency || DEFAULT_CURRENCY;
+    if (price !== null && product.currency && product.currency !== itemCurrency) {
+      const converted = convertAmount(price, product.currency, itemCurrency);
+      if (converted === null) {
+        await wishlist.updateOne(
+          { _id: item._id },
+          { $set: { lastChecked: now, priceCheckError: `Page price is in ${product.currency}, no rate to ${itemCurrency}` } }
+        );
+        return false;
+      }
+      price = converted;
+    }
+    if (price === null) {
+      await wishlist.updateOne(
+        { _id: item._id },
+        { $set: { lastChecked: now, priceCheckError: 'No price found on the product page' } }
+      );
+      // Stock alerts can still fire from a page without a price
+      await this._applyAlerts(db, item, product, null);
+      return false;
+    }
+
+    const oldPrice = parsePrice(item.estimatedPrice);
+    const history = Array.isArray(item.priceHistory) ? item.priceHistory : [];
+    const update = {
+      $set: { estimatedPrice: price, lastChecked: now, priceCheckFailures: 0 },
+      $unset: { priceCheckError: '' },
+    };
+    if (price !== oldPrice || history.length === 0) {
+      update.$push = { priceHistory: { $each: [{ price, date: now }], $slice: -MAX_PRICE_HISTORY } };
+      stats.updated++;
+    }
+    await wishlist.updateOne({ _id: item._id }, update);
+
+    this.emit('checked', { item, product, price });
+    if (oldPrice !== null && price < oldPrice) {
+      stats.dropped++;
+      this.emit('price_drop', { item, oldPrice, newPrice: price });
+    }
+    await this._applyAlerts(db, item, product, price);
+    return false;
+  }
+
+  async _applyAlerts(db, item, product, price) {
+    const fired = await applyAlertRules(db, item, { price, product });
+    for (const rule of fired) {
+      this.emit('alert', { item, rule, price, product });
+    }
+  }
+}
+
+export default PriceTracker;
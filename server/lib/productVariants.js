@@ -0,0 +1,285 @@
+/**
+ * Product variant extraction
+ * Sizes, colors and per-variant stock status from a product page, read from
+ * (in order) JSON-LD `hasVariant` / `offers`, Shopify product JSON and common
+ * size-selector markup. Variants found by several sources are merged on
+ * size + color, so a later source only fills in what an earlier one lacked.
+ *
+ *   { size: 'M', color: 'Black', sku: 'TS-BLK-M', price: 29.99,
+ *     image: 'https://.../black.jpg', available: true }
+ *
+ * `available` is null when the page doesn't say.
+ */
+
+import { parseAmount } from './currency.js';
+
+// Shopify and similar option names
+const SIZE_OPTION = /^(size|taille|gr(ö|oe)(ss|ß)e|talla|taglia|maat)$/i;
+const COLOR_OPTION = /^(colou?r|couleur|farbe|color ?way)$/i;
+
+// Size pickers rendered in the page (one entry per size)
+const SIZE_OPTION_SELECTORS = [
+  'select[name*="size" i] option',
+  'select[id*="size" i] option',
+  'select[data-option-name*="size" i] option',
+  'input[type="radio"][name*="size" i]',
+  '[data-size]',
+  '.size-selector button',
+  '.size-selector li',
+  '.size-options button',
+  '.size-options li',
+  '.size-option',
+  '.swatch-size',
+];
+
+const PLACEHOLDER_OPTION = /^(select|choose|pick)\b|^-+$|^size$/i;
+const UNAVAILABLE_CLASS = /sold-?out|unavailable|out-?of-?stock|disabled/i;
+const UNAVAILABLE_TEXT = /\s*[-–(]?\s*(sold out|out of stock|unavailable|notify me)\)?\s*$/i;
+
+/**
+ * schema.org availability URL -> 'in_stock' | 'out_of_stock' ('' when unknown)
+ * @param {string} value - e.g. "https://schema.org/InStock"
+ */
+export function schemaAvailability(value) {
+  if (typeof value !== 'string' || !value) return '';
+  const name = value.replace(/^https?:\/\/schema\.org\//i, '').toLowerCase();
+  if (['instock', 'limitedavailability', 'onlineonly', 'instoreonly', 'preorder', 'presale'].includes(name)) return 'in_stock';
+  if (['outofstock', 'soldout', 'discontinued', 'backorder'].includes(name)) return 'out_of_stock';
+  return '';
+}
+
+function text(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return text(value.name ?? value.value ?? '');
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+function price(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseAmount(value);
+  return parsed !== null && parsed > 0 ? parsed : null;
+}
+
+function absolute(src, url) {
+  const value = typeof src === 'string' ? src : src?.url || src?.contentUrl || src?.src;
+  if (!value) return '';
+  try {
+    return new URL(value, url).href;
+  } catch {
+    return '';
+  }
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function offerAvailable(offer) {
+  const availability = schemaAvailability(offer?.availability);
+  return availability ? availability === 'in_stock' : null;
+}
+
+// Variant properties carried as additionalProperty: [{ name: 'size', value: 'M' }]
+function additionalProperty(node, pattern) {
+  const props = Array.isArray(node?.additionalProperty) ? node.additionalProperty : [];
+  return text(props.find(p => pattern.test(text(p?.name)))?.value);
+}
+
+// "Black / M", "M - Black" or just "M" in an offer's name
+function optionsFromName(name, productName) {
+  let label = text(name);
+  if (productName && label.toLowerCase().startsWith(productName.toLowerCase())) {
+    label = label.slice(productName.length).replace(/^[\s,:–-]+/, '');
+  }
+  const parts = label.split(/\s+[/|–-]\s+/).map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0 || parts.length > 2) return { size: '', color: '' };
+  const looksLikeSize = p => /^(\d{1,2}(\.5)?|x{0,3}[sl]|x{0,2}xl|m|one size|os|\d{2}\s*[x/]\s*\d{2})$/i.test(p);
+  if (parts.length === 1) return looksLikeSize(parts[0]) ? { size: parts[0], color: '' } : { size: '', color: '' };
+  const [a, b] = parts;
+  return looksLikeSize(a) ? { size: a, color: b } : { size: b, color: a };
+}
+
+function fromJsonLdVariant(variant, url) {
+  const offer = firstOf(variant?.offers);
+  return {
+    size: text(variant?.size) || additionalProperty(variant, SIZE_OPTION),
+    color: text(variant?.color) || additionalProperty(variant, COLOR_OPTION),
+    sku: text(variant?.sku || offer?.sku),
+    price: price(offer?.price ?? offer?.priceSpecification?.price),
+    image: absolute(firstOf(variant?.image), url),
+    available: offerAvailable(offer),
+  };
+}
+
+function fromJsonLdOffer(offer, productName, url) {
+  const item = offer?.itemOffered || {};
+  const named = optionsFromName(offer?.name || item.name, productName);
+  return {
+    size: text(item.size || offer?.size) || additionalProperty(item, SIZE_OPTION) || named.size,
+    color: text(item.color || offer?.color) || additionalProperty(item, COLOR_OPTION) || named.color,
+    sku: text(offer?.sku || item.sku),
+    price: price(offer?.price ?? offer?.priceSpecification?.price),
+    image: absolute(firstOf(item.image || offer?.image), url),
+    available: offerAvailable(offer),
+  };
+}
+
+function jsonLdVariants(products, url) {
+  const variants = [];
+  for (const product of products) {
+    // ProductGroup-style variants: one Product per size/color with its own offer
+    for (const variant of Array.isArray(product.hasVariant) ? product.hasVariant : []) {
+      variants.push(fromJsonLdVariant(variant, url));
+    }
+    // One offer per size/color; a single offer only counts when it names one
+    const offers = Array.isArray(product.offers) ? product.offers : product.offers?.offers;
+    for (const offer of Array.isArray(offers) ? offers : []) {
+      variants.push(fromJsonLdOffer(offer, text(product.name), url));
+    }
+  }
+  return variants;
+}
+
+// Shopify product JSON (theme <script id="ProductJson-..."> or data-product-json)
+function shopifyVariants($, url) {
+  const variants = [];
+  $('script[id^="ProductJson"], script[data-product-json]').each((i, el) => {
+    let product;
+    try {
+      product = JSON.parse($(el).html());
+    } catch {
+      return;
+    }
+    product = product?.product || product;
+    if (!Array.isArray(product?.variants)) return;
+
+    const optionNames = (product.options || []).map(o => text(typeof o === 'string' ? o : o?.name));
+    const sizeIndex = optionNames.findIndex(name => SIZE_OPTION.test(name));
+    const colorIndex = optionNames.findIndex(name => COLOR_OPTION.test(name));
+
+    for (const variant of product.variants) {
+      const options = variant.options || [variant.option1, variant.option2, variant.option3];
+      // ProductJson prices are integer cents; the /products/x.json API uses "29.99"
+      const amount = typeof variant.price === 'number' && Number.isInteger(variant.price)
+        ? variant.price / 100
+        : variant.price;
+      variants.push({
+        size: sizeIndex >= 0 ? text(options[sizeIndex]) : '',
+        color: colorIndex >= 0 ? text(options[colorIndex]) : '',
+        sku: text(variant.sku),
+        price: price(amount),
+        image: absolute(variant.featured_image, url),
+        available: typeof variant.available === 'boolean' ? variant.available : null,
+      });
+    }
+  });
+  return variants;
+}
+
+// Size buttons / options in the page markup
+function markupSizes($) {
+  const sizes = [];
+  const seen = new Set();
+  for (const selector of SIZE_OPTION_SELECTORS) {
+    $(selector).each((i, el) => {
+      const $el = $(el);
+      let label = $el.attr('data-size') || '';
+      if (!label && el.tagName === 'input') {
+        const id = $el.attr('id');
+        label = (id && $(`label[for="${id}"]`).first().text()) || $el.attr('value') || '';
+      }
+      if (!label) label = $el.text() || $el.attr('value') || '';
+      const rawLabel = text(label);
+      const size = rawLabel.replace(UNAVAILABLE_TEXT, '').trim();
+      if (!size || size.length > 20 || PLACEHOLDER_OPTION.test(size) || seen.has(size.toLowerCase())) return;
+      if (el.tagName === 'option' && $el.attr('value') === '') return;
+
+      const unavailable = $el.is('[disabled]') ||
+        $el.attr('aria-disabled') === 'true' ||
+        UNAVAILABLE_CLASS.test($el.attr('class') || '') ||
+        UNAVAILABLE_TEXT.test(rawLabel);
+      seen.add(size.toLowerCase());
+      sizes.push({ size, unavailable });
+    });
+    if (sizes.length > 0) break;
+  }
+
+  // A picker that greys out some sizes is telling us the rest are in stock
+  const marksStock = sizes.some(s => s.unavailable);
+  return sizes.map(({ size, unavailable }) => ({
+    size,
+    color: '',
+    sku: '',
+    price: null,
+    image: '',
+    available: unavailable ? false : marksStock ? true : null,
+  }));
+}
+
+function mergeVariants(lists) {
+  const merged = new Map();
+  for (const variant of lists.flat()) {
+    if (!variant.size && !variant.color) continue;
+    const key = `${variant.size.toLowerCase()}|${variant.color.toLowerCase()}`;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...variant });
+      continue;
+    }
+    for (const field of ['sku', 'price', 'image']) {
+      if (!existing[field] && variant[field]) existing[field] = variant[field];
+    }
+    if (existing.available === null && variant.available !== null) existing.available = variant.available;
+  }
+  return [...merged.values()];
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (!value || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Variants, sizes, colors and overall stock status for a product page
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {Object} options
+ * @param {Array<Object>} [options.products] - Product / ProductGroup nodes on the page (JSON-LD, microdata, RDFa)
+ * @param {string} options.url - Page URL (resolves relative variant images)
+ * @param {Object} [options.ruleValues] - Retailer rule results ({ sizes, colors })
+ * @returns {Object} { variants, sizes, colors, availability } where availability is
+ *   'in_stock' when any variant is, 'out_of_stock' when every variant says so, else ''
+ */
+export function extractVariants($, { products = [], url, ruleValues = {} } = {}) {
+  let variants = mergeVariants([jsonLdVariants(products, url), shopifyVariants($, url)]);
+
+  // Markup only fills in sizes when structured data had none
+  if (!variants.some(v => v.size)) {
+    const sized = markupSizes($);
+    if (variants.length === 0) {
+      variants = sized;
+    } else if (sized.length > 0) {
+      // Color-only structured variants: keep them and list the page's sizes alongside
+      variants = mergeVariants([variants, sized]);
+    }
+  }
+
+  const sizes = unique([...(ruleValues.sizes || []), ...variants.map(v => v.size)]);
+  const colors = unique([...(ruleValues.colors || []), ...variants.map(v => v.color)]);
+
+  const known = variants.map(v => v.available).filter(a => a !== null);
+  let availability = '';
+  if (known.includes(true)) availability = 'in_stock';
+  else if (known.length > 0 && known.length === variants.length) availability = 'out_of_stock';
+
+  return { variants, sizes, colors, availability };
+}
+
+export default {
+  schemaAvailability,
+  extractVariants
+};
@@ -0,0 +1,332 @@
+/**
+ * Retailer extraction rules
+ * Per-store selectors and JSON paths for product fields, so adding a store
+ * means adding a rule set instead of editing scraper code. Rule sets come
+ * from the JSON files in server/retailer-rules/ and from the
+ * `retailer_rules` collection (added by admins at runtime); a stored rule set
+ * overrides the file with the same `retailer` key.
+ *
+ *   {
+ *     "retailer": "zara",
+ *     "name": "Zara",
+ *     "domains": ["zara.com", "zara.*"],
+ *     "fields": {
+ *       "name":   [{ "selector": "h1.product-name" }],
+ *       "price":  [{ "selector": "[data-price]", "attr": "data-price" },
+ *                  { "script": "script#__NEXT_DATA__", "path": "props.pageProps.product.price" }],
+ *       "images": [{ "selector": ".gallery img", "attr": "src", "all": true }],
+ *       "brand":  [{ "value": "Zara" }],
+ *       "sizes":  [{ "script": "script[type=\"application/ld+json\"]", "path": "hasVariant[].size" }]
+ *     }
+ *   }
+ *
+ * Each field lists extractors tried in order; the first non-empty result wins.
+ * An extractor is one of:
+ *   { selector, attr?, all?, pattern? } text (or attribute) of the matching element(s)
+ *   { script, path, pattern? }          JSON inside matching <script> tags, walked by a
+ *                                        dotted path where `[]` fans out over arrays
+ *   { value }                           a constant
+ * `pattern` is a regex applied to each value; its first group (or whole match) is kept.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { parsePrice } from './currency.js';
+
+export const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'retailer-rules');
+
+export const RULE_FIELDS = ['name', 'price', 'currency', 'images', 'brand', 'sizes', 'colors'];
+
+// Fields that hold a list of values; the rest keep the first value found
+const LIST_FIELDS = new Set(['images', 'sizes', 'colors']);
+
+const RETAILER_KEY = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+const fileRules = new Map();
+const customRules = new Map();
+
+/**
+ * Check a rule set's shape
+ * @param {Object} ruleSet
+ * @returns {Array<{field: string, message: string}>} Empty when valid
+ */
+export function validateRuleSet(ruleSet) {
+  const issues = [];
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return [{ field: '', message: 'must be an object' }];
+  }
+  if (typeof ruleSet.retailer !== 'string' || !RETAILER_KEY.test(ruleSet.retailer)) {
+    issues.push({ field: 'retailer', message: 'must be lowercase letters, digits and dashes' });
+  }
+  if (!Array.isArray(ruleSet.domains) || ruleSet.domains.length === 0 ||
+      !ruleSet.domains.every(d => typeof d === 'string' && /^[a-z0-9*.-]+$/i.test(d))) {
+    issues.push({ field: 'domains', message: 'must be a non-empty list of hostnames' });
+  }
+  if (!ruleSet.fields || typeof ruleSet.fields !== 'object' || Array.isArray(ruleSet.fields)) {
+    issues.push({ field: 'fields', message: 'must be an object' });
+    return issues;
+  }
+
+  for (const [name, extractors] of Object.entries(ruleSet.fields)) {
+    const prefix = `fields.${name}`;
+    if (!RULE_FIELDS.includes(name)) {
+      issues.push({ field: prefix, message: `is not a supported field (${RULE_FIELDS.join(', ')})` });
+      continue;
+    }
+    if (!Array.isArray(extractors)) {
+      issues.push({ field: prefix, message: 'must be a list of extractors' });
+      continue;
+    }
+    extractors.forEach((extractor, i) => {
+      const where = `${prefix}[${i}]`;
+      if (!extractor || typeof extractor !== 'object') {
+        issues.push({ field: where, message: 'must be an object' });
+      } else if (extractor.selector !== undefined) {
+        if (typeof extractor.selector !== 'string' || !extractor.selector) issues.push({ field: where, message: 'selector must be a string' });
+      } else if (extractor.script !== undefined) {
+        if (typeof extractor.path !== 'string' || !extractor.path) issues.push({ field: where, message: 'script extractors need a path' });
+      } else if (extractor.value === undefined) {
+        issues.push({ field: where, message: 'needs a selector, script or value' });
+      }
+      if (extractor?.pattern !== undefined) {
+        try {
+          new RegExp(extractor.pattern);
+        } catch {
+          issues.push({ field: where, message: 'pattern is not a valid regex' });
+        }
+      }
+    });
+  }
+  return issues;
+}
+
+/**
+ * (Re)load the rule set files
+ * Invalid files are logged and skipped.
+ * @param {string} [dir] - Directory of *.json rule sets
+ * @returns {number} Rule sets loaded
+ */
+export function loadRuleFiles(dir = RULES_DIR) {
+  fileRules.clear();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  } catch (error) {
+    console.warn('⚠️  No retailer rules directory:', error.message);
+    return 0;
+  }
+
+  for (const file of files) {
+    try {
+      const ruleSet = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const issues = validateRuleSet(ruleSet);
+      if (issues.length > 0) {
+        console.warn(`⚠️  Skipping retailer rules ${file}:`, issues.map(i => `${i.field} ${i.message}`).join('; '));
+        continue;
+      }
+      fileRules.set(ruleSet.retailer, { ...ruleSet, source: 'file' });
+    } catch (error) {
+      console.warn(`⚠️  Skipping retailer rules ${file}:`, error.message);
+    }
+  }
+  return fileRules.size;
+}
+
+/**
+ * Load admin-added rule sets from the database (call on connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function loadCustomRules(db) {
+  const stored = await db.collection('retailer_rules').find({}).toArray();
+  customRules.clear();
+  for (const { _id, ...ruleSet } of stored) {
+    if (validateRuleSet(ruleSet).length === 0) customRules.set(ruleSet.retailer, { ...ruleSet, source: 'custom' });
+  }
+  return customRules.size;
+}
+
+/**
+ * Store an admin-added rule set and activate it
+ * @param {import('mongodb').Db} db
+ * @param {Object} ruleSet - Validated rule set
+ * @param {string} userId - Admin who saved it
+ */
+export async function saveCustomRuleSet(db, ruleSet, userId) {
+  const doc = {
+    retailer: ruleSet.retailer,
+    name: ruleSet.name || ruleSet.retailer,
+    domains: ruleSet.domains,
+    fields: ruleSet.fields,
+    updated_at: new Date(),
+    updated_by: userId,
+  };
+  await db.collection('retailer_rules').updateOne({ retailer: doc.retailer }, { $set: doc }, { upsert: true });
+  customRules.set(doc.retailer, { ...doc, source: 'custom' });
+  return getRuleSet(doc.retailer);
+}
+
+/**
+ * Remove an admin-added rule set (the file version, if any, applies again)
+ * @returns {Promise<boolean>} True when a stored rule set was removed
+ */
+export async function deleteCustomRuleSet(db, retailer) {
+  const result = await db.collection('retailer_rules').deleteOne({ retailer });
+  customRules.delete(retailer);
+  return result.deletedCount > 0;
+}
+
+export function getRuleSet(retailer) {
+  return customRules.get(retailer) || fileRules.get(retailer) || null;
+}
+
+export function listRuleSets() {
+  const keys = new Set([...fileRules.keys(), ...customRules.keys()]);
+  return [...keys].sort().map(getRuleSet);
+}
+
+function domainPattern(domain) {
+  const escaped = domain.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9.-]+');
+  return new RegExp(`^(?:[a-z0-9-]+\\.)*${escaped}$`);
+}
+
+/**
+ * Rule set whose domains match a hostname
+ * @param {string} hostname
+ * @returns {Object|null}
+ */
+export function findRuleSet(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return listRuleSets().find(ruleSet => ruleSet.domains.some(d => domainPattern(d).test(host))) || null;
+}
+
+// Walk a dotted path; `[]` fans out over arrays, digits index into them
+function walkPath(value, pathText) {
+  let current = [value];
+  for (const segment of pathText.split('.').filter(Boolean)) {
+    const fanOut = segment.endsWith('[]');
+    const key = fanOut ? segment.slice(0, -2) : segment;
+    const next = [];
+    // Named keys apply to every element of an array (JSON-LD is often a list)
+    const nodes = /^\d+$/.test(key) ? current : current.flatMap(n => (Array.isArray(n) ? n : [n]));
+    for (const node of nodes) {
+      if (node === null || node === undefined) continue;
+      const child = key === '' ? node : node[key];
+      if (fanOut) {
+        if (Array.isArray(child)) next.push(...child);
+      } else if (child !== undefined) {
+        next.push(child);
+      }
+    }
+    current = next;
+  }
+  return current.flatMap(v => (Array.isArray(v) ? v : [v]));
+}
+
+function runExtractor($, extractor) {
+  let values = [];
+
+  if (extractor.selector !== undefined) {
+    const elements = $(extractor.selector);
+    const picked = extractor.all ? elements.toArray() : elements.toArray().slice(0, 1);
+    values = picked.map(el => (extractor.attr ? $(el).attr(extractor.attr) : $(el).text()));
+  } else if (extractor.script !== undefined) {
+    $(extractor.script).each((i, el) => {
+      try {
+        values.push(...walkPath(JSON.parse($(el).html()), extractor.path));
+      } catch {
+        // Not JSON
+      }
+    });
+  } else {
+    values = Array.isArray(extractor.value) ? extractor.value : [extractor.value];
+  }
+
+  values = values
+    .map(v => (v && typeof v === 'object' ? v.name ?? v.value ?? v.url ?? '' : v))
+    .filter(v => v !== null && v !== undefined)
+    .map(v => String(v).trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+
+  if (extractor.pattern) {
+    const pattern = new RegExp(extractor.pattern);
+    values = values.map(v => {
+      const match = v.match(pattern);
+      return match ? (match[1] ?? match[0]).trim() : '';
+    }).filter(Boolean);
+  }
+  return values;
+}
+
+/**
+ * Run a rule set against a loaded page
+ * @param {Object} ruleSet
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} url - Page URL (resolves relative image URLs)
+ * @returns {Object} { values: { field: value }, matched: { field: extractor index or null } }
+ */
+export function applyRuleSet(ruleSet, $, url) {
+  const values = {};
+  const matched = {};
+  let priceCurrency = '';
+
+  for (const field of RULE_FIELDS) {
+    matched[field] = null;
+    const extractors = ruleSet.fields?.[field] || [];
+    for (let i = 0; i < extractors.length; i++) {
+      let found = runExtractor($, extractors[i]);
+      if (field === 'images') {
+        found = found.map(src => {
+          try {
+            return new URL(src, url).href;
+          } catch {
+            return null;
+          }
+        }).filter(Boolean);
+      }
+      if (field === 'price') {
+        // "1.299,00 €" / "$49.99": keep the symbol's currency in case no currency rule matches
+        const prices = found.map(text => parsePrice(text)).filter(p => p.amount !== null);
+        priceCurrency = prices[0]?.currency || '';
+        found = prices.map(p => p.amount);
+      }
+      if (found.length === 0) continue;
+
+      values[field] = LIST_FIELDS.has(field) ? [...new Set(found)] : found[0];
+      matched[field] = i;
+      break;
+    }
+  }
+
+  if (values.currency) values.currency = values.currency.toUpperCase();
+  else if (priceCurrency) values.currency = priceCurrency;
+  return { values, matched };
+}
+
+/**
+ * Run a rule set against saved HTML (rule-test endpoint)
+ * @param {Object} ruleSet
+ * @param {string} html
+ * @param {string} url
+ */
+export function testRuleSet(ruleSet, html, url) {
+  return applyRuleSet(ruleSet, cheerio.load(html), url);
+}
+
+loadRuleFiles();
+
+export default {
+  RULES_DIR,
+  RULE_FIELDS,
+  validateRuleSet,
+  loadRuleFiles,
+  loadCustomRules,
+  saveCustomRuleSet,
+  deleteCustomRuleSet,
+  getRuleSet,
+  listRuleSets,
+  findRuleSet,
+  applyRuleSet,
+  testRuleSet
+};
@@ -0,0 +1,118 @@
+/**
+ * Roles and permissions
+ * Roles are stored on the user document (`users.roles`). The founder role is
+ * never granted through the API; it is bootstrapped from FOUNDER_EMAILS
+ * (comma-separated) the first time a matching account authenticates.
+ */
+
+export const ROLES = {
+  FOUNDER: 'founder',
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+};
+
+export const PERMISSIONS = {
+  DELETE_ANY_POST: 'delete_any_post',
+  MODERATE_COMMENTS: 'moderate_comments',
+  BAN_USERS: 'ban_users',
+  VIEW_ANALYTICS: 'view_analytics',
+  MANAGE_USERS: 'manage_users',
+  MANAGE_ADMINS: 'manage_admins',
+  ACCESS_ALL_DATA: 'access_all_data',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.FOUNDER]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: Object.values(PERMISSIONS).filter(p => p !== PERMISSIONS.MANAGE_ADMINS),
+  [ROLES.MODERATOR]: [PERMISSIONS.DELETE_ANY_POST, PERMISSIONS.MODERATE_COMMENTS],
+};
+
+// Which roles each role may grant or revoke
+const GRANTABLE_ROLES = {
+  [ROLES.FOUNDER]: [ROLES.ADMIN, ROLES.MODERATOR],
+  [ROLES.ADMIN]: [ROLES.MODERATOR],
+  [ROLES.MODERATOR]: [],
+};
+
+function founderEmails(env = process.env) {
+  return (env.FOUNDER_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Permissions granted by a set of roles
+ * @param {string[]} roles
+ * @returns {string[]}
+ */
+export function permissionsFor(roles = []) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+/**
+ * Check whether a request user holds any of the given roles (founder holds all)
+ * @param {Object} user - req.user with roles attached
+ * @param {...string} roles
+ */
+export function hasRole(user, ...roles) {
+  const held = user?.roles || [];
+  return held.includes(ROLES.FOUNDER) || roles.some(role => held.includes(role));
+}
+
+/**
+ * Check whether a request user has a permission through any of their roles
+ * @param {Object} user - req.user with roles attached
+ * @param {string} permission - One of PERMISSIONS
+ */
+export function hasPermission(user, permission) {
+  return permissionsFor(user?.roles).includes(permission);
+}
+
+/**
+ * Roles the user is allowed to grant or revoke
+ * @param {Object} user - req.user with roles attached
+ * @returns {string[]}
+ */
+export function grantableRoles(user) {
+  return [...new Set((user?.roles || []).flatMap(role => GRANTABLE_ROLES[role] || []))];
+}
+
+/**
+ * Load the roles stored for an authenticated user, bootstrapping the
+ * founder role for FOUNDER_EMAILS accounts
+ * @param {import('mongodb').Collection} usersCollection
+ * @param {Object} authUser - Supabase user from the auth middleware
+ * @returns {Promise<string[]>}
+ */
+export async function loadRoles(usersCollection, authUser) {
+  const profile = await usersCollection.findOne(
+    { auth_id: authUser.id },
+    { projection: { roles: 1 } }
+  );
+  const roles = Array.isArray(profile?.roles) ? profile.roles : [];
+
+  const email = authUser.email?.toLowerCase();
+  if (email && founderEmails().includes(email) && !roles.includes(ROLES.FOUNDER)) {
+    console.log('👑 Granting founder role to', authUser.email);
+    if (profile) {
+      await usersCollection.updateOne(
+        { auth_id: authUser.id },
+        { $addToSet: { roles: ROLES.FOUNDER }, $set: { updated_at: new Date() } }
+      );
+    }
+    return [...roles, ROLES.FOUNDER];
+  }
+
+  return roles;
+}
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  permissionsFor,
+  hasRole,
+  hasPermission,
+  grantableRoles,
+  loadRoles
+};
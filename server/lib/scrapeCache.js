@@ -0,0 +1,165 @@
+/**
+ * Scrape result cache
+ * Parsed product results keyed by normalized URL, so several users pasting
+ * the same link minutes apart cost one retailer fetch (and one scraping API
+ * credit). Entries live for SCRAPE_CACHE_TTL_MS (0 disables the cache) and
+ * the least recently used entries are dropped past SCRAPE_CACHE_MAX_ENTRIES.
+ * Concurrent misses for the same URL share one fetch. Failures are never cached.
+ */
+
+// Query parameters that only track the click and never change the product
+const TRACKING_PARAMS = [
+  /^utm_/i, /^gclid$/i, /^gbraid$/i, /^wbraid$/i, /^fbclid$/i, /^msclkid$/i, /^dclid$/i,
+  /^mc_(cid|eid)$/i, /^_ga$/i, /^_gl$/i, /^ref_?$/i, /^referrer$/i, /^cmpid$/i, /^aff(iliate)?(_?id)?$/i,
+];
+
+/**
+ * Canonical form of a product URL used as the cache key
+ * Lowercases the host, drops the fragment, default ports, tracking
+ * parameters and trailing slashes, and sorts the remaining parameters.
+ * @param {string} url
+ * @returns {string|null} null when the URL can't be parsed
+ */
+export function normalizeProductUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if ((parsed.protocol === 'https:' && parsed.port === '443') || (parsed.protocol === 'http:' && parsed.port === '80')) {
+    parsed.port = '';
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  return parsed.toString();
+}
+
+export class ScrapeCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.ttlMs] - How long a result is served from cache (0 disables)
+   * @param {number} [options.maxEntries] - Entries kept before the oldest are evicted
+   */
+  constructor({
+    ttlMs = parseInt(process.env.SCRAPE_CACHE_TTL_MS || '900000', 10),
+    maxEntries = parseInt(process.env.SCRAPE_CACHE_MAX_ENTRIES || '500', 10),
+  } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = Math.max(1, maxEntries);
+    this.entries = new Map();
+    this.inFlight = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Fresh entry for a key, or null
+   * @param {string} key - Normalized URL
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value) {
+    if (!this.enabled) return null;
+    const now = Date.now();
+    const entry = { value, storedAt: now, expiresAt: now + this.ttlMs };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Serve a key from cache or load it
+   * @param {string} key - Normalized URL
+   * @param {Function} load - () => Promise<value>, called on a miss
+   * @param {Object} options
+   * @param {boolean} [options.refresh] - Skip the cached entry and store the new result
+   * @returns {Promise<Object>} { value, cache: { status, age_ms, expires_at } }
+   *   where status is 'hit', 'miss', 'coalesced' (shared another request's fetch),
+   *   'refresh' or 'disabled'
+   */
+  async fetch(key, load, { refresh = false } = {}) {
+    if (!this.enabled) {
+      return { value: await load(), cache: { status: 'disabled', age_ms: 0, expires_at: null } };
+    }
+
+    if (!refresh) {
+      const entry = this.get(key);
+      if (entry) {
+        this.hits++;
+        return { value: structuredClone(entry.value), cache: describe('hit', entry) };
+      }
+      if (this.inFlight.has(key)) {
+        const entry = await this.inFlight.get(key);
+        this.hits++;
+        return { value: structuredClone(entry.value), cache: describe('coalesced', entry) };
+      }
+    }
+
+    this.misses++;
+    const pending = Promise.resolve()
+      .then(load)
+      .then(value => this.set(key, value));
+    this.inFlight.set(key, pending);
+    try {
+      const entry = await pending;
+      return { value: structuredClone(entry.value), cache: describe(refresh ? 'refresh' : 'miss', entry) };
+    } finally {
+      if (this.inFlight.get(key) === pending) this.inFlight.delete(key);
+    }
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      ttl_ms: this.ttlMs,
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+function describe(status, entry) {
+  return {
+    status,
+    age_ms: Date.now() - entry.storedAt,
+    expires_at: new Date(entry.expiresAt),
+  };
+}
+
+export default ScrapeCache;
@@ -0,0 +1,179 @@
+/**
+ * Batch scrape jobs
+ * A job is a list of product URLs scraped in the background (for users
+ * moving a wishlist over from another app). URLs from all jobs share one
+ * queue with at most `concurrency` scrapes in flight; each scrape still goes
+ * through the result cache, per-retailer limiter and URL guard (getProduct).
+ * Jobs live in memory and are dropped `ttlMs` after they finish.
+ *
+ *   { id, status: 'queued' | 'running' | 'done', total, completed, succeeded, failed,
+ *     results: [{ url, status: 'pending' | 'running' | 'done' | 'error', product, error }] }
+ */
+
+import crypto from 'crypto';
+import { getProduct, ScrapeError } from './productScraper.js';
+import { normalizeProductUrl } from './scrapeCache.js';
+
+// Retailer queue full (429): how often to wait and try a URL again
+const BUSY_RETRIES = 2;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class ScrapeJobQueue {
+  /**
+   * @param {Object} options
+   * @param {number} [options.concurrency] - URLs scraped at once across all jobs
+   * @param {number} [options.maxUrls] - URLs allowed per job
+   * @param {number} [options.maxActivePerUser] - Unfinished jobs a user may have
+   * @param {number} [options.ttlMs] - How long a finished job stays readable
+   * @param {Function} [options.scrape] - (url, options) => Promise<{ product, cache }>
+   */
+  constructor({
+    concurrency = parseInt(process.env.SCRAPE_JOB_CONCURRENCY || '3', 10),
+    maxUrls = parseInt(process.env.SCRAPE_JOB_MAX_URLS || '50', 10),
+    maxActivePerUser = parseInt(process.env.SCRAPE_JOB_MAX_ACTIVE_PER_USER || '2', 10),
+    ttlMs = parseInt(process.env.SCRAPE_JOB_TTL_MS || '3600000', 10),
+    scrape = getProduct,
+  } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxUrls = Math.max(1, maxUrls);
+    this.maxActivePerUser = Math.max(1, maxActivePerUser);
+    this.ttlMs = Math.max(0, ttlMs);
+    this.scrape = scrape;
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} userId - Owner (Supabase auth id)
+   * @param {Array<string>} urls - Product URLs; duplicates (after normalization) are scraped once
+   * @param {Object} [options] - getProduct options (useScrapingApi, useProxy)
+   * @returns {Object} The job (see toJSON)
+   * @throws {ScrapeError} 400 for too many URLs, 429 when the user has too many unfinished jobs
+   */
+  create(userId, urls, options = {}) {
+    const seen = new Set();
+    const unique = [];
+    for (const raw of urls) {
+      const url = String(raw || '').trim();
+      const key = normalizeProductUrl(url) || url;
+      if (!url || seen.has(key)) continue;
+      seen.add(key);
+      unique.push(url);
+    }
+    if (unique.length === 0) throw new ScrapeError('No product URLs given', 400);
+    if (unique.length > this.maxUrls) {
+      throw new ScrapeError(`A batch can have at most ${this.maxUrls} URLs`, 400);
+    }
+    const unfinished = [...this.jobs.values()].filter(job => job.userId === userId && job.status !== 'done');
+    if (unfinished.length >= this.maxActivePerUser) {
+      throw new ScrapeError('Please wait for your current imports to finish', 429);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      status: 'queued',
+      created_at: new Date(),
+      finished_at: null,
+      options: { useScrapingApi: Boolean(options.useScrapingApi), useProxy: Boolean(options.useProxy) },
+      results: unique.map(url => ({ url, status: 'pending', product: null, error: null })),
+    };
+    this.jobs.set(job.id, job);
+    job.results.forEach((result, index) => this.pending.push({ job, index }));
+    this._drain();
+    return this.toJSON(job);
+  }
+
+  /**
+   * A user's job
+   * @param {string} jobId
+   * @param {string} userId
+   * @returns {Object|null} null when missing, expired or someone else's
+   */
+  get(jobId, userId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.userId !== userId) return null;
+    return this.toJSON(job);
+  }
+
+  toJSON(job) {
+    const count = status => job.results.filter(r => r.status === status).length;
+    const succeeded = count('done');
+    const failed = count('error');
+    return {
+      id: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      finished_at: job.finished_at,
+      total: job.results.length,
+      completed: succeeded + failed,
+      succeeded,
+      failed,
+      results: job.results.map(({ url, status, product, error }) => ({ url, status, product, error })),
+    };
+  }
+
+  _drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { job, index } = this.pending.shift();
+      this.active++;
+      job.status = 'running';
+      this._run(job, job.results[index]).finally(() => {
+        this.active--;
+        this._finishIfDone(job);
+        this._drain();
+      });
+    }
+  }
+
+  async _run(job, result) {
+    result.status = 'running';
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { product } = await this.scrape(result.url, job.options);
+        result.product = product;
+        result.status = 'done';
+        return;
+      } catch (error) {
+        const retryAfter = error instanceof ScrapeError && error.status === 429 ? error.extra?.retry_after : null;
+        if (retryAfter && attempt < BUSY_RETRIES) {
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+        result.error = error instanceof ScrapeError ? error.message : 'Failed to scrape product information';
+        result.status = 'error';
+        if (!(error instanceof ScrapeError)) console.error('❌ Batch scrape error:', result.url, error);
+        return;
+      }
+    }
+  }
+
+  _finishIfDone(job) {
+    if (job.status === 'done' || job.results.some(r => r.status === 'pending' || r.status === 'running')) return;
+    job.status = 'done';
+    job.finished_at = new Date();
+    const succeeded = job.results.filter(r => r.status === 'done').length;
+    console.log(`📦 Batch scrape ${job.id} finished: ${succeeded}/${job.results.length} succeeded`);
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.ttlMs);
+    timer.unref?.();
+  }
+
+  stats() {
+    const jobs = [...this.jobs.values()];
+    return {
+      jobs: jobs.length,
+      running: jobs.filter(job => job.status !== 'done').length,
+      active: this.active,
+      queued: this.pending.length,
+    };
+  }
+}
+
+export const scrapeJobs = new ScrapeJobQueue();
+
+export default ScrapeJobQueue;
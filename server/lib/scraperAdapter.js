@@ -1,4 +1,8 @@
-// Use global fetch available in Node 18+
+// Use global fetch available in Node 18+ for scraping APIs; store pages go
+// through safeFetch (urlGuard.js), which refuses private addresses
+import { safeFetch, capResponse, vetUrl, UnsafeFetchError } from './urlGuard.js';
+// SCRAPER_HTTP_MODE=record|replay saves / serves responses (httpRecorder.js)
+import { httpRecorder, MissingRecordingError } from './httpRecorder.js';
 
 // Header rotation: lightweight user-agent variants
 export const USER_AGENTS = [
@@ -42,10 +46,10 @@ export async function fetchAmazonProduct(asin, apiKey) {
   console.log('📦 Using ScrapingBee Amazon Product API for ASIN:', asin);
   
   try {
-    const resp = await fetch(apiUrl, {
+    const resp = await httpRecorder.fetch(`scrapingbee-amazon:${asin}`, 'scrapingbee-amazon', () => fetch(apiUrl, {
       headers: { 'Accept': 'application/json' },
       timeout: parseInt(process.env.SCRAPER_TIMEOUT_MS || '30000', 10)
-    });
+    }));
     
     if (resp.ok) {
       const data = await resp.json();
@@ -115,10 +119,11 @@ export async function fetchViaScrapingApi(targetUrl, provider, apiKey, opts = {}
   }
 
   try {
-    const resp = await fetch(apiUrl, {
+    // Recorded under the page URL; the API URL carries the key
+    const resp = await httpRecorder.fetch(targetUrl, provider, () => fetch(apiUrl, {
       headers: { 'User-Agent': ua, 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' },
       timeout: parseInt(process.env.SCRAPER_TIMEOUT_MS || '10000', 10)
-    });
+    }));
     return resp;
   } catch (err) {
     console.warn('Scraping API fetch error:', err && err.message ? err.message : err);
@@ -135,7 +140,7 @@ export async function tryFetchWithAgent(url, agent, maxAttempts = 3, baseTimeout
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       const ua = USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-      resp = await fetch(url, {
+      resp = await httpRecorder.fetch(url, agent ? 'proxy' : 'direct', () => safeFetch(url, {
         headers: {
           'User-Agent': ua,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -143,7 +148,7 @@ export async function tryFetchWithAgent(url, agent, maxAttempts = 3, baseTimeout
         },
         timeout: baseTimeout,
         agent
-      });
+      }));
 
       if (!resp.ok) {
         if (resp.status >= 500 || resp.status === 429) {
@@ -165,6 +170,8 @@ export async function tryFetchWithAgent(url, agent, maxAttempts = 3, baseTimeout
       return { resp, blockedBody, lastError };
     } catch (err) {
       lastError = err;
+      // Blocked URLs, oversized bodies and wrong content types won't change on retry
+      if (err instanceof UnsafeFetchError || err instanceof MissingRecordingError) return { resp: null, blockedBody, lastError };
       if (attempt < maxAttempts) await sleep(2 ** attempt * 250);
     }
   }
@@ -180,12 +187,19 @@ export async function fetchWithFallback(url, opts = {}) {
   const maxAttempts = parseInt(process.env.SCRAPER_MAX_ATTEMPTS || '3', 10);
   const baseTimeout = parseInt(process.env.SCRAPER_TIMEOUT_MS || '10000', 10);
 
+  // Nothing is fetched (not even through a provider) for private or non-http(s) URLs
+  try {
+    await vetUrl(url, { resolve: !httpRecorder.replaying });
+  } catch (e) {
+    return { response: null, blockedBody: null, lastError: e, usedProvider: false };
+  }
+
   // If requested, try provider first
   if (useScrapingApi) {
     try {
       const apiResp = await fetchViaScrapingApi(url, provider, apiKey, { render_js: false, render: true });
       if (apiResp) {
-        if (apiResp.ok) return { response: apiResp, blockedBody: null, lastError: null, usedProvider: true };
+        if (apiResp.ok) return { response: await capResponse(apiResp), blockedBody: null, lastError: null, usedProvider: true };
         // otherwise fallthrough to direct
         let bodySnippet = '';
         try { const b = await apiResp.text(); bodySnippet = String(b).slice(0, 1000); } catch (e) { bodySnippet = `<unable to read: ${e.message}>`; }
@@ -204,6 +218,7 @@ export async function fetchWithFallback(url, opts = {}) {
 
   // If blocked and proxy configured OR useProxyFlag requested, try proxy
   const proxy = process.env.SCRAPER_PROXY || opts.proxy || null;
+  if (lastError instanceof UnsafeFetchError) return { response: null, blockedBody, lastError, usedProvider: false };
   if ((result.blockedBody || (response && response.status === 403) || useProxyFlag) && proxy) {
     const agent = await buildAgentIfNeeded(proxy);
     if (agent) {
@@ -0,0 +1,232 @@
+/**
+ * Microdata and RDFa extraction
+ * Builds schema.org Product nodes from `itemscope`/`itemprop` microdata and
+ * `typeof`/`property` RDFa markup, shaped like the JSON-LD the scraper
+ * already reads, so one code path handles all three:
+ *
+ *   { '@type': 'Product', name: 'Linen Shirt', brand: { '@type': 'Brand', name: 'Acme' },
+ *     offers: { '@type': 'Offer', price: '49.99', priceCurrency: 'EUR',
+ *               availability: 'https://schema.org/InStock' } }
+ *
+ * A property that appears once is a value, several times an array. URL
+ * values (href/src) are resolved against the page URL.
+ */
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup'];
+// Nested items deeper than this are ignored (and itemref loops end)
+const MAX_DEPTH = 8;
+
+// Elements whose microdata value is a URL attribute rather than their text
+const URL_ATTRIBUTES = {
+  a: 'href', area: 'href', link: 'href',
+  img: 'src', audio: 'src', video: 'src', source: 'src', embed: 'src', iframe: 'src', track: 'src',
+  object: 'data',
+};
+
+// "https://schema.org/Product", "schema:Product", "Product" -> "Product"
+function typeName(value) {
+  const first = String(value || '').trim().split(/\s+/)[0] || '';
+  return first.split(/[/#:]/).pop();
+}
+
+function isProductNode(node) {
+  return PRODUCT_TYPES.includes(node?.['@type']);
+}
+
+function absolute(value, url) {
+  try {
+    return new URL(value, url).href;
+  } catch {
+    return value;
+  }
+}
+
+function cleanText(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+function addProperty(node, name, value) {
+  if (!name || value === '' || value === undefined) return;
+  if (node[name] === undefined) node[name] = value;
+  else if (Array.isArray(node[name])) node[name].push(value);
+  else node[name] = [node[name], value];
+}
+
+// Microdata
+
+function microdataValue($el, tag, url) {
+  if (tag === 'meta') return cleanText($el.attr('content'));
+  if (URL_ATTRIBUTES[tag]) {
+    const value = $el.attr(URL_ATTRIBUTES[tag]);
+    return value ? absolute(value, url) : '';
+  }
+  if (tag === 'data' || tag === 'meter') return cleanText($el.attr('value'));
+  if (tag === 'time') return cleanText($el.attr('datetime') || $el.text());
+  // Many shops put the machine-readable value in `content` on any element
+  const content = $el.attr('content');
+  return cleanText(content !== undefined ? content : $el.text());
+}
+
+function microdataItem($, el, url, depth) {
+  const node = { '@type': typeName($(el).attr('itemtype')) };
+  if (depth > MAX_DEPTH) return node;
+
+  const addFrom = (child) => {
+    const $child = $(child);
+    const names = ($child.attr('itemprop') || '').split(/\s+/).filter(Boolean);
+    if (names.length > 0) {
+      const value = $child.is('[itemscope]')
+        ? microdataItem($, child, url, depth + 1)
+        : microdataValue($child, child.tagName, url);
+      names.forEach(name => addProperty(node, typeName(name), value));
+    }
+    // A nested item's properties belong to it, not to this one
+    if (!$child.is('[itemscope]')) $child.children().each((i, grandchild) => addFrom(grandchild));
+  };
+
+  $(el).children().each((i, child) => addFrom(child));
+  // itemref="id1 id2": properties kept elsewhere in the page
+  for (const id of ($(el).attr('itemref') || '').split(/\s+/).filter(Boolean)) {
+    $(`[id="${id.replace(/"/g, '')}"]`).first().each((i, ref) => addFrom(ref));
+  }
+  return node;
+}
+
+/**
+ * Product nodes from schema.org microdata
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {string} url - Page URL (resolves relative URLs)
+ * @returns {Array<Object>} Outermost Product / ProductGroup items
+ */
+export function extractMicrodata($, url) {
+  const products = [];
+  $('[itemscope][itemtype]').each((i, el) => {
+    if (!PRODUCT_TYPES.includes(typeName($(el).attr('itemtype')))) return;
+    // Variants nested in a product are read as part of it
+    const insideProduct = $(el).parents('[itemscope][itemtype]').toArray()
+      .some(parent => PRODUCT_TYPES.includes(typeName($(parent).attr('itemtype'))));
+    if (!insideProduct) products.push(microdataItem($, el, url, 0));
+  });
+  return products;
+}
+
+// RDFa
+
+// "name", "schema:price" or "http://schema.org/price" -> schema.org property name;
+// other vocabularies ("og:title", "dc:creator") -> ''
+function rdfaName(value) {
+  if (/^https?:\/\/schema\.org\//i.test(value)) return value.replace(/^https?:\/\/schema\.org\//i, '');
+  if (value.startsWith('schema:')) return value.slice('schema:'.length);
+  return value.includes(':') ? '' : value;
+}
+
+function rdfaValue($el, url) {
+  const content = $el.attr('content');
+  if (content !== undefined) return cleanText(content);
+  const link = $el.attr('resource') || $el.attr('href') || $el.attr('src');
+  if (link) return absolute(link, url);
+  if ($el.is('time[datetime]')) return cleanText($el.attr('datetime'));
+  return cleanText($el.text());
+}
+
+function rdfaItem($, el, url, depth) {
+  const node = { '@type': typeName($(el).attr('typeof')) };
+  if (depth > MAX_DEPTH) return node;
+
+  const addFrom = (child) => {
+    const $child = $(child);
+    const names = ($child.attr('property') || '').split(/\s+/).map(rdfaName).filter(Boolean);
+    if (names.length > 0) {
+      const value = $child.is('[typeof]')
+        ? rdfaItem($, child, url, depth + 1)
+        : rdfaValue($child, url);
+      names.forEach(name => addProperty(node, name, value));
+    }
+    if (!$child.is('[typeof]')) $child.children().each((i, grandchild) => addFrom(grandchild));
+  };
+
+  $(el).children().each((i, child) => addFrom(child));
+  return node;
+}
+
+/**
+ * Product nodes from schema.org RDFa (vocab="https://schema.org/" or the schema: prefix)
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {string} url - Page URL (resolves relative URLs)
+ * @returns {Array<Object>} Outermost Product / ProductGroup items
+ */
+export function extractRdfa($, url) {
+  const products = [];
+  $('[typeof]').each((i, el) => {
+    if (!PRODUCT_TYPES.includes(typeName($(el).attr('typeof')))) return;
+    const insideProduct = $(el).parents('[typeof]').toArray()
+      .some(parent => PRODUCT_TYPES.includes(typeName($(parent).attr('typeof'))));
+    if (!insideProduct) products.push(rdfaItem($, el, url, 0));
+  });
+  return products;
+}
+
+// Merging
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Copy of `target` with gaps filled from `source`; nested objects (offers, brand) are filled too
+function fillGaps(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (isEmpty(merged[key])) merged[key] = value;
+    else if (isPlainObject(merged[key]) && isPlainObject(value)) merged[key] = fillGaps(merged[key], value);
+  }
+  return merged;
+}
+
+function sameProduct(a, b) {
+  if (a.sku && b.sku) return String(a.sku) === String(b.sku);
+  if (a.name && b.name) return cleanText(a.name).toLowerCase() === cleanText(b.name).toLowerCase();
+  return false;
+}
+
+/**
+ * Merge DOM products (microdata / RDFa) into JSON-LD products
+ * A DOM product describing a JSON-LD product (same sku or name, or the only
+ * one of each on the page) fills in what the JSON-LD lacks; JSON-LD values win.
+ * Others are appended.
+ * @param {Array<Object>} primary - JSON-LD Product nodes
+ * @param {Array<Object>} extra - Microdata / RDFa Product nodes, in priority order
+ * @returns {Array<Object>}
+ */
+export function mergeStructuredProducts(primary, extra) {
+  const merged = [...primary];
+  for (const product of extra) {
+    let index = merged.findIndex(existing => sameProduct(existing, product));
+    if (index < 0 && merged.length === 1 && extra.length === 1) index = 0;
+    if (index >= 0) merged[index] = fillGaps(merged[index], product);
+    else merged.push(product);
+  }
+  return merged;
+}
+
+/**
+ * Every Product node on a page: JSON-LD first, then microdata, then RDFa
+ * @param {import('cheerio').CheerioAPI} $ - Loaded page
+ * @param {string} url - Page URL
+ * @param {Array<Object>} jsonLdProducts - Product nodes already read from JSON-LD
+ * @returns {Array<Object>}
+ */
+export function structuredProducts($, url, jsonLdProducts = []) {
+  const domProducts = mergeStructuredProducts(extractMicrodata($, url), extractRdfa($, url));
+  return mergeStructuredProducts(jsonLdProducts, domProducts).filter(isProductNode);
+}
+
+export default {
+  extractMicrodata,
+  extractRdfa,
+  mergeStructuredProducts,
+  structuredProducts
+};
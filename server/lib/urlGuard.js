@@ -0,0 +1,338 @@
+/**
+ * Outbound URL guard
+ * Keeps the scraper from being pointed at our own network (SSRF): only
+ * http(s) URLs whose host resolves to public addresses are fetched. The
+ * check runs again at connect time (a DNS lookup that changes between the
+ * check and the request is caught) and on every redirect hop, and response
+ * bodies are capped in size and limited to page-like content types.
+ *
+ * Through SCRAPER_PROXY the proxy, not this server, resolves the target host:
+ * each URL is still vetted (resolved and checked) before it is handed to the
+ * proxy, but only a proxy that refuses private destinations itself closes the
+ * gap of a DNS answer that changes in between.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+
+export const MAX_RESPONSE_BYTES = parseInt(process.env.SCRAPER_MAX_RESPONSE_BYTES || '5000000', 10);
+export const MAX_REDIRECTS = parseInt(process.env.SCRAPER_MAX_REDIRECTS || '5', 10);
+
+// Content types a product page (or a store's product JSON) is served as
+export const PAGE_CONTENT_TYPES = [
+  'text/html', 'application/xhtml+xml', 'text/xml', 'application/xml', 'text/plain',
+  'application/json', 'application/ld+json',
+];
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const NO_BODY_STATUSES = new Set([204, 205, 304]);
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges.
+// IPv6 addresses that carry an IPv4 address (see embeddedIPv4) are checked against the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8], ['2001:db8::', 32],
+  ['64:ff9b:1::', 48], // Local-use NAT64, translated to addresses on the operator's own network
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+export class UnsafeFetchError extends Error {
+  /**
+   * @param {string} message - Safe to show clients
+   * @param {number} status - HTTP status for route handlers
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The eight 16-bit groups of an IPv6 address (which may end in dotted IPv4)
+function ipv6Groups(address) {
+  let text = address.split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const left = parse(head);
+  if (tail === undefined) return left;
+  const right = parse(tail);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+function groupsToIPv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * The IPv4 address an IPv6 address reaches, for the forms that embed one:
+ * IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d), NAT64
+ * (64:ff9b::a.b.c.d), 6to4 (2002:AABB:CCDD::) and Teredo (2001:0::, client
+ * address inverted in the last 32 bits)
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Dotted IPv4, or null when none is embedded
+ */
+function embeddedIPv4(address) {
+  const g = ipv6Groups(address);
+  const zeros = (from, to) => g.slice(from, to).every(group => group === 0);
+
+  if (zeros(0, 5) && (g[5] === 0xffff || g[5] === 0)) return groupsToIPv4(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6)) return groupsToIPv4(g[6], g[7]);
+  if (g[0] === 0x2002) return groupsToIPv4(g[1], g[2]);
+  if (g[0] === 0x2001 && g[1] === 0) return groupsToIPv4(g[6] ^ 0xffff, g[7] ^ 0xffff);
+  return null;
+}
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4')) return false;
+  if (family === 4) return true;
+
+  const ipv4 = embeddedIPv4(address);
+  return ipv4 === null || !blockedAddresses.check(ipv4, 'ipv4');
+}
+
+// dns.lookup replacement for http.request: refuses hosts with any non-public address
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return callback(new UnsafeFetchError(`Refusing to fetch ${hostname}: it resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a URL before fetching it: http(s) only, and every address its host
+ * resolves to must be public
+ * @param {string} url
+ * @param {Object} options
+ * @param {boolean} [options.resolve] - Look the host up in DNS (off for offline replay)
+ * @returns {Promise<URL>}
+ * @throws {UnsafeFetchError}
+ */
+export async function vetUrl(url, { resolve = true } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UnsafeFetchError('Invalid URL format');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new UnsafeFetchError('Only http and https URLs can be fetched');
+  }
+  if (parsed.username || parsed.password) {
+    throw new UnsafeFetchError('URLs with credentials cannot be fetched');
+  }
+
+  // URL() has already normalized IP literals ("0x7f.1", "2130706433" -> "127.0.0.1")
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (!isPublicAddress(hostname)) throw new UnsafeFetchError(`Refusing to fetch ${hostname}: private address`);
+    return parsed;
+  }
+  if (hostname === 'localhost' || /\.(localhost|local|internal)$/i.test(hostname)) {
+    throw new UnsafeFetchError(`Refusing to fetch ${hostname}: private host`);
+  }
+  if (!resolve) return parsed;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new UnsafeFetchError(`Could not resolve ${hostname}`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+    throw new UnsafeFetchError(`Refusing to fetch ${hostname}: it resolves to a private address`);
+  }
+  return parsed;
+}
+
+function mediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function tooLarge(maxBytes) {
+  return new UnsafeFetchError(`Response is larger than ${maxBytes} bytes`, 413);
+}
+
+function decoderFor(encoding) {
+  switch (String(encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+// Decoded body of an http.IncomingMessage, failing once it passes maxBytes
+function readBody(res, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const decoder = decoderFor(res.headers['content-encoding']);
+    const stream = decoder ? res.pipe(decoder) : res;
+    const chunks = [];
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        res.destroy();
+        stream.destroy();
+        reject(tooLarge(maxBytes));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    res.on('error', reject);
+  });
+}
+
+function request(url, { headers, timeout, agent }) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'GET',
+      headers: { 'Accept-Encoding': 'gzip, deflate, br', ...headers },
+      agent: agent || undefined,
+      // A proxy agent connects to the configured proxy, which resolves the target itself;
+      // the target was vetted by safeFetch just before this hop
+      lookup: agent ? undefined : guardedLookup,
+      timeout,
+    }, resolve);
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function responseHeaders(raw) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(raw)) {
+    // The body handed back is already decoded
+    if (name === 'content-encoding' || name === 'content-length') continue;
+    for (const item of Array.isArray(value) ? value : [value]) headers.append(name, item);
+  }
+  return headers;
+}
+
+/**
+ * GET a URL with the SSRF checks applied to it and to each redirect
+ * @param {string} url
+ * @param {Object} options
+ * @param {Object} [options.headers] - Request headers
+ * @param {number} [options.timeout] - Per-hop socket timeout (ms)
+ * @param {import('http').Agent} [options.agent] - e.g. a proxy agent (see the note on SCRAPER_PROXY above)
+ * @param {number} [options.maxRedirects]
+ * @param {number} [options.maxBytes] - Largest decoded body accepted
+ * @param {Array<string>|null} [options.contentTypes] - Accepted media types for 2xx responses (null: any)
+ * @returns {Promise<Response>} A fetch Response with the body already read
+ * @throws {UnsafeFetchError} For blocked URLs or hops, oversized bodies and other content types
+ */
+export async function safeFetch(url, {
+  headers = {},
+  timeout = 10000,
+  agent = null,
+  maxRedirects = MAX_REDIRECTS,
+  maxBytes = MAX_RESPONSE_BYTES,
+  contentTypes = PAGE_CONTENT_TYPES,
+} = {}) {
+  let current = await vetUrl(url);
+
+  for (let hop = 0; ; hop++) {
+    const res = await request(current, { headers, timeout, agent });
+
+    if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+      res.resume();
+      if (hop >= maxRedirects) throw new UnsafeFetchError(`Too many redirects (more than ${maxRedirects})`, 502);
+      current = await vetUrl(new URL(res.headers.location, current).href);
+      continue;
+    }
+
+    const ok = res.statusCode >= 200 && res.statusCode < 300;
+    const type = mediaType(res.headers['content-type']);
+    if (ok && type && contentTypes && !contentTypes.includes(type)) {
+      res.destroy();
+      throw new UnsafeFetchError(`Unsupported content type: ${type}`, 415);
+    }
+    const declaredLength = parseInt(res.headers['content-length'] || '0', 10);
+    if (declaredLength > maxBytes) {
+      res.destroy();
+      throw tooLarge(maxBytes);
+    }
+
+    const body = await readBody(res, maxBytes);
+    return new Response(NO_BODY_STATUSES.has(res.statusCode) ? null : body, {
+      status: res.statusCode,
+      statusText: res.statusMessage,
+      headers: responseHeaders(res.headers),
+    });
+  }
+}
+
+/**
+ * Read a fetch Response (e.g. from a scraping API) with the same size cap
+ * @param {Response} response
+ * @param {number} [maxBytes]
+ * @returns {Promise<Response>} Copy with the body already read
+ * @throws {UnsafeFetchError} 413 when the body is too large
+ */
+export async function capResponse(response, maxBytes = MAX_RESPONSE_BYTES) {
+  if (parseInt(response.headers.get('content-length') || '0', 10) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge(maxBytes);
+  }
+  const chunks = [];
+  let size = 0;
+  if (response.body) {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        throw tooLarge(maxBytes);
+      }
+      chunks.push(chunk);
+    }
+  }
+  return new Response(NO_BODY_STATUSES.has(response.status) ? null : Buffer.concat(chunks), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+export default {
+  MAX_RESPONSE_BYTES,
+  MAX_REDIRECTS,
+  PAGE_CONTENT_TYPES,
+  UnsafeFetchError,
+  isPublicAddress,
+  vetUrl,
+  safeFetch,
+  capResponse
+};
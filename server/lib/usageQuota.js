@@ -0,0 +1,116 @@
+/**
+ * Per-user daily usage quotas
+ * Counts uses per user and key (e.g. a background removal provider) for the
+ * current UTC day. Counts live in memory, so they reset on restart as well
+ * as at midnight UTC. A limit of 0 means unlimited.
+ */
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextMidnight() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+}
+
+export class UsageQuota {
+  /**
+   * @param {Object} limits - Uses per user per day by key, e.g. { removebg: 10 }
+   */
+  constructor(limits = {}) {
+    this.limits = limits;
+    this.day = today();
+    this.counts = new Map();
+  }
+
+  _rollover() {
+    const current = today();
+    if (current !== this.day) {
+      this.day = current;
+      this.counts.clear();
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} key
+   * @returns {Object} { limit, used, remaining, resets_at } (limit/remaining null when unlimited)
+   */
+  status(userId, key) {
+    this._rollover();
+    const limit = this.limits[key] || 0;
+    const used = this.counts.get(`${userId}:${key}`) || 0;
+    return {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      resets_at: nextMidnight().toISOString(),
+    };
+  }
+
+  /**
+   * Whether the user has a use left today
+   * @param {string} userId
+   * @param {string} key
+   */
+  allows(userId, key) {
+    const { remaining } = this.status(userId, key);
+    return remaining === null || remaining > 0;
+  }
+
+  /**
+   * Count one use
+   * @param {string} userId
+   * @param {string} key
+   * @returns {Object} The new status
+   */
+  consume(userId, key) {
+    this._rollover();
+    const id = `${userId}:${key}`;
+    this.counts.set(id, (this.counts.get(id) || 0) + 1);
+    return this.status(userId, key);
+  }
+
+  /**
+   * Count one use if the user has one left today, in the same step as the
+   * check, so concurrent callers can't both take the last use
+   * @param {string} userId
+   * @param {string} key
+   * @returns {boolean} false when the quota is used up
+   */
+  reserve(userId, key) {
+    if (!this.allows(userId, key)) return false;
+    this.consume(userId, key);
+    return true;
+  }
+
+  /**
+   * Give back a reserved use (the call it was reserved for failed)
+   * @param {string} userId
+   * @param {string} key
+   */
+  refund(userId, key) {
+    this._rollover();
+    const id = `${userId}:${key}`;
+    const used = this.counts.get(id) || 0;
+    if (used > 1) this.counts.set(id, used - 1);
+    else this.counts.delete(id);
+  }
+
+  stats() {
+    this._rollover();
+    const uses = {};
+    const users = new Set();
+    for (const [id, count] of this.counts) {
+      const separator = id.lastIndexOf(':');
+      users.add(id.slice(0, separator));
+      const key = id.slice(separator + 1);
+      uses[key] = (uses[key] || 0) + count;
+    }
+    return { day: this.day, limits: this.limits, users: users.size, uses };
+  }
+}
+
+export default UsageQuota;
@@ -0,0 +1,62 @@
+/**
+ * Username lookups
+ * Usernames are shown as typed but looked up case-insensitively: user
+ * documents carry `username_lower`, kept in step with `username` wherever it
+ * is written, and every lookup by name goes through it.
+ *
+ *   { username: 'Alice', username_lower: 'alice', ... }
+ */
+
+/**
+ * Fields to $set alongside a new username
+ * @param {string} username
+ * @returns {Object} { username, username_lower }
+ */
+export function usernameFields(username) {
+  return { username, username_lower: username.toLowerCase() };
+}
+
+/**
+ * Filter matching a username regardless of case
+ * @param {string} username
+ */
+export function usernameFilter(username) {
+  return { username_lower: username.toLowerCase() };
+}
+
+/**
+ * Create the index used by username lookups (safe to call on every connect)
+ * @param {import('mongodb').Db} db
+ */
+export async function ensureUsernameIndexes(db) {
+  await db.collection('users').createIndex({ username_lower: 1 });
+}
+
+/**
+ * Fill in `username_lower` on users saved before it existed. Safe to run repeatedly.
+ * @param {import('mongodb').Db} db
+ * @returns {Promise<number>} Number of users updated
+ */
+export async function migrateUsernameKeys(db) {
+  const usersCollection = db.collection('users');
+  const users = await usersCollection
+    .find({ username: { $exists: true }, username_lower: { $exists: false } }, { projection: { username: 1 } })
+    .toArray();
+
+  let migrated = 0;
+  for (const user of users) {
+    if (typeof user.username !== 'string') continue;
+    await usersCollection.updateOne({ _id: user._id }, { $set: { username_lower: user.username.toLowerCase() } });
+    migrated++;
+  }
+
+  if (migrated > 0) console.log(`👤 Added lowercase usernames to ${migrated} users`);
+  return migrated;
+}
+
+export default {
+  usernameFields,
+  usernameFilter,
+  ensureUsernameIndexes,
+  migrateUsernameKeys
+};
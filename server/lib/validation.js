@@ -0,0 +1,252 @@
+/**
+ * Request validation
+ * Declarative schemas for write endpoints. Each schema maps field names to
+ * field definitions built with `fields.*`; `validateBody(schema)` coerces
+ * req.body to the declared types, drops unknown fields and rejects bad
+ * payloads with a consistent 400 body:
+ *
+ *   { error: 'Validation failed', fields: [{ field: 'tags[2]', message: 'must be a string' }] }
+ */
+
+import { ObjectId } from 'mongodb';
+import { parseAmount } from './currency.js';
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+// "$1,299.99", "£49.99", "49.99", "49,99 €", "1.299,00"
+const PRICE_PATTERN = /^([$€£¥₹₩]|[A-Z]{3})?\s*(\d{1,3}([,.\s]\d{3})*([.,]\d{1,2})?|\d+([.,]\d+)?)\s*([$€£¥₹₩]|[A-Z]{3}|kr)?$/;
+// "32", "32.5", "32in", "81 cm", "5'10\"", "5' 10"
+const MEASUREMENT_PATTERN = /^(\d+(\.\d+)?\s*(in|inch|inches|cm|mm|m|ft|")?|\d+'\s*(\d+(\.\d+)?"?)?)$/i;
+
+class FieldError extends Error {}
+
+function fail(message) {
+  throw new FieldError(message);
+}
+
+/**
+ * Build a field definition
+ * @param {Function} parse - (value, path, issues) => coerced value; throws FieldError on failure
+ * @param {Object} options - required, nullable, default
+ */
+function field(parse, { required = false, nullable = false, default: defaultValue } = {}) {
+  return { parse, required, nullable, default: defaultValue };
+}
+
+export const fields = {
+  string({ min = 0, max = 10000, trim = true, lowercase = false, pattern, enum: allowed, ...options } = {}) {
+    return field((value) => {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') fail('must be a string');
+      if (trim) value = value.trim();
+      if (lowercase) value = value.toLowerCase();
+      if (options.required && value.length === 0) fail('is required');
+      if (value.length < min) fail(`must be at least ${min} characters`);
+      if (value.length > max) fail(`must be at most ${max} characters`);
+      if (pattern && !pattern.test(value)) fail(options.patternMessage || 'has an invalid format');
+      if (allowed && !allowed.includes(value)) fail(`must be one of: ${allowed.join(', ')}`);
+      return value;
+    }, options);
+  },
+
+  number({ min, max, integer = false, ...options } = {}) {
+    return field((value) => {
+      if (typeof value === 'string' && NUMERIC_PATTERN.test(value.trim())) value = Number(value.trim());
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('must be a number');
+      if (integer && !Number.isInteger(value)) fail('must be an integer');
+      if (min !== undefined && value < min) fail(`must be at least ${min}`);
+      if (max !== undefined && value > max) fail(`must be at most ${max}`);
+      return value;
+    }, options);
+  },
+
+  // Accepts numbers or price strings with an optional currency symbol/code, thousands
+  // separators and a decimal point or comma
+  price({ max = 1000000, ...options } = {}) {
+    return field((value) => {
+      if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed === '') return 0;
+        if (!PRICE_PATTERN.test(trimmed)) fail('must be a price like 49.99');
+        value = parseAmount(trimmed);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail('must be a price like 49.99');
+      if (value < 0) fail('must not be negative');
+      if (value > max) fail(`must be at most ${max}`);
+      return Math.round(value * 100) / 100;
+    }, options);
+  },
+
+  // ISO 4217 code, e.g. "EUR" (case-insensitive in, upper case out)
+  currency(options = {}) {
+    return field((value) => {
+      if (typeof value !== 'string') fail('must be a currency code like USD');
+      const code = value.trim().toUpperCase();
+      if (code === '') return '';
+      if (!/^[A-Z]{3}$/.test(code)) fail('must be a currency code like USD');
+      return code;
+    }, options);
+  },
+
+  // Body measurement typed by the user, e.g. "32in", "81 cm" or 5'10"
+  measurement(options = {}) {
+    return field((value) => {
+      if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value <= 0) fail('must be a positive measurement');
+        return String(value);
+      }
+      if (typeof value !== 'string') fail('must be a measurement like 32in or 81cm');
+      const trimmed = value.trim().replace(/\s+/g, ' ');
+      if (trimmed === '') return '';
+      if (!MEASUREMENT_PATTERN.test(trimmed)) fail('must be a measurement like 32in or 81cm');
+      return trimmed;
+    }, options);
+  },
+
+  boolean(options = {}) {
+    return field((value) => {
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      if (typeof value !== 'boolean') fail('must be true or false');
+      return value;
+    }, options);
+  },
+
+  // ISO date string or Date; returns an ISO string unless asDate is set
+  date({ asDate = false, ...options } = {}) {
+    return field((value) => {
+      if (!(value instanceof Date) && typeof value !== 'string' && typeof value !== 'number') fail('must be a date');
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) fail('must be a valid date');
+      return asDate ? date : date.toISOString();
+    }, options);
+  },
+
+  url({ protocols = ['http:', 'https:'], allowEmpty = true, max = 2048, ...options } = {}) {
+    return field((value) => {
+      if (typeof value !== 'string') fail('must be a URL');
+      const trimmed = value.trim();
+      if (trimmed === '' && allowEmpty && !options.required) return '';
+      if (trimmed.length > max) fail(`must be at most ${max} characters`);
+      let parsed;
+      try {
+        parsed = new URL(trimmed);
+      } catch {
+        fail('must be a valid URL');
+      }
+      if (!protocols.includes(parsed.protocol)) fail(`must use ${protocols.map(p => p.replace(':', '')).join(' or ')}`);
+      return trimmed;
+    }, options);
+  },
+
+  objectId(options = {}) {
+    return field((value) => {
+      if (value instanceof ObjectId) return value.toHexString();
+      if (typeof value !== 'string' || !ObjectId.isValid(value) || value.length !== 24) fail('must be a valid id');
+      return value;
+    }, options);
+  },
+
+  /**
+   * Array of values matching `item`
+   * @param {Object} item - Field definition for each element
+   * @param {Object} options - min, max, fromString (split comma-separated strings)
+   */
+  array(item, { min = 0, max = 500, fromString = false, ...options } = {}) {
+    return field((value, path, issues) => {
+      if (typeof value === 'string' && fromString) {
+        value = value.split(',').map(s => s.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value)) fail('must be an array');
+      if (value.length < min) fail(`must contain at least ${min} entries`);
+      if (value.length > max) fail(`must contain at most ${max} entries`);
+      return value.map((el, i) => parseField(item, el, `${path}[${i}]`, issues));
+    }, options);
+  },
+
+  object(shape, options = {}) {
+    return field((value, path, issues) => {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) fail('must be an object');
+      return parseShape(shape, value, { prefix: `${path}.`, issues });
+    }, options);
+  },
+
+  // Escape hatch for fields whose shape is not fixed (e.g. array entries that may be ids or objects)
+  custom(parse, options = {}) {
+    return field((value) => {
+      try {
+        return parse(value);
+      } catch (error) {
+        fail(error.message);
+      }
+    }, options);
+  },
+};
+
+function parseField(definition, value, path, issues) {
+  if (value === null && definition.nullable) return null;
+  try {
+    return definition.parse(value, path, issues);
+  } catch (error) {
+    if (!(error instanceof FieldError)) throw error;
+    issues.push({ field: path, message: error.message });
+    return undefined;
+  }
+}
+
+function parseShape(shape, input, { partial = false, prefix = '', issues }) {
+  const output = {};
+  for (const [name, definition] of Object.entries(shape)) {
+    const path = `${prefix}${name}`;
+    const value = input[name];
+
+    if (value === undefined || (value === null && !definition.nullable)) {
+      if (!partial && definition.required) {
+        issues.push({ field: path, message: 'is required' });
+      } else if (!partial && definition.default !== undefined) {
+        output[name] = typeof definition.default === 'function' ? definition.default() : definition.default;
+      }
+      continue;
+    }
+
+    const parsed = parseField(definition, value, path, issues);
+    if (parsed !== undefined) output[name] = parsed;
+  }
+  return output;
+}
+
+/**
+ * Validate and coerce a payload against a schema
+ * @param {Object} schema - Map of field name to field definition
+ * @param {Object} input - Raw payload
+ * @param {Object} options
+ * @param {boolean} options.partial - Skip required/default handling (for updates)
+ * @returns {{ value: Object, errors: Array<{field: string, message: string}> }}
+ */
+export function validate(schema, input, { partial = false } = {}) {
+  const issues = [];
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: {}, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+  }
+  const value = parseShape(schema, input, { partial, issues });
+  return { value, errors: issues };
+}
+
+/**
+ * Express middleware: replace req.body with the validated payload or respond 400
+ */
+export function validateBody(schema, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {}, options);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+    req.body = value;
+    next();
+  };
+}
+
+export default {
+  fields,
+  validate,
+  validateBody
+};
@@ -0,0 +1,173 @@
+/**
+ * Wishlist alert rules
+ * Each wishlist item carries an `alerts` array of rules the owner wants to be
+ * told about:
+ *
+ *   { _id, type: 'target_price', target_price: 60 }
+ *   { _id, type: 'percent_drop', percent: 20, base_price: 80 }
+ *   { _id, type: 'back_in_stock', size: 'M', color: '' }
+ *
+ * plus { active, triggered, triggered_at, created_at }. Rules are evaluated
+ * against every fresh scrape result. A rule fires once when its condition
+ * becomes true and re-arms when the condition stops holding (price goes back
+ * up, size sells out again), so a rule never fires twice for the same event.
+ */
+
+import { ObjectId } from 'mongodb';
+
+export const ALERT_TYPES = {
+  TARGET_PRICE: 'target_price',
+  PERCENT_DROP: 'percent_drop',
+  BACK_IN_STOCK: 'back_in_stock',
+};
+
+export const MAX_ALERTS_PER_ITEM = 10;
+
+function sameOption(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// true / false, or null when the variant's stock wasn't on the page
+function isAvailable(entry) {
+  if (typeof entry.available === 'boolean') return entry.available;
+  if (entry.availability === 'in_stock') return true;
+  if (entry.availability === 'out_of_stock') return false;
+  return null;
+}
+
+/**
+ * Whether the scraped product is available in the rule's size/color
+ * @param {Object} product - Scrape result ({ availability, variants: [{ size, color, available }] })
+ * @param {Object} rule - back_in_stock rule
+ * @returns {boolean|null} null when the page did not say
+ */
+export function variantAvailability(product, { size, color }) {
+  if (!product) return null;
+
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  if (variants.length > 0) {
+    const matching = variants.filter(v =>
+      (!size || sameOption(v.size, size)) && (!color || sameOption(v.color, color))
+    );
+    const known = matching.map(isAvailable).filter(a => a !== null);
+    if (known.includes(true)) return true;
+    // Unknown stock for every match tells us nothing; no match at all means not offered
+    return matching.length > 0 && known.length === 0 ? null : false;
+  }
+
+  // Without variant data only "any size, any color" can be answered
+  if (size || color) return null;
+  if (product.availability === 'in_stock') return true;
+  if (product.availability === 'out_of_stock') return false;
+  return null;
+}
+
+/**
+ * Whether a rule's condition holds for a scrape result
+ * @param {Object} rule
+ * @param {Object} result - { price, product }
+ * @returns {boolean|null} null when the result doesn't tell us
+ */
+export function ruleMatches(rule, { price, product }) {
+  switch (rule.type) {
+    case ALERT_TYPES.TARGET_PRICE:
+      if (!(price > 0)) return null;
+      return price <= rule.target_price;
+    case ALERT_TYPES.PERCENT_DROP:
+      if (!(price > 0) || !(rule.base_price > 0)) return null;
+      return ((rule.base_price - price) / rule.base_price) * 100 >= rule.percent;
+    case ALERT_TYPES.BACK_IN_STOCK:
+      return variantAvailability(product, rule);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a rule from validated input
+ * @param {Object} input - { type, target_price, percent, size, color }
+ * @param {Object} item - Wishlist item the rule is for
+ * @returns {Object} Rule ready to be pushed onto item.alerts
+ */
+export function createAlertRule({ type, target_price, percent, size, color }, item) {
+  const rule = {
+    _id: new ObjectId(),
+    type,
+    active: true,
+    triggered: false,
+    triggered_at: null,
+    created_at: new Date(),
+  };
+
+  if (type === ALERT_TYPES.TARGET_PRICE) rule.target_price = target_price;
+  if (type === ALERT_TYPES.PERCENT_DROP) {
+    rule.percent = percent;
+    // Drops are measured from the price when the rule was created
+    rule.base_price = item.estimatedPrice || item.originalPrice || 0;
+  }
+  if (type === ALERT_TYPES.BACK_IN_STOCK) {
+    rule.size = size || '';
+    rule.color = color || '';
+  }
+  return rule;
+}
+
+/**
+ * Check which of an item's rules fire for a scrape result
+ * @param {Object} item - Wishlist item (with alerts)
+ * @param {Object} result - { price, product }
+ * @returns {Object} { fired: rules that fired, changes: [{ rule, triggered }] }
+ */
+export function evaluateAlertRules(item, result) {
+  const fired = [];
+  const changes = [];
+
+  for (const rule of Array.isArray(item.alerts) ? item.alerts : []) {
+    if (rule.active === false) continue;
+
+    const matches = ruleMatches(rule, result);
+    if (matches === null) continue;
+
+    if (matches && !rule.triggered) {
+      fired.push(rule);
+      changes.push({ rule, triggered: true });
+    } else if (!matches && rule.triggered) {
+      changes.push({ rule, triggered: false });
+    }
+  }
+
+  return { fired, changes };
+}
+
+/**
+ * Evaluate an item's rules and store their new state
+ * @param {import('mongodb').Db} db
+ * @param {Object} item - Wishlist item as it was before the check
+ * @param {Object} result - { price, product }
+ * @returns {Promise<Array>} Rules that fired
+ */
+export async function applyAlertRules(db, item, result) {
+  const { fired, changes } = evaluateAlertRules(item, result);
+  const wishlist = db.collection('wishlist_items');
+
+  for (const { rule, triggered } of changes) {
+    const set = { 'alerts.$.triggered': triggered };
+    if (triggered) {
+      set['alerts.$.triggered_at'] = new Date();
+      set['alerts.$.triggered_price'] = result.price ?? null;
+    }
+    await wishlist.updateOne({ _id: item._id, 'alerts._id': rule._id }, { $set: set });
+  }
+
+  return fired;
+}
+
+export default {
+  ALERT_TYPES,
+  MAX_ALERTS_PER_ITEM,
+  variantAvailability,
+  ruleMatches,
+  createAlertRule,
+  evaluateAlertRules,
+  applyAlertRules
+};
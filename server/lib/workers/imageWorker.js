@@ -0,0 +1,28 @@
+/**
+ * Image Worker
+ * Runs CPU image transforms (lib/imageTransforms.js) off the event loop, one
+ * message at a time. Started by lib/imageWorkerPool.js.
+ *
+ *   in:  { id, task, buffer (Uint8Array), options }
+ *   out: { id, result: { contentType, buffer (transferred), ...details } }
+ *        or { id, error: { message, status } }
+ */
+
+import { parentPort } from 'worker_threads';
+import { IMAGE_TRANSFORMS } from '../imageTransforms.js';
+
+parentPort.on('message', ({ id, task, buffer, options }) => {
+  try {
+    const transform = IMAGE_TRANSFORMS[task];
+    if (!transform) {
+      throw new Error(`Unknown image task: ${task}`);
+    }
+
+    const result = transform(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length), options);
+    // Copy into a buffer of its own so only the result is transferred
+    const output = new Uint8Array(result.buffer);
+    parentPort.postMessage({ id, result: { ...result, buffer: output } }, [output.buffer]);
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message || 'Image processing failed', status: error.status || null } });
+  }
+});
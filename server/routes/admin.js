@@ -0,0 +1,234 @@
+import express from 'express';
+import { fields, validateBody } from '../lib/validation.js';
+import { ROLES, grantableRoles, permissionsFor } from '../lib/roles.js';
+import {
+  RULE_FIELDS,
+  validateRuleSet,
+  listRuleSets,
+  getRuleSet,
+  findRuleSet,
+  saveCustomRuleSet,
+  deleteCustomRuleSet,
+  testRuleSet
+} from '../lib/retailerRules.js';
+import { scrapeCache } from '../lib/productScraper.js';
+
+const grantSchema = {
+  role: fields.string({ required: true, enum: [ROLES.ADMIN, ROLES.MODERATOR] }),
+};
+
+const ruleTestSchema = {
+  html: fields.string({ required: true, trim: false, max: 5 * 1024 * 1024 }),
+  url: fields.url({ required: true }),
+  retailer: fields.string({ max: 50 }),
+  rules: fields.custom(value => value),
+};
+
+// Fields returned for users in admin listings
+const adminUserProjection = {
+  auth_id: 1,
+  username: 1,
+  email: 1,
+  avatar_url: 1,
+  roles: 1,
+  roles_updated_at: 1,
+  roles_updated_by: 1,
+  created_at: 1,
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mounted behind requireRole(ROLES.ADMIN) in server/index.js
+export default function adminRoutes(db) {
+  const router = express.Router();
+  const usersCollection = db.collection('users');
+
+  // GET /api/admin/me - Roles, permissions and grantable roles for the current user
+  router.get('/me', (req, res) => {
+    res.json({
+      roles: req.user.roles,
+      permissions: permissionsFor(req.user.roles),
+      grantable_roles: grantableRoles(req.user),
+    });
+  });
+
+  // GET /api/admin/users - Search users, or list staff (users with any role) when no query is given
+  // Query: q (username/email), role
+  router.get('/users', async (req, res) => {
+    try {
+      const { q, role } = req.query;
+      const filter = {};
+
+      if (role) {
+        if (!Object.values(ROLES).includes(role)) {
+          return res.status(400).json({ error: `role must be one of: ${Object.values(ROLES).join(', ')}` });
+        }
+        filter.roles = role;
+      } else if (!q) {
+        filter.roles = { $in: Object.values(ROLES) };
+      }
+
+      if (q) {
+        const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+        filter.$or = [{ username: pattern }, { email: pattern }];
+      }
+
+      const users = await usersCollection
+        .find(filter, { projection: adminUserProjection })
+        .sort({ username: 1 })
+        .limit(50)
+        .toArray();
+
+      res.json(users);
+    } catch (error) {
+      console.error('Error listing users for admin:', error);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  // POST /api/admin/users/:authId/roles - Grant a role
+  router.post('/users/:authId/roles', validateBody(grantSchema), async (req, res) => {
+    try {
+      const { authId } = req.params;
+      const { role } = req.body;
+
+      if (!grantableRoles(req.user).includes(role)) {
+        return res.status(403).json({ error: `You cannot grant the ${role} role` });
+      }
+
+      const user = await usersCollection.findOneAndUpdate(
+        { auth_id: authId },
+        {
+          $addToSet: { roles: role },
+          $set: { roles_updated_at: new Date(), roles_updated_by: req.user.id }
+        },
+        { returnDocument: 'after', projection: adminUserProjection }
+      );
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      console.log(`🛡️ ${req.user.id} granted ${role} to ${authId}`);
+      res.json(user);
+    } catch (error) {
+      console.error('Error granting role:', error);
+      res.status(500).json({ error: 'Failed to grant role' });
+    }
+  });
+
+  // DELETE /api/admin/users/:authId/roles/:role - Revoke a role
+  router.delete('/users/:authId/roles/:role', async (req, res) => {
+    try {
+      const { authId, role } = req.params;
+
+      if (role === ROLES.FOUNDER) {
+        return res.status(400).json({ error: 'The founder role cannot be revoked' });
+      }
+      if (!grantableRoles(req.user).includes(role)) {
+        return res.status(403).json({ error: `You cannot revoke the ${role} role` });
+      }
+
+      const user = await usersCollection.findOneAndUpdate(
+        { auth_id: authId },
+        {
+          $pull: { roles: role },
+          $set: { roles_updated_at: new Date(), roles_updated_by: req.user.id }
+        },
+        { returnDocument: 'after', projection: adminUserProjection }
+      );
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      console.log(`🛡️ ${req.user.id} revoked ${role} from ${authId}`);
+      res.json(user);
+    } catch (error) {
+      console.error('Error revoking role:', error);
+      res.status(500).json({ error: 'Failed to revoke role' });
+    }
+  });
+
+  // GET /api/admin/retailer-rules - All retailer rule sets (files and admin-added)
+  router.get('/retailer-rules', (req, res) => {
+    res.json(listRuleSets());
+  });
+
+  // PUT /api/admin/retailer-rules/:retailer - Add or replace a store's rule set
+  // Body: { name, domains, fields } (see server/lib/retailerRules.js)
+  router.put('/retailer-rules/:retailer', async (req, res) => {
+    try {
+      const ruleSet = { ...req.body, retailer: req.params.retailer };
+      const issues = validateRuleSet(ruleSet);
+      if (issues.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', fields: issues });
+      }
+
+      const saved = await saveCustomRuleSet(db, ruleSet, req.user.id);
+      // Cached products were parsed with the old rules
+      scrapeCache.clear();
+
+      console.log(`🛒 ${req.user.id} saved retailer rules for ${saved.retailer}`);
+      res.json(saved);
+    } catch (error) {
+      console.error('Error saving retailer rules:', error);
+      res.status(500).json({ error: 'Failed to save retailer rules' });
+    }
+  });
+
+  // DELETE /api/admin/retailer-rules/:retailer - Remove an admin-added rule set
+  router.delete('/retailer-rules/:retailer', async (req, res) => {
+    try {
+      const removed = await deleteCustomRuleSet(db, req.params.retailer);
+      if (!removed) {
+        return res.status(404).json({ error: 'No admin-added rules for this retailer' });
+      }
+
+      scrapeCache.clear();
+      // The file rule set, if there is one, applies again
+      res.json({ success: true, rules: getRuleSet(req.params.retailer) });
+    } catch (error) {
+      console.error('Error deleting retailer rules:', error);
+      res.status(500).json({ error: 'Failed to delete retailer rules' });
+    }
+  });
+
+  // POST /api/admin/retailer-rules/test - Run a rule set against saved HTML
+  // Body: { html, url, rules?, retailer? }; uses `rules` when given, else the
+  // named retailer's rule set, else the one matching the URL's hostname
+  router.post('/retailer-rules/test', validateBody(ruleTestSchema), (req, res) => {
+    try {
+      const { html, url, retailer, rules } = req.body;
+
+      let ruleSet;
+      if (rules !== undefined) {
+        ruleSet = { retailer: 'test', domains: [new URL(url).hostname], ...rules };
+        const issues = validateRuleSet(ruleSet);
+        if (issues.length > 0) {
+          return res.status(400).json({ error: 'Validation failed', fields: issues.map(i => ({ ...i, field: `rules.${i.field}` })) });
+        }
+      } else {
+        ruleSet = retailer ? getRuleSet(retailer) : findRuleSet(new URL(url).hostname);
+        if (!ruleSet) {
+          return res.status(404).json({ error: 'No rule set found for this retailer' });
+        }
+      }
+
+      const { values, matched } = testRuleSet(ruleSet, html, url);
+      res.json({
+        retailer: ruleSet.retailer,
+        values,
+        matched,
+        missing: RULE_FIELDS.filter(field => values[field] === undefined),
+      });
+    } catch (error) {
+      console.error('Error testing retailer rules:', error);
+      res.status(500).json({ error: 'Failed to test retailer rules' });
+    }
+  });
+
+  return router;
+}
@@ -1,70 +1,103 @@
 /**
  * Background Removal API Routes
- * Proxy for Hugging Face API to avoid CORS issues
+ * Proxy for the hosted background removal providers (lib/backgroundRemovalProviders.js)
+ * so provider keys stay on the server, with a CPU cutout ("local") when no
+ * hosted provider is configured or left in the user's quota. Every request
+ * is tied to the signed-in user for the per-provider daily quotas, and every
+ * response has the same shape whichever provider served it:
+ *
+ *   { success: true, provider: 'removebg', image: { content_type, data (base64) }, quota }
+ *   { success: false, error, provider, fallback: 'browser', quota }
+ *
+ * "browser" is the client's own processing; clients use it when the server
+ * answers with an error.
  */
 
 import express from 'express';
+import {
+  CLIENT_FALLBACK,
+  PROVIDERS,
+  BackgroundRemovalError,
+  providerOrder,
+  providerQuota,
+  removeBackgroundForUser
+} from '../lib/backgroundRemovalProviders.js';
+
+const QUALITIES = ['high', 'medium', 'preview'];
 
 const router = express.Router();
 
+function errorBody(message, provider, quota = null, extra = {}) {
+  return { success: false, error: message, provider, fallback: CLIENT_FALLBACK, quota, ...extra };
+}
+
 /**
- * POST /api/background-removal
- * Remove background from image using Hugging Face BRIA RMBG
+ * GET /api/background-removal/providers
+ * Providers the client can pick, whether each is usable right now and the
+ * user's remaining quota for it
  */
-router.post('/', async (req, res) => {
-  try {
-    const apiKey = process.env.HUGGINGFACE_API_KEY;
-    
-    if (!apiKey) {
-      return res.status(400).json({ 
-        error: 'Hugging Face API key not configured on server' 
-      });
-    }
+router.get('/providers', (req, res) => {
+  const userId = req.user.id;
+  const order = providerOrder();
+  const providers = Object.entries(PROVIDERS).map(([id, provider]) => {
+    const configured = provider.isConfigured();
+    return {
+      id,
+      name: provider.name,
+      configured,
+      available: configured && providerQuota.allows(userId, id),
+      quota: providerQuota.status(userId, id),
+    };
+  });
+  res.json({
+    providers,
+    default: order.find(id => providers.find(p => p.id === id)?.available) || CLIENT_FALLBACK,
+    fallback: CLIENT_FALLBACK
+  });
+});
 
-    console.log('📸 Processing background removal request...');
-    console.log('Content-Type:', req.headers['content-type']);
-    console.log('Content-Length:', req.headers['content-length']);
+/**
+ * POST /api/background-removal?provider=auto&quality=high
+ * Remove the background from the image sent as the raw request body
+ * (Content-Type image/*). `provider` is 'auto' (first available provider in
+ * BG_REMOVAL_PROVIDERS order) or a provider id; 'local' always returns a
+ * transparent PNG. 429 when the user has used up the provider's daily quota,
+ * 503 when no provider can serve the request, 422 when the local cutout
+ * can't find the item (busy background).
+ */
+router.post('/', async (req, res) => {
+  const userId = req.user.id;
+  const provider = String(req.query.provider || 'auto').toLowerCase();
+  const quality = QUALITIES.includes(req.query.quality) ? req.query.quality : 'high';
 
-    // Forward the image buffer to Hugging Face API
-    // Using Photoroom's background removal model (actively maintained)
-    const response = await fetch(
-      'https://api-inference.huggingface.co/models/Xenova/segformer-b2-finetuned-ade-512-512',
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': req.headers['content-type'] || 'application/octet-stream'
-        },
-        body: req.body
-      }
-    );
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json(errorBody('Send the image as the request body with an image/* Content-Type', provider));
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Hugging Face API error:', response.status, errorText);
-      return res.status(response.status).json({ 
-        error: `Hugging Face API error: ${response.status}`,
-        details: errorText
-      });
-    }
+  try {
+    console.log(`📸 Background removal (${provider}, ${quality}) for ${userId}:`, req.headers['content-type'], req.body.length, 'bytes');
 
-    // Get the image buffer from Hugging Face
-    const buffer = await response.arrayBuffer();
-    const contentType = response.headers.get('content-type') || 'image/png';
-    
-    console.log('✅ Background removed successfully');
-    console.log('Response type:', contentType, 'size:', buffer.byteLength);
+    const result = await removeBackgroundForUser(userId, req.body, req.headers['content-type'], { provider, quality });
 
-    // Send back the processed image
-    res.set('Content-Type', contentType);
-    res.send(Buffer.from(buffer));
+    console.log(`✅ Background removed via ${result.provider}:`, result.contentType, result.buffer.length, 'bytes');
 
+    res.json({
+      success: true,
+      provider: result.provider,
+      image: {
+        content_type: result.contentType,
+        data: result.buffer.toString('base64')
+      },
+      quota: result.quota
+    });
   } catch (error) {
+    if (error instanceof BackgroundRemovalError) {
+      return res.status(error.status).json(errorBody(
+        error.message, provider, PROVIDERS[provider] ? providerQuota.status(userId, provider) : null, error.extra
+      ));
+    }
     console.error('❌ Background removal error:', error);
-    res.status(500).json({ 
-      error: 'Failed to remove background',
-      message: error.message 
-    });
+    res.status(500).json(errorBody('Failed to remove background', provider, null, { message: error.message }));
   }
 });
 
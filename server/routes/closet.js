@@ -1,13 +1,41 @@
 import express from 'express';
 import { ObjectId } from 'mongodb';
+import { fields, validateBody } from '../lib/validation.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+
+const closetItemSchema = {
+  type: fields.string({ required: true, max: 50 }),
+  brand: fields.string({ max: 100 }),
+  color: fields.string({ max: 50 }),
+  size: fields.string({ max: 30 }),
+  season: fields.string({ max: 30 }),
+  tags: fields.array(fields.string({ min: 1, max: 50 }), { max: 30, fromString: true }),
+  image_url: fields.url({ required: true }),
+  notes: fields.string({ max: 2000 }),
+};
+
+// image_url is fixed once the item is created
+const { image_url: _imageUrl, ...closetItemUpdateSchema } = closetItemSchema;
+
+const closetPageOptions = {
+  sortKeys: ['created_at', 'updated_at', 'type', 'brand', 'color'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 50,
+  maxLimit: 200,
+};
 
 export default function closetRoutes(db) {
   const router = express.Router();
   const closetCollection = db.collection('closet_items');
 
-  // GET /api/closet - Get all closet items for user
+  // GET /api/closet - Get a page of closet items for user
+  // Query: type, color, season, brand, sort, order, limit, cursor
   router.get('/', async (req, res) => {
     try {
+      const page = readPageParams(req, res, closetPageOptions);
+      if (!page) return;
+
       const { type, color, season, brand } = req.query;
       const filter = { user_id: req.user.id };
 
@@ -19,13 +47,14 @@ export default function closetRoutes(db) {
       console.log('Fetching closet items for user:', req.user.id, 'with filter:', filter);
 
       const items = await closetCollection
-        .find(filter)
-        .sort({ created_at: -1 })
+        .find({ $and: [filter, cursorFilter(page)] })
+        .sort(sortSpec(page))
+        .limit(page.limit + 1)
         .toArray();
 
       console.log(`Found ${items.length} items for user ${req.user.id}`);
 
-      res.json(items);
+      res.json(pageResponse(items, page));
     } catch (error) {
       console.error('Error fetching closet items:', error);
       res.status(500).json({ error: 'Failed to fetch closet items' });
@@ -66,14 +95,10 @@ export default function closetRoutes(db) {
   });
 
   // POST /api/closet - Create new closet item
-  router.post('/', async (req, res) => {
+  router.post('/', validateBody(closetItemSchema), async (req, res) => {
     try {
       const { type, brand, color, size, season, tags, image_url, notes } = req.body;
 
-      if (!type || !image_url) {
-        return res.status(400).json({ error: 'Type and image_url are required' });
-      }
-
       const newItem = {
         user_id: req.user.id,
         type,
@@ -124,7 +149,7 @@ export default function closetRoutes(db) {
   });
 
   // PUT /api/closet/:id - Update closet item
-  router.put('/:id', async (req, res) => {
+  router.put('/:id', validateBody(closetItemUpdateSchema, { partial: true }), async (req, res) => {
     try {
       const { id } = req.params;
       const { type, brand, color, size, season, tags, notes } = req.body;
@@ -151,11 +176,11 @@ export default function closetRoutes(db) {
         { returnDocument: 'after' }
       );
 
-      if (!result.value) {
+      if (!result) {
         return res.status(404).json({ error: 'Item not found' });
       }
 
-      res.json(result.value);
+      res.json(result);
     } catch (error) {
       console.error('Error updating closet item:', error);
       res.status(500).json({ error: 'Failed to update closet item' });
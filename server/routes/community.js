@@ -1,26 +1,117 @@
 import express from 'express';
 import { ObjectId } from 'mongodb';
+import { fields, validateBody } from '../lib/validation.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission } from '../lib/roles.js';
+import { REPORT_TARGETS, reportSchema, reportHandler, visibleFilter, isHiddenFrom } from '../lib/moderation.js';
+import { deleteCommentThread } from '../lib/comments.js';
+import { followingIds } from '../lib/follows.js';
+
+const messageSchema = {
+  text: fields.string({ required: true, max: 500 }),
+};
+
+const commentEditSchema = {
+  text: fields.string({ required: true, max: 1000 }),
+};
+
+const commentPageOptions = {
+  sortKeys: ['created_at'],
+  defaultSort: 'created_at',
+  defaultOrder: 'asc',
+  defaultLimit: 20,
+  maxLimit: 100,
+};
+
+const feedPageOptions = {
+  sortKeys: ['created_at', 'likes_count'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 20,
+  maxLimit: 50,
+};
 
 export default function communityRoutes(db) {
   const router = express.Router();
   const outfitsCollection = db.collection('outfits');
   const usersCollection = db.collection('users');
+  const commentsCollection = db.collection('comments');
+
+  // Page of comments matching filter, with author details (hidden comments only for moderators)
+  async function findCommentsPage(req, filter, page) {
+    const visibility = hasPermission(req.user, PERMISSIONS.MODERATE_COMMENTS) ? {} : visibleFilter;
+    const comments = await commentsCollection
+      .aggregate([
+        { $match: { $and: [filter, visibility, cursorFilter(page)] } },
+        { $sort: sortSpec(page) },
+        { $limit: page.limit + 1 },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'user_id',
+            foreignField: 'auth_id',
+            as: 'user'
+          }
+        },
+        {
+          $unwind: {
+            path: '$user',
+            preserveNullAndEmptyArrays: true
+          }
+        },
+        {
+          $addFields: {
+            user: {
+              username: { $ifNull: ['$user.username', 'Unknown'] },
+              avatar_url: { $ifNull: ['$user.avatar_url', ''] }
+            }
+          }
+        }
+      ])
+      .toArray();
+
+    return pageResponse(comments, page);
+  }
+
+  // The outfit when the user may read its comments: public, or their own, and not hidden by moderators
+  async function findViewableOutfit(req, outfitId) {
+    const outfit = await outfitsCollection.findOne(
+      { _id: outfitId },
+      { projection: { user_id: 1, is_public: 1, hidden: 1 } }
+    );
+    if (!outfit || isHiddenFrom(outfit, req.user)) return null;
+    if (outfit.user_id !== req.user.id && !outfit.is_public) return null;
+    return outfit;
+  }
 
-  // GET /api/community/feed - Get community feed (public outfits)
+  // GET /api/community/feed - Get a page of the community feed (public outfits)
+  // Query: mode (all | following), occasion, weather, sort (created_at | likes_count), order, limit, cursor
   router.get('/feed', async (req, res) => {
     try {
-      const { limit = 20, skip = 0, occasion, weather } = req.query;
+      const page = readPageParams(req, res, feedPageOptions);
+      if (!page) return;
 
-      const matchFilter = { is_public: true };
+      const { occasion, weather, mode = 'all' } = req.query;
+
+      if (!['all', 'following'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be one of: all, following' });
+      }
+
+      const matchFilter = { is_public: true, ...visibleFilter };
       if (occasion) matchFilter.occasion = occasion;
       if (weather) matchFilter.weather = weather;
+      if (mode === 'following') {
+        matchFilter.user_id = { $in: await followingIds(db, req.user.id) };
+      }
 
       const feed = await outfitsCollection
         .aggregate([
           { $match: matchFilter },
-          { $sort: { created_at: -1 } },
-          { $skip: parseInt(skip) },
-          { $limit: parseInt(limit) },
+          // likes_count must exist before the cursor match so it can be sorted on
+          { $addFields: { likes_count: { $size: { $ifNull: ['$likes', []] } } } },
+          { $match: cursorFilter(page) },
+          { $sort: sortSpec(page) },
+          { $limit: page.limit + 1 },
           {
             $lookup: {
               from: 'users',
@@ -37,14 +128,14 @@ export default function communityRoutes(db) {
           },
           {
             $addFields: {
-              likes_count: { $size: { $ifNull: ['$likes', []] } },
-              comments_count: { $size: { $ifNull: ['$comments', []] } },
+              comments_count: { $ifNull: ['$comments_count', 0] },
               is_liked: { $in: [req.user.id, { $ifNull: ['$likes', []] }] }
             }
           },
           {
             $project: {
               _id: 1,
+              user_id: 1,
               name: 1,
               items: 1,
               occasion: 1,
@@ -63,7 +154,7 @@ export default function communityRoutes(db) {
         ])
         .toArray();
 
-      res.json(feed);
+      res.json(pageResponse(feed, page));
     } catch (error) {
       console.error('Error fetching community feed:', error);
       res.status(500).json({ error: 'Failed to fetch community feed' });
@@ -81,7 +172,8 @@ export default function communityRoutes(db) {
           {
             $match: {
               is_public: true,
-              created_at: { $gte: oneWeekAgo }
+              created_at: { $gte: oneWeekAgo },
+              ...visibleFilter
             }
           },
           {
@@ -108,12 +200,13 @@ export default function communityRoutes(db) {
           {
             $project: {
               _id: 1,
+              user_id: 1,
               name: 1,
               items: 1,
               occasion: 1,
               weather: 1,
               likes_count: 1,
-              comments_count: { $size: { $ifNull: ['$comments', []] } },
+              comments_count: { $ifNull: ['$comments_count', 0] },
               created_at: 1,
               user: {
                 username: 1,
@@ -131,44 +224,124 @@ export default function communityRoutes(db) {
     }
   });
 
-  // GET /api/community/outfits/:id/comments - Get comments for outfit
+  // GET /api/community/outfits/:id/comments - Get a page of top-level comments for outfit
+  // Query: order (asc | desc), limit, cursor
   router.get('/outfits/:id/comments', async (req, res) => {
     try {
+      const page = readPageParams(req, res, commentPageOptions);
+      if (!page) return;
+
       const { id } = req.params;
 
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'Invalid outfit ID' });
       }
 
-      const outfit = await outfitsCollection.findOne({ _id: new ObjectId(id) });
+      const outfit = await findViewableOutfit(req, new ObjectId(id));
 
       if (!outfit) {
         return res.status(404).json({ error: 'Outfit not found' });
       }
 
-      // Populate user info for each comment
-      const comments = outfit.comments || [];
-      const userIds = [...new Set(comments.map(c => c.user_id))];
-      
-      const users = await usersCollection
-        .find({ auth_id: { $in: userIds } })
-        .project({ auth_id: 1, username: 1, avatar_url: 1 })
-        .toArray();
+      res.json(await findCommentsPage(req, { outfit_id: outfit._id, parent_id: null }, page));
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
 
-      const userMap = {};
-      users.forEach(u => {
-        userMap[u.auth_id] = { username: u.username, avatar_url: u.avatar_url };
-      });
+  // GET /api/community/comments/:commentId/replies - Get a page of replies to a comment
+  // Query: order (asc | desc), limit, cursor
+  router.get('/comments/:commentId/replies', async (req, res) => {
+    try {
+      const page = readPageParams(req, res, commentPageOptions);
+      if (!page) return;
+
+      const { commentId } = req.params;
 
-      const commentsWithUsers = comments.map(c => ({
-        ...c,
-        user: userMap[c.user_id] || { username: 'Unknown', avatar_url: '' }
-      }));
+      if (!ObjectId.isValid(commentId)) {
+        return res.status(400).json({ error: 'Invalid comment ID' });
+      }
 
-      res.json(commentsWithUsers);
+      // Same visibility as the top-level listing: the parent comment and its outfit must be readable
+      const parent = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
+      const canSeeParent = parent && (!parent.hidden || hasPermission(req.user, PERMISSIONS.MODERATE_COMMENTS));
+
+      if (!canSeeParent || !(await findViewableOutfit(req, parent.outfit_id))) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      res.json(await findCommentsPage(req, { parent_id: parent._id }, page));
     } catch (error) {
-      console.error('Error fetching comments:', error);
-      res.status(500).json({ error: 'Failed to fetch comments' });
+      console.error('Error fetching replies:', error);
+      res.status(500).json({ error: 'Failed to fetch replies' });
+    }
+  });
+
+  // PUT /api/community/comments/:commentId - Edit own comment
+  router.put('/comments/:commentId', validateBody(commentEditSchema), async (req, res) => {
+    try {
+      const { commentId } = req.params;
+
+      if (!ObjectId.isValid(commentId)) {
+        return res.status(400).json({ error: 'Invalid comment ID' });
+      }
+
+      const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      if (comment.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+
+      const now = new Date();
+      const updated = await commentsCollection.findOneAndUpdate(
+        { _id: comment._id },
+        { $set: { text: req.body.text, edited_at: now, updated_at: now } },
+        { returnDocument: 'after' }
+      );
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      res.status(500).json({ error: 'Failed to edit comment' });
+    }
+  });
+
+  // DELETE /api/community/comments/:commentId - Delete a comment and its replies
+  // Allowed for the author, the outfit owner and moderators
+  router.delete('/comments/:commentId', async (req, res) => {
+    try {
+      const { commentId } = req.params;
+
+      if (!ObjectId.isValid(commentId)) {
+        return res.status(400).json({ error: 'Invalid comment ID' });
+      }
+
+      const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
+
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      let allowed = comment.user_id === req.user.id || hasPermission(req.user, PERMISSIONS.MODERATE_COMMENTS);
+      if (!allowed) {
+        const outfit = await outfitsCollection.findOne({ _id: comment.outfit_id }, { projection: { user_id: 1 } });
+        allowed = outfit?.user_id === req.user.id;
+      }
+
+      if (!allowed) {
+        return res.status(403).json({ error: 'Not authorized to delete this comment' });
+      }
+
+      const deleted = await deleteCommentThread(db, comment);
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
     }
   });
 
@@ -180,6 +353,7 @@ export default function communityRoutes(db) {
       
       const messages = await messagesCollection
         .aggregate([
+          { $match: visibleFilter },
           { $sort: { created_at: -1 } },
           { $limit: limit },
           {
@@ -217,22 +391,14 @@ export default function communityRoutes(db) {
   });
 
   // POST /api/community/messages - Post a new message
-  router.post('/messages', async (req, res) => {
+  router.post('/messages', validateBody(messageSchema), async (req, res) => {
     try {
       const { text } = req.body;
-      
-      if (!text || text.trim().length === 0) {
-        return res.status(400).json({ error: 'Message text is required' });
-      }
-
-      if (text.length > 500) {
-        return res.status(400).json({ error: 'Message is too long (max 500 characters)' });
-      }
 
       const messagesCollection = db.collection('messages');
       const message = {
         user_id: req.user.id,
-        text: text.trim(),
+        text,
         created_at: new Date()
       };
 
@@ -270,10 +436,11 @@ export default function communityRoutes(db) {
       }
 
       const messagesCollection = db.collection('messages');
-      const result = await messagesCollection.deleteOne({
-        _id: new ObjectId(id),
-        user_id: req.user.id // Only allow users to delete their own messages
-      });
+      const filter = { _id: new ObjectId(id) };
+      // Users delete their own messages; moderators can delete any
+      if (!hasPermission(req.user, PERMISSIONS.MODERATE_COMMENTS)) filter.user_id = req.user.id;
+
+      const result = await messagesCollection.deleteOne(filter);
 
       if (result.deletedCount === 0) {
         return res.status(404).json({ error: 'Message not found or not authorized' });
@@ -286,5 +453,18 @@ export default function communityRoutes(db) {
     }
   });
 
+  // POST /api/community/outfits/:id/comments/:commentId/report - Report a comment
+  router.post('/outfits/:id/comments/:commentId/report', validateBody(reportSchema), reportHandler(db, (req) => ({
+    type: REPORT_TARGETS.COMMENT,
+    id: req.params.commentId,
+    outfitId: req.params.id
+  })));
+
+  // POST /api/community/messages/:id/report - Report a message board post
+  router.post('/messages/:id/report', validateBody(reportSchema), reportHandler(db, (req) => ({
+    type: REPORT_TARGETS.MESSAGE,
+    id: req.params.id
+  })));
+
   return router;
 }
@@ -0,0 +1,152 @@
+/**
+ * Image Job API Routes
+ * Background removal, compression and auto-crop run as background jobs
+ * (lib/imageJobs.js) so large photos don't hold a request open: upload the
+ * image, follow the job with GET /api/image-jobs or the /events stream, then
+ * fetch the result once. Results the client never fetches expire.
+ */
+
+import express from 'express';
+import { imageJobs, ImageJobError } from '../lib/imageJobs.js';
+
+const router = express.Router();
+
+function parseIds(value) {
+  if (!value) return null;
+  return String(value).split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * POST /api/image-jobs?operation=remove-background&provider=auto&quality=high
+ * Queue an operation on the image sent as the raw request body (Content-Type image/*).
+ * Operations and their options: remove-background (provider, quality),
+ * compress (maxWidth, maxHeight, quality 0-1), auto-crop (padding).
+ * Responds 202 with the job.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { operation, ...options } = req.query;
+    const job = imageJobs.create(req.user.id, String(operation || ''), req.body, req.headers['content-type'], options);
+
+    console.log(`🖼️  Image job ${job.id} queued: ${job.operation} (${req.body.length} bytes) for ${req.user.id}`);
+    res.status(202).json(job);
+  } catch (error) {
+    if (error instanceof ImageJobError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Image job error:', error);
+    res.status(500).json({ error: 'Failed to start image job' });
+  }
+});
+
+/**
+ * GET /api/image-jobs?ids=a,b
+ * The user's jobs (or just the listed ones), oldest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({ jobs: imageJobs.list(req.user.id, parseIds(req.query.ids)) });
+  } catch (error) {
+    console.error('❌ Image job list error:', error);
+    res.status(500).json({ error: 'Failed to list image jobs' });
+  }
+});
+
+/**
+ * GET /api/image-jobs/events?ids=a,b
+ * Server-sent events: each of the user's jobs (or the listed ones) now, then
+ * every change to them, as `data: <job JSON>`. One open request for a whole
+ * batch instead of polling each job.
+ */
+router.get('/events', (req, res) => {
+  const userId = req.user.id;
+  const ids = parseIds(req.query.ids);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (job) => res.write(`data: ${JSON.stringify(job)}\n\n`);
+  imageJobs.list(userId, ids).forEach(send);
+
+  const onUpdate = (job, owner) => {
+    if (owner === userId && (!ids || ids.includes(job.id))) send(job);
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 20000);
+  imageJobs.on('update', onUpdate);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    imageJobs.off('update', onUpdate);
+  });
+});
+
+/**
+ * GET /api/image-jobs/:id
+ * One job's status
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = imageJobs.get(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('❌ Image job status error:', error);
+    res.status(500).json({ error: 'Failed to get image job status' });
+  }
+});
+
+/**
+ * GET /api/image-jobs/:id/result
+ * The finished image, in the background removal response format
+ * ({ success, provider, image: { content_type, data (base64) }, job }).
+ * Results can be fetched once; 409 while the job is still running, the
+ * job's error status when it failed.
+ */
+router.get('/:id/result', async (req, res) => {
+  try {
+    const taken = imageJobs.takeResult(req.params.id, req.user.id);
+    if (!taken) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({
+      success: true,
+      provider: taken.job.result.provider,
+      image: {
+        content_type: taken.contentType,
+        data: taken.buffer.toString('base64')
+      },
+      job: taken.job
+    });
+  } catch (error) {
+    if (error instanceof ImageJobError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('❌ Image job result error:', error);
+    res.status(500).json({ error: 'Failed to get image job result' });
+  }
+});
+
+/**
+ * DELETE /api/image-jobs/:id
+ * Cancel a job or throw away its result
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!imageJobs.discard(req.params.id, req.user.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Image job discard error:', error);
+    res.status(500).json({ error: 'Failed to discard image job' });
+  }
+});
+
+export default router;
@@ -0,0 +1,150 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { fields, validateBody } from '../lib/validation.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { QUEUE_STATUSES, REPORT_TARGETS, MODERATION_ACTIONS, describeTarget, resolveEntry } from '../lib/moderation.js';
+
+const resolveSchema = {
+  action: fields.string({ required: true, enum: MODERATION_ACTIONS }),
+  warn: fields.boolean({ default: false }),
+  note: fields.string({ max: 1000, default: '' }),
+};
+
+const queuePageOptions = {
+  sortKeys: ['created_at', 'updated_at', 'report_count'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 25,
+  maxLimit: 100,
+};
+
+// Mounted behind requireRole(ROLES.ADMIN, ROLES.MODERATOR) in server/index.js
+export default function moderationRoutes(db) {
+  const router = express.Router();
+  const queueCollection = db.collection('moderation_queue');
+
+  // GET /api/moderation/queue - Page through reported content
+  // Query: status (open | dismissed | actioned, default open), target_type, sort, order, limit, cursor
+  router.get('/queue', async (req, res) => {
+    try {
+      const page = readPageParams(req, res, queuePageOptions);
+      if (!page) return;
+
+      const { status = QUEUE_STATUSES.OPEN, target_type } = req.query;
+      if (!Object.values(QUEUE_STATUSES).includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${Object.values(QUEUE_STATUSES).join(', ')}` });
+      }
+
+      const filter = { status };
+      if (target_type) {
+        if (!Object.values(REPORT_TARGETS).includes(target_type)) {
+          return res.status(400).json({ error: `target_type must be one of: ${Object.values(REPORT_TARGETS).join(', ')}` });
+        }
+        filter.target_type = target_type;
+      }
+
+      const entries = await queueCollection
+        .aggregate([
+          { $match: { $and: [filter, cursorFilter(page)] } },
+          { $sort: sortSpec(page) },
+          { $limit: page.limit + 1 },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'author_id',
+              foreignField: 'auth_id',
+              as: 'author'
+            }
+          },
+          {
+            $unwind: {
+              path: '$author',
+              preserveNullAndEmptyArrays: true
+            }
+          },
+          {
+            $lookup: {
+              from: 'user_warnings',
+              localField: 'author_id',
+              foreignField: 'user_id',
+              as: 'author_warnings'
+            }
+          },
+          {
+            $addFields: {
+              author: {
+                username: '$author.username',
+                avatar_url: '$author.avatar_url',
+                warning_count: { $size: '$author_warnings' }
+              }
+            }
+          },
+          { $unset: 'author_warnings' }
+        ])
+        .toArray();
+
+      res.json(pageResponse(entries, page));
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+  });
+
+  // GET /api/moderation/queue/:id - Get a queue entry with the current state of its content
+  router.get('/queue/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid queue entry ID' });
+      }
+
+      const entry = await queueCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Queue entry not found' });
+      }
+
+      const current = await describeTarget(db, {
+        type: entry.target_type,
+        id: entry.target_id,
+        outfitId: entry.outfit_id
+      });
+
+      res.json({ ...entry, current });
+    } catch (error) {
+      console.error('Error fetching queue entry:', error);
+      res.status(500).json({ error: 'Failed to fetch queue entry' });
+    }
+  });
+
+  // POST /api/moderation/queue/:id/resolve - Dismiss, hide, unhide or remove the content, optionally warning the author
+  router.post('/queue/:id/resolve', validateBody(resolveSchema), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid queue entry ID' });
+      }
+
+      const entry = await queueCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Queue entry not found' });
+      }
+
+      const updated = await resolveEntry(db, entry, {
+        ...req.body,
+        moderator_id: req.user.id
+      });
+
+      console.log(`🛡️ ${req.user.id} resolved ${entry.target_type} ${entry.target_id}: ${req.body.action}${req.body.warn ? ' + warn' : ''}`);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error resolving queue entry:', error);
+      res.status(500).json({ error: 'Failed to resolve queue entry' });
+    }
+  });
+
+  return router;
+}
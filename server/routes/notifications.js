@@ -0,0 +1,127 @@
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { unreadCount } from '../lib/notifications.js';
+
+const notificationPageOptions = {
+  sortKeys: ['created_at'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 20,
+  maxLimit: 100,
+};
+
+export default function notificationsRoutes(db) {
+  const router = express.Router();
+  const notificationsCollection = db.collection('notifications');
+
+  // GET /api/notifications - Get a page of the current user's notifications (newest first)
+  // Query: unread (true to show only unread), order, limit, cursor
+  router.get('/', async (req, res) => {
+    try {
+      const page = readPageParams(req, res, notificationPageOptions);
+      if (!page) return;
+
+      const filter = { user_id: req.user.id };
+      if (req.query.unread === 'true') filter.read = false;
+
+      const notifications = await notificationsCollection
+        .aggregate([
+          { $match: { $and: [filter, cursorFilter(page)] } },
+          { $sort: sortSpec(page) },
+          { $limit: page.limit + 1 },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'actor_id',
+              foreignField: 'auth_id',
+              as: 'actor'
+            }
+          },
+          {
+            $unwind: {
+              path: '$actor',
+              preserveNullAndEmptyArrays: true
+            }
+          },
+          {
+            $project: {
+              _id: 1,
+              type: 1,
+              outfit_id: 1,
+              comment_id: 1,
+              data: 1,
+              read: 1,
+              created_at: 1,
+              actor: {
+                username: 1,
+                avatar_url: 1
+              }
+            }
+          }
+        ])
+        .toArray();
+
+      res.json({
+        ...pageResponse(notifications, page),
+        unread_count: await unreadCount(db, req.user.id)
+      });
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  });
+
+  // GET /api/notifications/unread-count - Number of unread notifications (for the header badge)
+  router.get('/unread-count', async (req, res) => {
+    try {
+      res.json({ count: await unreadCount(db, req.user.id) });
+    } catch (error) {
+      console.error('Error counting notifications:', error);
+      res.status(500).json({ error: 'Failed to count notifications' });
+    }
+  });
+
+  // POST /api/notifications/read-all - Mark every notification as read
+  router.post('/read-all', async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { user_id: req.user.id, read: false },
+        { $set: { read: true, read_at: new Date() } }
+      );
+
+      res.json({ success: true, updated: result.modifiedCount });
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      res.status(500).json({ error: 'Failed to mark notifications read' });
+    }
+  });
+
+  // POST /api/notifications/:id/read - Mark one notification as read
+  router.post('/:id/read', async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid notification ID' });
+      }
+
+      const notification = await notificationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), user_id: req.user.id },
+        { $set: { read: true, read_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      res.json(notification);
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+      res.status(500).json({ error: 'Failed to mark notification read' });
+    }
+  });
+
+  return router;
+}
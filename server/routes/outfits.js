@@ -1,26 +1,70 @@
 import express from 'express';
 import { ObjectId } from 'mongodb';
+import { fields, validateBody } from '../lib/validation.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission } from '../lib/roles.js';
+import { REPORT_TARGETS, reportSchema, reportHandler, visibleFilter, isHiddenFrom } from '../lib/moderation.js';
+import { NOTIFICATION_TYPES, notify } from '../lib/notifications.js';
+
+// Outfit items may be sent as closet item ids or as full item objects
+const outfitItemRef = fields.custom((value) => {
+  if (typeof value === 'string' && value.trim()) return value.trim();
+  if (value && typeof value === 'object' && (value._id || value.id)) return value;
+  throw new Error('must be a closet item id or an item with an _id');
+});
+
+const outfitSchema = {
+  name: fields.string({ required: true, max: 100 }),
+  items: fields.array(outfitItemRef, { required: true, min: 1, max: 50 }),
+  occasion: fields.string({ max: 50 }),
+  weather: fields.string({ max: 50 }),
+  notes: fields.string({ max: 2000 }),
+  is_public: fields.boolean(),
+};
+
+const commentSchema = {
+  text: fields.string({ required: true, max: 1000 }),
+  parent_id: fields.objectId(),
+};
+
+const outfitPageOptions = {
+  sortKeys: ['created_at', 'updated_at', 'name'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 50,
+  maxLimit: 100,
+};
+
+const publicPageOptions = {
+  sortKeys: ['created_at', 'likes_count'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 20,
+  maxLimit: 50,
+};
 
 export default function outfitsRoutes(db) {
   const router = express.Router();
   const outfitsCollection = db.collection('outfits');
+  const commentsCollection = db.collection('comments');
 
-  // GET /api/outfits - Get all outfits for user
+  // GET /api/outfits - Get a page of outfits for user
+  // Query: occasion, weather, sort, order, limit, cursor
   router.get('/', async (req, res) => {
     console.log('📦 GET /api/outfits - Fetching outfits for user:', req.user.id);
     try {
-      // First, get raw outfits to see the item IDs
-      const rawOutfits = await outfitsCollection
-        .find({ user_id: req.user.id })
-        .sort({ created_at: -1 })
-        .toArray();
-      
-      console.log('📦 Raw outfit items (before lookup):', rawOutfits[0]?.items);
-      
+      const page = readPageParams(req, res, outfitPageOptions);
+      if (!page) return;
+
+      const filter = { user_id: req.user.id };
+      if (req.query.occasion) filter.occasion = String(req.query.occasion);
+      if (req.query.weather) filter.weather = String(req.query.weather);
+
       const outfits = await outfitsCollection
         .aggregate([
-          { $match: { user_id: req.user.id } },
-          { $sort: { created_at: -1 } },
+          { $match: { $and: [filter, cursorFilter(page)] } },
+          { $sort: sortSpec(page) },
+          { $limit: page.limit + 1 },
           {
             $addFields: {
               items: {
@@ -68,24 +112,28 @@ export default function outfitsRoutes(db) {
         console.log('📦 Sample outfit items:', outfits[0].items?.length || 0, 'items populated');
         console.log('📦 First item image_url:', outfits[0].items?.[0]?.image_url);
       }
-      res.json(outfits);
+      res.json(pageResponse(outfits, page));
     } catch (error) {
       console.error('❌ Error fetching outfits:', error);
       res.status(500).json({ error: 'Failed to fetch outfits' });
     }
   });
 
-  // GET /api/outfits/public - Get public outfits (for community feed)
+  // GET /api/outfits/public - Get a page of public outfits (for community feed)
+  // Query: sort (created_at | likes_count), order, limit, cursor
   router.get('/public', async (req, res) => {
     try {
-      const { limit = 50, skip = 0 } = req.query;
+      const page = readPageParams(req, res, publicPageOptions);
+      if (!page) return;
 
       const outfits = await outfitsCollection
         .aggregate([
-          { $match: { is_public: true } },
-          { $sort: { created_at: -1 } },
-          { $skip: parseInt(skip) },
-          { $limit: parseInt(limit) },
+          { $match: { is_public: true, ...visibleFilter } },
+          // likes_count must exist before the cursor match so it can be sorted on
+          { $addFields: { likes_count: { $size: { $ifNull: ['$likes', []] } } } },
+          { $match: cursorFilter(page) },
+          { $sort: sortSpec(page) },
+          { $limit: page.limit + 1 },
           {
             $addFields: {
               items: {
@@ -146,8 +194,8 @@ export default function outfitsRoutes(db) {
               occasion: 1,
               weather: 1,
               notes: 1,
-              likes_count: { $size: { $ifNull: ['$likes', []] } },
-              comments_count: { $size: { $ifNull: ['$comments', []] } },
+              likes_count: 1,
+              comments_count: { $ifNull: ['$comments_count', 0] },
               created_at: 1,
               'user.username': 1,
               'user.avatar_url': 1
@@ -156,7 +204,7 @@ export default function outfitsRoutes(db) {
         ])
         .toArray();
 
-      res.json(outfits);
+      res.json(pageResponse(outfits, page));
     } catch (error) {
       console.error('Error fetching public outfits:', error);
       res.status(500).json({ error: 'Failed to fetch public outfits' });
@@ -164,14 +212,10 @@ export default function outfitsRoutes(db) {
   });
 
   // POST /api/outfits - Create new outfit
-  router.post('/', async (req, res) => {
+  router.post('/', validateBody(outfitSchema), async (req, res) => {
     try {
       const { name, items, occasion, weather, notes, is_public } = req.body;
 
-      if (!name || !items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({ error: 'Name and items array are required' });
-      }
-
       // Normalize items: accept either full item objects, ObjectId strings, or ObjectId instances
       let normalizedItems = [];
       try {
@@ -207,7 +251,7 @@ export default function outfitsRoutes(db) {
         notes: notes || '',
         is_public: is_public || false,
         likes: [],
-        comments: [],
+        comments_count: 0,
         created_at: new Date(),
         updated_at: new Date()
       };
@@ -286,6 +330,10 @@ export default function outfitsRoutes(db) {
         return res.status(403).json({ error: 'Access denied' });
       }
 
+      if (isHiddenFrom(outfit, req.user)) {
+        return res.status(404).json({ error: 'Outfit not found' });
+      }
+
       res.json(outfit);
     } catch (error) {
       console.error('Error fetching outfit:', error);
@@ -294,7 +342,7 @@ export default function outfitsRoutes(db) {
   });
 
   // PUT /api/outfits/:id - Update outfit
-  router.put('/:id', async (req, res) => {
+  router.put('/:id', validateBody(outfitSchema, { partial: true }), async (req, res) => {
     console.log('📝 PUT /api/outfits/:id - Updating outfit:', req.params.id, 'for user:', req.user.id);
     try {
       const { id } = req.params;
@@ -354,7 +402,7 @@ export default function outfitsRoutes(db) {
     }
   });
 
-  // DELETE /api/outfits/:id - Delete outfit
+  // DELETE /api/outfits/:id - Delete outfit (owner, or any outfit with delete_any_post)
   router.delete('/:id', async (req, res) => {
     try {
       const { id } = req.params;
@@ -363,15 +411,21 @@ export default function outfitsRoutes(db) {
         return res.status(400).json({ error: 'Invalid outfit ID' });
       }
 
-      const result = await outfitsCollection.deleteOne({
-        _id: new ObjectId(id),
-        user_id: req.user.id
-      });
+      // Owners delete their own outfits; moderators and admins can delete any post
+      const filter = { _id: new ObjectId(id) };
+      const moderating = hasPermission(req.user, PERMISSIONS.DELETE_ANY_POST);
+      if (!moderating) filter.user_id = req.user.id;
+
+      const result = await outfitsCollection.deleteOne(filter);
 
       if (result.deletedCount === 0) {
         return res.status(404).json({ error: 'Outfit not found' });
       }
 
+      await commentsCollection.deleteMany({ outfit_id: new ObjectId(id) });
+
+      if (moderating) console.log(`🛡️ ${req.user.id} deleted outfit ${id}`);
+
       res.json({ success: true, message: 'Outfit deleted successfully' });
     } catch (error) {
       console.error('Error deleting outfit:', error);
@@ -390,10 +444,14 @@ export default function outfitsRoutes(db) {
 
       const outfit = await outfitsCollection.findOne({ _id: new ObjectId(id) });
 
-      if (!outfit) {
+      if (!outfit || isHiddenFrom(outfit, req.user)) {
         return res.status(404).json({ error: 'Outfit not found' });
       }
 
+      if (outfit.user_id !== req.user.id && !outfit.is_public) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+
       const likes = outfit.likes || [];
       const hasLiked = likes.includes(req.user.id);
 
@@ -407,10 +465,20 @@ export default function outfitsRoutes(db) {
         { returnDocument: 'after' }
       );
 
+      if (!hasLiked) {
+        await notify(db, {
+          user_id: outfit.user_id,
+          type: NOTIFICATION_TYPES.LIKE,
+          actor_id: req.user.id,
+          outfit_id: outfit._id,
+          data: { outfit_name: outfit.name }
+        });
+      }
+
       res.json({
         success: true,
         liked: !hasLiked,
-        likes_count: result.value.likes?.length || 0
+        likes_count: result?.likes?.length || 0
       });
     } catch (error) {
       console.error('Error liking outfit:', error);
@@ -418,43 +486,94 @@ export default function outfitsRoutes(db) {
     }
   });
 
-  // POST /api/outfits/:id/comments - Add comment to outfit
-  router.post('/:id/comments', async (req, res) => {
+  // POST /api/outfits/:id/comments - Add comment (or reply, with parent_id) to outfit
+  router.post('/:id/comments', validateBody(commentSchema), async (req, res) => {
     try {
       const { id } = req.params;
-      const { text } = req.body;
+      const { text, parent_id } = req.body;
 
       if (!ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'Invalid outfit ID' });
       }
 
-      if (!text || text.trim().length === 0) {
-        return res.status(400).json({ error: 'Comment text is required' });
+      const outfitId = new ObjectId(id);
+      const outfit = await outfitsCollection.findOne(
+        { _id: outfitId },
+        { projection: { user_id: 1, is_public: 1, name: 1, hidden: 1 } }
+      );
+
+      if (!outfit || isHiddenFrom(outfit, req.user)) {
+        return res.status(404).json({ error: 'Outfit not found' });
+      }
+
+      if (outfit.user_id !== req.user.id && !outfit.is_public) {
+        return res.status(403).json({ error: 'Access denied' });
       }
 
+      // Threads are one level deep: replying to a reply attaches to its root comment
+      let parent = null;
+      let parentId = null;
+      if (parent_id) {
+        parent = await commentsCollection.findOne({ _id: new ObjectId(parent_id), outfit_id: outfitId });
+        if (!parent || isHiddenFrom(parent, req.user)) {
+          return res.status(404).json({ error: 'Parent comment not found' });
+        }
+        parentId = parent.parent_id || parent._id;
+      }
+
+      const now = new Date();
       const comment = {
-        _id: new ObjectId(),
+        outfit_id: outfitId,
         user_id: req.user.id,
-        text: text.trim(),
-        created_at: new Date()
+        text,
+        parent_id: parentId,
+        reply_count: 0,
+        created_at: now,
+        updated_at: now
       };
 
-      const result = await outfitsCollection.findOneAndUpdate(
-        { _id: new ObjectId(id) },
-        { $push: { comments: comment } },
-        { returnDocument: 'after' }
-      );
+      await commentsCollection.insertOne(comment);
+      if (parentId) {
+        await commentsCollection.updateOne({ _id: parentId }, { $inc: { reply_count: 1 } });
+      }
+      await outfitsCollection.updateOne({ _id: outfitId }, { $inc: { comments_count: 1 } });
 
-      if (!result.value) {
-        return res.status(404).json({ error: 'Outfit not found' });
+      const notification = {
+        actor_id: req.user.id,
+        outfit_id: outfitId,
+        comment_id: comment._id,
+        data: { outfit_name: outfit.name, text: text.slice(0, 140) }
+      };
+      if (parent) {
+        await notify(db, { ...notification, user_id: parent.user_id, type: NOTIFICATION_TYPES.REPLY });
+      }
+      if (!parent || parent.user_id !== outfit.user_id) {
+        await notify(db, { ...notification, user_id: outfit.user_id, type: NOTIFICATION_TYPES.COMMENT });
       }
 
-      res.status(201).json(comment);
+      const user = await db.collection('users').findOne(
+        { auth_id: req.user.id },
+        { projection: { username: 1, avatar_url: 1 } }
+      );
+
+      res.status(201).json({
+        ...comment,
+        user: {
+          username: user?.username || 'User',
+          avatar_url: user?.avatar_url || ''
+        }
+      });
     } catch (error) {
       console.error('Error adding comment:', error);
       res.status(500).json({ error: 'Failed to add comment' });
     }
   });
 
+  // POST /api/outfits/:id/report - Report an outfit for moderation
+  router.post('/:id/report', validateBody(reportSchema), reportHandler(db, (req) => ({
+    type: REPORT_TARGETS.OUTFIT,
+    id: req.params.id
+  })));
+
   return router;
 }
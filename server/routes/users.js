@@ -1,8 +1,102 @@
 import express from 'express';
+import { fields, validate, validateBody } from '../lib/validation.js';
+import { permissionsFor } from '../lib/roles.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { follow, unfollow, isFollowing } from '../lib/follows.js';
+import { NOTIFICATION_TYPES, notify } from '../lib/notifications.js';
+import { listWarnings } from '../lib/moderation.js';
+import { usernameFields, usernameFilter } from '../lib/usernames.js';
+
+// Rules for a new username; checked in PUT /me only when the username changes, because
+// the one generated from the email address (GET /me) may not follow them
+const usernameSchema = {
+  username: fields.string({
+    min: 3,
+    max: 30,
+    pattern: /^[a-zA-Z0-9_]+$/,
+    patternMessage: 'can only contain letters, numbers, and underscores'
+  }),
+};
+
+const profileSchema = {
+  username: fields.string({ max: 100 }),
+  bio: fields.string({ max: 500 }),
+  avatar_url: fields.url(),
+  height: fields.measurement(),
+  body_type: fields.string({ enum: ['slim', 'average', 'athletic', 'curvy', 'plus'] }),
+  body_photo_url: fields.url(),
+  // Multi-angle body photos for VFR 1.0 optimization
+  body_photo_front: fields.url(),
+  body_photo_back: fields.url(),
+  body_photo_left: fields.url(),
+  body_photo_right: fields.url(),
+  // Enhanced body measurements
+  shoulder_width: fields.measurement(),
+  chest_circumference: fields.measurement(),
+  waist_circumference: fields.measurement(),
+  hip_circumference: fields.measurement(),
+  inseam: fields.measurement(),
+  arm_length: fields.measurement(),
+  neck_circumference: fields.measurement(),
+  torso_length: fields.measurement(),
+  // Usual sizes, used to pre-select a size when adding products
+  clothing_size: fields.string({ max: 20 }),
+  shoe_size: fields.string({ max: 20 }),
+  // Currency wishlist totals are shown in
+  home_currency: fields.currency(),
+};
+
+// Fields of a user document anyone signed in may see; everything else stays private
+const PUBLIC_PROFILE_FIELDS = ['username', 'avatar_url', 'bio', 'created_at'];
+
+const followPageOptions = {
+  sortKeys: ['created_at'],
+  defaultSort: 'created_at',
+  defaultOrder: 'desc',
+  defaultLimit: 20,
+  maxLimit: 100,
+};
 
 export default function usersRoutes(db) {
   const router = express.Router();
   const usersCollection = db.collection('users');
+  const followsCollection = db.collection('follows');
+
+  function findByUsername(username) {
+    return usersCollection.findOne(usernameFilter(username));
+  }
+
+  // Page of follow edges matching filter, joined to the user on the other end
+  async function findFollowPage(filter, otherField, page) {
+    const edges = await followsCollection
+      .aggregate([
+        { $match: { $and: [filter, cursorFilter(page)] } },
+        { $sort: sortSpec(page) },
+        { $limit: page.limit + 1 },
+        {
+          $lookup: {
+            from: 'users',
+            localField: otherField,
+            foreignField: 'auth_id',
+            as: 'user'
+          }
+        },
+        {
+          $unwind: {
+            path: '$user',
+            preserveNullAndEmptyArrays: true
+          }
+        }
+      ])
+      .toArray();
+
+    return pageResponse(edges, page, (edge) => ({
+      username: edge.user?.username || 'Unknown',
+      avatar_url: edge.user?.avatar_url || '',
+      bio: edge.user?.bio || '',
+      followed_at: edge.created_at
+    }));
+  }
 
   // GET /api/users/me - Get current user's profile
   router.get('/me', async (req, res) => {
@@ -14,26 +108,41 @@ export default function usersRoutes(db) {
         const newUser = {
           auth_id: req.user.id,
           email: req.user.email,
-          username: req.user.email?.split('@')[0] || 'user',
+          ...usernameFields(req.user.email?.split('@')[0] || 'user'),
           avatar_url: '',
           bio: '',
+          roles: req.user.roles || [],
+          followers_count: 0,
+          following_count: 0,
           created_at: new Date(),
           updated_at: new Date()
         };
 
         await usersCollection.insertOne(newUser);
-        return res.json(newUser);
+        return res.json({ ...newUser, permissions: permissionsFor(newUser.roles) });
       }
 
-      res.json(user);
+      // roles come from attachRoles so a freshly bootstrapped founder sees them immediately
+      const roles = req.user.roles || user.roles || [];
+      res.json({ ...user, roles, permissions: permissionsFor(roles) });
     } catch (error) {
       console.error('Error fetching user profile:', error);
       res.status(500).json({ error: 'Failed to fetch user profile' });
     }
   });
 
+  // GET /api/users/me/warnings - Moderator warnings the current user has received (newest first)
+  router.get('/me/warnings', async (req, res) => {
+    try {
+      res.json({ warnings: await listWarnings(db, req.user.id) });
+    } catch (error) {
+      console.error('Error fetching warnings:', error);
+      res.status(500).json({ error: 'Failed to fetch warnings' });
+    }
+  });
+
   // PUT /api/users/me - Update current user's profile
-  router.put('/me', async (req, res) => {
+  router.put('/me', validateBody(profileSchema, { partial: true }), async (req, res) => {
     try {
       const { 
         username, 
@@ -55,7 +164,10 @@ export default function usersRoutes(db) {
         inseam,
         arm_length,
         neck_circumference,
-        torso_length
+        torso_length,
+        clothing_size,
+        shoe_size,
+        home_currency
       } = req.body;
 
       console.log('📝 Updating user profile:', req.body);
@@ -64,10 +176,18 @@ export default function usersRoutes(db) {
         updated_at: new Date()
       };
 
-      if (username !== undefined) {
+      const current = username !== undefined
+        ? await usersCollection.findOne({ auth_id: req.user.id }, { projection: { username: 1 } })
+        : null;
+      if (username !== undefined && username !== current?.username) {
+        const { errors } = validate(usernameSchema, { username });
+        if (errors.length > 0) {
+          return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
         // Check if username is already taken
         const existingUser = await usersCollection.findOne({
-          username: username.toLowerCase(),
+          ...usernameFilter(username),
           auth_id: { $ne: req.user.id }
         });
 
@@ -75,7 +195,7 @@ export default function usersRoutes(db) {
           return res.status(400).json({ error: 'Username is already taken' });
         }
 
-        updateData.username = username;
+        Object.assign(updateData, usernameFields(username));
       }
 
       if (bio !== undefined) updateData.bio = bio;
@@ -99,6 +219,9 @@ export default function usersRoutes(db) {
       if (arm_length !== undefined) updateData.arm_length = arm_length;
       if (neck_circumference !== undefined) updateData.neck_circumference = neck_circumference;
       if (torso_length !== undefined) updateData.torso_length = torso_length;
+      if (clothing_size !== undefined) updateData.clothing_size = clothing_size;
+      if (shoe_size !== undefined) updateData.shoe_size = shoe_size;
+      if (home_currency !== undefined) updateData.home_currency = home_currency;
 
       const result = await usersCollection.findOneAndUpdate(
         { auth_id: req.user.id },
@@ -106,13 +229,13 @@ export default function usersRoutes(db) {
         { returnDocument: 'after', upsert: true }
       );
 
-      if (!result.value) {
+      if (!result) {
         // If upsert created a new document, fetch it
         const user = await usersCollection.findOne({ auth_id: req.user.id });
         return res.json(user);
       }
 
-      res.json(result.value);
+      res.json(result);
     } catch (error) {
       console.error('Error updating user profile:', error);
       res.status(500).json({ error: 'Failed to update user profile' });
@@ -122,24 +245,125 @@ export default function usersRoutes(db) {
   // GET /api/users/:username - Get user profile by username (public)
   router.get('/:username', async (req, res) => {
     try {
-      const { username } = req.params;
-
-      const user = await usersCollection.findOne(
-        { username: username.toLowerCase() },
-        { projection: { auth_id: 0, email: 0 } } // Hide sensitive fields
-      );
+      const user = await findByUsername(req.params.username);
 
       if (!user) {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      res.json(user);
+      const is_self = user.auth_id === req.user.id;
+      const is_following = is_self ? false : await isFollowing(db, req.user.id, user.auth_id);
+
+      const profile = Object.fromEntries(
+        PUBLIC_PROFILE_FIELDS.filter(field => user[field] !== undefined).map(field => [field, user[field]])
+      );
+      res.json({
+        ...profile,
+        followers_count: user.followers_count || 0,
+        following_count: user.following_count || 0,
+        is_following,
+        is_self
+      });
     } catch (error) {
       console.error('Error fetching user by username:', error);
       res.status(500).json({ error: 'Failed to fetch user' });
     }
   });
 
+  // POST /api/users/:username/follow - Follow a user
+  router.post('/:username/follow', async (req, res) => {
+    try {
+      const user = await findByUsername(req.params.username);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      if (user.auth_id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot follow yourself' });
+      }
+
+      const created = await follow(db, req.user.id, user.auth_id);
+      if (created) {
+        console.log(`👥 ${req.user.id} followed ${user.username}`);
+        await notify(db, { user_id: user.auth_id, type: NOTIFICATION_TYPES.FOLLOW, actor_id: req.user.id });
+      }
+
+      const updated = await usersCollection.findOne({ auth_id: user.auth_id });
+      res.status(created ? 201 : 200).json({
+        following: true,
+        followers_count: updated?.followers_count || 0
+      });
+    } catch (error) {
+      console.error('Error following user:', error);
+      res.status(500).json({ error: 'Failed to follow user' });
+    }
+  });
+
+  // DELETE /api/users/:username/follow - Unfollow a user
+  router.delete('/:username/follow', async (req, res) => {
+    try {
+      const user = await findByUsername(req.params.username);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await unfollow(db, req.user.id, user.auth_id);
+
+      const updated = await usersCollection.findOne({ auth_id: user.auth_id });
+      res.json({
+        following: false,
+        followers_count: updated?.followers_count || 0
+      });
+    } catch (error) {
+      console.error('Error unfollowing user:', error);
+      res.status(500).json({ error: 'Failed to unfollow user' });
+    }
+  });
+
+  // GET /api/users/:username/followers - Get a page of a user's followers (newest first)
+  // Query: order, limit, cursor
+  router.get('/:username/followers', async (req, res) => {
+    try {
+      const page = readPageParams(req, res, followPageOptions);
+      if (!page) return;
+
+      const user = await findByUsername(req.params.username);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const result = await findFollowPage({ following_id: user.auth_id }, 'follower_id', page);
+      res.json({ ...result, count: user.followers_count || 0 });
+    } catch (error) {
+      console.error('Error fetching followers:', error);
+      res.status(500).json({ error: 'Failed to fetch followers' });
+    }
+  });
+
+  // GET /api/users/:username/following - Get a page of the users someone follows (newest first)
+  // Query: order, limit, cursor
+  router.get('/:username/following', async (req, res) => {
+    try {
+      const page = readPageParams(req, res, followPageOptions);
+      if (!page) return;
+
+      const user = await findByUsername(req.params.username);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const result = await findFollowPage({ follower_id: user.auth_id }, 'following_id', page);
+      res.json({ ...result, count: user.following_count || 0 });
+    } catch (error) {
+      console.error('Error fetching following:', error);
+      res.status(500).json({ error: 'Failed to fetch following' });
+    }
+  });
+
   // GET /api/users/check-username/:username - Check if username is available
   router.get('/check-username/:username', async (req, res) => {
     try {
@@ -153,9 +377,7 @@ export default function usersRoutes(db) {
         return res.json({ available: false, reason: 'Username can only contain letters, numbers, and underscores' });
       }
 
-      const existingUser = await usersCollection.findOne({
-        username: username.toLowerCase()
-      });
+      const existingUser = await usersCollection.findOne(usernameFilter(username));
 
       res.json({
         available: !existingUser,
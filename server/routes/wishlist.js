@@ -1,13 +1,99 @@
 import express from 'express';
 import { ObjectId } from 'mongodb';
+import { fields, validateBody } from '../lib/validation.js';
+import { readPageParams, cursorFilter, sortSpec, pageResponse } from '../lib/pagination.js';
+import { notifyPriceDrop, notifyWishlistAlert } from '../lib/notifications.js';
+import { ALERT_TYPES, MAX_ALERTS_PER_ITEM, createAlertRule, applyAlertRules } from '../lib/wishlistAlerts.js';
+import { DEFAULT_CURRENCY, convertAmount, getRates, userHomeCurrency } from '../lib/currency.js';
+
+const priceHistoryEntry = fields.object({
+  price: fields.price({ required: true }),
+  date: fields.date({ required: true }),
+});
+
+const wishlistItemSchema = {
+  name: fields.string({ required: true, max: 200 }),
+  type: fields.string({ max: 50 }),
+  brand: fields.string({ max: 100 }),
+  color: fields.string({ max: 50 }),
+  size: fields.string({ max: 30 }),
+  season: fields.string({ max: 30 }),
+  tags: fields.array(fields.string({ min: 1, max: 50 }), { max: 30, fromString: true }),
+  image_url: fields.url({ required: true }),
+  notes: fields.string({ max: 2000 }),
+  purchaseUrl: fields.url(),
+  estimatedPrice: fields.price(),
+  // Currency estimatedPrice is in (defaults to the user's home currency)
+  currency: fields.currency(),
+  priority: fields.string({ enum: ['low', 'medium', 'high'] }),
+  purchased: fields.boolean(),
+};
+
+// image_url is fixed once the item is created
+const { image_url: _imageUrl, ...wishlistItemEditableFields } = wishlistItemSchema;
+
+const wishlistItemUpdateSchema = {
+  ...wishlistItemEditableFields,
+  purchaseDate: fields.date({ nullable: true }),
+  priceHistory: fields.array(priceHistoryEntry, { max: 1000 }),
+  lastChecked: fields.date(),
+  customOrder: fields.number({ integer: true, min: 0 }),
+};
+
+const alertRuleFields = {
+  target_price: fields.price(),
+  percent: fields.number({ min: 1, max: 99 }),
+  size: fields.string({ max: 30 }),
+  color: fields.string({ max: 50 }),
+  active: fields.boolean(),
+};
+
+const alertRuleSchema = {
+  type: fields.string({ required: true, enum: Object.values(ALERT_TYPES) }),
+  ...alertRuleFields,
+};
+
+// Fields each rule type needs on top of the schema
+function alertRuleIssues(rule) {
+  if (rule.type === ALERT_TYPES.TARGET_PRICE && !(rule.target_price > 0)) {
+    return [{ field: 'target_price', message: 'is required for target_price alerts' }];
+  }
+  if (rule.type === ALERT_TYPES.PERCENT_DROP && !(rule.percent > 0)) {
+    return [{ field: 'percent', message: 'is required for percent_drop alerts' }];
+  }
+  return [];
+}
+
+const reorderSchema = {
+  items: fields.array(fields.object({
+    id: fields.objectId({ required: true }),
+    customOrder: fields.number({ required: true, integer: true, min: 0 }),
+  }), { required: true, max: 1000 }),
+};
+
+const wishlistPageOptions = {
+  sortKeys: ['customOrder', 'created_at', 'estimatedPrice', 'name'],
+  defaultSort: 'customOrder',
+  defaultOrder: 'asc',
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
 
 export default function wishlistRoutes(db) {
   const router = express.Router();
   const wishlistCollection = db.collection('wishlist_items');
 
-  // GET /api/wishlist - Get all wishlist items for user
+  // GET /api/wishlist - Get a page of wishlist items for user
+  // Query: type, priority, purchased, sort, order, limit, cursor
   router.get('/', async (req, res) => {
     try {
+      const page = readPageParams(req, res, wishlistPageOptions);
+      if (!page) return;
+
       const { type, priority, purchased } = req.query;
       const filter = { user_id: req.user.id };
 
@@ -18,13 +104,14 @@ export default function wishlistRoutes(db) {
       console.log('Fetching wishlist items for user:', req.user.id, 'with filter:', filter);
 
       const items = await wishlistCollection
-        .find(filter)
-        .sort({ customOrder: 1, created_at: -1 })
+        .find({ $and: [filter, cursorFilter(page)] })
+        .sort(sortSpec(page))
+        .limit(page.limit + 1)
         .toArray();
 
       console.log(`Found ${items.length} wishlist items for user ${req.user.id}`);
 
-      res.json(items);
+      res.json(pageResponse(items, page));
     } catch (error) {
       console.error('Error fetching wishlist items:', error);
       res.status(500).json({ error: 'Failed to fetch wishlist items' });
@@ -40,7 +127,7 @@ export default function wishlistRoutes(db) {
           $group: {
             _id: null,
             total: { $sum: 1 },
-            totalValue: { $sum: '$estimatedPrice' },
+            prices: { $push: { price: '$estimatedPrice', currency: '$currency', purchased: '$purchased' } },
             purchased: { $sum: { $cond: ['$purchased', 1, 0] } },
             byPriority: { $push: { priority: '$priority' } },
             byType: { $push: { type: '$type' } }
@@ -63,9 +150,34 @@ export default function wishlistRoutes(db) {
         });
       }
 
+      // Items can be priced in different currencies; totals are in the user's home currency
+      const currency = await userHomeCurrency(db, req.user.id);
+      const valueByCurrency = {};
+      const unconverted = new Set();
+      let totalValue = 0;
+      let unpurchasedValue = 0;
+      for (const item of stats[0]?.prices || []) {
+        if (!(item.price > 0)) continue;
+        const itemCurrency = item.currency || DEFAULT_CURRENCY;
+        valueByCurrency[itemCurrency] = roundMoney((valueByCurrency[itemCurrency] || 0) + item.price);
+        const converted = convertAmount(item.price, itemCurrency, currency);
+        if (converted === null) {
+          unconverted.add(itemCurrency);
+          continue;
+        }
+        totalValue += converted;
+        if (!item.purchased) unpurchasedValue += converted;
+      }
+
       res.json({
         total: stats[0]?.total || 0,
-        totalValue: stats[0]?.totalValue || 0,
+        currency,
+        totalValue: roundMoney(totalValue),
+        unpurchasedValue: roundMoney(unpurchasedValue),
+        valueByCurrency,
+        // Currencies missing from the rate table are left out of the totals
+        unconvertedCurrencies: [...unconverted],
+        ratesUpdated: getRates().updated,
         purchased: stats[0]?.purchased || 0,
         byPriority: priorityCount,
         byType: typeCount
@@ -77,17 +189,13 @@ export default function wishlistRoutes(db) {
   });
 
   // POST /api/wishlist - Create new wishlist item
-  router.post('/', async (req, res) => {
+  router.post('/', validateBody(wishlistItemSchema), async (req, res) => {
     try {
       const { 
         name, type, brand, color, size, season, tags, image_url, notes,
-        purchaseUrl, estimatedPrice, priority, purchased
+        purchaseUrl, estimatedPrice = 0, currency, priority, purchased
       } = req.body;
 
-      if (!name || !image_url) {
-        return res.status(400).json({ error: 'Name and image_url are required' });
-      }
-
       // Get current item count for custom order
       const count = await wishlistCollection.countDocuments({ user_id: req.user.id });
 
@@ -103,13 +211,15 @@ export default function wishlistRoutes(db) {
         image_url,
         notes: notes || '',
         purchaseUrl: purchaseUrl || '',
-        estimatedPrice: parseFloat(estimatedPrice) || 0,
-        originalPrice: parseFloat(estimatedPrice) || 0,
+        estimatedPrice,
+        originalPrice: estimatedPrice,
+        currency: currency || await userHomeCurrency(db, req.user.id),
         priority: priority || 'medium',
         purchased: purchased || false,
         purchaseDate: null,
-        priceHistory: [{ price: parseFloat(estimatedPrice) || 0, date: new Date().toISOString() }],
+        priceHistory: [{ price: estimatedPrice, date: new Date().toISOString() }],
         lastChecked: new Date().toISOString(),
+        alerts: [],
         customOrder: count,
         isWishlist: true,
         created_at: new Date(),
@@ -153,12 +263,12 @@ export default function wishlistRoutes(db) {
   });
 
   // PUT /api/wishlist/:id - Update wishlist item
-  router.put('/:id', async (req, res) => {
+  router.put('/:id', validateBody(wishlistItemUpdateSchema, { partial: true }), async (req, res) => {
     try {
       const { id } = req.params;
       const { 
         name, type, brand, color, size, season, tags, notes,
-        purchaseUrl, estimatedPrice, priority, purchased, purchaseDate,
+        purchaseUrl, estimatedPrice, currency, priority, purchased, purchaseDate,
         priceHistory, lastChecked, customOrder
       } = req.body;
 
@@ -179,7 +289,8 @@ export default function wishlistRoutes(db) {
       if (tags !== undefined) updateData.tags = tags;
       if (notes !== undefined) updateData.notes = notes;
       if (purchaseUrl !== undefined) updateData.purchaseUrl = purchaseUrl;
-      if (estimatedPrice !== undefined) updateData.estimatedPrice = parseFloat(estimatedPrice);
+      if (estimatedPrice !== undefined) updateData.estimatedPrice = estimatedPrice;
+      if (currency !== undefined) updateData.currency = currency || DEFAULT_CURRENCY;
       if (priority !== undefined) updateData.priority = priority;
       if (purchased !== undefined) updateData.purchased = purchased;
       if (purchaseDate !== undefined) updateData.purchaseDate = purchaseDate;
@@ -187,6 +298,12 @@ export default function wishlistRoutes(db) {
       if (lastChecked !== undefined) updateData.lastChecked = lastChecked;
       if (customOrder !== undefined) updateData.customOrder = customOrder;
 
+      // A price check (lastChecked + estimatedPrice) raises price_drop and alert notifications
+      const isPriceCheck = lastChecked !== undefined && estimatedPrice !== undefined;
+      const before = isPriceCheck
+        ? await wishlistCollection.findOne({ _id: new ObjectId(id), user_id: req.user.id })
+        : null;
+
       const result = await wishlistCollection.findOneAndUpdate(
         { _id: new ObjectId(id), user_id: req.user.id },
         { $set: updateData },
@@ -197,6 +314,14 @@ export default function wishlistRoutes(db) {
         return res.status(404).json({ error: 'Item not found' });
       }
 
+      if (before) {
+        await notifyPriceDrop(db, before, before.estimatedPrice, estimatedPrice);
+        const fired = await applyAlertRules(db, before, { price: estimatedPrice, product: null });
+        for (const rule of fired) {
+          await notifyWishlistAlert(db, before, rule, estimatedPrice);
+        }
+      }
+
       console.log('Updated wishlist item:', id);
       res.json(result);
     } catch (error) {
@@ -231,14 +356,107 @@ export default function wishlistRoutes(db) {
     }
   });
 
-  // PUT /api/wishlist/reorder - Reorder wishlist items
-  router.put('/batch/reorder', async (req, res) => {
+  // POST /api/wishlist/:id/alerts - Add an alert rule to an item
+  // Body: { type: 'target_price' | 'percent_drop' | 'back_in_stock', target_price, percent, size, color }
+  router.post('/:id/alerts', validateBody(alertRuleSchema), async (req, res) => {
     try {
-      const { items } = req.body; // Array of { id, customOrder }
+      const { id } = req.params;
 
-      if (!Array.isArray(items)) {
-        return res.status(400).json({ error: 'Items array is required' });
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'Invalid item ID' });
+      }
+
+      const issues = alertRuleIssues(req.body);
+      if (issues.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', fields: issues });
+      }
+
+      const item = await wishlistCollection.findOne({ _id: new ObjectId(id), user_id: req.user.id });
+      if (!item) {
+        return res.status(404).json({ error: 'Item not found' });
       }
+      if ((item.alerts || []).length >= MAX_ALERTS_PER_ITEM) {
+        return res.status(400).json({ error: `An item can have at most ${MAX_ALERTS_PER_ITEM} alerts` });
+      }
+
+      const rule = createAlertRule(req.body, item);
+      if (req.body.active === false) rule.active = false;
+
+      await wishlistCollection.updateOne(
+        { _id: item._id },
+        { $push: { alerts: rule }, $set: { updated_at: new Date() } }
+      );
+
+      console.log('Added wishlist alert:', rule.type, 'on item', id);
+      res.status(201).json(rule);
+    } catch (error) {
+      console.error('Error adding wishlist alert:', error);
+      res.status(500).json({ error: 'Failed to add alert' });
+    }
+  });
+
+  // PUT /api/wishlist/:id/alerts/:alertId - Change an alert rule (re-arms it)
+  router.put('/:id/alerts/:alertId', validateBody(alertRuleFields, { partial: true }), async (req, res) => {
+    try {
+      const { id, alertId } = req.params;
+
+      if (!ObjectId.isValid(id) || !ObjectId.isValid(alertId)) {
+        return res.status(400).json({ error: 'Invalid ID' });
+      }
+
+      const item = await wishlistCollection.findOne({ _id: new ObjectId(id), user_id: req.user.id });
+      const rule = item?.alerts?.find(a => a._id.equals(new ObjectId(alertId)));
+      if (!rule) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      const updated = { ...rule, ...req.body, triggered: false, triggered_at: null, triggered_price: null };
+      const issues = alertRuleIssues(updated);
+      if (issues.length > 0) {
+        return res.status(400).json({ error: 'Validation failed', fields: issues });
+      }
+
+      await wishlistCollection.updateOne(
+        { _id: item._id, 'alerts._id': rule._id },
+        { $set: { 'alerts.$': updated, updated_at: new Date() } }
+      );
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating wishlist alert:', error);
+      res.status(500).json({ error: 'Failed to update alert' });
+    }
+  });
+
+  // DELETE /api/wishlist/:id/alerts/:alertId - Remove an alert rule
+  router.delete('/:id/alerts/:alertId', async (req, res) => {
+    try {
+      const { id, alertId } = req.params;
+
+      if (!ObjectId.isValid(id) || !ObjectId.isValid(alertId)) {
+        return res.status(400).json({ error: 'Invalid ID' });
+      }
+
+      const result = await wishlistCollection.updateOne(
+        { _id: new ObjectId(id), user_id: req.user.id, 'alerts._id': new ObjectId(alertId) },
+        { $pull: { alerts: { _id: new ObjectId(alertId) } }, $set: { updated_at: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error deleting wishlist alert:', error);
+      res.status(500).json({ error: 'Failed to delete alert' });
+    }
+  });
+
+  // PUT /api/wishlist/reorder - Reorder wishlist items
+  router.put('/batch/reorder', validateBody(reorderSchema), async (req, res) => {
+    try {
+      const { items } = req.body; // Array of { id, customOrder }
 
       const bulkOps = items.map(item => ({
         updateOne: {
@@ -2,20 +2,59 @@ import axios from 'axios';
 
 // Usage: node server/test-scraper.js <url1> <url2> ...
 // Example: node server/test-scraper.js "https://www.example.com/product/123"
+//
+// Offline extractor checks (no server needed, runs the scraper in-process):
+//   node server/test-scraper.js --record <url1> <url2> ...   fetch and save each page
+//   node server/test-scraper.js --replay [<url1> ...]        re-run extraction on saved pages
+//                                                            (all of them when no URL is given)
+// Pages are saved to SCRAPER_FIXTURES_DIR (default server/scraper-fixtures).
 
 const API = process.env.API_URL || 'http://localhost:3001/api/scraper/product';
 const rawArgs = process.argv.slice(2);
 const urls = rawArgs.filter(a => !a.startsWith('--'));
 const useApiFlag = rawArgs.includes('--useApi') || process.env.USE_SCRAPING_API === '1';
 const useProxyFlag = rawArgs.includes('--useProxy') || process.env.USE_SCRAPER_PROXY === '1';
+const httpMode = rawArgs.includes('--replay') ? 'replay' : rawArgs.includes('--record') ? 'record' : null;
 
-if (!urls.length) {
+if (!urls.length && httpMode !== 'replay') {
   console.error('Please provide one or more product URLs as arguments');
   console.error('Optional flag: --useApi to force using configured scraping API provider');
+  console.error('Optional flags: --record / --replay to save pages or re-run extraction offline');
   process.exit(1);
 }
 
+// Scrape in-process through the HTTP recorder (set before the scraper modules load)
+async function runLocal() {
+  process.env.SCRAPER_HTTP_MODE = httpMode;
+  const fs = await import('fs');
+  const path = await import('path');
+  const { httpRecorder } = await import('./lib/httpRecorder.js');
+  const { scrapeProduct } = await import('./lib/productScraper.js');
+
+  let targets = urls;
+  if (!targets.length) {
+    // Every recorded page (Amazon API recordings are keyed by ASIN, not a page URL)
+    const files = fs.existsSync(httpRecorder.dir) ? fs.readdirSync(httpRecorder.dir).filter(f => f.endsWith('.json')) : [];
+    targets = files
+      .map(file => JSON.parse(fs.readFileSync(path.join(httpRecorder.dir, file), 'utf8')).url)
+      .filter(url => /^https?:\/\//.test(url));
+    console.log(`Replaying ${targets.length} recorded page(s) from ${httpRecorder.dir}`);
+  }
+
+  for (const url of targets) {
+    console.log(`\n=== ${httpMode === 'replay' ? 'Replaying' : 'Recording'} URL:`, url, '===');
+    try {
+      const product = await scrapeProduct(url, { useScrapingApi: useApiFlag, useProxy: useProxyFlag });
+      console.log('Product:', JSON.stringify(product, null, 2));
+    } catch (err) {
+      console.error(`Error${err.status ? ` ${err.status}` : ''}:`, err.message, err.extra ? JSON.stringify(err.extra, null, 2) : '');
+    }
+  }
+}
+
 (async () => {
+  if (httpMode) return runLocal();
+
   for (const url of urls) {
     try {
       console.log('\n=== Testing URL:', url, 'useScrapingApi=' + useApiFlag, 'useProxy=' + useProxyFlag, '===');
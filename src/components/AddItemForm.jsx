@@ -7,9 +7,11 @@ import { useState, useRef } from 'react';
 import { createClosetItem } from '../lib/api/closet';
 import { uploadImage, compressImage } from '../lib/storage';
 import { removeClothingBackground, previewBackgroundRemoval } from '../lib/backgroundRemoval';
+import { preferredSizeFor, matchSize, sizeOptions } from '../lib/sizes';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../lib/currency';
 import BackgroundRemover from './BackgroundRemover';
 
-export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist = false, onSubmit, onCancel, initialData }) {
+export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist = false, onSubmit, onCancel, initialData, userProfile }) {
   const [imageFile, setImageFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(initialData?.image_url || null);
   const [formData, setFormData] = useState({
@@ -23,10 +25,13 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
     ...(isWishlist && {
       priority: initialData?.priority || 'medium',
       estimatedPrice: initialData?.estimatedPrice || '',
+      currency: initialData?.currency || userProfile?.home_currency || DEFAULT_CURRENCY,
       purchaseUrl: initialData?.purchaseUrl || '',
       name: initialData?.name || '',
     }),
   });
+  // null until the user picks one; until then the profile size is pre-selected
+  const [chosenSize, setChosenSize] = useState(initialData?.size ?? null);
   const [loading, setLoading] = useState(false);
   const [analyzing, setAnalyzing] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
@@ -34,6 +39,8 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
   const [showBgRemover, setShowBgRemover] = useState(false);
   const [removingBg, setRemovingBg] = useState(false);
   const [bgRemoved, setBgRemoved] = useState(false);
+  const [originalPreview, setOriginalPreview] = useState(null); // Photo before background removal
+  const [uploadedImageUrl, setUploadedImageUrl] = useState(null); // Set when the mask editor already uploaded the image
   const [bgSettings, setBgSettings] = useState({
     enabled: true,
     neutralBackground: true,
@@ -127,7 +134,11 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
 
     try {
       // Show preview immediately
-      setImagePreview(URL.createObjectURL(file));
+      const previewUrl = URL.createObjectURL(file);
+      setImagePreview(previewUrl);
+      setOriginalPreview(previewUrl);
+      setUploadedImageUrl(null);
+      setBgRemoved(false);
 
       // Compress image for storage
       const compressed = await compressImage(file);
@@ -158,6 +169,7 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
       // Update preview and file
       setImagePreview(result.url);
       setImageFile(result.blob);
+      setUploadedImageUrl(null);
       setBgRemoved(true);
       setRemovingBg(false);
       
@@ -199,6 +211,13 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
     }
   };
 
+  // Sizes the scraped product comes in (empty for manual items: free-text size)
+  const productSizes = sizeOptions(initialData);
+  const preferredSize = preferredSizeFor(userProfile, formData.type);
+  const size = chosenSize ?? (productSizes.length > 0
+    ? matchSize(productSizes.map(option => option.size), preferredSize)
+    : preferredSize);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -229,7 +248,7 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
         
         setUploadProgress(30);
         // Upload to user's folder with 'wishlist' subfolder
-        const imageUrl = await uploadImage(imageFile, userId, 'wishlist');
+        const imageUrl = uploadedImageUrl || await uploadImage(imageFile, userId, 'wishlist');
         setUploadProgress(100);
         
         const itemData = {
@@ -238,11 +257,13 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
           color: formData.color,
           brand: formData.brand,
           season: formData.season,
+          size,
           tags: formData.tags.split(',').map((t) => t.trim()).filter(Boolean),
           notes: formData.notes,
           name: formData.name,
           priority: formData.priority,
           estimatedPrice: formData.estimatedPrice,
+          currency: formData.currency,
           purchaseUrl: formData.purchaseUrl,
         };
 
@@ -263,7 +284,7 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
       // Upload image to Supabase Storage
       setUploadProgress(30);
       console.log('Uploading image to Supabase...');
-      const imageUrl = await uploadImage(imageFile, userId);
+      const imageUrl = uploadedImageUrl || await uploadImage(imageFile, userId);
       console.log('Image uploaded:', imageUrl);
       setUploadProgress(60);
 
@@ -276,6 +297,7 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
           color: formData.color,
           brand: formData.brand,
           season: formData.season,
+          size,
           tags: formData.tags.split(',').map((t) => t.trim()).filter(Boolean),
           notes: formData.notes,
         },
@@ -354,6 +376,15 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
                   >
                     {removingBg ? '⏳ Removing...' : bgRemoved ? '✅ Background Removed' : '🎨 Remove Background'}
                   </button>
+                  {bgRemoved && originalPreview && (
+                    <button
+                      type="button"
+                      className="refine-cutout-btn"
+                      onClick={() => setShowBgRemover(true)}
+                    >
+                      🖌️ Refine Cutout
+                    </button>
+                  )}
                   {!analyzing && !aiUsed && (
                     <button
                       type="button"
@@ -490,6 +521,32 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
               </select>
             </div>
 
+            <div className="form-field">
+              <label htmlFor="item-size">Size</label>
+              {productSizes.length > 0 ? (
+                <select id="item-size" name="size" value={size} onChange={(e) => setChosenSize(e.target.value)}>
+                  <option value="">Select size</option>
+                  {productSizes.map(option => (
+                    <option key={option.size} value={option.size}>
+                      {option.size}{option.soldOut ? ' (sold out)' : ''}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  id="item-size"
+                  type="text"
+                  name="size"
+                  value={size}
+                  onChange={(e) => setChosenSize(e.target.value)}
+                  placeholder="M, 32, 9.5..."
+                />
+              )}
+              {matchSize([size], preferredSize) && (
+                <small className="size-hint">Your size</small>
+              )}
+            </div>
+
             <div className="form-field form-field-full">
               <label htmlFor="item-tags">Tags (comma-separated)</label>
               <input
@@ -545,6 +602,20 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
                   />
                 </div>
 
+                <div className="form-field">
+                  <label htmlFor="item-currency">Currency</label>
+                  <select
+                    id="item-currency"
+                    name="currency"
+                    value={formData.currency}
+                    onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                  >
+                    {CURRENCIES.map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className="form-field form-field-full">
                   <label htmlFor="item-url">Purchase URL</label>
                   <input
@@ -744,7 +815,8 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
           justify-content: space-between;
         }
 
-        .change-photo-btn {
+        .change-photo-btn,
+        .refine-cutout-btn {
           background: white;
           border: none;
           padding: 8px 16px;
@@ -799,6 +871,12 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
           grid-column: 1 / -1;
         }
 
+        .size-hint {
+          margin-top: 4px;
+          font-size: 12px;
+          color: #10b981;
+        }
+
         .form-field label {
           margin-bottom: 6px;
           font-weight: 500;
@@ -874,12 +952,18 @@ export default function AddItemForm({ userId, onItemAdded, onClose, isWishlist =
       {/* Background Remover Modal */}
       {showBgRemover && imagePreview && (
         <BackgroundRemover
-          imageUrl={imagePreview}
+          imageUrl={originalPreview || imagePreview}
+          initialCutoutUrl={bgRemoved ? imagePreview : null}
+          userId={userId}
+          uploadFolder={isWishlist ? 'wishlist' : ''}
           onComplete={(processed) => {
             setImagePreview(processed.url);
             // Convert blob to file
             const file = new File([processed.blob], 'processed-image.png', { type: 'image/png' });
             setImageFile(file);
+            // The mask editor uploads the refined image itself
+            setUploadedImageUrl(processed.uploadedUrl || null);
+            setBgRemoved(true);
             setShowBgRemover(false);
           }}
           onCancel={() => setShowBgRemover(false)}
@@ -1,31 +1,68 @@
 /**
  * Image Background Remover Component
- * Allows users to remove backgrounds from clothing items
+ * Allows users to remove backgrounds from clothing items, then refine the
+ * cutout by hand in the mask editor
  */
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { removeBackground, removeBgWithAPI, autoCrop } from '../lib/imageProcessing';
+import MaskEditor from './MaskEditor';
 
-export default function BackgroundRemover({ imageUrl, onComplete, onCancel }) {
+/**
+ * @param {string} imageUrl - Original photo
+ * @param {string} [initialCutoutUrl] - Existing cutout of imageUrl; opens straight in the editor
+ * @param {string} [userId] - Refined images are uploaded for this user
+ * @param {string} [uploadFolder] - Storage folder for refined images
+ */
+export default function BackgroundRemover({ imageUrl, initialCutoutUrl = null, userId, uploadFolder = '', onComplete, onCancel }) {
   const [processing, setProcessing] = useState(false);
   const [processedImage, setProcessedImage] = useState(null);
+  const [cutoutUrl, setCutoutUrl] = useState(initialCutoutUrl); // Uncropped, same framing as imageUrl
+  const [editing, setEditing] = useState(Boolean(initialCutoutUrl));
   const [threshold, setThreshold] = useState(30);
   const [method, setMethod] = useState('auto'); // 'auto' or 'api'
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const abortRef = useRef(null);
 
-  const handleAutoRemove = async () => {
+  // Stop in-browser processing when the modal closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const startProcessing = () => {
+    abortRef.current?.abort();
+    abortRef.current = new AbortController();
     setProcessing(true);
+    setProgress(0);
     setError(null);
+    return abortRef.current.signal;
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+    onCancel();
+  };
+
+  const handleAutoRemove = async () => {
+    const signal = startProcessing();
     
     try {
       // Remove background
-      const result = await removeBackground(imageUrl, { threshold });
+      const result = await removeBackground(imageUrl, {
+        threshold,
+        onProgress: (fraction) => setProgress(Math.round(fraction * 80)),
+        signal
+      });
+      setCutoutUrl(result.url);
       
       // Auto-crop to remove excess space
-      const cropped = await autoCrop(result.url);
+      const cropped = await autoCrop(result.url, {
+        onProgress: (fraction) => setProgress(80 + Math.round(fraction * 20)),
+        signal
+      });
       
       setProcessedImage(cropped);
     } catch (err) {
+      if (signal.aborted) return;
       console.error('Background removal error:', err);
       setError('Failed to remove background. Try adjusting the threshold.');
     } finally {
@@ -34,23 +71,27 @@ export default function BackgroundRemover({ imageUrl, onComplete, onCancel }) {
   };
 
   const handleAPIRemove = async () => {
-    setProcessing(true);
-    setError(null);
+    const signal = startProcessing();
     
     try {
       // Convert URL to File
-      const response = await fetch(imageUrl);
+      const response = await fetch(imageUrl, { signal });
       const blob = await response.blob();
       const file = new File([blob], 'image.jpg', { type: blob.type });
       
       // Use Remove.bg API
       const result = await removeBgWithAPI(file);
+      setCutoutUrl(result.url);
       
       // Auto-crop
-      const cropped = await autoCrop(result.url);
+      const cropped = await autoCrop(result.url, {
+        onProgress: (fraction) => setProgress(Math.round(fraction * 100)),
+        signal
+      });
       
       setProcessedImage(cropped);
     } catch (err) {
+      if (signal.aborted) return;
       console.error('API background removal error:', err);
       setError(err.message || 'Failed to remove background with API');
     } finally {
@@ -64,12 +105,34 @@ export default function BackgroundRemover({ imageUrl, onComplete, onCancel }) {
     }
   };
 
+  if (editing && cutoutUrl) {
+    return (
+      <div className="bg-remover-overlay">
+        <div className="bg-remover-modal">
+          <div className="bg-remover-header">
+            <h3>🖌️ Refine Cutout</h3>
+            <button className="close-btn" onClick={handleCancel}>×</button>
+          </div>
+
+          <MaskEditor
+            originalUrl={imageUrl}
+            cutoutUrl={cutoutUrl}
+            userId={userId}
+            uploadFolder={uploadFolder}
+            onSave={onComplete}
+            onCancel={() => setEditing(false)}
+          />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-remover-overlay">
       <div className="bg-remover-modal">
         <div className="bg-remover-header">
           <h3>🎨 Remove Background</h3>
-          <button className="close-btn" onClick={onCancel}>×</button>
+          <button className="close-btn" onClick={handleCancel}>×</button>
         </div>
 
         <div className="bg-remover-content">
@@ -147,7 +210,7 @@ export default function BackgroundRemover({ imageUrl, onComplete, onCancel }) {
                 onClick={method === 'auto' ? handleAutoRemove : handleAPIRemove}
                 disabled={processing}
               >
-                {processing ? '⏳ Processing...' : '🎨 Remove Background'}
+                {processing ? `⏳ Processing... ${progress}%` : '🎨 Remove Background'}
               </button>
               
               {processedImage && (
@@ -158,10 +221,20 @@ export default function BackgroundRemover({ imageUrl, onComplete, onCancel }) {
                   ✅ Use This Image
                 </button>
               )}
+
+              {cutoutUrl && userId && (
+                <button
+                  className="sf-btn sf-btn-outline"
+                  onClick={() => setEditing(true)}
+                  disabled={processing}
+                >
+                  🖌️ Refine
+                </button>
+              )}
               
               <button
                 className="sf-btn sf-btn-outline"
-                onClick={onCancel}
+                onClick={handleCancel}
               >
                 Cancel
               </button>
@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef } from "react";
+import { createScrapeJob, getScrapeJob } from "../lib/api/scraper";
+import { toScrapedDraft } from "../lib/scrapedProduct";
+import { formatPrice } from "../lib/currency";
+
+// Status checks start every 2s and slow down to every 15s, so a long import stays well
+// inside the API's per-IP request limit (100 per 15 minutes)
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLL_INTERVAL_MS = 15000;
+const POLL_BACKOFF = 1.5;
+
+/**
+ * Product links in pasted text (one per line, or mixed in with other text)
+ * @param {string} text
+ * @returns {Array<string>} Unique URLs in the order they appear
+ */
+function findUrls(text) {
+  const urls = (text.match(/https?:\/\/[^\s,<>"']+/g) || []).map(url => url.replace(/[).,;]+$/, ""));
+  return [...new Set(urls)];
+}
+
+/**
+ * Paste many product links, scrape them as a batch job and add the ones that worked
+ * @param {Object} options - Scraper options ({ useScrapingApi, useProxy })
+ * @param {Object} userProfile - Pre-selects the user's size per product
+ * @param {Function} onAddItems - Called with the chosen wishlist drafts; may return a promise
+ * @param {Function} onClose
+ */
+export default function BatchImport({ options, userProfile, onAddItems, onClose }) {
+  const [text, setText] = useState("");
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState("");
+  const [starting, setStarting] = useState(false);
+  const [adding, setAdding] = useState(false);
+  // Successful results are selected unless the user unticks them
+  const [skipped, setSkipped] = useState(() => new Set());
+  const pollDelay = useRef(POLL_INTERVAL_MS);
+  const urls = findUrls(text);
+
+  // Poll until every URL is scraped
+  useEffect(() => {
+    if (!job || job.status === "done") return;
+    const timer = setTimeout(async () => {
+      pollDelay.current = Math.min(pollDelay.current * POLL_BACKOFF, MAX_POLL_INTERVAL_MS);
+      try {
+        setJob(await getScrapeJob(job.id));
+      } catch (err) {
+        setError(err.message || "Lost track of the import. Please try again.");
+      }
+    }, pollDelay.current);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError("");
+    setSkipped(new Set());
+    pollDelay.current = POLL_INTERVAL_MS;
+    try {
+      setJob(await createScrapeJob(urls, options));
+    } catch (err) {
+      setError(err.message || "Could not start the import");
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const toggle = (url) => {
+    const next = new Set(skipped);
+    if (next.has(url)) next.delete(url);
+    else next.add(url);
+    setSkipped(next);
+  };
+
+  const results = job?.results || [];
+  const chosen = results.filter(r => r.status === "done" && !skipped.has(r.url));
+
+  const handleAdd = async () => {
+    setAdding(true);
+    try {
+      await onAddItems(chosen.map(r => toScrapedDraft(r.product, r.url, userProfile)));
+      setJob(null);
+      setText("");
+      onClose?.();
+    } catch (err) {
+      setError(err.message || "Could not add the items");
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <div className="batch-import">
+      {!job ? (
+        <>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder={"Paste product links, one per line\nhttps://store.example.com/products/linen-shirt\n..."}
+            rows={6}
+          />
+          <div className="batch-import__actions">
+            <span>{urls.length} link{urls.length === 1 ? "" : "s"} found</span>
+            <button type="button" onClick={handleStart} disabled={starting || urls.length === 0}>
+              {starting ? "⏳ Starting..." : `🔍 Get ${urls.length || ""} Items`}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="batch-import__progress">
+            <div className="batch-import__bar">
+              <div style={{ width: `${job.total ? (job.completed / job.total) * 100 : 0}%` }} />
+            </div>
+            <span>
+              {job.status === "done"
+                ? `Done: ${job.succeeded} found, ${job.failed} failed`
+                : `Fetching ${job.completed}/${job.total}...`}
+            </span>
+          </div>
+
+          <ul className="batch-import__results">
+            {results.map(result => (
+              <li key={result.url} className={`batch-import__result ${result.status}`}>
+                {result.status === "done" ? (
+                  <label>
+                    <input type="checkbox" checked={!skipped.has(result.url)} onChange={() => toggle(result.url)} />
+                    {result.product.image_url ? (
+                      <img src={result.product.image_url} alt="" />
+                    ) : (
+                      <span className="batch-import__thumb">👕</span>
+                    )}
+                    <span className="batch-import__name">{result.product.name || result.url}</span>
+                    {result.product.price ? (
+                      <span className="batch-import__price">{formatPrice(result.product.price, result.product.currency)}</span>
+                    ) : null}
+                  </label>
+                ) : (
+                  <>
+                    <span className="batch-import__url" title={result.url}>{result.url}</span>
+                    <span className="batch-import__status">
+                      {result.status === "error" ? `⚠️ ${result.error}` : "⏳"}
+                    </span>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <div className="batch-import__actions">
+            <button type="button" onClick={() => setJob(null)} disabled={adding}>
+              Start Over
+            </button>
+            <button type="button" onClick={handleAdd} disabled={adding || chosen.length === 0}>
+              {adding ? "Adding..." : `➕ Add ${chosen.length} to Wishlist`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <p className="batch-import__error">⚠️ {error}</p>}
+    </div>
+  );
+}
@@ -1,7 +1,43 @@
-export default function FollowButton() {
+import { useState, useEffect } from "react";
+import { followUser, unfollowUser } from "../lib/api/users";
+
+/**
+ * Follow / unfollow toggle for a user
+ * @param {string} username - User to follow
+ * @param {boolean} initialFollowing - Current state from the profile (is_following)
+ * @param {Function} onChange - Called with { following, followers_count } after each toggle
+ */
+export default function FollowButton({ username, initialFollowing = false, onChange }) {
+  const [following, setFollowing] = useState(initialFollowing);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setFollowing(initialFollowing);
+  }, [username, initialFollowing]);
+
+  const handleClick = async () => {
+    if (!username || saving) return;
+
+    setSaving(true);
+    try {
+      const result = following ? await unfollowUser(username) : await followUser(username);
+      setFollowing(result.following);
+      onChange?.(result);
+    } catch (error) {
+      console.error('Error updating follow:', error);
+      alert(`Failed to ${following ? 'unfollow' : 'follow'} @${username}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   return (
-    <button className="sf-btn sf-btn-outline">
-      Follow
+    <button
+      className={`sf-btn ${following ? 'sf-btn-outline' : 'sf-btn-primary'}`}
+      onClick={handleClick}
+      disabled={!username || saving}
+    >
+      {following ? 'Following' : 'Follow'}
     </button>
   );
 }
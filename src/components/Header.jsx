@@ -3,6 +3,7 @@ import { useAuth } from "../context/AuthContext";
 import { supabase } from "../lib/supabaseClient";
 import { useState, useEffect } from "react";
 import { createPortal } from "react-dom";
+import NotificationBell from "./NotificationBell";
 
 export default function Header() {
   const { user } = useAuth() || {};
@@ -87,6 +88,7 @@ export default function Header() {
               <>
                 <div className="site-user">{user.email}</div>
                 <button className="site-btn site-btn--primary" onClick={handleLogout}>Logout</button>
+                <NotificationBell />
                 <Link to="/settings" className="site-settings" aria-label="Settings">
                   <svg className="site-settings__icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false">
                     <path d="M19.14 12.936c.036-.303.057-.61.057-.936s-.02-.633-.057-.936l2.037-1.58a.5.5 0 00.12-.637l-1.927-3.337a.5.5 0 00-.607-.22l-2.4.96a7.012 7.012 0 00-1.615-.936l-.36-2.54A.5.5 0 0013.8 2h-3.6a.5.5 0 00-.493.422l-.36 2.54a7.08 7.08 0 00-1.615.936l-2.4-.96a.5.5 0 00-.607.22L2.68 8.484a.5.5 0 00.12.637l2.037 1.58c-.037.303-.057.61-.057.936s.02.633.057.936L2.8 15.09a.5.5 0 00-.12.637l1.927 3.337c.15.26.46.36.737.26l2.4-.96c.503.392 1.045.718 1.615.936l.36 2.54a.5.5 0 00.493.422h3.6a.5.5 0 00.493-.422l.36-2.54c.57-.218 1.112-.544 1.615-.936l2.4.96c.277.11.587 0 .737-.26l1.927-3.337a.5.5 0 00-.12-.637l-2.037-1.58zM12 15.5A3.5 3.5 0 1112 8.5a3.5 3.5 0 010 7z" />
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { useAuth } from "../context/AuthContext";
 import { getMessages, postMessage, deleteMessage } from "../lib/api/community";
+import { promptForReport, reportMessage } from "../lib/api/moderation";
 import StyleAnalytics from "./StyleAnalytics";
 import WelcomeSteps from "./WelcomeSteps";
 
@@ -126,6 +127,19 @@ function HomeScreen({ onContinue, onWelcomeContinue }) {
     }
   };
 
+  const handleReportMessage = async (messageId) => {
+    const report = promptForReport();
+    if (!report) return;
+
+    try {
+      await reportMessage(messageId, report);
+      alert('Thanks for reporting. A moderator will review it.');
+    } catch (error) {
+      console.error('Error reporting message:', error);
+      alert(error.status === 409 ? 'You have already reported this message' : 'Failed to report message');
+    }
+  };
+
   const handleDeleteMessage = async (messageId) => {
     if (!confirm('Delete this message?')) return;
     
@@ -262,6 +276,23 @@ function HomeScreen({ onContinue, onWelcomeContinue }) {
                         🗑️
                       </button>
                     )}
+                    {user && message.user_id !== user.id && (
+                      <button
+                        onClick={() => handleReportMessage(message._id)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          cursor: 'pointer',
+                          fontSize: '14px',
+                          padding: '4px 8px',
+                          marginLeft: '8px',
+                          opacity: 0.5
+                        }}
+                        title="Report message"
+                      >
+                        🚩
+                      </button>
+                    )}
                   </div>
                 </div>
               ))
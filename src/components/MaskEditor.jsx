@@ -0,0 +1,422 @@
+/**
+ * Cutout Mask Editor
+ * Touch up an automatic background removal: paint back clipped parts with
+ * the keep brush, wipe leftover background (floor shadows) with the erase
+ * brush, then save the refined PNG through uploadImage
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { uploadImage } from '../lib/storage';
+
+// Longest side the editor works at (and saves)
+const MAX_EDITOR_SIZE = 1600;
+const HISTORY_LIMIT = 20;
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = url;
+  });
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// The mask canvas's alpha channel, for undo/redo
+function readMask(mask) {
+  const { data } = mask.getContext('2d').getImageData(0, 0, mask.width, mask.height);
+  const alpha = new Uint8Array(mask.width * mask.height);
+  for (let i = 0; i < alpha.length; i++) alpha[i] = data[i * 4 + 3];
+  return alpha;
+}
+
+function writeMask(mask, alpha) {
+  const ctx = mask.getContext('2d');
+  const imageData = ctx.createImageData(mask.width, mask.height);
+  for (let i = 0; i < alpha.length; i++) imageData.data[i * 4 + 3] = alpha[i];
+  ctx.putImageData(imageData, 0, 0);
+}
+
+export default function MaskEditor({ originalUrl, cutoutUrl, userId, uploadFolder = '', onSave, onCancel }) {
+  const displayRef = useRef(null);
+  const sourceRef = useRef(null); // Original photo at editor size
+  const maskRef = useRef(null); // Alpha = what's kept
+  const scratchRef = useRef(null); // Source clipped to the mask, for drawing
+  const initialMaskRef = useRef(null);
+  const historyRef = useRef({ undo: [], redo: [] });
+  const strokeRef = useRef(null); // Last painted point while the pointer is down
+  const cursorRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [tool, setTool] = useState('erase'); // 'keep' or 'erase'
+  const [brushSize, setBrushSize] = useState(40);
+  const [feather, setFeather] = useState(50);
+  const [view, setView] = useState('after'); // 'before' or 'after'
+  const [showRemoved, setShowRemoved] = useState(true);
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the original and the automatic cutout; the cutout's alpha is the starting mask
+  useEffect(() => {
+    let cancelled = false;
+    setReady(false);
+
+    Promise.all([loadImage(originalUrl), loadImage(cutoutUrl)])
+      .then(([original, cutout]) => {
+        if (cancelled) return;
+        const scale = Math.min(1, MAX_EDITOR_SIZE / Math.max(original.width, original.height));
+        const width = Math.round(original.width * scale);
+        const height = Math.round(original.height * scale);
+
+        const source = createCanvas(width, height);
+        source.getContext('2d').drawImage(original, 0, 0, width, height);
+
+        // Cutouts can come back smaller than the photo (provider working size) but keep its framing
+        const mask = createCanvas(width, height);
+        const maskCtx = mask.getContext('2d', { willReadFrequently: true });
+        maskCtx.drawImage(cutout, 0, 0, width, height);
+        maskCtx.globalCompositeOperation = 'source-in';
+        maskCtx.fillStyle = '#000';
+        maskCtx.fillRect(0, 0, width, height);
+        maskCtx.globalCompositeOperation = 'source-over';
+
+        sourceRef.current = source;
+        maskRef.current = mask;
+        scratchRef.current = createCanvas(width, height);
+        initialMaskRef.current = readMask(mask);
+        historyRef.current = { undo: [], redo: [] };
+        setHistorySize({ undo: 0, redo: 0 });
+        displayRef.current.width = width;
+        displayRef.current.height = height;
+        setReady(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Mask editor load error:', err);
+        setError('Could not load the image for editing.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [originalUrl, cutoutUrl]);
+
+  const render = useCallback(() => {
+    const canvas = displayRef.current;
+    const source = sourceRef.current;
+    const mask = maskRef.current;
+    const scratch = scratchRef.current;
+    if (!canvas || !source || !mask) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (view === 'before') {
+      ctx.drawImage(source, 0, 0);
+      return;
+    }
+
+    const scratchCtx = scratch.getContext('2d');
+    scratchCtx.globalCompositeOperation = 'source-over';
+    scratchCtx.clearRect(0, 0, scratch.width, scratch.height);
+    scratchCtx.drawImage(source, 0, 0);
+    scratchCtx.globalCompositeOperation = 'destination-in';
+    scratchCtx.drawImage(mask, 0, 0);
+
+    // Faint removed areas so the keep brush has something to aim at
+    if (showRemoved) {
+      ctx.globalAlpha = 0.25;
+      ctx.drawImage(source, 0, 0);
+      ctx.globalAlpha = 1;
+    }
+    ctx.drawImage(scratch, 0, 0);
+
+    const cursor = cursorRef.current;
+    if (cursor) {
+      ctx.beginPath();
+      ctx.arc(cursor.x, cursor.y, brushSize / 2, 0, Math.PI * 2);
+      ctx.lineWidth = Math.max(1, canvas.width / 600);
+      ctx.strokeStyle = tool === 'keep' ? '#10b981' : '#ef4444';
+      ctx.stroke();
+    }
+  }, [view, showRemoved, brushSize, tool]);
+
+  useEffect(() => {
+    if (ready) render();
+  }, [ready, render]);
+
+  const updateHistory = () => {
+    const { undo, redo } = historyRef.current;
+    setHistorySize({ undo: undo.length, redo: redo.length });
+  };
+
+  const pushHistory = () => {
+    const history = historyRef.current;
+    history.undo.push(readMask(maskRef.current));
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+    updateHistory();
+  };
+
+  const undo = useCallback(() => {
+    const history = historyRef.current;
+    if (!ready || history.undo.length === 0) return;
+    history.redo.push(readMask(maskRef.current));
+    writeMask(maskRef.current, history.undo.pop());
+    updateHistory();
+    render();
+  }, [ready, render]);
+
+  const redo = useCallback(() => {
+    const history = historyRef.current;
+    if (!ready || history.redo.length === 0) return;
+    history.undo.push(readMask(maskRef.current));
+    writeMask(maskRef.current, history.redo.pop());
+    updateHistory();
+    render();
+  }, [ready, render]);
+
+  // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const handleReset = () => {
+    pushHistory();
+    writeMask(maskRef.current, initialMaskRef.current);
+    render();
+  };
+
+  // One soft round dab: solid inside, fading out over the feathered rim
+  const dab = (ctx, x, y) => {
+    const radius = brushSize / 2;
+    const inner = radius * (1 - feather / 100);
+    const gradient = ctx.createRadialGradient(x, y, inner, x, y, radius);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  };
+
+  const paintTo = (point) => {
+    const ctx = maskRef.current.getContext('2d');
+    ctx.globalCompositeOperation = tool === 'keep' ? 'source-over' : 'destination-out';
+    const from = strokeRef.current || point;
+    const distance = Math.hypot(point.x - from.x, point.y - from.y);
+    const step = Math.max(1, brushSize / 8);
+    const steps = Math.max(1, Math.ceil(distance / step));
+    for (let i = 1; i <= steps; i++) {
+      dab(ctx, from.x + (point.x - from.x) * (i / steps), from.y + (point.y - from.y) * (i / steps));
+    }
+    ctx.globalCompositeOperation = 'source-over';
+    strokeRef.current = point;
+  };
+
+  const canvasPoint = (e) => {
+    const canvas = displayRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!ready || view === 'before' || saving) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pushHistory();
+    strokeRef.current = null;
+    const point = canvasPoint(e);
+    cursorRef.current = point;
+    paintTo(point);
+    render();
+  };
+
+  const handlePointerMove = (e) => {
+    if (!ready) return;
+    const point = canvasPoint(e);
+    cursorRef.current = e.pointerType === 'touch' ? null : point;
+    if (strokeRef.current) paintTo(point);
+    render();
+  };
+
+  const handlePointerUp = () => {
+    strokeRef.current = null;
+  };
+
+  const handlePointerLeave = () => {
+    cursorRef.current = null;
+    render();
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const source = sourceRef.current;
+      const output = createCanvas(source.width, source.height);
+      const ctx = output.getContext('2d');
+      ctx.drawImage(source, 0, 0);
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.drawImage(maskRef.current, 0, 0);
+
+      const blob = await new Promise((resolve, reject) => {
+        output.toBlob((result) => (result ? resolve(result) : reject(new Error('Could not export the image'))), 'image/png');
+      });
+      const file = new File([blob], 'refined-cutout.png', { type: 'image/png' });
+      const uploadedUrl = await uploadImage(file, userId, uploadFolder);
+
+      onSave({ url: URL.createObjectURL(blob), blob, uploadedUrl });
+    } catch (err) {
+      console.error('Saving refined cutout failed:', err);
+      setError(err.message || 'Failed to save the refined image');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mask-editor">
+      <div className="mask-editor-canvas preview-image-container checkerboard">
+        {!ready && !error && <div className="mask-editor-loading">⏳ Loading editor...</div>}
+        <canvas
+          ref={displayRef}
+          className={view === 'before' ? 'viewing' : ''}
+          style={{ display: ready ? 'block' : 'none' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={handlePointerLeave}
+        />
+      </div>
+
+      <div className="bg-remover-controls">
+        <div className="control-group">
+          <label>Brush</label>
+          <div className="method-selector">
+            <button
+              type="button"
+              className={`method-btn ${tool === 'keep' ? 'active' : ''}`}
+              onClick={() => setTool('keep')}
+            >
+              🟢 Keep
+            </button>
+            <button
+              type="button"
+              className={`method-btn ${tool === 'erase' ? 'active' : ''}`}
+              onClick={() => setTool('erase')}
+            >
+              🔴 Erase
+            </button>
+          </div>
+          <small className="hint-text">
+            {tool === 'keep'
+              ? 'Paint back parts the cutout clipped (sleeves, straps)'
+              : 'Wipe away leftover background and floor shadows'}
+          </small>
+        </div>
+
+        <div className="control-group">
+          <label>Brush size: {brushSize}px</label>
+          <input
+            type="range"
+            min="4"
+            max="200"
+            value={brushSize}
+            onChange={(e) => setBrushSize(parseInt(e.target.value))}
+          />
+        </div>
+
+        <div className="control-group">
+          <label>Feather: {feather}%</label>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={feather}
+            onChange={(e) => setFeather(parseInt(e.target.value))}
+          />
+          <small className="hint-text">
+            Higher = softer brush edge
+          </small>
+        </div>
+
+        <div className="control-group mask-editor-toolbar">
+          <button type="button" className="sf-btn sf-btn-outline" onClick={undo} disabled={historySize.undo === 0}>
+            ↶ Undo
+          </button>
+          <button type="button" className="sf-btn sf-btn-outline" onClick={redo} disabled={historySize.redo === 0}>
+            ↷ Redo
+          </button>
+          <button type="button" className="sf-btn sf-btn-outline" onClick={handleReset} disabled={!ready}>
+            ↺ Reset
+          </button>
+          <button
+            type="button"
+            className="sf-btn sf-btn-outline"
+            onClick={() => setView(view === 'before' ? 'after' : 'before')}
+            disabled={!ready}
+          >
+            {view === 'before' ? '👁️ Show After' : '👁️ Show Before'}
+          </button>
+        </div>
+
+        <label className="mask-editor-option">
+          <input
+            type="checkbox"
+            checked={showRemoved}
+            onChange={(e) => setShowRemoved(e.target.checked)}
+          />
+          <span>Show removed areas faintly</span>
+        </label>
+
+        {error && (
+          <div className="error-message">
+            ⚠️ {error}
+          </div>
+        )}
+
+        <div className="bg-remover-actions">
+          <button
+            type="button"
+            className="sf-btn sf-btn-primary"
+            onClick={handleSave}
+            disabled={!ready || saving}
+          >
+            {saving ? '⏳ Saving...' : '✅ Save Refined Image'}
+          </button>
+          <button
+            type="button"
+            className="sf-btn sf-btn-outline"
+            onClick={onCancel}
+            disabled={saving}
+          >
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
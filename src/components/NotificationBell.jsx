@@ -0,0 +1,148 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  describeNotification,
+  notificationLink
+} from "../lib/api/notifications";
+
+const POLL_INTERVAL_MS = 60000;
+
+/**
+ * Header bell with unread badge and a dropdown inbox
+ */
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [inbox, setInbox] = useState({ items: [], next_cursor: null });
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const refreshCount = () => {
+      getUnreadNotificationCount()
+        .then(setUnread)
+        .catch(() => {});
+    };
+
+    refreshCount();
+    const timer = setInterval(refreshCount, POLL_INTERVAL_MS);
+    window.addEventListener("focus", refreshCount);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("focus", refreshCount);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    const onClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClickOutside);
+    return () => document.removeEventListener("mousedown", onClickOutside);
+  }, [open]);
+
+  const loadInbox = async ({ append = false } = {}) => {
+    setLoading(true);
+    try {
+      const page = await getNotifications({ limit: 20, cursor: append ? inbox.next_cursor : undefined });
+      setInbox({
+        items: append ? [...inbox.items, ...page.items] : page.items,
+        next_cursor: page.next_cursor
+      });
+      setUnread(page.unread_count);
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open) loadInbox();
+    setOpen(!open);
+  };
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      setInbox({
+        ...inbox,
+        items: inbox.items.map(n => (n._id === notification._id ? { ...n, read: true } : n))
+      });
+      setUnread(Math.max(0, unread - 1));
+      markNotificationRead(notification._id).catch(() => {});
+    }
+    navigate(notificationLink(notification));
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setInbox({ ...inbox, items: inbox.items.map(n => ({ ...n, read: true })) });
+      setUnread(0);
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+    }
+  };
+
+  return (
+    <div className="site-notifications" ref={containerRef}>
+      <button
+        className="site-notifications__bell"
+        aria-label={unread > 0 ? `${unread} unread notifications` : "Notifications"}
+        aria-expanded={open}
+        onClick={toggleOpen}
+      >
+        🔔
+        {unread > 0 && <span className="site-notifications__badge">{unread > 99 ? "99+" : unread}</span>}
+      </button>
+
+      {open && (
+        <div className="site-notifications__panel" role="dialog" aria-label="Notifications">
+          <div className="site-notifications__header">
+            <strong>Notifications</strong>
+            {unread > 0 && (
+              <button className="site-notifications__mark-all" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="site-notifications__list">
+            {inbox.items.length === 0 ? (
+              <p className="site-notifications__empty">{loading ? "Loading..." : "You're all caught up"}</p>
+            ) : (
+              inbox.items.map(notification => (
+                <button
+                  key={notification._id}
+                  className={`site-notifications__item ${notification.read ? "" : "unread"}`}
+                  onClick={() => handleOpenNotification(notification)}
+                >
+                  <span className="site-notifications__text">{describeNotification(notification)}</span>
+                  <span className="site-notifications__time">
+                    {new Date(notification.created_at).toLocaleDateString()}
+                  </span>
+                </button>
+              ))
+            )}
+            {inbox.next_cursor && (
+              <button
+                className="site-notifications__more"
+                onClick={() => loadInbox({ append: true })}
+                disabled={loading}
+              >
+                {loading ? "Loading..." : "Load more"}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
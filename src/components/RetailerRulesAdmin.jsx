@@ -0,0 +1,216 @@
+import { useState, useEffect } from "react";
+import { getRetailerRules, saveRetailerRules, deleteRetailerRules, testRetailerRules } from "../lib/api/admin";
+
+const NEW_RULE_SET = {
+  name: "",
+  domains: ["example.com"],
+  fields: {
+    name: [{ selector: "h1" }],
+    price: [{ selector: ".price" }],
+    images: [{ selector: ".gallery img", attr: "src", all: true }],
+    sizes: [],
+    colors: []
+  }
+};
+
+function toEditorText({ name, domains, fields }) {
+  return JSON.stringify({ name, domains, fields }, null, 2);
+}
+
+/**
+ * Admin editor for the scraper's per-store extraction rules
+ * Rule sets from server/retailer-rules are built in; saving one here stores
+ * an override (or a new store) in the database.
+ */
+export default function RetailerRulesAdmin() {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [retailer, setRetailer] = useState("");
+  const [editorText, setEditorText] = useState("");
+  const [testUrl, setTestUrl] = useState("");
+  const [testHtml, setTestHtml] = useState("");
+  const [testResult, setTestResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  useEffect(() => {
+    loadRuleSets();
+  }, []);
+
+  const loadRuleSets = async () => {
+    try {
+      setRuleSets(await getRetailerRules());
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    }
+  };
+
+  const selectRuleSet = (ruleSet) => {
+    setRetailer(ruleSet.retailer);
+    setEditorText(toEditorText(ruleSet));
+    setTestUrl(`https://www.${ruleSet.domains[0].replace("*", "com")}/`);
+    setTestResult(null);
+    setMessage("");
+  };
+
+  const startNew = () => {
+    setRetailer("");
+    setEditorText(toEditorText(NEW_RULE_SET));
+    setTestResult(null);
+    setMessage("");
+  };
+
+  const parseEditor = () => {
+    try {
+      return JSON.parse(editorText);
+    } catch (err) {
+      setMessage(`❌ Rules are not valid JSON: ${err.message}`);
+      return null;
+    }
+  };
+
+  const handleTest = async () => {
+    const rules = parseEditor();
+    if (!rules) return;
+
+    setBusy(true);
+    setMessage("");
+    try {
+      setTestResult(await testRetailerRules({ html: testHtml, url: testUrl, rules }));
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const rules = parseEditor();
+    if (!rules || !retailer.trim()) {
+      if (!retailer.trim()) setMessage("❌ Give the store a key, e.g. cos");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      await saveRetailerRules(retailer.trim(), rules);
+      await loadRuleSets();
+      setMessage(`✅ Saved rules for ${retailer.trim()}`);
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Remove the admin-added rules for ${retailer}?`)) return;
+
+    setBusy(true);
+    try {
+      const result = await deleteRetailerRules(retailer);
+      await loadRuleSets();
+      if (result.rules) {
+        selectRuleSet(result.rules);
+        setMessage(`✅ ${retailer} is back to the built-in rules`);
+      } else {
+        setRetailer("");
+        setEditorText("");
+        setMessage(`✅ Removed rules for ${retailer}`);
+      }
+    } catch (err) {
+      setMessage(`❌ ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selected = ruleSets.find(ruleSet => ruleSet.retailer === retailer);
+
+  return (
+    <div className="retailer-rules-section">
+      <div className="retailer-rules__header">
+        <h2>🛒 Retailer Rules</h2>
+        <button className="sf-btn sf-btn-sm" onClick={startNew}>+ New store</button>
+      </div>
+      <p className="retailer-rules__hint">
+        Selectors and JSON paths the product scraper uses per store. Test against a saved page before saving.
+      </p>
+
+      <div className="retailer-rules__stores">
+        {ruleSets.map(ruleSet => (
+          <button
+            key={ruleSet.retailer}
+            className={`retailer-rules__store ${ruleSet.retailer === retailer ? "active" : ""}`}
+            onClick={() => selectRuleSet(ruleSet)}
+          >
+            {ruleSet.name || ruleSet.retailer}
+            {ruleSet.source === "custom" && <span className="retailer-rules__custom">custom</span>}
+          </button>
+        ))}
+      </div>
+
+      {editorText && (
+        <div className="retailer-rules__editor">
+          <label>
+            Store key
+            <input
+              value={retailer}
+              onChange={(e) => setRetailer(e.target.value.toLowerCase())}
+              placeholder="e.g. cos"
+              disabled={Boolean(selected)}
+            />
+          </label>
+          <label>
+            Rules (JSON)
+            <textarea value={editorText} onChange={(e) => setEditorText(e.target.value)} rows={14} spellCheck={false} />
+          </label>
+
+          <label>
+            Test page URL
+            <input type="url" value={testUrl} onChange={(e) => setTestUrl(e.target.value)} placeholder="https://..." />
+          </label>
+          <label>
+            Saved page HTML
+            <textarea
+              value={testHtml}
+              onChange={(e) => setTestHtml(e.target.value)}
+              rows={6}
+              placeholder="Paste the page source here"
+              spellCheck={false}
+            />
+          </label>
+
+          <div className="retailer-rules__actions">
+            <button className="sf-btn sf-btn-outline" onClick={handleTest} disabled={busy || !testHtml || !testUrl}>
+              🧪 Test
+            </button>
+            <button className="sf-btn sf-btn-primary" onClick={handleSave} disabled={busy}>
+              💾 Save
+            </button>
+            {selected?.source === "custom" && (
+              <button className="remove-admin-btn" onClick={handleDelete} disabled={busy}>
+                Remove custom rules
+              </button>
+            )}
+          </div>
+
+          {testResult && (
+            <div className="retailer-rules__result">
+              {Object.entries(testResult.values).map(([field, value]) => (
+                <div key={field}>
+                  <strong>{field}</strong> <small>(rule #{testResult.matched[field] + 1})</small>:{" "}
+                  {Array.isArray(value) ? value.join(", ") : String(value)}
+                </div>
+              ))}
+              {testResult.missing.length > 0 && (
+                <div className="retailer-rules__missing">Not found: {testResult.missing.join(", ")}</div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {message && <p className="retailer-rules__message">{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { addWishlistAlert, updateWishlistAlert, deleteWishlistAlert } from "../lib/api/wishlist";
+import { formatPrice } from "../lib/currency";
+
+const EMPTY_RULE = { type: "target_price", target_price: "", percent: "", size: "", color: "" };
+
+/**
+ * Human-readable summary of an alert rule
+ * @param {Object} rule - Alert rule from item.alerts
+ * @param {string} currency - The item's currency
+ * @returns {string}
+ */
+function describeAlertRule(rule, currency) {
+  switch (rule.type) {
+    case "target_price":
+      return `Price at or below ${formatPrice(rule.target_price, currency)}`;
+    case "percent_drop":
+      return `Price drops ${rule.percent}% from ${formatPrice(rule.base_price || 0, currency)}`;
+    case "back_in_stock": {
+      const variant = [rule.size && `size ${rule.size}`, rule.color].filter(Boolean).join(", ");
+      return variant ? `Back in stock in ${variant}` : "Back in stock";
+    }
+    default:
+      return "Alert";
+  }
+}
+
+/**
+ * Alert rules editor for one wishlist item
+ * @param {Object} item - Wishlist item (uses _id and alerts)
+ * @param {Function} onChange - Called with the item's new alerts array
+ */
+export default function WishlistAlerts({ item, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const alerts = item.alerts || [];
+  const itemId = item._id || item.id;
+
+  const handleAdd = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const payload = { type: draft.type };
+      if (draft.type === "target_price") payload.target_price = draft.target_price;
+      if (draft.type === "percent_drop") payload.percent = draft.percent;
+      if (draft.type === "back_in_stock") {
+        payload.size = draft.size;
+        payload.color = draft.color;
+      }
+      const rule = await addWishlistAlert(itemId, payload);
+      onChange([...alerts, rule]);
+      setDraft(EMPTY_RULE);
+    } catch (err) {
+      setError(err.message || "Failed to add alert");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      const updated = await updateWishlistAlert(itemId, rule._id, { active: rule.active === false });
+      onChange(alerts.map(a => (a._id === rule._id ? updated : a)));
+    } catch (err) {
+      setError(err.message || "Failed to update alert");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    try {
+      await deleteWishlistAlert(itemId, rule._id);
+      onChange(alerts.filter(a => a._id !== rule._id));
+    } catch (err) {
+      setError(err.message || "Failed to delete alert");
+    }
+  };
+
+  return (
+    <div className="wishlist-alerts">
+      {alerts.length === 0 ? (
+        <p className="wishlist-alerts__empty">No alerts yet. We'll check prices and stock for you.</p>
+      ) : (
+        <ul className="wishlist-alerts__list">
+          {alerts.map(rule => (
+            <li key={rule._id} className={`wishlist-alerts__rule ${rule.active === false ? "paused" : ""}`}>
+              <span>
+                🔔 {describeAlertRule(rule, item.currency)}
+                {rule.triggered && <span className="wishlist-alerts__fired"> · fired</span>}
+              </span>
+              <span className="wishlist-alerts__actions">
+                <button type="button" onClick={() => handleToggle(rule)}>
+                  {rule.active === false ? "Resume" : "Pause"}
+                </button>
+                <button type="button" onClick={() => handleDelete(rule)} aria-label="Delete alert">
+                  ×
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="wishlist-alerts__add">
+        <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+          <option value="target_price">Price below</option>
+          <option value="percent_drop">Price drops by</option>
+          <option value="back_in_stock">Back in stock</option>
+        </select>
+
+        {draft.type === "target_price" && (
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={draft.target_price}
+            onChange={(e) => setDraft({ ...draft, target_price: e.target.value })}
+            placeholder={`Target (${item.currency || "USD"})`}
+          />
+        )}
+        {draft.type === "percent_drop" && (
+          <input
+            type="number"
+            min="1"
+            max="99"
+            value={draft.percent}
+            onChange={(e) => setDraft({ ...draft, percent: e.target.value })}
+            placeholder="% off"
+          />
+        )}
+        {draft.type === "back_in_stock" && (
+          <>
+            <input
+              value={draft.size}
+              onChange={(e) => setDraft({ ...draft, size: e.target.value })}
+              placeholder="Size (any)"
+            />
+            <input
+              value={draft.color}
+              onChange={(e) => setDraft({ ...draft, color: e.target.value })}
+              placeholder="Color (any)"
+            />
+          </>
+        )}
+
+        <button type="button" className="sf-btn sf-btn-outline" onClick={handleAdd} disabled={saving}>
+          {saving ? "Adding..." : "Add"}
+        </button>
+      </div>
+
+      {error && <p className="wishlist-alerts__error">{error}</p>}
+    </div>
+  );
+}
@@ -85,6 +85,37 @@ async function getAuthToken() {
   }
 }
 
+/**
+ * Build an Error from an API error body
+ * Validation failures (400) carry field-level problems in `error.fields`
+ * as [{ field, message }] so forms can show them inline.
+ * @param {number} status - HTTP status
+ * @param {Object} errorData - Parsed JSON error body
+ * @returns {Error}
+ */
+function createApiError(status, errorData) {
+  const fields = Array.isArray(errorData.fields) ? errorData.fields : [];
+  const summary = fields.map(f => `${f.field} ${f.message}`).join('; ');
+  const message = errorData.error || `API error: ${status}`;
+  const error = new Error(summary ? `${message}: ${summary}` : message);
+  error.status = status;
+  error.fields = fields;
+  return error;
+}
+
+/**
+ * Map validation errors to { fieldName: message } for inline form errors
+ * @param {Error} error - Error thrown by apiRequest
+ * @returns {Object} Field messages keyed by field path
+ */
+export function getFieldErrors(error) {
+  const result = {};
+  (error?.fields || []).forEach(({ field, message }) => {
+    if (!result[field]) result[field] = message;
+  });
+  return result;
+}
+
 /**
  * Make an authenticated API request
  * @param {string} endpoint - API endpoint (e.g., '/closet')
@@ -114,7 +145,7 @@ export async function apiRequest(endpoint, options = {}) {
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API error: ${response.status}`);
+      throw createApiError(response.status, errorData);
     }
 
     return await response.json();
@@ -131,6 +162,40 @@ export async function apiGet(endpoint) {
   return apiRequest(endpoint, { method: 'GET' });
 }
 
+/**
+ * Append query params to an endpoint, skipping empty values
+ * @param {string} endpoint - API endpoint (e.g., '/closet')
+ * @param {Object} params - Query params
+ * @returns {string} Endpoint with query string
+ */
+export function withQuery(endpoint, params = {}) {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') search.append(key, value);
+  });
+  const queryString = search.toString();
+  return queryString ? `${endpoint}?${queryString}` : endpoint;
+}
+
+/**
+ * Fetch every page of a cursor-paginated list endpoint
+ * List endpoints respond with { items, next_cursor, has_more }; this follows
+ * next_cursor until the last page.
+ * @param {string} endpoint - List endpoint (e.g., '/closet')
+ * @param {Object} params - Filters and sort/order
+ * @returns {Promise<Array>} Items from all pages
+ */
+export async function apiGetAllPages(endpoint, params = {}) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await apiGet(withQuery(endpoint, { limit: 200, ...params, cursor }));
+    items.push(...page.items);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return items;
+}
+
 /**
  * POST request
  */
@@ -157,3 +222,64 @@ export async function apiPut(endpoint, data) {
 export async function apiDelete(endpoint) {
   return apiRequest(endpoint, { method: 'DELETE' });
 }
+
+/**
+ * Read an authenticated server-sent event stream
+ * Calls onEvent with each event's `data` (parsed JSON) until the server
+ * closes the stream, onEvent returns false, or `signal` aborts.
+ * @param {string} endpoint - Stream endpoint (e.g., '/image-jobs/events')
+ * @param {Function} onEvent - (data) => false to stop reading
+ * @param {Object} options - signal (AbortSignal)
+ * @returns {Promise<void>}
+ */
+export async function apiStream(endpoint, onEvent, { signal } = {}) {
+  try {
+    const token = await getAuthToken();
+
+    if (!token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${token}`,
+      },
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw createApiError(response.status, errorData);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffered += value;
+
+      // Events end with a blank line; lines starting with ":" are keep-alive comments
+      let boundary;
+      while ((boundary = buffered.indexOf('\n\n')) !== -1) {
+        const event = buffered.slice(0, boundary);
+        buffered = buffered.slice(boundary + 2);
+        const data = event
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trimStart())
+          .join('\n');
+        if (data && onEvent(JSON.parse(data)) === false) {
+          await reader.cancel();
+          return;
+        }
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error(`API stream failed [${endpoint}]:`, error);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Admin Operations
+ * Role management and scraper retailer rules via the Express backend
+ * (admin/founder only)
+ */
+
+import { apiGet, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
+
+/**
+ * Get the current user's roles, permissions and the roles they may grant
+ * @returns {Object} { roles, permissions, grantable_roles }
+ */
+export async function getAdminSession() {
+  try {
+    return await apiGet('/admin/me');
+  } catch (error) {
+    console.error('Error fetching admin session:', error);
+    throw error;
+  }
+}
+
+/**
+ * List staff (users holding any role)
+ * @returns {Array<Object>} Users with auth_id, username, email and roles
+ */
+export async function getStaff() {
+  try {
+    return await apiGet('/admin/users');
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search users by username or email
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matching users
+ */
+export async function searchUsers(query) {
+  try {
+    return await apiGet(withQuery('/admin/users', { q: query }));
+  } catch (error) {
+    console.error('Error searching users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Grant a role to a user
+ * @param {string} authId - Supabase user ID of the target user
+ * @param {string} role - 'admin' or 'moderator'
+ * @returns {Object} Updated user
+ */
+export async function grantRole(authId, role) {
+  try {
+    return await apiPost(`/admin/users/${encodeURIComponent(authId)}/roles`, { role });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a role from a user
+ * @param {string} authId - Supabase user ID of the target user
+ * @param {string} role - 'admin' or 'moderator'
+ * @returns {Object} Updated user
+ */
+export async function revokeRole(authId, role) {
+  try {
+    return await apiDelete(`/admin/users/${encodeURIComponent(authId)}/roles/${encodeURIComponent(role)}`);
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    throw error;
+  }
+}
+
+/**
+ * List retailer rule sets used by the product scraper
+ * @returns {Array<Object>} Rule sets with retailer, name, domains, fields and source ('file' | 'custom')
+ */
+export async function getRetailerRules() {
+  try {
+    return await apiGet('/admin/retailer-rules');
+  } catch (error) {
+    console.error('Error fetching retailer rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add or replace a store's rule set
+ * @param {string} retailer - Rule set key, e.g. 'cos'
+ * @param {Object} ruleSet - { name, domains, fields }
+ * @returns {Object} Saved rule set
+ */
+export async function saveRetailerRules(retailer, ruleSet) {
+  try {
+    return await apiPut(`/admin/retailer-rules/${encodeURIComponent(retailer)}`, ruleSet);
+  } catch (error) {
+    console.error('Error saving retailer rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an admin-added rule set (a built-in file rule set applies again)
+ * @param {string} retailer - Rule set key
+ * @returns {Object} { success, rules }
+ */
+export async function deleteRetailerRules(retailer) {
+  try {
+    return await apiDelete(`/admin/retailer-rules/${encodeURIComponent(retailer)}`);
+  } catch (error) {
+    console.error('Error deleting retailer rules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Run a rule set against saved page HTML
+ * @param {Object} payload - { html, url, rules?, retailer? }
+ * @returns {Object} { retailer, values, matched, missing }
+ */
+export async function testRetailerRules(payload) {
+  try {
+    return await apiPost('/admin/retailer-rules/test', payload);
+  } catch (error) {
+    console.error('Error testing retailer rules:', error);
+    throw error;
+  }
+}
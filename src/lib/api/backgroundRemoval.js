@@ -0,0 +1,43 @@
+/**
+ * Background Removal Operations
+ * Calls the Express backend API, which holds the provider keys
+ */
+
+import { apiGet } from '../api-client';
+import { runImageJob } from './imageJobs';
+
+/**
+ * Background removal providers and the user's remaining daily quota
+ * @returns {Object} { providers: [{ id, name, configured, available, quota }], default, fallback }
+ */
+export async function getBackgroundRemovalProviders() {
+  try {
+    return await apiGet('/background-removal/providers');
+  } catch (error) {
+    console.error('Error fetching background removal providers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an image's background on the server
+ * Runs as a background image job, so a slow provider or a large photo
+ * doesn't hold one request open.
+ * Errors carry `status` (429 when the daily quota is used up, 503 when no
+ * provider is available, 422 when the server cutout can't find the item);
+ * callers fall back to in-browser processing.
+ * @param {File|Blob} imageFile - Image to process
+ * @param {Object} options - provider ('auto', 'removebg', 'huggingface', 'local'), quality,
+ *   signal (AbortSignal; aborting discards the job)
+ * @returns {Object} { provider, blob, quota }
+ */
+export async function removeBackgroundOnServer(imageFile, options = {}) {
+  const { provider = 'auto', quality = 'high', signal } = options;
+  try {
+    const { provider: usedProvider, blob, job } = await runImageJob(imageFile, 'remove-background', { provider, quality }, { signal });
+    return { provider: usedProvider, blob, quota: job.result.quota };
+  } catch (error) {
+    console.error('Error removing background on server:', error);
+    throw error;
+  }
+}
@@ -3,7 +3,7 @@
  * Calls the Express backend API
  */
 
-import { apiGet, apiPost, apiPut, apiDelete } from '../api-client';
+import { apiGet, apiGetAllPages, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
 
 /**
  * Create a new closet item
@@ -21,25 +21,31 @@ export async function createClosetItem(itemData, userId) {
 }
 
 /**
- * Get all closet items for a user
+ * Get one page of closet items
+ * @param {Object} options - Filters (type, color, season, brand) plus
+ *   sort (created_at | updated_at | type | brand | color), order, limit, cursor
+ * @returns {Object} { items, next_cursor, has_more }
+ */
+export async function getClosetItemsPage(options = {}) {
+  try {
+    return await apiGet(withQuery('/closet', options));
+  } catch (error) {
+    console.error('Error fetching closet items:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all closet items for a user (follows every page)
  * @param {string} userId - Supabase user ID (not needed, backend gets from token)
- * @param {Object} filters - Optional filters (type, color, season)
+ * @param {Object} filters - Optional filters (type, color, season, brand) and sort/order
  * @returns {Array} Array of closet items
  */
 export async function getClosetItems(userId, filters = {}) {
   try {
-    const params = new URLSearchParams();
-    if (filters.type) params.append('type', filters.type);
-    if (filters.color) params.append('color', filters.color);
-    if (filters.season) params.append('season', filters.season);
-    if (filters.brand) params.append('brand', filters.brand);
-
-    const queryString = params.toString();
-    const endpoint = queryString ? `/closet?${queryString}` : '/closet';
-    
-    console.log('Getting closet items from:', endpoint);
-    const items = await apiGet(endpoint);
-    console.log('Received items from API:', items);
+    const { type, color, season, brand, sort, order } = filters;
+    const items = await apiGetAllPages('/closet', { type, color, season, brand, sort, order });
+    console.log('Received items from API:', items.length);
     return items;
   } catch (error) {
     console.error('Error fetching closet items:', error);
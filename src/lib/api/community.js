@@ -3,27 +3,24 @@
  * Calls the Express backend API for public outfits
  */
 
-import { apiGet, apiPost } from '../api-client';
+import { apiGet, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
 
 /**
- * Get community feed (public outfits)
+ * Get a page of the community feed (public outfits)
  * @param {Object} options - Query options
+ * @param {string} options.mode - all (default) or following (only people you follow)
  * @param {number} options.limit - Results per page (default 20)
- * @param {number} options.skip - Results to skip (default 0)
+ * @param {string} options.cursor - next_cursor from the previous page
+ * @param {string} options.sort - created_at (default) or likes_count
+ * @param {string} options.order - desc (default) or asc
  * @param {string} options.occasion - Filter by occasion
  * @param {string} options.weather - Filter by weather
- * @returns {Array<Object>} Public outfits with user details
+ * @returns {Object} { items, next_cursor, has_more } with user details on each item
  */
 export async function getCommunityFeed(options = {}) {
   try {
-    const { limit = 20, skip = 0, occasion, weather } = options;
-    const params = new URLSearchParams();
-    params.append('limit', limit);
-    params.append('skip', skip);
-    if (occasion) params.append('occasion', occasion);
-    if (weather) params.append('weather', weather);
-
-    return await apiGet(`/community/feed?${params.toString()}`);
+    const { mode, limit = 20, cursor, sort, order, occasion, weather } = options;
+    return await apiGet(withQuery('/community/feed', { mode, limit, cursor, sort, order, occasion, weather }));
   } catch (error) {
     console.error('Error fetching community feed:', error);
     throw error;
@@ -44,34 +41,80 @@ export async function getTrendingOutfits() {
 }
 
 /**
- * Get comments for an outfit
+ * Get a page of top-level comments for an outfit (oldest first by default)
  * @param {string} outfitId - Outfit ID
- * @returns {Array<Object>} Comments with user details
+ * @param {Object} options - limit, cursor, order
+ * @returns {Object} { items, next_cursor, has_more } with user details on each comment
  */
-export async function getOutfitComments(outfitId) {
+export async function getOutfitComments(outfitId, options = {}) {
   try {
-    return await apiGet(`/community/outfits/${outfitId}/comments`);
+    return await apiGet(withQuery(`/community/outfits/${outfitId}/comments`, options));
   } catch (error) {
     console.error('Error fetching comments:', error);
     throw error;
   }
 }
 
+/**
+ * Get a page of replies to a comment
+ * @param {string} commentId - Comment ID
+ * @param {Object} options - limit, cursor, order
+ * @returns {Object} { items, next_cursor, has_more } with user details on each reply
+ */
+export async function getCommentReplies(commentId, options = {}) {
+  try {
+    return await apiGet(withQuery(`/community/comments/${commentId}/replies`, options));
+  } catch (error) {
+    console.error('Error fetching replies:', error);
+    throw error;
+  }
+}
+
 /**
  * Add a comment to an outfit
  * @param {string} outfitId - Outfit ID
  * @param {string} text - Comment text
+ * @param {string} parentId - Comment being replied to (optional)
  * @returns {Object} Created comment
  */
-export async function addComment(outfitId, text) {
+export async function addComment(outfitId, text, parentId) {
   try {
-    return await apiPost(`/outfits/${outfitId}/comments`, { text });
+    return await apiPost(`/outfits/${outfitId}/comments`, parentId ? { text, parent_id: parentId } : { text });
   } catch (error) {
     console.error('Error adding comment:', error);
     throw error;
   }
 }
 
+/**
+ * Edit your own comment
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New comment text
+ * @returns {Object} Updated comment
+ */
+export async function updateComment(commentId, text) {
+  try {
+    return await apiPut(`/community/comments/${commentId}`, { text });
+  } catch (error) {
+    console.error('Error editing comment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a comment (author, outfit owner or moderator); replies go with it
+ * @param {string} commentId - Comment ID
+ * @returns {Object} { success, deleted }
+ */
+export async function deleteComment(commentId) {
+  try {
+    return await apiDelete(`/community/comments/${commentId}`);
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    throw error;
+  }
+}
+
 /**
  * Like/unlike an outfit
  * @param {string} outfitId - Outfit ID
@@ -0,0 +1,141 @@
+/**
+ * Image Job Operations
+ * Background removal, compression and auto-crop run as server-side jobs:
+ * upload the image, follow the job, fetch the result once it's done.
+ * Calls the Express backend API
+ */
+
+import { apiDelete, apiGet, apiRequest, apiStream, withQuery } from '../api-client';
+
+const FINISHED = ['done', 'error'];
+
+/**
+ * Queue an operation on an image
+ * @param {File|Blob} imageFile - Image to process
+ * @param {string} operation - 'remove-background' | 'compress' | 'auto-crop'
+ * @param {Object} options - remove-background: provider, quality;
+ *   compress: maxWidth, maxHeight, quality (0-1); auto-crop: padding
+ * @returns {Object} The job ({ id, operation, status, position })
+ */
+export async function createImageJob(imageFile, operation, options = {}) {
+  try {
+    return await apiRequest(withQuery('/image-jobs', { operation, ...options }), {
+      method: 'POST',
+      headers: { 'Content-Type': imageFile.type || 'image/jpeg' },
+      body: imageFile,
+    });
+  } catch (error) {
+    console.error('Error starting image job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Current status of some of the user's image jobs
+ * @param {Array<string>} jobIds
+ * @returns {Array<Object>} Jobs that still exist (expired or fetched ones are left out)
+ */
+export async function getImageJobs(jobIds) {
+  try {
+    const { jobs } = await apiGet(withQuery('/image-jobs', { ids: jobIds.join(',') }));
+    return jobs;
+  } catch (error) {
+    console.error('Error fetching image jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch a finished job's image (each result can be fetched once)
+ * @param {string} jobId
+ * @returns {Object} { provider, blob, job }
+ */
+export async function fetchImageJobResult(jobId) {
+  try {
+    const { provider, image, job } = await apiGet(`/image-jobs/${jobId}/result`);
+    const bytes = Uint8Array.from(atob(image.data), c => c.charCodeAt(0));
+    return { provider, blob: new Blob([bytes], { type: image.content_type }), job };
+  } catch (error) {
+    console.error('Error fetching image job result:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a job or throw away its result
+ * @param {string} jobId
+ */
+export async function discardImageJob(jobId) {
+  try {
+    return await apiDelete(`/image-jobs/${jobId}`);
+  } catch (error) {
+    console.error('Error discarding image job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Follow jobs until all of them are done or failed
+ * Uses the server's event stream (one request for the whole batch) and
+ * falls back to polling when the stream isn't available.
+ * @param {Array<string>} jobIds
+ * @param {Function} onUpdate - Called with each job status change
+ * @param {Object} options - signal (AbortSignal), pollInterval (ms)
+ * @returns {Array<Object>} Final job states, in jobIds order
+ */
+export async function watchImageJobs(jobIds, onUpdate, { signal, pollInterval = 3000 } = {}) {
+  const jobs = new Map();
+  const finished = () => jobIds.every(id => FINISHED.includes(jobs.get(id)?.status));
+  const record = (job) => {
+    jobs.set(job.id, job);
+    onUpdate?.(job);
+  };
+
+  try {
+    await apiStream(withQuery('/image-jobs/events', { ids: jobIds.join(',') }), (job) => {
+      record(job);
+      return !finished();
+    }, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn('Image job stream unavailable, polling instead:', error.message);
+  }
+
+  while (!finished()) {
+    if (signal?.aborted) throw new DOMException('Image jobs aborted', 'AbortError');
+    const current = await getImageJobs(jobIds);
+    current.forEach(record);
+    // Jobs the server no longer has expired or were discarded
+    jobIds
+      .filter(id => !current.some(job => job.id === id) && !FINISHED.includes(jobs.get(id)?.status))
+      .forEach(id => record({ id, status: 'error', error: { message: 'Job not found', status: 404 } }));
+    if (!finished()) await new Promise(resolve => setTimeout(resolve, pollInterval));
+  }
+
+  return jobIds.map(id => jobs.get(id));
+}
+
+/**
+ * Run one image operation on the server and wait for the result
+ * Errors carry the job's `status` (e.g. 429 when a quota is used up).
+ * @param {File|Blob} imageFile - Image to process
+ * @param {string} operation - See createImageJob
+ * @param {Object} options - Operation options
+ * @param {Object} watch - onUpdate, signal (aborting discards the job)
+ * @returns {Object} { provider, blob, job }
+ */
+export async function runImageJob(imageFile, operation, options = {}, { onUpdate, signal } = {}) {
+  const job = await createImageJob(imageFile, operation, options);
+  try {
+    const [finished] = await watchImageJobs([job.id], onUpdate, { signal });
+    if (finished.status === 'error') {
+      const error = new Error(finished.error.message);
+      error.status = finished.error.status;
+      throw error;
+    }
+    return await fetchImageJobResult(job.id);
+  } catch (error) {
+    if (signal?.aborted) discardImageJob(job.id).catch(() => {});
+    throw error;
+  }
+}
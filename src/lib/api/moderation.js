@@ -0,0 +1,107 @@
+/**
+ * Content Reporting and Moderation
+ * Report endpoints are open to every signed-in user; the queue endpoints
+ * require the moderator or admin role.
+ */
+
+import { apiGet, apiPost, withQuery } from '../api-client';
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate_speech', label: 'Hate speech' },
+  { value: 'nudity', label: 'Nudity or sexual content' },
+  { value: 'inappropriate', label: 'Inappropriate content' },
+  { value: 'other', label: 'Something else' }
+];
+
+/**
+ * Ask the user why they are reporting something
+ * @returns {Object|null} { reason, details } or null if cancelled
+ */
+export function promptForReport() {
+  const options = REPORT_REASONS.map((r, i) => `${i + 1}. ${r.label}`).join('\n');
+  const choice = prompt(`Why are you reporting this?\n\n${options}\n\nEnter a number:`);
+  if (!choice) return null;
+
+  const reason = REPORT_REASONS[parseInt(choice, 10) - 1];
+  if (!reason) {
+    alert('Please enter one of the listed numbers');
+    return null;
+  }
+
+  const details = prompt('Anything else a moderator should know? (optional)') || '';
+  return { reason: reason.value, details };
+}
+
+/**
+ * Report a public outfit
+ * @param {string} outfitId - Outfit ID
+ * @param {Object} report - { reason, details }
+ */
+export async function reportOutfit(outfitId, report) {
+  try {
+    return await apiPost(`/outfits/${outfitId}/report`, report);
+  } catch (error) {
+    console.error('Error reporting outfit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a comment on an outfit
+ * @param {string} outfitId - Outfit ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} report - { reason, details }
+ */
+export async function reportComment(outfitId, commentId, report) {
+  try {
+    return await apiPost(`/community/outfits/${outfitId}/comments/${commentId}/report`, report);
+  } catch (error) {
+    console.error('Error reporting comment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Report a message board post
+ * @param {string} messageId - Message ID
+ * @param {Object} report - { reason, details }
+ */
+export async function reportMessage(messageId, report) {
+  try {
+    return await apiPost(`/community/messages/${messageId}/report`, report);
+  } catch (error) {
+    console.error('Error reporting message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of the moderation queue
+ * @param {Object} options - status (open | dismissed | actioned), target_type, sort, order, limit, cursor
+ * @returns {Object} { items, next_cursor, has_more }
+ */
+export async function getModerationQueue(options = {}) {
+  try {
+    return await apiGet(withQuery('/moderation/queue', options));
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve a queue entry
+ * @param {string} entryId - Queue entry ID
+ * @param {Object} resolution - { action: dismiss | hide | unhide | remove | warn, warn, note }
+ * @returns {Object} Updated queue entry
+ */
+export async function resolveReport(entryId, resolution) {
+  try {
+    return await apiPost(`/moderation/queue/${entryId}/resolve`, resolution);
+  } catch (error) {
+    console.error('Error resolving report:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Notifications Inbox
+ * Notifications are created on the server (likes, comments, replies,
+ * follows, wishlist price drops and alerts) so they follow the user across
+ * devices.
+ */
+
+import { apiGet, apiPost, withQuery } from '../api-client';
+
+/**
+ * Get a page of notifications (newest first)
+ * @param {Object} options - unread (true for unread only), limit, cursor
+ * @returns {Object} { items, next_cursor, has_more, unread_count }
+ */
+export async function getNotifications(options = {}) {
+  try {
+    return await apiGet(withQuery('/notifications', options));
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the number of unread notifications
+ * @returns {number} Unread count
+ */
+export async function getUnreadNotificationCount() {
+  try {
+    const { count } = await apiGet('/notifications/unread-count');
+    return count;
+  } catch (error) {
+    console.error('Error fetching unread notification count:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark one notification as read
+ * @param {string} notificationId - Notification ID
+ * @returns {Object} Updated notification
+ */
+export async function markNotificationRead(notificationId) {
+  try {
+    return await apiPost(`/notifications/${notificationId}/read`, {});
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark all notifications as read
+ * @returns {Object} { success, updated }
+ */
+export async function markAllNotificationsRead() {
+  try {
+    return await apiPost('/notifications/read-all', {});
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    throw error;
+  }
+}
+
+/**
+ * Human-readable text for a notification
+ * @param {Object} notification - Notification from getNotifications
+ * @returns {string}
+ */
+export function describeNotification(notification) {
+  const actor = `@${notification.actor?.username || 'Someone'}`;
+  const data = notification.data || {};
+  const outfit = data.outfit_name ? `"${data.outfit_name}"` : 'your outfit';
+
+  switch (notification.type) {
+    case 'like':
+      return `${actor} liked ${outfit}`;
+    case 'comment':
+      return `${actor} commented on ${outfit}: ${data.text}`;
+    case 'reply':
+      return `${actor} replied to your comment: ${data.text}`;
+    case 'follow':
+      return `${actor} started following you`;
+    case 'price_drop':
+      return `💰 Price dropped ${data.percent_drop}% on ${data.item_name}: $${Number(data.old_price).toFixed(2)} → $${Number(data.new_price).toFixed(2)}`;
+    case 'wishlist_alert':
+      return `🔔 ${data.item_name}: ${describeWishlistAlert(data)}`;
+    default:
+      return 'New notification';
+  }
+}
+
+function describeWishlistAlert(data) {
+  const price = data.price ? `$${Number(data.price).toFixed(2)}` : '';
+  switch (data.alert_type) {
+    case 'target_price':
+      return `now ${price}, at or below your $${Number(data.target_price).toFixed(2)} target`;
+    case 'percent_drop':
+      return `now ${price}, down ${data.percent}% or more`;
+    case 'back_in_stock': {
+      const variant = [data.size && `size ${data.size}`, data.color].filter(Boolean).join(', ');
+      return variant ? `back in stock in ${variant}` : 'back in stock';
+    }
+    default:
+      return 'alert triggered';
+  }
+}
+
+/**
+ * Where to go when a notification is opened
+ * @param {Object} notification - Notification from getNotifications
+ * @returns {string} App path
+ */
+export function notificationLink(notification) {
+  switch (notification.type) {
+    case 'follow':
+      return notification.actor?.username ? `/profile/${notification.actor.username}` : '/profile';
+    case 'price_drop':
+    case 'wishlist_alert':
+      return '/wishlist';
+    default:
+      return '/explore';
+  }
+}
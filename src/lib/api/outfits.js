@@ -3,7 +3,7 @@
  * Calls the Express backend API
  */
 
-import { apiGet, apiPost, apiPut, apiDelete } from '../api-client';
+import { apiGet, apiGetAllPages, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
 
 /**
  * Create a new outfit
@@ -21,21 +21,29 @@ export async function createOutfit(outfitData, userId) {
 }
 
 /**
- * Get all outfits for a user
+ * Get one page of outfits for the current user
+ * @param {Object} options - occasion, weather (filters), sort (created_at | updated_at | name), order, limit, cursor
+ * @returns {Object} { items, next_cursor, has_more }
+ */
+export async function getOutfitsPage(options = {}) {
+  try {
+    return await apiGet(withQuery('/outfits', options));
+  } catch (error) {
+    console.error('Error fetching outfits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all outfits for a user (follows every page)
  * @param {string} userId - Supabase user ID (not needed, backend gets from token)
- * @param {Object} filters - Optional filters (occasion, weather)
+ * @param {Object} options - Optional filters (occasion, weather) and sort/order
  * @returns {Array} Array of outfits
  */
-export async function getOutfits(userId, filters = {}) {
+export async function getOutfits(userId, options = {}) {
   try {
-    const params = new URLSearchParams();
-    if (filters.occasion) params.append('occasion', filters.occasion);
-    if (filters.weather) params.append('weather', filters.weather);
-
-    const queryString = params.toString();
-    const endpoint = queryString ? `/outfits?${queryString}` : '/outfits';
-    
-    return await apiGet(endpoint);
+    const { occasion, weather, sort, order } = options;
+    return await apiGetAllPages('/outfits', { occasion, weather, sort, order });
   } catch (error) {
     console.error('Error fetching outfits:', error);
     throw error;
@@ -90,14 +98,18 @@ export async function deleteOutfit(outfitId, userId) {
 }
 
 /**
- * Get public outfits from community (Explore feed)
- * @param {number} limit - Max number of outfits to return
- * @param {number} skip - Number to skip for pagination
- * @returns {Array} Array of public outfits
+ * Get a page of public outfits from community (Explore feed)
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Results per page (default 20)
+ * @param {string} options.cursor - next_cursor from the previous page
+ * @param {string} options.sort - created_at (default) or likes_count
+ * @param {string} options.order - desc (default) or asc
+ * @returns {Object} { items, next_cursor, has_more }
  */
-export async function getPublicOutfits(limit = 20, skip = 0) {
+export async function getPublicOutfits(options = {}) {
   try {
-    return await apiGet(`/outfits/public?limit=${limit}&skip=${skip}`);
+    const { limit = 20, cursor, sort, order } = options;
+    return await apiGet(withQuery('/outfits/public', { limit, cursor, sort, order }));
   } catch (error) {
     console.error('Error fetching public outfits:', error);
     throw error;
@@ -122,11 +134,12 @@ export async function likeOutfit(outfitId) {
  * Add a comment to an outfit
  * @param {string} outfitId - MongoDB ObjectId as string
  * @param {string} text - Comment text
+ * @param {string} parentId - Comment being replied to (optional)
  * @returns {Object} Created comment
  */
-export async function addComment(outfitId, text) {
+export async function addComment(outfitId, text, parentId) {
   try {
-    return await apiPost(`/outfits/${outfitId}/comments`, { text });
+    return await apiPost(`/outfits/${outfitId}/comments`, parentId ? { text, parent_id: parentId } : { text });
   } catch (error) {
     console.error('Error adding comment:', error);
     throw error;
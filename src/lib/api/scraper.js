@@ -0,0 +1,52 @@
+/**
+ * Product Scraper Operations
+ * Calls the Express backend API
+ */
+
+import { apiGet, apiPost } from '../api-client';
+
+/**
+ * Extract product details from a page the user's browser already loaded
+ * (the "Save to SnapFit" bookmarklet), for stores that block server fetches
+ * @param {string} url - Product page URL
+ * @param {string} html - The page's HTML
+ * @returns {Object} { success, product, source }
+ */
+export async function parseProductHtml(url, html) {
+  try {
+    return await apiPost('/scraper/parse', { url, html });
+  } catch (error) {
+    console.error('Error parsing product page:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start scraping many product URLs in the background
+ * @param {Array<string>} urls - Product page URLs
+ * @param {Object} options - useScrapingApi, useProxy
+ * @returns {Object} The job ({ id, status, total, completed, results })
+ */
+export async function createScrapeJob(urls, options = {}) {
+  try {
+    return await apiPost('/scraper/jobs', { urls, ...options });
+  } catch (error) {
+    console.error('Error starting batch scrape:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a batch scrape job's progress
+ * @param {string} jobId
+ * @returns {Object} { id, status, total, completed, succeeded, failed,
+ *   results: [{ url, status, product, error }] }
+ */
+export async function getScrapeJob(jobId) {
+  try {
+    return await apiGet(`/scraper/jobs/${jobId}`);
+  } catch (error) {
+    console.error('Error fetching batch scrape:', error);
+    throw error;
+  }
+}
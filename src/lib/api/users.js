@@ -3,7 +3,7 @@
  * Calls the Express backend API
  */
 
-import { apiGet, apiPut } from '../api-client';
+import { apiGet, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
 
 /**
  * Create or update user profile
@@ -35,6 +35,20 @@ export async function getUserProfile(supabaseUid) {
   }
 }
 
+/**
+ * Moderator warnings the current user has received
+ * @returns {Array<Object>} Warnings ({ target_type, reason, note, created_at }), newest first
+ */
+export async function getMyWarnings() {
+  try {
+    const { warnings } = await apiGet('/users/me/warnings');
+    return warnings;
+  } catch (error) {
+    console.error('Error fetching warnings:', error);
+    throw error;
+  }
+}
+
 /**
  * Update user profile
  * @param {string} supabaseUid - Supabase user ID (not needed, backend gets from token)
@@ -109,6 +123,64 @@ export async function getUserByUsername(username) {
   }
 }
 
+/**
+ * Follow a user
+ * @param {string} username - User to follow
+ * @returns {Object} { following, followers_count }
+ */
+export async function followUser(username) {
+  try {
+    return await apiPost(`/users/${username}/follow`, {});
+  } catch (error) {
+    console.error('Error following user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unfollow a user
+ * @param {string} username - User to unfollow
+ * @returns {Object} { following, followers_count }
+ */
+export async function unfollowUser(username) {
+  try {
+    return await apiDelete(`/users/${username}/follow`);
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a user's followers
+ * @param {string} username - Whose followers
+ * @param {Object} options - limit, cursor, order
+ * @returns {Object} { items, next_cursor, has_more, count }
+ */
+export async function getFollowers(username, options = {}) {
+  try {
+    return await apiGet(withQuery(`/users/${username}/followers`, options));
+  } catch (error) {
+    console.error('Error fetching followers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of the users someone follows
+ * @param {string} username - Whose follows
+ * @param {Object} options - limit, cursor, order
+ * @returns {Object} { items, next_cursor, has_more, count }
+ */
+export async function getFollowing(username, options = {}) {
+  try {
+    return await apiGet(withQuery(`/users/${username}/following`, options));
+  } catch (error) {
+    console.error('Error fetching following:', error);
+    throw error;
+  }
+}
+
 /**
  * Check if username is available
  * @param {string} username - Username to check
@@ -3,7 +3,7 @@
  * Calls the Express backend API
  */
 
-import { apiGet, apiPost, apiPut, apiDelete } from '../api-client';
+import { apiGet, apiGetAllPages, apiPost, apiPut, apiDelete, withQuery } from '../api-client';
 
 /**
  * Create a new wishlist item
@@ -20,23 +20,30 @@ export async function createWishlistItem(itemData) {
 }
 
 /**
- * Get all wishlist items for a user
- * @param {Object} filters - Optional filters (type, priority, purchased)
+ * Get one page of wishlist items
+ * @param {Object} options - Filters (type, priority, purchased) plus
+ *   sort (customOrder | created_at | estimatedPrice | name), order, limit, cursor
+ * @returns {Object} { items, next_cursor, has_more }
+ */
+export async function getWishlistItemsPage(options = {}) {
+  try {
+    return await apiGet(withQuery('/wishlist', options));
+  } catch (error) {
+    console.error('Error fetching wishlist items:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all wishlist items for a user (follows every page)
+ * @param {Object} filters - Optional filters (type, priority, purchased) and sort/order
  * @returns {Array} Array of wishlist items
  */
 export async function getWishlistItems(filters = {}) {
   try {
-    const params = new URLSearchParams();
-    if (filters.type) params.append('type', filters.type);
-    if (filters.priority) params.append('priority', filters.priority);
-    if (filters.purchased !== undefined) params.append('purchased', filters.purchased);
-
-    const queryString = params.toString();
-    const endpoint = queryString ? `/wishlist?${queryString}` : '/wishlist';
-    
-    console.log('Getting wishlist items from:', endpoint);
-    const items = await apiGet(endpoint);
-    console.log('Received wishlist items from API:', items?.length || 0);
+    const { type, priority, purchased, sort, order } = filters;
+    const items = await apiGetAllPages('/wishlist', { type, priority, purchased, sort, order });
+    console.log('Received wishlist items from API:', items.length);
     return items;
   } catch (error) {
     console.error('Error fetching wishlist items:', error);
@@ -46,7 +53,8 @@ export async function getWishlistItems(filters = {}) {
 
 /**
  * Get wishlist statistics
- * @returns {Object} Stats object with total, totalValue, purchased counts
+ * @returns {Object} Stats object with total, purchased counts and totalValue /
+ *   unpurchasedValue converted to `currency` (the user's home currency)
  */
 export async function getWishlistStats() {
   try {
@@ -113,3 +121,49 @@ export async function reorderWishlistItems(items) {
     throw error;
   }
 }
+
+/**
+ * Add an alert rule to a wishlist item
+ * @param {string} itemId - MongoDB ObjectId as string
+ * @param {Object} rule - { type: 'target_price' | 'percent_drop' | 'back_in_stock', target_price, percent, size, color }
+ * @returns {Object} Created rule
+ */
+export async function addWishlistAlert(itemId, rule) {
+  try {
+    return await apiPost(`/wishlist/${itemId}/alerts`, rule);
+  } catch (error) {
+    console.error('Error adding wishlist alert:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an alert rule (the rule re-arms)
+ * @param {string} itemId - MongoDB ObjectId as string
+ * @param {string} alertId - Rule _id
+ * @param {Object} updates - target_price, percent, size, color, active
+ * @returns {Object} Updated rule
+ */
+export async function updateWishlistAlert(itemId, alertId, updates) {
+  try {
+    return await apiPut(`/wishlist/${itemId}/alerts/${alertId}`, updates);
+  } catch (error) {
+    console.error('Error updating wishlist alert:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove an alert rule
+ * @param {string} itemId - MongoDB ObjectId as string
+ * @param {string} alertId - Rule _id
+ * @returns {Object} Success response
+ */
+export async function deleteWishlistAlert(itemId, alertId) {
+  try {
+    return await apiDelete(`/wishlist/${itemId}/alerts/${alertId}`);
+  } catch (error) {
+    console.error('Error deleting wishlist alert:', error);
+    throw error;
+  }
+}
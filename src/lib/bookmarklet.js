@@ -0,0 +1,41 @@
+/**
+ * "Save to SnapFit" bookmarklet
+ * Runs on a store's product page in the user's own browser: opens the
+ * Wishlist in a new window (`/wishlist?import=1`), waits for it to say it's
+ * ready, then posts the page URL and HTML to it. The Wishlist sends that to
+ * POST /api/scraper/parse, so stores that block our server still work.
+ *
+ *   store page -> { type: 'snapfit:page', url, html } -> SnapFit window
+ */
+
+export const IMPORT_PARAM = 'import';
+export const READY_MESSAGE = 'snapfit:ready';
+export const PAGE_MESSAGE = 'snapfit:page';
+
+// Page-side script; APP_ORIGIN is substituted in buildBookmarklet.
+// Scripts other than JSON data, styles and embeds are dropped to keep the
+// payload small (the extractor only reads markup, JSON-LD and product JSON).
+const SCRIPT = `(function(){
+var o=APP_ORIGIN;
+var w=window.open(o+'/wishlist?${IMPORT_PARAM}=1','snapfit');
+if(!w){alert('Allow pop-ups for this site to save items to SnapFit.');return;}
+var d=document.documentElement.cloneNode(true);
+d.querySelectorAll('script:not([type="application/ld+json"]):not([type="application/json"]),style,link[rel="stylesheet"],svg,iframe,noscript,template').forEach(function(n){n.remove();});
+var h='<!DOCTYPE html>'+d.outerHTML;
+function f(e){
+if(e.source!==w||e.origin!==o||!e.data||e.data.type!=='${READY_MESSAGE}')return;
+window.removeEventListener('message',f);
+w.postMessage({type:'${PAGE_MESSAGE}',url:location.href,html:h},o);
+}
+window.addEventListener('message',f);
+})();`;
+
+/**
+ * The bookmarklet's `javascript:` URL
+ * @param {string} appOrigin - Origin the SnapFit app is served from, e.g. window.location.origin
+ * @returns {string}
+ */
+export function buildBookmarklet(appOrigin) {
+  const code = SCRIPT.replace('APP_ORIGIN', JSON.stringify(appOrigin)).replace(/\n/g, '');
+  return `javascript:${encodeURIComponent(code)}`;
+}
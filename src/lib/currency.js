@@ -0,0 +1,49 @@
+/**
+ * Currency helpers
+ * Formatting and parsing for prices that may be in any currency. Wishlist
+ * items carry their own ISO code; totals are converted server-side into the
+ * user's home currency (Settings).
+ */
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Choices offered for the home currency and manual prices
+export const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'JPY', 'CNY', 'INR', 'KRW', 'CHF',
+  'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'HKD', 'SGD', 'ZAR', 'AED', 'TRY',
+];
+
+/**
+ * Format an amount in its currency, e.g. "$49.99", "49,99 €" (per the browser locale)
+ * @param {number|string} amount
+ * @param {string} [currency] - ISO code; USD when missing
+ * @returns {string}
+ */
+export function formatPrice(amount, currency = DEFAULT_CURRENCY) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return '';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency || DEFAULT_CURRENCY }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Amount typed by the user, with either decimal convention ("49,99", "1,299.00")
+ * @param {string|number} text
+ * @returns {number} 0 when nothing parses
+ */
+export function parsePriceInput(text) {
+  if (typeof text === 'number') return Number.isFinite(text) ? text : 0;
+  let number = String(text || '').replace(/[^\d.,]/g, '');
+  const lastDot = number.lastIndexOf('.');
+  const lastComma = number.lastIndexOf(',');
+  if (lastComma > lastDot && /,\d{1,2}$/.test(number)) {
+    number = number.replace(/\./g, '').replace(',', '.');
+  } else {
+    number = number.replace(/,/g, '');
+  }
+  const amount = parseFloat(number);
+  return Number.isFinite(amount) ? amount : 0;
+}
@@ -0,0 +1,433 @@
+/**
+ * Image Pixel Pipelines
+ * The pixel loops behind background removal, cropping, adjustments and
+ * compression. They run inside the image workers (lib/workers/imageWorker.js)
+ * on an OffscreenCanvas, or on the main thread where workers can't draw.
+ *
+ * Each pipeline is `async (blob, options, onProgress) => { blob, width, height }`,
+ * with onProgress(fraction 0-1) called as rows are processed.
+ */
+
+const PROGRESS_ROWS = 32; // Report progress every this many rows
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function encodeCanvas(canvas, type = 'image/png', quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), type, quality);
+  });
+}
+
+async function decodeImage(blob) {
+  try {
+    return await createImageBitmap(blob);
+  } catch {
+    throw new Error('Failed to load image');
+  }
+}
+
+// Draw an image onto a new canvas (scaled down to fit maxSize) and read its pixels
+async function readPixels(blob, maxSize = Infinity) {
+  const bitmap = await decodeImage(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  return { canvas, ctx, imageData: ctx.getImageData(0, 0, width, height) };
+}
+
+// Map a pass's own 0-1 progress onto part of the pipeline's
+function progressRange(onProgress, from, to) {
+  return (fraction) => onProgress?.(from + (to - from) * fraction);
+}
+
+function reportRow(onProgress, y, height) {
+  if (onProgress && y % PROGRESS_ROWS === 0) onProgress(y / height);
+}
+
+/**
+ * Background color from the four corner pixels
+ */
+function detectCornerColor(data, width, height) {
+  const corners = [
+    { x: 0, y: 0 }, // Top-left
+    { x: width - 1, y: 0 }, // Top-right
+    { x: 0, y: height - 1 }, // Bottom-left
+    { x: width - 1, y: height - 1 } // Bottom-right
+  ];
+
+  let totalR = 0, totalG = 0, totalB = 0;
+
+  corners.forEach(({ x, y }) => {
+    const i = (y * width + x) * 4;
+    totalR += data[i];
+    totalG += data[i + 1];
+    totalB += data[i + 2];
+  });
+
+  return {
+    r: Math.floor(totalR / corners.length),
+    g: Math.floor(totalG / corners.length),
+    b: Math.floor(totalB / corners.length)
+  };
+}
+
+/**
+ * Background color from 10x10 patches in each corner
+ */
+function detectBackgroundColor(data, width, height) {
+  const sampleSize = 10;
+  let totalR = 0, totalG = 0, totalB = 0, count = 0;
+
+  const corners = [
+    { x: 0, y: 0 }, // Top-left
+    { x: width - sampleSize, y: 0 }, // Top-right
+    { x: 0, y: height - sampleSize }, // Bottom-left
+    { x: width - sampleSize, y: height - sampleSize } // Bottom-right
+  ];
+
+  corners.forEach(corner => {
+    for (let x = Math.max(0, corner.x); x < corner.x + sampleSize && x < width; x++) {
+      for (let y = Math.max(0, corner.y); y < corner.y + sampleSize && y < height; y++) {
+        const idx = (y * width + x) * 4;
+        totalR += data[idx];
+        totalG += data[idx + 1];
+        totalB += data[idx + 2];
+        count++;
+      }
+    }
+  });
+
+  return {
+    r: Math.round(totalR / count),
+    g: Math.round(totalG / count),
+    b: Math.round(totalB / count)
+  };
+}
+
+/**
+ * Detect center subject (clothing item) using brightness and position
+ * Returns a mask where 1 = subject pixel, 0 = background pixel
+ */
+function detectCenterSubject(data, width, height, bgColor, onProgress) {
+  const mask = new Uint8Array(width * height);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const diagonal = Math.sqrt(width * width + height * height);
+
+  // Find pixels that are significantly different from background
+  // and closer to center (where clothing usually is)
+  for (let y = 0; y < height; y++) {
+    reportRow(onProgress, y, height);
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const r = data[idx];
+      const g = data[idx + 1];
+      const b = data[idx + 2];
+
+      // Distance from background color
+      const colorDist = Math.sqrt(
+        Math.pow(r - bgColor.r, 2) +
+        Math.pow(g - bgColor.g, 2) +
+        Math.pow(b - bgColor.b, 2)
+      );
+
+      // Distance from center (normalized)
+      const distFromCenter = Math.sqrt(
+        Math.pow(x - centerX, 2) +
+        Math.pow(y - centerY, 2)
+      ) / diagonal;
+
+      // Brightness of pixel
+      const brightness = (r + g + b) / 3;
+
+      // Subject is usually:
+      // 1. Different from background color
+      // 2. Closer to center
+      // 3. Has reasonable brightness (not pure black/white background)
+      const isDifferentFromBg = colorDist > 50;
+      const isNearCenter = distFromCenter < 0.6; // Within 60% of image
+      const hasReasonableBrightness = brightness > 20 && brightness < 235;
+
+      if (isDifferentFromBg && isNearCenter && hasReasonableBrightness) {
+        mask[y * width + x] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Smooth edges to reduce jaggedness (box blur of the alpha channel)
+ */
+function smoothEdges(imageData, radius, onProgress) {
+  const { width, height, data } = imageData;
+  const alphaCopy = new Uint8ClampedArray(width * height);
+
+  // Copy alpha channel
+  for (let i = 0; i < data.length; i += 4) {
+    alphaCopy[i / 4] = data[i + 3];
+  }
+
+  for (let y = 0; y < height; y++) {
+    reportRow(onProgress, y, height);
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+            sum += alphaCopy[ny * width + nx];
+            count++;
+          }
+        }
+      }
+
+      data[(y * width + x) * 4 + 3] = Math.round(sum / count);
+    }
+  }
+}
+
+/**
+ * Average the alpha of semi-transparent pixels with their neighbours
+ */
+function smoothSemiTransparentEdges(imageData, radius, onProgress) {
+  const { width, height, data } = imageData;
+  const copy = new Uint8ClampedArray(data);
+
+  for (let y = radius; y < height - radius; y++) {
+    reportRow(onProgress, y, height);
+    for (let x = radius; x < width - radius; x++) {
+      const i = (y * width + x) * 4;
+
+      // Only process edge pixels (semi-transparent)
+      if (data[i + 3] > 0 && data[i + 3] < 255) {
+        let totalAlpha = 0;
+        let count = 0;
+
+        // Sample surrounding pixels
+        for (let dy = -radius; dy <= radius; dy++) {
+          for (let dx = -radius; dx <= radius; dx++) {
+            const ni = ((y + dy) * width + (x + dx)) * 4;
+            totalAlpha += copy[ni + 3];
+            count++;
+          }
+        }
+
+        // Average alpha
+        data[i + 3] = Math.floor(totalAlpha / count);
+      }
+    }
+  }
+}
+
+async function finish(canvas, ctx, imageData, onProgress) {
+  ctx.putImageData(imageData, 0, 0);
+  const blob = await encodeCanvas(canvas);
+  onProgress?.(1);
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+export const IMAGE_PIPELINES = {
+  /**
+   * Make pixels close to one color transparent (imageProcessing.removeBackground)
+   * options: threshold, edgeSmoothing, targetColor (default: the corners' color)
+   */
+  async 'color-key'(blob, { threshold = 30, edgeSmoothing = 2, targetColor = null }, onProgress) {
+    const { canvas, ctx, imageData } = await readPixels(blob);
+    const { width, height, data } = imageData;
+    const bgColor = targetColor || detectCornerColor(data, width, height);
+    const keying = progressRange(onProgress, 0.05, edgeSmoothing > 0 ? 0.5 : 0.9);
+
+    for (let y = 0; y < height; y++) {
+      reportRow(keying, y, height);
+      for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+        const diff = Math.sqrt(
+          Math.pow(data[i] - bgColor.r, 2) +
+          Math.pow(data[i + 1] - bgColor.g, 2) +
+          Math.pow(data[i + 2] - bgColor.b, 2)
+        );
+
+        // Make pixel transparent if it's close to background color
+        if (diff < threshold) {
+          data[i + 3] = 0;
+        } else if (diff < threshold * 1.5) {
+          // Smooth edges by reducing alpha gradually
+          data[i + 3] = Math.floor((diff - threshold) / (threshold * 0.5) * 255);
+        }
+      }
+    }
+
+    if (edgeSmoothing > 0) {
+      smoothSemiTransparentEdges(imageData, edgeSmoothing, progressRange(onProgress, 0.5, 0.9));
+    }
+    return finish(canvas, ctx, imageData, onProgress);
+  },
+
+  /**
+   * In-browser clothing cutout (backgroundRemoval's local fallback)
+   * options: maxSize - longest side to work at
+   */
+  async 'clothing-cutout'(blob, { maxSize = 2400 }, onProgress) {
+    const { canvas, ctx, imageData } = await readPixels(blob, maxSize);
+    const { width, height, data } = imageData;
+
+    const bgColor = detectBackgroundColor(data, width, height);
+    console.log('🎨 Detected background color:', bgColor);
+
+    // Find the center subject (clothing), then remove only pixels outside it
+    const subjectMask = detectCenterSubject(data, width, height, bgColor, progressRange(onProgress, 0.05, 0.35));
+    const threshold = 60; // Moderate threshold
+    const removing = progressRange(onProgress, 0.35, 0.5);
+
+    for (let y = 0; y < height; y++) {
+      reportRow(removing, y, height);
+      for (let p = y * width; p < (y + 1) * width; p++) {
+        if (subjectMask[p]) continue; // Keep the clothing pixel as-is
+
+        const i = p * 4;
+        const distance = Math.sqrt(
+          Math.pow(data[i] - bgColor.r, 2) +
+          Math.pow(data[i + 1] - bgColor.g, 2) +
+          Math.pow(data[i + 2] - bgColor.b, 2)
+        );
+
+        // Make transparent if close to background
+        if (distance < threshold) {
+          data[i + 3] = 0;
+        } else if (distance < threshold * 1.5) {
+          // Feather edges
+          const alpha = ((distance - threshold) / (threshold * 0.5)) * 255;
+          data[i + 3] = Math.min(255, Math.max(0, alpha));
+        }
+      }
+    }
+
+    smoothEdges(imageData, 2, progressRange(onProgress, 0.5, 0.9));
+    return finish(canvas, ctx, imageData, onProgress);
+  },
+
+  /**
+   * Crop to the non-transparent pixels
+   * options: padding
+   */
+  async 'auto-crop'(blob, { padding = 10 }, onProgress) {
+    const { canvas, imageData } = await readPixels(blob);
+    const { width, height, data } = imageData;
+    const scanning = progressRange(onProgress, 0.05, 0.9);
+
+    let minX = width, minY = height;
+    let maxX = 0, maxY = 0;
+
+    for (let y = 0; y < height; y++) {
+      reportRow(scanning, y, height);
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] > 0) {
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+        }
+      }
+    }
+
+    minX = Math.max(0, minX - padding);
+    minY = Math.max(0, minY - padding);
+    maxX = Math.min(width, maxX + padding);
+    maxY = Math.min(height, maxY + padding);
+
+    const croppedWidth = maxX - minX;
+    const croppedHeight = maxY - minY;
+    const cropped = createCanvas(croppedWidth, croppedHeight);
+    cropped.getContext('2d').drawImage(
+      canvas,
+      minX, minY, croppedWidth, croppedHeight,
+      0, 0, croppedWidth, croppedHeight
+    );
+
+    const result = await encodeCanvas(cropped);
+    onProgress?.(1);
+    return { blob: result, width: croppedWidth, height: croppedHeight };
+  },
+
+  /**
+   * Brightness and contrast
+   * options: brightness, contrast (-255 to 255)
+   */
+  async adjust(blob, { brightness = 0, contrast = 0 }, onProgress) {
+    const { canvas, ctx, imageData } = await readPixels(blob);
+    const { width, height, data } = imageData;
+    const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    const adjusting = progressRange(onProgress, 0.05, 0.9);
+
+    for (let y = 0; y < height; y++) {
+      reportRow(adjusting, y, height);
+      for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+        // Apply brightness
+        data[i] += brightness;
+        data[i + 1] += brightness;
+        data[i + 2] += brightness;
+
+        // Apply contrast
+        data[i] = contrastFactor * (data[i] - 128) + 128;
+        data[i + 1] = contrastFactor * (data[i + 1] - 128) + 128;
+        data[i + 2] = contrastFactor * (data[i + 2] - 128) + 128;
+      }
+    }
+
+    return finish(canvas, ctx, imageData, onProgress);
+  },
+
+  /**
+   * Scale down to fit maxWidth x maxHeight and re-encode as JPEG
+   * options: maxWidth, maxHeight, quality (0-1)
+   */
+  async compress(blob, { maxWidth = 1200, maxHeight = 1200, quality = 0.8 }, onProgress) {
+    const bitmap = await decodeImage(blob);
+    let width = bitmap.width;
+    let height = bitmap.height;
+
+    // Calculate new dimensions
+    if (width > height) {
+      if (width > maxWidth) {
+        height *= maxWidth / width;
+        width = maxWidth;
+      }
+    } else {
+      if (height > maxHeight) {
+        width *= maxHeight / height;
+        height = maxHeight;
+      }
+    }
+
+    const canvas = createCanvas(Math.floor(width), Math.floor(height));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close?.();
+    onProgress?.(0.5);
+
+    const result = await encodeCanvas(canvas, 'image/jpeg', quality);
+    onProgress?.(1);
+    return { blob: result, width: canvas.width, height: canvas.height };
+  },
+};
+
+export default IMAGE_PIPELINES;
@@ -0,0 +1,165 @@
+/**
+ * Image Worker Pool
+ * Runs the pixel pipelines (lib/imagePipelines.js) in Web Workers so a large
+ * phone photo doesn't freeze the page. Images go to a worker as a transferred
+ * ArrayBuffer and the result comes back the same way. Browsers without
+ * OffscreenCanvas (workers can't draw there) run the pipelines on the main
+ * thread instead.
+ */
+
+import { IMAGE_PIPELINES } from './imagePipelines';
+
+function abortError() {
+  return new DOMException('Image processing aborted', 'AbortError');
+}
+
+export class ImageWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} [options.size] - Workers run at once (default: spare CPU cores, up to 4)
+   */
+  constructor({ size = Math.min(4, (navigator.hardwareConcurrency || 2) - 1) } = {}) {
+    this.size = Math.max(1, size);
+    this.idle = [];
+    this.busy = new Map(); // Worker -> task
+    this.pending = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Run a pipeline on an image in the next free worker
+   * Aborting a running task terminates its worker (the pixel loops can't be
+   * interrupted); a fresh one takes its place.
+   * @param {string} pipeline - Key of IMAGE_PIPELINES
+   * @param {Blob} input - Encoded image
+   * @param {Object} options - Pipeline options (must be cloneable)
+   * @param {Object} control - onProgress(fraction 0-1), signal (AbortSignal)
+   * @returns {Promise<Object>} { blob, width, height }
+   */
+  run(pipeline, input, options = {}, { onProgress, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    return new Promise((resolve, reject) => {
+      const task = { id: this.nextId++, pipeline, input, options, onProgress, signal, resolve, reject, worker: null, done: false };
+      task.onAbort = () => this._cancel(task);
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+      this.pending.push(task);
+      this._drain();
+    });
+  }
+
+  _spawn() {
+    const worker = new Worker(new URL('./workers/imageWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => this._handleMessage(worker, data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      this._fail(worker, new Error(event.message || 'Image worker crashed'));
+    };
+    return worker;
+  }
+
+  _drain() {
+    while (this.pending.length > 0 && (this.idle.length > 0 || this.busy.size < this.size)) {
+      const task = this.pending.shift();
+      const worker = this.idle.pop() || this._spawn();
+      task.worker = worker;
+      this.busy.set(worker, task);
+      this._start(worker, task);
+    }
+  }
+
+  async _start(worker, task) {
+    try {
+      const buffer = await task.input.arrayBuffer();
+      if (task.done) return;
+      worker.postMessage(
+        { id: task.id, pipeline: task.pipeline, buffer, type: task.input.type, options: task.options },
+        [buffer]
+      );
+    } catch (error) {
+      if (task.done) return;
+      this._settle(task, error);
+      this._release(worker);
+    }
+  }
+
+  _handleMessage(worker, data) {
+    const task = this.busy.get(worker);
+    if (!task || data.id !== task.id) return;
+
+    if ('progress' in data) {
+      task.onProgress?.(data.progress);
+      return;
+    }
+    if (data.error) {
+      this._settle(task, new Error(data.error));
+    } else {
+      const { buffer, type, width, height } = data.result;
+      this._settle(task, null, { blob: new Blob([buffer], { type }), width, height });
+    }
+    this._release(worker);
+  }
+
+  _settle(task, error, result) {
+    if (task.done) return;
+    task.done = true;
+    task.signal?.removeEventListener('abort', task.onAbort);
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
+    }
+  }
+
+  _release(worker) {
+    this.busy.delete(worker);
+    this.idle.push(worker);
+    this._drain();
+  }
+
+  _cancel(task) {
+    if (task.done) return;
+    if (task.worker) {
+      task.worker.terminate();
+      this.busy.delete(task.worker);
+    } else {
+      this.pending = this.pending.filter(queued => queued !== task);
+    }
+    this._settle(task, abortError());
+    this._drain();
+  }
+
+  _fail(worker, error) {
+    const task = this.busy.get(worker);
+    worker.terminate();
+    this.busy.delete(worker);
+    if (task) this._settle(task, error);
+    this._drain();
+  }
+}
+
+const supportsWorkers = typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+
+export const imageWorkerPool = supportsWorkers ? new ImageWorkerPool() : null;
+
+/**
+ * Run a pixel pipeline, in a worker when the browser allows
+ * On the main-thread fallback, cancellation takes effect between steps only.
+ * @param {string} pipeline - Key of IMAGE_PIPELINES
+ * @param {Blob} input - Encoded image
+ * @param {Object} options - Pipeline options
+ * @param {Object} control - onProgress(fraction 0-1), signal (AbortSignal)
+ * @returns {Promise<Object>} { blob, width, height }
+ */
+export async function runImagePipeline(pipeline, input, options = {}, { onProgress, signal } = {}) {
+  if (imageWorkerPool) {
+    return imageWorkerPool.run(pipeline, input, options, { onProgress, signal });
+  }
+
+  if (signal?.aborted) throw abortError();
+  const result = await IMAGE_PIPELINES[pipeline](input, options, onProgress);
+  if (signal?.aborted) throw abortError();
+  return result;
+}
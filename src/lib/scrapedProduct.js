@@ -0,0 +1,35 @@
+/**
+ * Scraped product helpers
+ * Turn a scraper result (POST /api/scraper/product, /parse or a batch job)
+ * into the wishlist draft the Wishlist page previews and saves.
+ */
+
+import { preferredSizeFor, matchSize, sizeOptions } from './sizes';
+
+/**
+ * Wishlist draft for a scraped product
+ * @param {Object} product - Scraper result ({ name, image_url, images, price, currency, variants, ... })
+ * @param {string} purchaseUrl - The URL the user entered or was browsing
+ * @param {Object} [profile] - User profile; pre-selects their size when the product comes in it
+ * @returns {Object} Draft with variants/sizes/colors kept for the size and color pickers
+ */
+export function toScrapedDraft(product, purchaseUrl, profile = null) {
+  const images = product.images && product.images.length ? product.images : (product.image_url ? [product.image_url] : []);
+  return {
+    name: product.name || 'Scraped Item',
+    image_url: images[0] || product.image_url,
+    images,
+    brand: product.brand,
+    notes: product.description,
+    purchaseUrl,
+    estimatedPrice: product.price ? String(product.price) : '',
+    currency: product.currency || '',
+    type: product.type || 'shirt', // Include type for VFR clothing placement
+    color: product.color || '', // Include color if available
+    variants: product.variants || [],
+    sizes: product.sizes || [],
+    colors: product.colors || [],
+    availability: product.availability || '',
+    size: matchSize(sizeOptions(product).map(o => o.size), preferredSizeFor(profile, product.type)),
+  };
+}
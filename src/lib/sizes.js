@@ -0,0 +1,78 @@
+/**
+ * Size helpers
+ * Match the sizes saved in the user's profile against the size labels a
+ * store uses ("M" vs "Medium", "US 9" vs "9") so a scraped product can be
+ * added in the right size without picking it every time.
+ */
+
+const SIZE_WORDS = {
+  'xx-small': 'xxs',
+  'extra extra small': 'xxs',
+  'x-small': 'xs',
+  'extra small': 'xs',
+  small: 's',
+  medium: 'm',
+  large: 'l',
+  'x-large': 'xl',
+  'extra large': 'xl',
+  'xx-large': 'xxl',
+  'extra extra large': 'xxl',
+  '2xl': 'xxl',
+  '3xl': 'xxxl',
+  'one size': 'os',
+};
+
+/**
+ * Comparable form of a size label
+ * @param {string} size - e.g. "Medium", "US 9.5", "EU 42"
+ * @returns {string} e.g. "m", "9.5", "42"
+ */
+export function normalizeSize(size) {
+  const label = String(size || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^(size|us|uk|eu|it|fr)\s*[:-]?\s*/, '')
+    .replace(/\s+/g, ' ');
+  return SIZE_WORDS[label] || label.replace(/\s/g, '');
+}
+
+/**
+ * The profile size that applies to an item type
+ * @param {Object} profile - User profile ({ clothing_size, shoe_size })
+ * @param {string} type - Item type (shirt, shoes, ...)
+ * @returns {string}
+ */
+export function preferredSizeFor(profile, type) {
+  if (!profile) return '';
+  return (type === 'shoes' ? profile.shoe_size : profile.clothing_size) || '';
+}
+
+/**
+ * The product's label for a preferred size
+ * @param {Array<string>} options - Sizes the product comes in
+ * @param {string} preferred - Size from the user's profile
+ * @returns {string} Matching option, or '' when the product doesn't come in it
+ */
+export function matchSize(options, preferred) {
+  const wanted = normalizeSize(preferred);
+  if (!wanted) return '';
+  return (options || []).find(option => normalizeSize(option) === wanted) || '';
+}
+
+/**
+ * Size choices for a scraped product, sold-out sizes flagged
+ * @param {Object} product - Scrape result ({ variants, sizes })
+ * @param {string} [color] - Only consider variants in this color
+ * @returns {Array<{size: string, soldOut: boolean}>}
+ */
+export function sizeOptions(product, color = '') {
+  const wanted = String(color).toLowerCase();
+  const variants = (product?.variants || []).filter(v =>
+    v.size && (!wanted || !v.color || v.color.toLowerCase() === wanted)
+  );
+  const sizes = [...new Set([...variants.map(v => v.size), ...(product?.sizes || [])])];
+  return sizes.map(size => {
+    const matching = variants.filter(v => v.size === size);
+    return { size, soldOut: matching.length > 0 && matching.every(v => v.available === false) };
+  });
+}
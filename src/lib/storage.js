@@ -4,6 +4,7 @@
  */
 
 import { supabase } from './supabaseClient';
+import { runImagePipeline } from './imageWorkerPool';
 
 const BUCKET_NAME = 'closet-items';
 
@@ -85,62 +86,19 @@ export async function deleteImage(imageUrl, userId) {
 
 /**
  * Compress image before upload
+ * Runs in an image worker, so large phone photos don't freeze the page
  * @param {File} file - Original image file
  * @param {number} maxWidth - Max width in pixels (default 1200)
  * @param {number} maxHeight - Max height in pixels (default 1200)
  * @param {number} quality - JPEG quality 0-1 (default 0.8)
+ * @param {Object} control - onProgress(fraction 0-1), signal (AbortSignal)
  * @returns {Promise<File>} Compressed image file
  */
-export async function compressImage(file, maxWidth = 1200, maxHeight = 1200, quality = 0.8) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      const img = new Image();
-      
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        let width = img.width;
-        let height = img.height;
-
-        // Calculate new dimensions
-        if (width > height) {
-          if (width > maxWidth) {
-            height *= maxWidth / width;
-            width = maxWidth;
-          }
-        } else {
-          if (height > maxHeight) {
-            width *= maxHeight / height;
-            height = maxHeight;
-          }
-        }
-
-        canvas.width = width;
-        canvas.height = height;
-
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0, width, height);
-
-        // Convert to Blob then to File
-        canvas.toBlob(
-          (blob) => {
-            const compressedFile = new File([blob], file.name, {
-              type: 'image/jpeg',
-              lastModified: Date.now(),
-            });
-            resolve(compressedFile);
-          },
-          'image/jpeg',
-          quality
-        );
-      };
-
-      img.onerror = reject;
-      img.src = e.target.result;
-    };
-
-    reader.onerror = reject;
-    reader.readAsDataURL(file);
+export async function compressImage(file, maxWidth = 1200, maxHeight = 1200, quality = 0.8, { onProgress, signal } = {}) {
+  const { blob } = await runImagePipeline('compress', file, { maxWidth, maxHeight, quality }, { onProgress, signal });
+
+  return new File([blob], file.name, {
+    type: 'image/jpeg',
+    lastModified: Date.now(),
   });
 }
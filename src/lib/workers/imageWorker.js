@@ -0,0 +1,31 @@
+/**
+ * Image Worker
+ * Runs pixel pipelines (lib/imagePipelines.js) off the main thread, one
+ * message at a time. Started by lib/imageWorkerPool.js.
+ *
+ *   in:  { id, pipeline, buffer (transferred ArrayBuffer), type, options }
+ *   out: { id, progress } while running, then
+ *        { id, result: { buffer (transferred), type, width, height } } or { id, error }
+ */
+
+import { IMAGE_PIPELINES } from '../imagePipelines';
+
+self.onmessage = async ({ data: { id, pipeline, buffer, type, options } }) => {
+  try {
+    const run = IMAGE_PIPELINES[pipeline];
+    if (!run) {
+      throw new Error(`Unknown image pipeline: ${pipeline}`);
+    }
+
+    const result = await run(new Blob([buffer], { type }), options, (progress) => {
+      self.postMessage({ id, progress });
+    });
+    const output = await result.blob.arrayBuffer();
+    self.postMessage(
+      { id, result: { buffer: output, type: result.blob.type, width: result.width, height: result.height } },
+      [output]
+    );
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Image processing failed' });
+  }
+};
@@ -1,106 +1,155 @@
 /**
- * Admin Panel - Manage admins and moderation (Founder only)
+ * Admin Panel - Moderation queue (moderators and admins), admin/moderator
+ * roles and scraper retailer rules (admins and founder)
+ * Founders grant/revoke admins; admins grant/revoke moderators. The server
+ * enforces both, the panel only offers what /api/admin/me says is grantable.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { isFounder, isAdmin, getAllAdmins, addAdmin, removeAdmin } from '../lib/adminUtils';
+import { hasAdminAccess, isAdmin, canModerateContent, ROLES } from '../lib/adminUtils';
+import { getAdminSession, getStaff, searchUsers, grantRole, revokeRole } from '../lib/api/admin';
+import { getModerationQueue, resolveReport, REPORT_REASONS } from '../lib/api/moderation';
+import RetailerRulesAdmin from '../components/RetailerRulesAdmin';
+
+const ROLE_LABELS = {
+  [ROLES.FOUNDER]: '👑 Founder',
+  [ROLES.ADMIN]: '🛡️ Admin',
+  [ROLES.MODERATOR]: '🧹 Moderator'
+};
+
+const QUEUE_STATUSES = ['open', 'actioned', 'dismissed'];
+
+const REASON_LABELS = Object.fromEntries(REPORT_REASONS.map(r => [r.value, r.label]));
+
+function primaryRole(account) {
+  const roles = account.roles || [];
+  return [ROLES.FOUNDER, ROLES.ADMIN, ROLES.MODERATOR].find(role => roles.includes(role)) || 'member';
+}
 
 export default function AdminPanel() {
-  const { user } = useAuth();
+  const { user, userProfile, loading } = useAuth();
   const navigate = useNavigate();
-  const [admins, setAdmins] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [grantable, setGrantable] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const [queue, setQueue] = useState([]);
+  const [queueStatus, setQueueStatus] = useState('open');
+  const [queueCursor, setQueueCursor] = useState(null);
+  const [queueLoading, setQueueLoading] = useState(false);
+  const [warnAuthor, setWarnAuthor] = useState({});
+  const [resolving, setResolving] = useState(null);
 
   useEffect(() => {
-    // Redirect if not founder
-    if (!user || !isFounder(user)) {
+    if (loading) return;
+    // Redirect if not signed in or not staff (profile carries server-side roles)
+    if (!user || (userProfile && !hasAdminAccess(userProfile))) {
       navigate('/');
       return;
     }
-    
-    loadAdmins();
-  }, [user, navigate]);
+    if (userProfile && isAdmin(userProfile)) loadAdmins();
+  }, [user, userProfile, loading, navigate]);
+
+  // First page of the queue, or the page after `cursor` appended to it
+  const loadQueue = useCallback(async ({ cursor } = {}) => {
+    setQueueLoading(true);
+    try {
+      const page = await getModerationQueue({ status: queueStatus, cursor });
+      setQueue(current => (cursor ? [...current, ...page.items] : page.items));
+      setQueueCursor(page.next_cursor);
+    } catch (err) {
+      console.error('Error loading moderation queue:', err);
+      setError(err.message);
+    } finally {
+      setQueueLoading(false);
+    }
+  }, [queueStatus]);
+
+  useEffect(() => {
+    if (canModerateContent(userProfile)) loadQueue();
+  }, [userProfile, loadQueue]);
+
+  const handleResolve = async (entry, action) => {
+    if (action === 'remove' && !confirm('Permanently remove this content? This cannot be undone.')) {
+      return;
+    }
+
+    const warn = action === 'warn' || !!warnAuthor[entry._id];
+    const note = warn ? (prompt('Note to the author (optional):') || '') : '';
 
-  const loadAdmins = () => {
-    const currentAdmins = getAllAdmins();
-    setAdmins(currentAdmins);
+    setResolving(entry._id);
+    try {
+      await resolveReport(entry._id, { action, warn, note });
+      setQueue(queue.filter(item => item._id !== entry._id));
+    } catch (err) {
+      alert(`❌ ${err.message}`);
+    } finally {
+      setResolving(null);
+    }
   };
 
-  const handleSearchUsers = async () => {
+  const loadAdmins = async () => {
+    try {
+      setError('');
+      const [session, currentStaff] = await Promise.all([getAdminSession(), getStaff()]);
+      setGrantable(session.grantable_roles || []);
+      setStaff(currentStaff);
+    } catch (err) {
+      console.error('Error loading admins:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleSearchUsers = async (e) => {
+    e?.preventDefault();
     if (!searchQuery.trim()) return;
-    
+
     setSearching(true);
     try {
-      // In a real app, this would search the user database
-      // For now, we'll simulate with a mock search
-      // You can integrate with your actual user search API
-      
-      // Mock search - replace with actual API call
-      setTimeout(() => {
-        setSearchResults([
-          // This would come from your user database
-          // Example: { id: '123', username: 'testuser', email: 'test@example.com' }
-        ]);
-        setSearching(false);
-      }, 500);
-      
-    } catch (error) {
-      console.error('Error searching users:', error);
+      setSearchResults(await searchUsers(searchQuery.trim()));
+    } catch (err) {
+      console.error('Error searching users:', err);
+      alert(`❌ ${err.message}`);
+    } finally {
       setSearching(false);
     }
   };
 
-  const handleAddAdmin = (userToAdd) => {
-    const result = addAdmin(user, userToAdd);
-    
-    if (result.success) {
-      loadAdmins();
-      setSearchQuery('');
-      setSearchResults([]);
-      alert(`✅ ${result.message}`);
-    } else {
-      alert(`❌ ${result.message}`);
+  const handleGrant = async (account, role) => {
+    try {
+      await grantRole(account.auth_id, role);
+      await loadAdmins();
+      setSearchResults(searchResults.filter(result => result.auth_id !== account.auth_id));
+      alert(`✅ ${account.username} is now ${role === ROLES.ADMIN ? 'an admin' : 'a moderator'}`);
+    } catch (err) {
+      alert(`❌ ${err.message}`);
     }
   };
 
-  const handleRemoveAdmin = (adminId) => {
-    if (!confirm('Remove this admin? They will lose all admin privileges.')) {
+  const handleRevoke = async (account, role) => {
+    if (!confirm(`Remove ${role} role from ${account.username}? They will lose those privileges.`)) {
       return;
     }
-    
-    const result = removeAdmin(user, adminId);
-    
-    if (result.success) {
-      loadAdmins();
-      alert(`✅ ${result.message}`);
-    } else {
-      alert(`❌ ${result.message}`);
-    }
-  };
 
-  const handleAddByUsername = () => {
-    const username = prompt('Enter username to add as admin:');
-    if (!username) return;
-    
-    // In production, fetch user from database by username
-    // For now, create a mock user object
-    const mockUser = {
-      id: Date.now().toString(),
-      username: username.trim(),
-      email: `${username.trim()}@example.com`
-    };
-    
-    handleAddAdmin(mockUser);
+    try {
+      await revokeRole(account.auth_id, role);
+      await loadAdmins();
+      alert(`✅ ${account.username} is no longer ${role === ROLES.ADMIN ? 'an admin' : 'a moderator'}`);
+    } catch (err) {
+      alert(`❌ ${err.message}`);
+    }
   };
 
-  if (!user || !isFounder(user)) {
+  if (!user || !hasAdminAccess(userProfile)) {
     return null;
   }
 
+  const countRole = (role) => staff.filter(account => account.roles?.includes(role)).length;
+
   return (
     <div className="admin-panel">
       <div className="admin-header">
@@ -109,92 +158,326 @@ export default function AdminPanel() {
           <p className="admin-subtitle">Manage administrators and team members</p>
         </div>
         <div className="founder-badge">
-          👑 Founder
+          {ROLE_LABELS[primaryRole(userProfile)]}
         </div>
       </div>
 
-      {/* Stats */}
-      <div className="admin-stats">
-        <div className="stat-card">
-          <span className="stat-value">{admins.length}</span>
-          <span className="stat-label">Total Admins</span>
-        </div>
-        <div className="stat-card">
-          <span className="stat-value">{admins.filter(a => a.role === 'admin').length}</span>
-          <span className="stat-label">Team Members</span>
+      {error && <p className="admin-error" role="alert">❌ {error}</p>}
+
+      {/* Moderation Queue */}
+      {canModerateContent(userProfile) && (
+        <div className="moderation-section">
+          <div className="moderation-header">
+            <h2>🚩 Moderation Queue</h2>
+            <div className="moderation-tabs" role="tablist">
+              {QUEUE_STATUSES.map(status => (
+                <button
+                  key={status}
+                  role="tab"
+                  aria-selected={queueStatus === status}
+                  className={`moderation-tab ${queueStatus === status ? 'active' : ''}`}
+                  onClick={() => setQueueStatus(status)}
+                >
+                  {status}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {queue.length === 0 && !queueLoading && (
+            <p className="moderation-empty">
+              {queueStatus === 'open' ? '✅ Nothing to review' : `No ${queueStatus} reports`}
+            </p>
+          )}
+
+          <div className="moderation-list">
+            {queue.map((entry) => (
+              <div key={entry._id} className="moderation-item">
+                <div className="moderation-item-header">
+                  <span className="moderation-type">{entry.target_type}</span>
+                  <span className="moderation-author">
+                    by @{entry.author?.username || 'unknown'}
+                    {entry.author?.warning_count > 0 && ` · ⚠️ ${entry.author.warning_count} warning(s)`}
+                  </span>
+                  <span className="moderation-count">
+                    {entry.report_count} report{entry.report_count === 1 ? '' : 's'}
+                  </span>
+                </div>
+
+                <p className="moderation-content">{entry.content || <em>No text</em>}</p>
+
+                <ul className="moderation-reasons">
+                  {entry.reports?.map((report, idx) => (
+                    <li key={idx}>
+                      <strong>{REASON_LABELS[report.reason] || report.reason}</strong>
+                      {report.details && ` — ${report.details}`}
+                    </li>
+                  ))}
+                </ul>
+
+                {entry.status === 'open' ? (
+                  <div className="moderation-actions">
+                    <label className="moderation-warn">
+                      <input
+                        type="checkbox"
+                        checked={!!warnAuthor[entry._id]}
+                        onChange={(e) => setWarnAuthor({ ...warnAuthor, [entry._id]: e.target.checked })}
+                      />
+                      Warn author
+                    </label>
+                    <button className="sf-btn sf-btn-sm" disabled={resolving === entry._id} onClick={() => handleResolve(entry, 'dismiss')}>
+                      Dismiss
+                    </button>
+                    <button className="sf-btn sf-btn-sm" disabled={resolving === entry._id} onClick={() => handleResolve(entry, 'warn')}>
+                      Warn only
+                    </button>
+                    <button className="sf-btn sf-btn-sm" disabled={resolving === entry._id} onClick={() => handleResolve(entry, 'hide')}>
+                      Hide
+                    </button>
+                    <button className="remove-admin-btn" disabled={resolving === entry._id} onClick={() => handleResolve(entry, 'remove')}>
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="moderation-resolved">
+                    {entry.history?.[entry.history.length - 1]?.actions?.join(' + ')}
+                    {entry.resolved_at && ` · ${new Date(entry.resolved_at).toLocaleDateString()}`}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {queueCursor && !queueLoading && (
+            <button className="sf-btn sf-btn-secondary" onClick={() => loadQueue({ cursor: queueCursor })}>
+              Load more
+            </button>
+          )}
+          {queueLoading && <p className="moderation-empty">Loading...</p>}
         </div>
-        <div className="stat-card">
-          <span className="stat-value">1</span>
-          <span className="stat-label">Founder</span>
+      )}
+
+      {isAdmin(userProfile) && (
+        <>
+        {/* Stats */}
+        <div className="admin-stats">
+          <div className="stat-card">
+            <span className="stat-value">{countRole(ROLES.ADMIN) + countRole(ROLES.FOUNDER)}</span>
+            <span className="stat-label">Total Admins</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-value">{countRole(ROLES.MODERATOR)}</span>
+            <span className="stat-label">Moderators</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-value">{countRole(ROLES.FOUNDER)}</span>
+            <span className="stat-label">Founder</span>
+          </div>
         </div>
-      </div>
-
-      {/* Add Admin Section */}
-      <div className="add-admin-section">
-        <h2>➕ Add New Admin</h2>
-        <p style={{ color: '#6b7280', marginBottom: '16px' }}>
-          Grant admin privileges to trusted team members to help manage SnapFit
-        </p>
-        
-        <button
-          className="sf-btn sf-btn-primary"
-          onClick={handleAddByUsername}
-        >
-          Add Admin by Username
-        </button>
-        
-        <p style={{ fontSize: '13px', color: '#9ca3af', marginTop: '12px' }}>
-          💡 Admins can delete any post, moderate content, and help maintain the community
-        </p>
-      </div>
 
-      {/* Current Admins List */}
-      <div className="admins-list-section">
-        <h2>👥 Current Administrators</h2>
-        
-        <div className="admins-grid">
-          {admins.map((admin) => (
-            <div key={admin.id} className={`admin-card ${admin.role}`}>
-              <div className="admin-card-header">
-                <div className="admin-avatar">
-                  {admin.username?.[0]?.toUpperCase() || 'A'}
-                </div>
-                <div className="admin-info">
-                  <div className="admin-username">
-                    {admin.username}
-                    {admin.role === 'founder' && <span className="founder-crown">👑</span>}
+        {/* Add Staff Section */}
+        {grantable.length > 0 && (
+          <div className="add-admin-section">
+            <h2>➕ Add Team Member</h2>
+            <p style={{ marginBottom: '16px' }}>
+              Find a user by username or email and grant them a role
+            </p>
+
+            <form className="admin-search" onSubmit={handleSearchUsers}>
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Username or email"
+                aria-label="Search users"
+              />
+              <button type="submit" className="sf-btn sf-btn-primary" disabled={searching || !searchQuery.trim()}>
+                {searching ? 'Searching...' : 'Search'}
+              </button>
+            </form>
+
+            {searchResults.length > 0 && (
+              <ul className="admin-search-results">
+                {searchResults.map((account) => (
+                  <li key={account.auth_id}>
+                    <span>
+                      <strong>{account.username}</strong> <small>{account.email}</small>
+                    </span>
+                    <span className="admin-search-actions">
+                      {grantable
+                        .filter(role => !account.roles?.includes(role))
+                        .map(role => (
+                          <button key={role} className="sf-btn sf-btn-sm" onClick={() => handleGrant(account, role)}>
+                            Make {role}
+                          </button>
+                        ))}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <p style={{ fontSize: '13px', marginTop: '12px' }}>
+              💡 Admins can delete any post, moderate content, and help maintain the community. Moderators can remove posts and comments.
+            </p>
+          </div>
+        )}
+
+        {/* Current Staff List */}
+        <div className="admins-list-section">
+          <h2>👥 Current Team</h2>
+
+          <div className="admins-grid">
+            {staff.map((account) => (
+              <div key={account.auth_id} className={`admin-card ${primaryRole(account)}`}>
+                <div className="admin-card-header">
+                  <div className="admin-avatar">
+                    {account.username?.[0]?.toUpperCase() || 'A'}
                   </div>
-                  <div className="admin-email">{admin.email}</div>
-                  <div className="admin-role-badge">
-                    {admin.role === 'founder' ? '👑 Founder' : '🛡️ Admin'}
+                  <div className="admin-info">
+                    <div className="admin-username">
+                      {account.username}
+                      {account.roles?.includes(ROLES.FOUNDER) && <span className="founder-crown">👑</span>}
+                    </div>
+                    <div className="admin-email">{account.email}</div>
+                    {account.roles?.map(role => (
+                      <div key={role} className="admin-role-badge">
+                        {ROLE_LABELS[role] || role}
+                      </div>
+                    ))}
                   </div>
                 </div>
-              </div>
-              
-              <div className="admin-card-meta">
-                {admin.addedDate && (
-                  <div className="admin-added-date">
-                    Added: {new Date(admin.addedDate).toLocaleDateString()}
+
+                <div className="admin-card-meta">
+                  {account.roles_updated_at && (
+                    <div className="admin-added-date">
+                      Updated: {new Date(account.roles_updated_at).toLocaleDateString()}
+                    </div>
+                  )}
+                </div>
+
+                {account.roles?.some(role => grantable.includes(role)) && account.auth_id !== user.id && (
+                  <div className="admin-card-actions">
+                    {account.roles.filter(role => grantable.includes(role)).map(role => (
+                      <button
+                        key={role}
+                        className="remove-admin-btn"
+                        onClick={() => handleRevoke(account, role)}
+                      >
+                        Remove {role}
+                      </button>
+                    ))}
                   </div>
                 )}
               </div>
-              
-              {admin.role !== 'founder' && (
-                <div className="admin-card-actions">
-                  <button
-                    className="remove-admin-btn"
-                    onClick={() => handleRemoveAdmin(admin.id)}
-                  >
-                    Remove Admin
-                  </button>
-                </div>
-              )}
-            </div>
-          ))}
+            ))}
+          </div>
         </div>
-      </div>
+
+        <RetailerRulesAdmin />
+        </>
+      )}
 
       <style>{`
+        .retailer-rules-section {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          margin-top: 32px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .retailer-rules__header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .retailer-rules__header h2 {
+          margin: 0;
+          font-size: 20px;
+        }
+
+        .retailer-rules__hint {
+          color: #6b7280;
+          font-size: 14px;
+        }
+
+        .retailer-rules__stores {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-bottom: 16px;
+        }
+
+        .retailer-rules__store {
+          border: 1px solid #e5e7eb;
+          background: #f9fafb;
+          border-radius: 16px;
+          padding: 6px 14px;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .retailer-rules__store.active {
+          border-color: var(--sf-primary);
+          background: #eef2ff;
+        }
+
+        .retailer-rules__custom {
+          margin-left: 6px;
+          font-size: 11px;
+          color: #7c3aed;
+          font-weight: 600;
+        }
+
+        .retailer-rules__editor label {
+          display: block;
+          font-size: 14px;
+          font-weight: 600;
+          margin-bottom: 12px;
+        }
+
+        .retailer-rules__editor input,
+        .retailer-rules__editor textarea {
+          display: block;
+          width: 100%;
+          margin-top: 6px;
+          padding: 10px;
+          border: 1px solid #e5e7eb;
+          border-radius: 8px;
+          font-weight: 400;
+        }
+
+        .retailer-rules__editor textarea {
+          font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+          font-size: 13px;
+        }
+
+        .retailer-rules__actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .retailer-rules__result {
+          margin-top: 16px;
+          padding: 12px;
+          background: #f9fafb;
+          border-radius: 8px;
+          font-size: 14px;
+          line-height: 1.6;
+          word-break: break-word;
+        }
+
+        .retailer-rules__missing {
+          color: #b45309;
+        }
+
+        .retailer-rules__message {
+          margin: 12px 0 0;
+          font-size: 14px;
+        }
+
         .admin-panel {
           max-width: 1200px;
           margin: 0 auto;
@@ -375,6 +658,8 @@ export default function AdminPanel() {
         }
 
         .admin-card-actions {
+          display: flex;
+          gap: 8px;
           margin-top: 12px;
         }
 
@@ -391,6 +676,175 @@ export default function AdminPanel() {
           transition: all 0.2s;
         }
 
+        .admin-error {
+          color: #dc2626;
+          margin-bottom: 16px;
+        }
+
+        .admin-search {
+          display: flex;
+          gap: 8px;
+        }
+
+        .admin-search input {
+          flex: 1;
+          padding: 10px 14px;
+          border: none;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+
+        .admin-search-results {
+          list-style: none;
+          margin: 16px 0 0 0;
+          padding: 0;
+          background: white;
+          color: #111827;
+          border-radius: 8px;
+        }
+
+        .admin-search-results li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          padding: 10px 14px;
+          border-bottom: 1px solid #f3f4f6;
+        }
+
+        .admin-search-results small {
+          color: #6b7280;
+        }
+
+        .admin-search-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .admin-card .admin-role-badge + .admin-role-badge {
+          margin-left: 6px;
+        }
+
+        .moderation-section {
+          background: white;
+          border: 2px solid #e5e7eb;
+          border-radius: 12px;
+          padding: 24px;
+          margin-bottom: 32px;
+        }
+
+        .moderation-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .moderation-header h2 {
+          margin: 0;
+          font-size: 20px;
+        }
+
+        .moderation-tabs {
+          display: flex;
+          gap: 6px;
+        }
+
+        .moderation-tab {
+          padding: 6px 14px;
+          border: 1px solid #e5e7eb;
+          border-radius: 16px;
+          background: #f9fafb;
+          font-size: 13px;
+          text-transform: capitalize;
+          cursor: pointer;
+        }
+
+        .moderation-tab.active {
+          background: #667eea;
+          border-color: #667eea;
+          color: white;
+        }
+
+        .moderation-empty {
+          color: #6b7280;
+        }
+
+        .moderation-list {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .moderation-item {
+          border: 1px solid #f3f4f6;
+          border-radius: 10px;
+          padding: 16px;
+        }
+
+        .moderation-item-header {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+          font-size: 13px;
+          color: #6b7280;
+        }
+
+        .moderation-type {
+          padding: 2px 10px;
+          border-radius: 10px;
+          background: #e0e7ff;
+          color: #667eea;
+          font-weight: 600;
+          text-transform: capitalize;
+        }
+
+        .moderation-count {
+          margin-left: auto;
+          font-weight: 600;
+          color: #dc2626;
+        }
+
+        .moderation-content {
+          margin: 12px 0;
+          white-space: pre-wrap;
+        }
+
+        .moderation-reasons {
+          margin: 0 0 12px 0;
+          padding-left: 18px;
+          font-size: 13px;
+          color: #4b5563;
+        }
+
+        .moderation-actions {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .moderation-actions .remove-admin-btn {
+          width: auto;
+        }
+
+        .moderation-warn {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          margin-right: auto;
+        }
+
+        .moderation-resolved {
+          font-size: 13px;
+          color: #6b7280;
+          text-transform: capitalize;
+        }
+
         .remove-admin-btn:hover {
           background: #fecaca;
           border-color: #dc2626;
@@ -1,17 +1,31 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { getCommunityFeed } from '../lib/api/community';
-import { likeOutfit, addComment, deleteOutfit } from '../lib/api/outfits';
-import { isAdmin, canDeleteOutfit } from '../lib/adminUtils';
+import {
+  getCommunityFeed,
+  getOutfitComments,
+  getCommentReplies,
+  addComment,
+  updateComment,
+  deleteComment
+} from '../lib/api/community';
+import { likeOutfit, deleteOutfit } from '../lib/api/outfits';
+import { isAdmin, canDeleteOutfit, canModerateContent } from '../lib/adminUtils';
+import { promptForReport, reportOutfit, reportComment } from '../lib/api/moderation';
 
 export default function Explore() {
-  const { user } = useAuth();
+  const { user, userProfile } = useAuth();
   const [outfits, setOutfits] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState({ occasion: '', weather: '' });
+  const [filter, setFilter] = useState({ mode: 'all', occasion: '', weather: '' });
   const [liking, setLiking] = useState({});
   const [showComments, setShowComments] = useState(null);
+  const [comments, setComments] = useState({}); // outfitId -> { items, next_cursor }
+  const [replies, setReplies] = useState({}); // commentId -> { items, next_cursor }
   const [commentText, setCommentText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, text }
   const [submittingComment, setSubmittingComment] = useState(false);
   const [socialDisabled, setSocialDisabled] = useState(false);
 
@@ -30,23 +44,19 @@ export default function Explore() {
     }
   }
 
-  async function loadFeed() {
+  async function loadFeed({ append = false } = {}) {
     try {
       setLoading(true);
-      const data = await getCommunityFeed({
+      const page = await getCommunityFeed({
         limit: 20,
-        skip: 0,
+        cursor: append ? nextCursor : undefined,
+        mode: filter.mode,
         occasion: filter.occasion || undefined,
         weather: filter.weather || undefined,
       });
-      console.log('📦 Loaded feed data:', data);
-      console.log('👤 Current user:', user);
-      if (data.length > 0) {
-        console.log('📸 First outfit items:', data[0].items);
-        console.log('🆔 First outfit user_id:', data[0].user_id);
-        console.log('🆔 First outfit userId:', data[0].userId);
-      }
-      setOutfits(data);
+      console.log('📦 Loaded feed page:', page.items.length, 'outfits, more:', page.has_more);
+      setOutfits(append ? [...outfits, ...page.items] : page.items);
+      setNextCursor(page.next_cursor);
     } catch (error) {
       console.error('Error loading community feed:', error);
     } finally {
@@ -118,27 +128,117 @@ export default function Explore() {
     }
   }
 
+  async function handleReport(outfitId, commentId) {
+    const report = promptForReport();
+    if (!report) return;
+
+    try {
+      if (commentId) {
+        await reportComment(outfitId, commentId, report);
+      } else {
+        await reportOutfit(outfitId, report);
+      }
+      alert('✅ Thanks for reporting. A moderator will review it.');
+    } catch (error) {
+      console.error('Error reporting content:', error);
+      alert(`❌ ${error.status === 409 ? 'You have already reported this.' : 'Failed to send report. Please try again.'}`);
+    }
+  }
+
+  function updateCommentsCount(outfitId, delta) {
+    setOutfits(outfits => outfits.map(outfit => (
+      outfit._id === outfitId
+        ? { ...outfit, comments_count: Math.max(0, (outfit.comments_count || 0) + delta) }
+        : outfit
+    )));
+  }
+
+  async function loadComments(outfitId, { append = false } = {}) {
+    try {
+      const page = await getOutfitComments(outfitId, {
+        limit: 20,
+        cursor: append ? comments[outfitId]?.next_cursor : undefined
+      });
+      setComments(comments => ({
+        ...comments,
+        [outfitId]: {
+          items: append ? [...(comments[outfitId]?.items || []), ...page.items] : page.items,
+          next_cursor: page.next_cursor
+        }
+      }));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  }
+
+  async function loadReplies(commentId, { append = false } = {}) {
+    try {
+      const page = await getCommentReplies(commentId, {
+        limit: 20,
+        cursor: append ? replies[commentId]?.next_cursor : undefined
+      });
+      setReplies(replies => ({
+        ...replies,
+        [commentId]: {
+          items: append ? [...(replies[commentId]?.items || []), ...page.items] : page.items,
+          next_cursor: page.next_cursor
+        }
+      }));
+    } catch (error) {
+      console.error('Error loading replies:', error);
+    }
+  }
+
+  function toggleComments(outfitId) {
+    setReplyTo(null);
+    setEditing(null);
+    setCommentText('');
+
+    if (showComments === outfitId) {
+      setShowComments(null);
+      return;
+    }
+
+    setShowComments(outfitId);
+    loadComments(outfitId);
+  }
+
   async function handleAddComment(outfitId) {
     if (!commentText.trim() || !user) return;
 
     setSubmittingComment(true);
     try {
-      const newComment = await addComment(outfitId, commentText);
-      
-      // Update the outfit in the list with new comment
-      setOutfits(outfits.map(outfit => {
-        if (outfit._id === outfitId) {
-          return {
-            ...outfit,
-            comments: [...(outfit.comments || []), newComment],
-            comments_count: (outfit.comments_count || 0) + 1
-          };
-        }
-        return outfit;
-      }));
-      
+      const parentId = replyTo?.parent_id || replyTo?._id;
+      const newComment = await addComment(outfitId, commentText, parentId);
+
+      if (newComment.parent_id) {
+        setReplies(replies => ({
+          ...replies,
+          [newComment.parent_id]: {
+            items: [...(replies[newComment.parent_id]?.items || []), newComment],
+            next_cursor: replies[newComment.parent_id]?.next_cursor || null
+          }
+        }));
+        setComments(comments => ({
+          ...comments,
+          [outfitId]: {
+            ...comments[outfitId],
+            items: (comments[outfitId]?.items || []).map(c => (
+              c._id === newComment.parent_id ? { ...c, reply_count: (c.reply_count || 0) + 1 } : c
+            ))
+          }
+        }));
+      } else if (!comments[outfitId]?.next_cursor) {
+        // Oldest-first list: only append when the last page is already loaded
+        setComments(comments => ({
+          ...comments,
+          [outfitId]: { items: [...(comments[outfitId]?.items || []), newComment], next_cursor: null }
+        }));
+      }
+      updateCommentsCount(outfitId, 1);
+
       setCommentText('');
-      // Comment added successfully
+      setReplyTo(null);
     } catch (error) {
       console.error('Error adding comment:', error);
       alert('Failed to add comment');
@@ -147,6 +247,169 @@ export default function Explore() {
     }
   }
 
+  function replaceComment(outfitId, updated) {
+    const swap = list => list?.map(c => (c._id === updated._id ? { ...c, ...updated, user: c.user } : c));
+
+    if (updated.parent_id) {
+      setReplies(replies => ({
+        ...replies,
+        [updated.parent_id]: { ...replies[updated.parent_id], items: swap(replies[updated.parent_id]?.items) }
+      }));
+    } else {
+      setComments(comments => ({
+        ...comments,
+        [outfitId]: { ...comments[outfitId], items: swap(comments[outfitId]?.items) }
+      }));
+    }
+  }
+
+  async function handleEditComment(outfitId) {
+    if (!editing?.text.trim()) return;
+
+    setSubmittingComment(true);
+    try {
+      const updated = await updateComment(editing.id, editing.text);
+      replaceComment(outfitId, updated);
+      setEditing(null);
+    } catch (error) {
+      console.error('Error editing comment:', error);
+      alert('Failed to edit comment');
+    } finally {
+      setSubmittingComment(false);
+    }
+  }
+
+  async function handleDeleteComment(outfitId, comment) {
+    const message = !comment.parent_id && comment.reply_count > 0
+      ? 'Delete this comment and its replies?'
+      : 'Delete this comment?';
+    if (!confirm(message)) return;
+
+    try {
+      const { deleted } = await deleteComment(comment._id);
+
+      if (comment.parent_id) {
+        setReplies(replies => ({
+          ...replies,
+          [comment.parent_id]: {
+            ...replies[comment.parent_id],
+            items: (replies[comment.parent_id]?.items || []).filter(c => c._id !== comment._id)
+          }
+        }));
+        setComments(comments => ({
+          ...comments,
+          [outfitId]: {
+            ...comments[outfitId],
+            items: (comments[outfitId]?.items || []).map(c => (
+              c._id === comment.parent_id ? { ...c, reply_count: Math.max(0, (c.reply_count || 0) - 1) } : c
+            ))
+          }
+        }));
+      } else {
+        setComments(comments => ({
+          ...comments,
+          [outfitId]: {
+            ...comments[outfitId],
+            items: (comments[outfitId]?.items || []).filter(c => c._id !== comment._id)
+          }
+        }));
+      }
+      updateCommentsCount(outfitId, -deleted);
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      alert('Failed to delete comment');
+    }
+  }
+
+  // Authors, the outfit owner and moderators can delete a comment; only authors can edit
+  function canDeleteComment(outfit, comment) {
+    if (!user) return false;
+    return comment.user_id === user.id || outfit.user_id === user.id || canModerateContent(userProfile);
+  }
+
+  function renderComment(outfit, comment) {
+    const isEditing = editing?.id === comment._id;
+    const thread = replies[comment._id];
+
+    return (
+      <div key={comment._id} className={`feed-comment ${comment.parent_id ? 'feed-comment-reply' : ''}`}>
+        <span className="feed-comment-user">@{comment.user?.username || 'User'}</span>
+        {isEditing ? (
+          <span className="feed-comment-edit">
+            <input
+              type="text"
+              value={editing.text}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+              onKeyPress={(e) => e.key === 'Enter' && handleEditComment(outfit._id)}
+              disabled={submittingComment}
+              autoFocus
+            />
+            <button className="feed-comment-action" onClick={() => handleEditComment(outfit._id)} disabled={submittingComment}>
+              Save
+            </button>
+            <button className="feed-comment-action" onClick={() => setEditing(null)}>
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <span className="feed-comment-text">
+            {comment.text}
+            {comment.edited_at && <span className="feed-comment-edited"> (edited)</span>}
+          </span>
+        )}
+
+        {!isEditing && (
+          <span className="feed-comment-actions">
+            {user && (
+              <button className="feed-comment-action" onClick={() => setReplyTo(comment)}>
+                Reply
+              </button>
+            )}
+            {user && comment.user_id === user.id && (
+              <button className="feed-comment-action" onClick={() => setEditing({ id: comment._id, text: comment.text })}>
+                Edit
+              </button>
+            )}
+            {canDeleteComment(outfit, comment) && (
+              <button className="feed-comment-action" onClick={() => handleDeleteComment(outfit._id, comment)}>
+                Delete
+              </button>
+            )}
+            {user && comment.user_id !== user.id && (
+              <button
+                className="feed-report-btn"
+                onClick={() => handleReport(outfit._id, comment._id)}
+                title="Report this comment"
+              >
+                🚩
+              </button>
+            )}
+          </span>
+        )}
+
+        {!comment.parent_id && comment.reply_count > 0 && !thread && (
+          <button className="feed-comment-action feed-view-replies" onClick={() => loadReplies(comment._id)}>
+            View {comment.reply_count} {comment.reply_count === 1 ? 'reply' : 'replies'}
+          </button>
+        )}
+
+        {thread && (
+          <div className="feed-comment-replies">
+            {thread.items.map(reply => renderComment(outfit, reply))}
+            {thread.next_cursor && (
+              <button
+                className="feed-comment-action feed-view-replies"
+                onClick={() => loadReplies(comment._id, { append: true })}
+              >
+                More replies
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
+
   function handleFilterChange(field, value) {
     setFilter({ ...filter, [field]: value });
   }
@@ -170,8 +433,8 @@ export default function Explore() {
         <div style={{ display: 'flex', alignItems: 'center', gap: '12px', justifyContent: 'center', flexWrap: 'wrap' }}>
           <h1>Explore</h1>
           {(() => {
-            console.log('🔍 Admin check - User:', user, 'isAdmin:', isAdmin(user));
-            return isAdmin(user);
+            console.log('🔍 Admin check - roles:', userProfile?.roles, 'isAdmin:', isAdmin(userProfile));
+            return isAdmin(userProfile);
           })() && (
             <div style={{
               background: 'linear-gradient(135deg, #fbbf24 0%, #f59e0b 100%)',
@@ -220,6 +483,15 @@ export default function Explore() {
       {/* Filters */}
       {!socialDisabled && (
         <div className="explore-filters">
+        <select
+          value={filter.mode}
+          onChange={(e) => handleFilterChange('mode', e.target.value)}
+          className="filter-select"
+        >
+          <option value="all">Everyone</option>
+          <option value="following">Following</option>
+        </select>
+
         <select
           value={filter.occasion}
           onChange={(e) => handleFilterChange('occasion', e.target.value)}
@@ -251,7 +523,7 @@ export default function Explore() {
         {(filter.occasion || filter.weather) && (
           <button
             className="filter-clear-btn"
-            onClick={() => setFilter({ occasion: '', weather: '' })}
+            onClick={() => setFilter({ ...filter, occasion: '', weather: '' })}
           >
             Clear Filters
           </button>
@@ -264,8 +536,17 @@ export default function Explore() {
         outfits.length === 0 ? (
           <div className="empty-feed">
             <div className="empty-feed-icon">👗</div>
-            <h3>No public outfits yet</h3>
-            <p>Be the first to share your style with the community!</p>
+            {filter.mode === 'following' ? (
+              <>
+                <h3>Nothing from people you follow</h3>
+                <p>Follow people from their profile to see their outfits here.</p>
+              </>
+            ) : (
+              <>
+                <h3>No public outfits yet</h3>
+                <p>Be the first to share your style with the community!</p>
+              </>
+            )}
           </div>
         ) : (
           <div className="feed-container">
@@ -284,22 +565,35 @@ export default function Explore() {
                     )}
                   </div>
                   <div>
-                    <div className="feed-username">@{outfit.user?.username || 'anonymous'}</div>
+                    <div className="feed-username">
+                      {outfit.user?.username ? (
+                        <Link to={`/profile/${outfit.user.username}`}>@{outfit.user.username}</Link>
+                      ) : '@anonymous'}
+                    </div>
                     <div className="feed-timestamp">
                       {new Date(outfit.created_at).toLocaleDateString()}
                     </div>
                   </div>
                 </div>
                 {/* Delete button for post owner OR admin (user1) */}
-                {canDeleteOutfit(user, outfit) && (
+                {canDeleteOutfit(userProfile, outfit) && (
                   <button
                     className="feed-delete-btn"
                     onClick={() => handleDeleteOutfit(outfit._id)}
-                    title={isAdmin(user) ? "🛡️ Delete (Admin)" : "Delete your post"}
+                    title={outfit.user_id !== userProfile?.auth_id ? "🛡️ Delete (Moderator)" : "Delete your post"}
                   >
                     🗑️
                   </button>
                 )}
+                {user && outfit.user_id && outfit.user_id !== user.id && (
+                  <button
+                    className="feed-report-btn"
+                    onClick={() => handleReport(outfit._id)}
+                    title="Report this outfit"
+                  >
+                    🚩
+                  </button>
+                )}
               </div>
 
               {/* Outfit Images Grid */}
@@ -366,7 +660,7 @@ export default function Explore() {
 
                 <button 
                   className="feed-action-btn"
-                  onClick={() => setShowComments(outfit._id)}
+                  onClick={() => toggleComments(outfit._id)}
                 >
                   <span className="feed-action-icon">💬</span>
                   <span>{outfit.comments_count || 0}</span>
@@ -403,23 +697,37 @@ export default function Explore() {
               {showComments === outfit._id && (
                 <div className="feed-comments-section">
                   <div className="feed-comments-list">
-                    {outfit.comments && outfit.comments.length > 0 ? (
-                      outfit.comments.map((comment, idx) => (
-                        <div key={idx} className="feed-comment">
-                          <span className="feed-comment-user">@{comment.user?.username || 'User'}</span>
-                          <span className="feed-comment-text">{comment.text}</span>
-                        </div>
-                      ))
+                    {!comments[outfit._id] ? (
+                      <p className="feed-no-comments">Loading comments...</p>
+                    ) : comments[outfit._id].items.length > 0 ? (
+                      comments[outfit._id].items.map(comment => renderComment(outfit, comment))
                     ) : (
                       <p className="feed-no-comments">No comments yet. Be the first!</p>
                     )}
+                    {comments[outfit._id]?.next_cursor && (
+                      <button
+                        className="feed-comment-action feed-view-replies"
+                        onClick={() => loadComments(outfit._id, { append: true })}
+                      >
+                        Load more comments
+                      </button>
+                    )}
                   </div>
-                  
+
+                  {user && replyTo && (
+                    <div className="feed-replying-to">
+                      Replying to @{replyTo.user?.username || 'User'}
+                      <button className="feed-comment-action" onClick={() => setReplyTo(null)}>
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+
                   {user && (
                     <div className="feed-add-comment">
                       <input
                         type="text"
-                        placeholder="Add a comment..."
+                        placeholder={replyTo ? 'Write a reply...' : 'Add a comment...'}
                         value={commentText}
                         onChange={(e) => setCommentText(e.target.value)}
                         onKeyPress={(e) => e.key === 'Enter' && handleAddComment(outfit._id)}
@@ -445,6 +753,17 @@ export default function Explore() {
       {!socialDisabled && loading && outfits.length > 0 && (
         <div className="loading-more">Loading more...</div>
       )}
+
+      {!socialDisabled && !loading && nextCursor && (
+        <div className="loading-more">
+          <button
+            onClick={() => loadFeed({ append: true })}
+            className="sf-btn sf-btn-secondary"
+          >
+            Load more
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,8 +1,9 @@
 import { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { getUserProfile, updateUserProfile } from "../lib/api/users";
+import { getUserProfile, updateUserProfile, getUserByUsername, getFollowers, getFollowing } from "../lib/api/users";
 import { uploadImage } from "../lib/storage";
+import FollowButton from "../components/FollowButton";
 
 export default function Profile() {
   const { username } = useParams();
@@ -10,6 +11,8 @@ export default function Profile() {
   const navigate = useNavigate();
   
   const [profile, setProfile] = useState(null);
+  const [publicProfile, setPublicProfile] = useState(null);
+  const [followList, setFollowList] = useState(null); // { type, items, next_cursor }
   const [loading, setLoading] = useState(true);
   const [editing, setEditing] = useState(false);
   const [uploading, setUploading] = useState(false);
@@ -25,11 +28,120 @@ export default function Profile() {
   const isOwnProfile = user && (!username || username === user.user_metadata?.username);
 
   useEffect(() => {
-    if (isOwnProfile && user) {
+    setFollowList(null);
+    setProfile(null);
+    setPublicProfile(null);
+    if (!user) return;
+    if (isOwnProfile) {
       loadProfile();
+    } else {
+      loadPublicProfile();
     }
   }, [user, username]);
 
+  const loadPublicProfile = async () => {
+    setLoading(true);
+    try {
+      const data = await getUserByUsername(username);
+      if (data.is_self) {
+        await loadProfile();
+        return;
+      }
+      setPublicProfile(data);
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      setPublicProfile(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadFollowList = async (type, { append = false } = {}) => {
+    const name = publicProfile?.username || profile?.username;
+    if (!name) return;
+
+    try {
+      const fetchPage = type === 'followers' ? getFollowers : getFollowing;
+      const page = await fetchPage(name, {
+        limit: 20,
+        cursor: append ? followList?.next_cursor : undefined
+      });
+      setFollowList({
+        type,
+        items: append ? [...followList.items, ...page.items] : page.items,
+        next_cursor: page.next_cursor
+      });
+    } catch (error) {
+      console.error(`Error loading ${type}:`, error);
+    }
+  };
+
+  const toggleFollowList = (type) => {
+    if (followList?.type === type) {
+      setFollowList(null);
+    } else {
+      loadFollowList(type);
+    }
+  };
+
+  const renderFollowStats = (data) => (
+    <>
+      <div className="profile-stats">
+        <button
+          className={`profile-stat ${followList?.type === 'followers' ? 'active' : ''}`}
+          onClick={() => toggleFollowList('followers')}
+        >
+          <strong>{data?.followers_count || 0}</strong> Followers
+        </button>
+        <button
+          className={`profile-stat ${followList?.type === 'following' ? 'active' : ''}`}
+          onClick={() => toggleFollowList('following')}
+        >
+          <strong>{data?.following_count || 0}</strong> Following
+        </button>
+      </div>
+
+      {followList && (
+        <div className="profile-section profile-follow-list">
+          <h3>{followList.type === 'followers' ? 'Followers' : 'Following'}</h3>
+          {followList.items.length === 0 ? (
+            <p className="sf-subtitle">
+              {followList.type === 'followers' ? 'No followers yet' : 'Not following anyone yet'}
+            </p>
+          ) : (
+            followList.items.map(person => (
+              <div
+                key={person.username}
+                className="profile-follow-item"
+                onClick={() => navigate(`/profile/${person.username}`)}
+              >
+                <div className="profile-follow-avatar">
+                  {person.avatar_url ? (
+                    <img src={person.avatar_url} alt={person.username} />
+                  ) : (
+                    person.username?.[0]?.toUpperCase() || 'U'
+                  )}
+                </div>
+                <div>
+                  <div className="profile-follow-name">@{person.username}</div>
+                  {person.bio && <div className="profile-follow-bio">{person.bio}</div>}
+                </div>
+              </div>
+            ))
+          )}
+          {followList.next_cursor && (
+            <button
+              className="sf-btn sf-btn-outline"
+              onClick={() => loadFollowList(followList.type, { append: true })}
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
+
   const loadProfile = async () => {
     setLoading(true);
     try {
@@ -95,6 +207,44 @@ export default function Profile() {
     return <div className="sf-card sf-fade-in">Loading profile...</div>;
   }
 
+  if (!isOwnProfile && !profile) {
+    if (!publicProfile) {
+      return (
+        <div className="sf-card sf-fade-in">
+          <p>User not found.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="profile-page sf-fade-in">
+        <div className="profile-header">
+          <h2 className="sf-title-lg">@{publicProfile.username}</h2>
+          <FollowButton
+            username={publicProfile.username}
+            initialFollowing={publicProfile.is_following}
+            onChange={({ following, followers_count }) =>
+              setPublicProfile({ ...publicProfile, is_following: following, followers_count })
+            }
+          />
+        </div>
+
+        <div className="profile-content">
+          {renderFollowStats(publicProfile)}
+
+          {publicProfile.bio && (
+            <div className="profile-section">
+              <h3>About</h3>
+              <p>{publicProfile.bio}</p>
+            </div>
+          )}
+        </div>
+
+        <style>{profileStyles}</style>
+      </div>
+    );
+  }
+
   return (
     <div className="profile-page sf-fade-in">
       <div className="profile-header">
@@ -106,6 +256,8 @@ export default function Profile() {
         )}
       </div>
 
+      {renderFollowStats(profile)}
+
       <div className="profile-content">
         {/* Body Photo Section */}
         <div className="profile-section">
@@ -216,127 +368,195 @@ export default function Profile() {
         )}
       </div>
 
-      <style>{`
-        .profile-page {
-          max-width: 800px;
-          margin: 0 auto;
-          padding: 20px;
-        }
-
-        .profile-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          margin-bottom: 30px;
-        }
-
-        .profile-content {
-          display: flex;
-          flex-direction: column;
-          gap: 30px;
-        }
-
-        .profile-section {
-          background: white;
-          padding: 24px;
-          border-radius: 12px;
-          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-        }
-
-        .profile-section h3 {
-          margin: 0 0 8px 0;
-          font-size: 20px;
-        }
-
-        .body-photo-section {
-          margin-top: 20px;
-        }
-
-        .body-photo-preview {
-          position: relative;
-          max-width: 300px;
-          margin: 0 auto;
-        }
-
-        .body-photo-preview img {
-          width: 100%;
-          border-radius: 12px;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-        }
-
-        .remove-photo-btn {
-          margin-top: 12px;
-          width: 100%;
-          padding: 8px;
-          background: #f44336;
-          color: white;
-          border: none;
-          border-radius: 8px;
-          cursor: pointer;
-        }
-
-        .body-photo-placeholder {
-          text-align: center;
-          padding: 60px 20px;
-          border: 2px dashed #e0e0e0;
-          border-radius: 12px;
-        }
-
-        .placeholder-icon {
-          font-size: 64px;
-          display: block;
-          margin-bottom: 16px;
-        }
-
-        .upload-photo-btn {
-          display: inline-block;
-          margin-top: 16px;
-          padding: 12px 24px;
-          background: var(--sf-primary, #0b6bdc);
-          color: white;
-          border-radius: 8px;
-          cursor: pointer;
-          font-weight: 600;
-        }
-
-        .upload-photo-btn:hover {
-          opacity: 0.9;
-        }
-
-        .form-field {
-          margin-top: 20px;
-        }
-
-        .form-field label {
-          display: block;
-          margin-bottom: 8px;
-          font-weight: 600;
-          color: var(--sf-text, #1a1a1a);
-        }
-
-        .form-field input,
-        .form-field textarea,
-        .form-field select {
-          width: 100%;
-          padding: 12px;
-          border: 1px solid #e0e0e0;
-          border-radius: 8px;
-          font-size: 16px;
-        }
-
-        .form-field input:disabled,
-        .form-field textarea:disabled {
-          background: #f5f5f5;
-          cursor: not-allowed;
-        }
-
-        .profile-actions {
-          display: flex;
-          gap: 12px;
-          justify-content: flex-end;
-          padding-top: 20px;
-        }
-      `}</style>
+      <style>{profileStyles}</style>
     </div>
   );
 }
+
+const profileStyles = `
+  .profile-page {
+    max-width: 800px;
+    margin: 0 auto;
+    padding: 20px;
+  }
+
+  .profile-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 30px;
+  }
+
+  .profile-content {
+    display: flex;
+    flex-direction: column;
+    gap: 30px;
+  }
+
+  .profile-section {
+    background: white;
+    padding: 24px;
+    border-radius: 12px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+  }
+
+  .profile-section h3 {
+    margin: 0 0 8px 0;
+    font-size: 20px;
+  }
+
+  .body-photo-section {
+    margin-top: 20px;
+  }
+
+  .body-photo-preview {
+    position: relative;
+    max-width: 300px;
+    margin: 0 auto;
+  }
+
+  .body-photo-preview img {
+    width: 100%;
+    border-radius: 12px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+  }
+
+  .remove-photo-btn {
+    margin-top: 12px;
+    width: 100%;
+    padding: 8px;
+    background: #f44336;
+    color: white;
+    border: none;
+    border-radius: 8px;
+    cursor: pointer;
+  }
+
+  .body-photo-placeholder {
+    text-align: center;
+    padding: 60px 20px;
+    border: 2px dashed #e0e0e0;
+    border-radius: 12px;
+  }
+
+  .placeholder-icon {
+    font-size: 64px;
+    display: block;
+    margin-bottom: 16px;
+  }
+
+  .upload-photo-btn {
+    display: inline-block;
+    margin-top: 16px;
+    padding: 12px 24px;
+    background: var(--sf-primary, #0b6bdc);
+    color: white;
+    border-radius: 8px;
+    cursor: pointer;
+    font-weight: 600;
+  }
+
+  .upload-photo-btn:hover {
+    opacity: 0.9;
+  }
+
+  .form-field {
+    margin-top: 20px;
+  }
+
+  .form-field label {
+    display: block;
+    margin-bottom: 8px;
+    font-weight: 600;
+    color: var(--sf-text, #1a1a1a);
+  }
+
+  .form-field input,
+  .form-field textarea,
+  .form-field select {
+    width: 100%;
+    padding: 12px;
+    border: 1px solid #e0e0e0;
+    border-radius: 8px;
+    font-size: 16px;
+  }
+
+  .form-field input:disabled,
+  .form-field textarea:disabled {
+    background: #f5f5f5;
+    cursor: not-allowed;
+  }
+
+  .profile-actions {
+    display: flex;
+    gap: 12px;
+    justify-content: flex-end;
+    padding-top: 20px;
+  }
+
+  .profile-stats {
+    display: flex;
+    gap: 12px;
+    margin: -16px 0 24px;
+  }
+
+  .profile-stat {
+    background: none;
+    border: none;
+    padding: 4px 0;
+    margin-right: 12px;
+    font-size: 15px;
+    color: var(--sf-muted, #6b7280);
+    cursor: pointer;
+  }
+
+  .profile-stat strong {
+    color: var(--sf-text, #1a1a1a);
+  }
+
+  .profile-stat.active,
+  .profile-stat:hover {
+    color: var(--sf-text, #1a1a1a);
+  }
+
+  .profile-follow-list {
+    margin-bottom: 30px;
+  }
+
+  .profile-follow-item {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    padding: 10px 0;
+    border-bottom: 1px solid #f0f0f0;
+    cursor: pointer;
+  }
+
+  .profile-follow-avatar {
+    width: 40px;
+    height: 40px;
+    border-radius: 50%;
+    background: #e5e7eb;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-weight: 600;
+    overflow: hidden;
+    flex-shrink: 0;
+  }
+
+  .profile-follow-avatar img {
+    width: 100%;
+    height: 100%;
+    object-fit: cover;
+  }
+
+  .profile-follow-name {
+    font-weight: 600;
+  }
+
+  .profile-follow-bio {
+    font-size: 13px;
+    color: var(--sf-muted, #6b7280);
+  }
+`;
@@ -2,17 +2,20 @@ import { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { getUserProfile, updateUserProfile } from "../lib/api/users";
+import { getFieldErrors } from "../lib/api-client";
 import { uploadImage } from "../lib/storage";
 import { removeClothingBackground } from "../lib/backgroundRemoval";
-import { isFounder, isAdmin } from "../lib/adminUtils";
+import { hasAdminAccess, isAdmin } from "../lib/adminUtils";
+import { CURRENCIES, DEFAULT_CURRENCY } from "../lib/currency";
 
 export default function Settings() {
-  const { user, signOut, refreshUserProfile } = useAuth();
+  const { user, userProfile, signOut, refreshUserProfile } = useAuth();
   const navigate = useNavigate();
   
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [uploading, setUploading] = useState(false);
   const [activeTab, setActiveTab] = useState('profile');
   
@@ -36,6 +39,10 @@ export default function Settings() {
     armLength: '',
     neckCircumference: '',
     torsoLength: '',
+    // Usual sizes, pre-selected when adding products
+    clothingSize: '',
+    shoeSize: '',
+    homeCurrency: DEFAULT_CURRENCY,
   });
   
   // Track which angle is currently being uploaded
@@ -100,6 +107,9 @@ export default function Settings() {
         armLength: data.arm_length || '',
         neckCircumference: data.neck_circumference || '',
         torsoLength: data.torso_length || '',
+        clothingSize: data.clothing_size || '',
+        shoeSize: data.shoe_size || '',
+        homeCurrency: data.home_currency || DEFAULT_CURRENCY,
       });
       
       console.log('📋 Form data set:', {
@@ -205,6 +215,7 @@ export default function Settings() {
 
   const handleSaveProfile = async () => {
     setSaving(true);
+    setFieldErrors({});
     try {
       console.log('💾 Saving profile:', {
         username: formData.username,
@@ -224,6 +235,9 @@ export default function Settings() {
         arm_length: formData.armLength,
         neck_circumference: formData.neckCircumference,
         torso_length: formData.torsoLength,
+        clothing_size: formData.clothingSize,
+        shoe_size: formData.shoeSize,
+        home_currency: formData.homeCurrency,
       });
       
       const result = await updateUserProfile(user.id, {
@@ -244,6 +258,9 @@ export default function Settings() {
         arm_length: formData.armLength,
         neck_circumference: formData.neckCircumference,
         torso_length: formData.torsoLength,
+        clothing_size: formData.clothingSize,
+        shoe_size: formData.shoeSize,
+        home_currency: formData.homeCurrency,
       });
       
       console.log('✅ Profile saved:', result);
@@ -257,6 +274,7 @@ export default function Settings() {
       await loadProfile();
     } catch (error) {
       console.error('❌ Error updating profile:', error);
+      setFieldErrors(getFieldErrors(error));
       alert('Failed to update profile: ' + (error.message || 'Unknown error'));
     } finally {
       setSaving(false);
@@ -347,7 +365,7 @@ export default function Settings() {
         >
           🔒 Account
         </button>
-        {isFounder(user) && (
+        {hasAdminAccess(userProfile) && (
           <button
             className={`settings-tab ${activeTab === 'admin' ? 'active' : ''}`}
             onClick={() => navigate('/admin')}
@@ -383,6 +401,7 @@ export default function Settings() {
                   placeholder="Choose a username"
                   aria-required="true"
                 />
+                {fieldErrors.username && <small className="field-error" role="alert">{fieldErrors.username}</small>}
               </fieldset>
 
               <fieldset className="form-field">
@@ -395,6 +414,7 @@ export default function Settings() {
                   placeholder="Tell us about your style..."
                   rows={4}
                 />
+                {fieldErrors.bio && <small className="field-error" role="alert">{fieldErrors.bio}</small>}
               </fieldset>
 
               <div className="settings-actions">
@@ -794,6 +814,7 @@ export default function Settings() {
                 onChange={(e) => setFormData({ ...formData, height: e.target.value })}
                 placeholder="e.g., 5'10&quot; or 178cm"
               />
+              {fieldErrors.height && <small className="field-error" role="alert">{fieldErrors.height}</small>}
               <small className="field-hint">Optional but helps with outfit recommendations</small>
             </div>
 
@@ -813,6 +834,47 @@ export default function Settings() {
               <small className="field-hint">Helps AI generate better outfit recommendations</small>
             </div>
 
+            <div className="measurements-grid">
+              <div className="form-field">
+                <label htmlFor="clothingSize">Clothing Size</label>
+                <input
+                  id="clothingSize"
+                  type="text"
+                  value={formData.clothingSize}
+                  onChange={(e) => setFormData({ ...formData, clothingSize: e.target.value })}
+                  placeholder="e.g., M or 10"
+                />
+                {fieldErrors.clothing_size && <small className="field-error" role="alert">{fieldErrors.clothing_size}</small>}
+                <small className="field-hint">🛍️ Pre-selected when you add items from a store</small>
+              </div>
+
+              <div className="form-field">
+                <label htmlFor="shoeSize">Shoe Size</label>
+                <input
+                  id="shoeSize"
+                  type="text"
+                  value={formData.shoeSize}
+                  onChange={(e) => setFormData({ ...formData, shoeSize: e.target.value })}
+                  placeholder="e.g., 9.5 or EU 43"
+                />
+                {fieldErrors.shoe_size && <small className="field-error" role="alert">{fieldErrors.shoe_size}</small>}
+              </div>
+
+              <div className="form-field">
+                <label htmlFor="homeCurrency">Home Currency</label>
+                <select
+                  id="homeCurrency"
+                  value={formData.homeCurrency}
+                  onChange={(e) => setFormData({ ...formData, homeCurrency: e.target.value })}
+                >
+                  {CURRENCIES.map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+                <small className="field-hint">💱 Wishlist totals are converted to this currency</small>
+              </div>
+            </div>
+
             <hr style={{ margin: '32px 0', border: 'none', borderTop: '2px solid #e5e7eb' }} />
 
             <h4>📏 Detailed Body Measurements</h4>
@@ -828,6 +890,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, shoulderWidth: e.target.value })}
                   placeholder="e.g., 18in or 45cm"
                 />
+                {fieldErrors.shoulder_width && <small className="field-error" role="alert">{fieldErrors.shoulder_width}</small>}
                 <small className="field-hint">📐 Improves sleeve alignment and shirt drape</small>
               </div>
 
@@ -840,6 +903,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, chestCircumference: e.target.value })}
                   placeholder="e.g., 38in or 96cm"
                 />
+                {fieldErrors.chest_circumference && <small className="field-error" role="alert">{fieldErrors.chest_circumference}</small>}
                 <small className="field-hint">👔 Better fit for t-shirts, hoodies, jackets</small>
               </div>
 
@@ -852,6 +916,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, waistCircumference: e.target.value })}
                   placeholder="e.g., 32in or 81cm"
                 />
+                {fieldErrors.waist_circumference && <small className="field-error" role="alert">{fieldErrors.waist_circumference}</small>}
                 <small className="field-hint">👖 Accurate pants and shirt length/taper</small>
               </div>
 
@@ -864,6 +929,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, hipCircumference: e.target.value })}
                   placeholder="e.g., 40in or 101cm"
                 />
+                {fieldErrors.hip_circumference && <small className="field-error" role="alert">{fieldErrors.hip_circumference}</small>}
                 <small className="field-hint">👗 Essential for pants and skirts</small>
               </div>
 
@@ -876,6 +942,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, inseam: e.target.value })}
                   placeholder="e.g., 32in or 81cm"
                 />
+                {fieldErrors.inseam && <small className="field-error" role="alert">{fieldErrors.inseam}</small>}
                 <small className="field-hint">👖 Perfect pant leg length</small>
               </div>
 
@@ -888,6 +955,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, armLength: e.target.value })}
                   placeholder="e.g., 24in or 61cm"
                 />
+                {fieldErrors.arm_length && <small className="field-error" role="alert">{fieldErrors.arm_length}</small>}
                 <small className="field-hint">👔 Sleeve end positioning</small>
               </div>
 
@@ -900,6 +968,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, neckCircumference: e.target.value })}
                   placeholder="e.g., 15in or 38cm"
                 />
+                {fieldErrors.neck_circumference && <small className="field-error" role="alert">{fieldErrors.neck_circumference}</small>}
                 <small className="field-hint">👔 Collar and hoodie fit</small>
               </div>
 
@@ -912,6 +981,7 @@ export default function Settings() {
                   onChange={(e) => setFormData({ ...formData, torsoLength: e.target.value })}
                   placeholder="e.g., 26in or 66cm"
                 />
+                {fieldErrors.torso_length && <small className="field-error" role="alert">{fieldErrors.torso_length}</small>}
                 <small className="field-hint">👕 Crop tops, jackets, tucked items</small>
               </div>
             </div>
@@ -1137,7 +1207,7 @@ export default function Settings() {
             </div>
 
             {/* Admin-only: Force onboarding card in hero (overrides video) */}
-            {isAdmin(user) && (
+            {isAdmin(userProfile) && (
               <div className="form-field checkbox-field" style={{ marginTop: 12 }}>
                 <label>
                   <input
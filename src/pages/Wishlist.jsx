@@ -3,19 +3,27 @@
  * Users can add aspirational items, try them on with existing fits, and purchase via affiliate links
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import AddItemForm from '../components/AddItemForm';
 import VirtualFittingRoom from '../components/VirtualFittingRoom';
-import { apiGet } from '../lib/api-client';
+import WishlistAlerts from '../components/WishlistAlerts';
+import BatchImport from '../components/BatchImport';
+import { getClosetItems } from '../lib/api/closet';
 import { 
   getWishlistItems, 
   createWishlistItem, 
   updateWishlistItem, 
-  deleteWishlistItem 
+  deleteWishlistItem,
+  getWishlistStats
 } from '../lib/api/wishlist';
 import { getUserProfile } from '../lib/api/users';
+import { parseProductHtml } from '../lib/api/scraper';
+import { buildBookmarklet, IMPORT_PARAM, READY_MESSAGE, PAGE_MESSAGE } from '../lib/bookmarklet';
+import { sizeOptions } from '../lib/sizes';
+import { toScrapedDraft } from '../lib/scrapedProduct';
+import { DEFAULT_CURRENCY, formatPrice, parsePriceInput } from '../lib/currency';
 
 export default function Wishlist() {
   const { user } = useAuth();
@@ -38,13 +46,17 @@ export default function Wishlist() {
   const [scrapeError, setScrapeError] = useState('');
   const [useScrapingApiToggle, setUseScrapingApiToggle] = useState(true);
   const [useProxyToggle, setUseProxyToggle] = useState(false);
-  const [notifications, setNotifications] = useState([]);
-  const [showNotifications, setShowNotifications] = useState(false);
+  const [showBatchImport, setShowBatchImport] = useState(false);
   const [draggedItem, setDraggedItem] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [userProfile, setUserProfile] = useState(null);
   const [showCheckerboard, setShowCheckerboard] = useState(false);
+  // Server totals converted to the home currency (null while offline)
+  const [wishlistStats, setWishlistStats] = useState(null);
+  const bookmarkletRef = useRef(null);
+  // Latest handleImportPage (it reads the profile) for the bookmarklet listener
+  const importPageRef = useRef(null);
 
   useEffect(() => {
     if (!user) {
@@ -56,6 +68,43 @@ export default function Wishlist() {
     loadUserProfile();
   }, [user, navigate]);
 
+  // Re-total whenever items change; prices can be in several currencies
+  useEffect(() => {
+    if (!user) return;
+    getWishlistStats()
+      .then(setWishlistStats)
+      .catch(() => setWishlistStats(null));
+  }, [user, wishlistItems]);
+
+  // React refuses javascript: hrefs, so the bookmarklet link is set directly
+  useEffect(() => {
+    bookmarkletRef.current?.setAttribute('href', buildBookmarklet(window.location.origin));
+  }, []);
+
+  useEffect(() => {
+    importPageRef.current = handleImportPage;
+  });
+
+  // Opened by the "Save to SnapFit" bookmarklet: ask the store page for its HTML
+  useEffect(() => {
+    const opener = window.opener;
+    if (!user || !opener || new URLSearchParams(window.location.search).get(IMPORT_PARAM) !== '1') return;
+
+    const handleMessage = (event) => {
+      if (event.source !== opener || event.data?.type !== PAGE_MESSAGE) return;
+      const { url, html } = event.data;
+      if (typeof url !== 'string' || typeof html !== 'string') return;
+      window.removeEventListener('message', handleMessage);
+      navigate('/wishlist', { replace: true });
+      importPageRef.current(url, html);
+    };
+
+    window.addEventListener('message', handleMessage);
+    // The store's origin isn't known here; the message carries no data
+    opener.postMessage({ type: READY_MESSAGE }, '*');
+    return () => window.removeEventListener('message', handleMessage);
+  }, [user, navigate]);
+
   // Load user profile with body avatar and measurements for VFR
   const loadUserProfile = async () => {
     try {
@@ -110,6 +159,7 @@ export default function Wishlist() {
               notes: item.notes,
               purchaseUrl: item.purchaseUrl,
               estimatedPrice: item.estimatedPrice,
+              currency: item.currency,
               priority: item.priority || 'medium',
               purchased: item.purchased || false,
             });
@@ -139,7 +189,7 @@ export default function Wishlist() {
 
   const loadClosetItems = async () => {
     try {
-      const items = await apiGet('/closet');
+      const items = await getClosetItems(user.id);
       setClosetItems(items || []);
     } catch (error) {
       console.warn('Backend API not available, virtual try-on will be limited');
@@ -153,42 +203,47 @@ export default function Wishlist() {
     console.log('💾 Saved', items.length, 'items to localStorage cache');
   };
 
-  const handleAddItem = async (newItem) => {
-    const price = parseFloat(newItem.estimatedPrice?.replace(/[$,]/g, '') || 0);
-    const wishlistItem = {
-      ...newItem,
-      name: newItem.name || 'Unnamed Item',
-      estimatedPrice: price,
-      originalPrice: price,
-      priority: newItem.priority || 'medium',
-      notes: newItem.notes || '',
-      purchaseUrl: newItem.purchaseUrl || '',
-      isWishlist: true,
-      purchased: false,
-      priceHistory: [{ price, date: new Date().toISOString() }],
-      lastChecked: new Date().toISOString(),
-    };
-
-    let updatedItems;
-    
-    try {
-      // Save to backend API
-      const createdItem = await createWishlistItem(wishlistItem);
-      updatedItems = [createdItem, ...wishlistItems];
-      console.log('✅ Wishlist item saved to database:', createdItem._id);
-    } catch (error) {
-      console.warn('⚠️ Backend API not available, saving to localStorage only:', error.message);
-      // Fallback to localStorage only
-      const localItem = {
-        ...wishlistItem,
-        id: Date.now().toString(),
-        addedDate: new Date().toISOString(),
-        customOrder: wishlistItems.length,
+  const handleAddItem = (newItem) => handleAddItems([newItem]);
+
+  // Save several items at once (batch import) so none are lost to stale state
+  const handleAddItems = async (newItems) => {
+    const added = [];
+
+    for (const newItem of newItems) {
+      const price = parsePriceInput(newItem.estimatedPrice);
+      const wishlistItem = {
+        ...newItem,
+        name: newItem.name || 'Unnamed Item',
+        estimatedPrice: price,
+        originalPrice: price,
+        priority: newItem.priority || 'medium',
+        notes: newItem.notes || '',
+        purchaseUrl: newItem.purchaseUrl || '',
+        isWishlist: true,
+        purchased: false,
+        priceHistory: [{ price, date: new Date().toISOString() }],
+        lastChecked: new Date().toISOString(),
       };
-      updatedItems = [localItem, ...wishlistItems];
+
+      try {
+        // Save to backend API
+        const createdItem = await createWishlistItem(wishlistItem);
+        added.unshift(createdItem);
+        console.log('✅ Wishlist item saved to database:', createdItem._id);
+      } catch (error) {
+        console.warn('⚠️ Backend API not available, saving to localStorage only:', error.message);
+        // Fallback to localStorage only
+        added.unshift({
+          ...wishlistItem,
+          id: `${Date.now()}${added.length ? `-${added.length}` : ''}`,
+          addedDate: new Date().toISOString(),
+          customOrder: wishlistItems.length + added.length,
+        });
+      }
     }
-    
+
     // Always save to both state and localStorage
+    const updatedItems = [...added, ...wishlistItems];
     setWishlistItems(updatedItems);
     saveWishlistToLocalStorage(updatedItems);
     setShowAddForm(false);
@@ -242,11 +297,13 @@ export default function Wishlist() {
       const response = await fetch(`${import.meta.env.VITE_API_URL}/scraper/product`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: item.purchaseUrl })
+        body: JSON.stringify({ url: item.purchaseUrl, refresh: true })
       });
       
       if (response.ok) {
         const data = await response.json();
+        // A page in another currency (geo redirect) can't be compared here; the server tracker converts it
+        if (data.product?.currency && data.product.currency !== (item.currency || DEFAULT_CURRENCY)) return;
         const newPrice = parseFloat(data.product?.price || item.estimatedPrice);
         const itemId = item._id || item.id;
         
@@ -255,17 +312,9 @@ export default function Wishlist() {
           const priceDrop = item.estimatedPrice - newPrice;
           const percentDrop = ((priceDrop / item.estimatedPrice) * 100).toFixed(0);
           
-          addNotification({
-            type: 'price_drop',
-            itemId: itemId,
-            itemName: item.name,
-            oldPrice: item.estimatedPrice,
-            newPrice,
-            percentDrop,
-            message: `💰 Price dropped ${percentDrop}% on ${item.name}!`,
-            date: new Date().toISOString()
-          });
-          
+          // The server records a price_drop notification for this update (header bell)
+          console.log(`💰 Price dropped ${percentDrop}% on ${item.name}`);
+
           handleUpdateItem(itemId, {
             estimatedPrice: newPrice,
             priceHistory: [...(item.priceHistory || []), { price: newPrice, date: new Date().toISOString() }],
@@ -280,12 +329,6 @@ export default function Wishlist() {
     }
   };
 
-  const addNotification = (notification) => {
-    const newNotifications = [{ ...notification, id: Date.now() }, ...notifications];
-    setNotifications(newNotifications);
-    localStorage.setItem(`snapfit_notifications_${user.id}`, JSON.stringify(newNotifications));
-  };
-
   const generateCompleteTheLook = (baseItem) => {
     // AI-powered outfit suggestions based on wishlist item
     const suggestions = [];
@@ -337,30 +380,7 @@ export default function Wishlist() {
       const product = data.product || data;
       
       console.log('🔍 Raw scraped data:', data);
-      console.log('📦 Product object:', product);
-      console.log('🖼️ Image URL:', product.image_url);
-      console.log('👕 Product type:', product.type);
-      
-      // Set scraped product data (include image candidates)
-      const images = product.images && product.images.length ? product.images : (product.image_url ? product.image_url ? product.images || [product.image_url] : [] : []);
-      setScrapedProduct({
-        name: product.name || 'Scraped Item',
-        image_url: (images && images[0]) || product.image_url,
-        images: images || (product.image_url ? [product.image_url] : []),
-        brand: product.brand,
-        notes: product.description,
-        purchaseUrl: productUrl, // use the original URL entered by the user
-        estimatedPrice: product.price ? `$${product.price}` : '',
-        type: product.type || 'shirt', // Include type for VFR clothing placement
-        color: product.color || '', // Include color if available
-      });
-      console.log('✅ Scraped product set to state:', {
-        name: product.name,
-        image_url: product.image_url,
-        brand: product.brand,
-        price: product.price,
-        type: product.type
-      });
+      showScrapedProduct(product, productUrl);
       
       // Leave preview open so user can review/select images before adding
 
@@ -373,12 +393,51 @@ export default function Wishlist() {
     }
   };
 
+  // Product page HTML posted by the bookmarklet from the user's own browser
+  const handleImportPage = async (url, html) => {
+    setProductUrl(url);
+    setScrapedProduct(null);
+    setIsScraping(true);
+    setScrapeError('');
+
+    try {
+      const data = await parseProductHtml(url, html);
+      showScrapedProduct(data.product, url);
+    } catch (error) {
+      console.error('Page import error:', error);
+      setScrapeError(error?.message || 'Could not read that product page. Please add it manually.');
+    } finally {
+      setIsScraping(false);
+    }
+  };
+
+  // Open the review preview for a scraped product
+  const showScrapedProduct = (product, purchaseUrl) => {
+    console.log('📦 Product object:', product);
+    console.log('🖼️ Image URL:', product.image_url);
+    console.log('👕 Product type:', product.type);
+
+    // Keep variants for the size/color pickers; the user's size is pre-selected
+    setScrapedProduct(toScrapedDraft(product, purchaseUrl, userProfile));
+    console.log('✅ Scraped product set to state:', {
+      name: product.name,
+      image_url: product.image_url,
+      brand: product.brand,
+      price: product.price,
+      type: product.type
+    });
+  };
+
+  // Scraped draft -> wishlist item: drop the picker data, apply affiliate wrapping if enabled
+  const prepareScrapedItem = (draft) => {
+    const { variants: _variants, sizes: _sizes, colors: _colors, ...toAdd } = draft;
+    toAdd.purchaseUrl = useAffiliate ? wrapAffiliateUrl(draft.purchaseUrl, affiliateTemplate) : draft.purchaseUrl;
+    return toAdd;
+  };
+
   const handleAddScrapedItem = () => {
     if (scrapedProduct) {
-      // Apply affiliate wrapping if enabled
-      const toAdd = { ...scrapedProduct };
-      toAdd.purchaseUrl = useAffiliate ? wrapAffiliateUrl(scrapedProduct.purchaseUrl, affiliateTemplate) : scrapedProduct.purchaseUrl;
-      handleAddItem(toAdd);
+      handleAddItem(prepareScrapedItem(scrapedProduct));
       setScrapedProduct(null);
       setProductUrl('');
     }
@@ -479,9 +538,13 @@ export default function Wishlist() {
   };
 
   const filteredItems = getFilteredItems();
-  const totalEstimatedCost = wishlistItems
-    .filter(item => !item.purchased)
-    .reduce((sum, item) => sum + parseFloat(item.estimatedPrice || 0), 0);
+  const homeCurrency = userProfile?.home_currency || DEFAULT_CURRENCY;
+  // Offline fallback sums the raw amounts (no rate table on the client)
+  const totalEstimatedCost = wishlistStats
+    ? wishlistStats.unpurchasedValue
+    : wishlistItems
+      .filter(item => !item.purchased)
+      .reduce((sum, item) => sum + parseFloat(item.estimatedPrice || 0), 0);
 
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -499,15 +562,6 @@ export default function Wishlist() {
         <div className="wishlist-header-content">
           <div style={{ display: 'flex', alignItems: 'center', gap: '16px', marginBottom: '8px' }}>
             <h1>✨ My Wishlist</h1>
-            {notifications.length > 0 && (
-              <button
-                className="notification-badge-btn"
-                onClick={() => setShowNotifications(!showNotifications)}
-                title={`${notifications.length} new notifications`}
-              >
-                🔔 <span className="badge-count">{notifications.length}</span>
-              </button>
-            )}
           </div>
           <p className="wishlist-subtitle">
             Save items you want to buy and try them on with your existing wardrobe
@@ -520,8 +574,11 @@ export default function Wishlist() {
               <span className="stat-label">Items</span>
             </div>
             <div className="stat-card">
-              <span className="stat-value">${totalEstimatedCost.toFixed(2)}</span>
-              <span className="stat-label">Total Value</span>
+              <span className="stat-value">{formatPrice(totalEstimatedCost, wishlistStats?.currency || homeCurrency)}</span>
+              <span className="stat-label">
+                Total Value
+                {wishlistStats?.unconvertedCurrencies?.length > 0 && ` (excl. ${wishlistStats.unconvertedCurrencies.join(', ')})`}
+              </span>
             </div>
             <div className="stat-card">
               <span className="stat-value">{wishlistItems.filter(i => i.purchased).length}</span>
@@ -530,36 +587,6 @@ export default function Wishlist() {
           </div>
         </div>
 
-        {/* Notifications Panel */}
-        {showNotifications && notifications.length > 0 && (
-          <div className="notifications-panel">
-            <div className="notifications-header">
-              <h3>🔔 Notifications</h3>
-              <button onClick={() => setShowNotifications(false)} className="close-btn">×</button>
-            </div>
-            <div className="notifications-list">
-              {notifications.map(notif => (
-                <div key={notif.id} className={`notification-item ${notif.type}`}>
-                  <div className="notification-content">
-                    <p>{notif.message}</p>
-                    {notif.type === 'price_drop' && (
-                      <div className="price-drop-details">
-                        <span className="old-price">${notif.oldPrice.toFixed(2)}</span>
-                        <span className="arrow">→</span>
-                        <span className="new-price">${notif.newPrice.toFixed(2)}</span>
-                        <span className="savings">Save ${(notif.oldPrice - notif.newPrice).toFixed(2)}</span>
-                      </div>
-                    )}
-                  </div>
-                  <span className="notification-time">
-                    {new Date(notif.date).toLocaleDateString()}
-                  </span>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
-
         {/* Complete the Look Suggestions */}
         {suggestions.length > 0 && selectedItem && (
           <div className="complete-look-panel">
@@ -632,6 +659,39 @@ export default function Wishlist() {
             </label>
           </div>
 
+          <button
+            type="button"
+            onClick={() => setShowBatchImport(!showBatchImport)}
+            style={{ marginTop: '10px', padding: 0, background: 'none', border: 'none', color: 'white', fontSize: '13px', textDecoration: 'underline', cursor: 'pointer' }}
+          >
+            {showBatchImport ? 'Hide bulk import' : '📋 Moving from another app? Paste many links at once'}
+          </button>
+
+          {showBatchImport && (
+            <BatchImport
+              options={{ useScrapingApi: useScrapingApiToggle, useProxy: useProxyToggle }}
+              userProfile={userProfile}
+              onAddItems={(drafts) => handleAddItems(drafts.map(prepareScrapedItem))}
+              onClose={() => setShowBatchImport(false)}
+            />
+          )}
+
+          {/* Bookmarklet - for stores that block our server */}
+          <div style={{ marginTop: '12px', display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+            <a
+              ref={bookmarkletRef}
+              href="#"
+              onClick={(e) => e.preventDefault()}
+              title="Drag to your bookmarks bar"
+              style={{ padding: '6px 12px', background: 'rgba(255,255,255,0.2)', color: 'white', border: '1px dashed rgba(255,255,255,0.7)', borderRadius: '6px', fontSize: '13px', fontWeight: '600', textDecoration: 'none', cursor: 'grab' }}
+            >
+              ➕ Save to SnapFit
+            </a>
+            <span style={{ color: 'rgba(255,255,255,0.9)', fontSize: '13px' }}>
+              Store won't load? Drag this to your bookmarks bar, then click it on any product page.
+            </span>
+          </div>
+
           {scrapeError && (
             <div style={{ marginTop: '12px', padding: '10px', background: 'rgba(239, 68, 68, 0.2)', borderRadius: '6px', color: 'white', fontSize: '13px' }}>
               ⚠️ {scrapeError}
@@ -790,7 +850,54 @@ export default function Wishlist() {
               <div style={{ color: 'white', textAlign: 'center' }}>
                 <h4 style={{ margin: '0 0 8px 0', fontSize: '18px' }}>{scrapedProduct.name}</h4>
                 {scrapedProduct.brand && (<p style={{ margin: '0 0 5px 0', fontSize: '14px', opacity: 0.9 }}>👔 {scrapedProduct.brand}</p>)}
-                {scrapedProduct.estimatedPrice && (<p style={{ margin: '0 0 10px 0', fontSize: '16px', fontWeight: 'bold', color: '#10b981' }}>{scrapedProduct.estimatedPrice}</p>)}
+                {scrapedProduct.estimatedPrice && (<p style={{ margin: '0 0 10px 0', fontSize: '16px', fontWeight: 'bold', color: '#10b981' }}>{formatPrice(scrapedProduct.estimatedPrice, scrapedProduct.currency || homeCurrency)}</p>)}
+                {scrapedProduct.availability === 'out_of_stock' && (<p style={{ margin: '0 0 10px 0', fontSize: '13px', color: '#fca5a5' }}>Out of stock right now</p>)}
+
+                {/* Color variants (each may have its own image) */}
+                {scrapedProduct.colors.length > 1 && (
+                  <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+                    {scrapedProduct.colors.map(color => {
+                      const variant = scrapedProduct.variants.find(v => v.color === color && v.image);
+                      return (
+                        <button
+                          key={color}
+                          type="button"
+                          onClick={() => {
+                            const offered = sizeOptions(scrapedProduct, color).some(o => o.size === scrapedProduct.size);
+                            setScrapedProduct({
+                              ...scrapedProduct,
+                              color,
+                              image_url: variant?.image || scrapedProduct.image_url,
+                              size: offered ? scrapedProduct.size : '',
+                            });
+                          }}
+                          style={{ padding: '4px 10px', borderRadius: '999px', border: scrapedProduct.color === color ? '2px solid #10b981' : '1px solid rgba(255,255,255,0.4)', background: 'rgba(255,255,255,0.15)', color: 'white', fontSize: '12px', cursor: 'pointer' }}
+                        >
+                          {color}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {/* Size picker, pre-selected from the size in Settings */}
+                {sizeOptions(scrapedProduct, scrapedProduct.color).length > 0 && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'center', marginBottom: '6px' }}>
+                    <span style={{ color: 'rgba(255,255,255,0.9)', fontSize: '13px' }}>Size</span>
+                    <select
+                      value={scrapedProduct.size}
+                      onChange={(e) => setScrapedProduct({ ...scrapedProduct, size: e.target.value })}
+                      style={{ padding: '4px 8px', borderRadius: '6px', border: 'none', fontSize: '13px' }}
+                    >
+                      <option value="">Select size</option>
+                      {sizeOptions(scrapedProduct, scrapedProduct.color).map(option => (
+                        <option key={option.size} value={option.size}>
+                          {option.size}{option.soldOut ? ' (sold out)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
                 
                 <div style={{ marginTop: '12px', textAlign: 'left' }}>
                   <label style={{ display: 'flex', alignItems: 'center', gap: '8px', justifyContent: 'center' }}>
@@ -947,7 +1054,9 @@ export default function Wishlist() {
                     {item.purchaseUrl && (
                       <button
                         onClick={() => checkPriceUpdates(item)}
-                        title="Check for price updates"
+                        title={item.lastChecked
+                          ? `Check for price updates (tracked automatically, last checked ${new Date(item.lastChecked).toLocaleString()})`
+                          : 'Check for price updates'}
                         className="quick-action-btn"
                       >
                         💰
@@ -977,10 +1086,10 @@ export default function Wishlist() {
                     {item.estimatedPrice > 0 && (
                       <div className="item-price-container">
                         {item.originalPrice && item.estimatedPrice < item.originalPrice && (
-                          <span className="item-price-old">${item.originalPrice.toFixed(2)}</span>
+                          <span className="item-price-old">{formatPrice(item.originalPrice, item.currency)}</span>
                         )}
                         <span className={`item-price ${priceDrop ? 'price-dropped' : ''}`}>
-                          ${item.estimatedPrice.toFixed(2)}
+                          {formatPrice(item.estimatedPrice, item.currency)}
                         </span>
                       </div>
                     )}
@@ -1053,6 +1162,7 @@ export default function Wishlist() {
               }}
               isWishlist={true}
               initialData={scrapedProduct}
+              userProfile={userProfile}
             />
           </div>
         </div>
@@ -1101,6 +1211,22 @@ export default function Wishlist() {
                 />
               </div>
 
+              {(editingItem._id || editingItem.id) && (
+                <div className="form-field">
+                  <label>Alerts</label>
+                  <WishlistAlerts
+                    item={editingItem}
+                    onChange={(alerts) => {
+                      const itemId = editingItem._id || editingItem.id;
+                      setEditingItem({ ...editingItem, alerts });
+                      setWishlistItems(wishlistItems.map(item =>
+                        (item._id === itemId || item.id === itemId) ? { ...item, alerts } : item
+                      ));
+                    }}
+                  />
+                </div>
+              )}
+
               <div className="form-field">
                 <label>Notes</label>
                 <textarea
@@ -1157,145 +1283,6 @@ export default function Wishlist() {
           padding: 24px;
         }
 
-        /* Notification Badge */
-        .notification-badge-btn {
-          background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);
-          color: white;
-          border: none;
-          border-radius: 20px;
-          padding: 6px 14px;
-          font-size: 14px;
-          font-weight: 600;
-          cursor: pointer;
-          display: flex;
-          align-items: center;
-          gap: 6px;
-          transition: all 0.2s;
-          box-shadow: 0 2px 8px rgba(239, 68, 68, 0.3);
-        }
-
-        .notification-badge-btn:hover {
-          transform: translateY(-2px);
-          box-shadow: 0 4px 12px rgba(239, 68, 68, 0.4);
-        }
-
-        .badge-count {
-          background: white;
-          color: #ef4444;
-          border-radius: 10px;
-          padding: 2px 8px;
-          font-size: 12px;
-          font-weight: 700;
-        }
-
-        /* Notifications Panel */
-        .notifications-panel {
-          background: white;
-          border: 2px solid #e5e7eb;
-          border-radius: 12px;
-          margin-bottom: 24px;
-          box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-          overflow: hidden;
-        }
-
-        .notifications-header {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
-          padding: 16px 20px;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-        }
-
-        .notifications-header h3 {
-          margin: 0;
-          font-size: 18px;
-        }
-
-        .notifications-header .close-btn {
-          background: rgba(255,255,255,0.2);
-          border: none;
-          color: white;
-          font-size: 24px;
-          width: 32px;
-          height: 32px;
-          border-radius: 50%;
-          cursor: pointer;
-          transition: all 0.2s;
-        }
-
-        .notifications-header .close-btn:hover {
-          background: rgba(255,255,255,0.3);
-        }
-
-        .notifications-list {
-          max-height: 400px;
-          overflow-y: auto;
-        }
-
-        .notification-item {
-          padding: 16px 20px;
-          border-bottom: 1px solid #f3f4f6;
-          display: flex;
-          justify-content: space-between;
-          align-items: flex-start;
-          gap: 16px;
-          transition: background 0.2s;
-        }
-
-        .notification-item:hover {
-          background: #f9fafb;
-        }
-
-        .notification-item.price_drop {
-          background: linear-gradient(90deg, rgba(16, 185, 129, 0.05) 0%, rgba(255, 255, 255, 0) 100%);
-        }
-
-        .notification-content {
-          flex: 1;
-        }
-
-        .notification-content p {
-          margin: 0 0 8px 0;
-          font-weight: 500;
-        }
-
-        .price-drop-details {
-          display: flex;
-          align-items: center;
-          gap: 8px;
-          font-size: 14px;
-        }
-
-        .old-price {
-          text-decoration: line-through;
-          color: #9ca3af;
-        }
-
-        .arrow {
-          color: #10b981;
-        }
-
-        .new-price {
-          color: #10b981;
-          font-weight: 700;
-        }
-
-        .savings {
-          background: #10b981;
-          color: white;
-          padding: 2px 8px;
-          border-radius: 6px;
-          font-size: 12px;
-          font-weight: 600;
-        }
-
-        .notification-time {
-          font-size: 12px;
-          color: #9ca3af;
-          white-space: nowrap;
-        }
-
         /* Complete the Look Panel */
         .complete-look-panel {
           background: linear-gradient(135deg, #fef3c7 0%, #fde68a 100%);
@@ -1801,12 +1788,205 @@ export default function Wishlist() {
           box-shadow: 0 0 0 3px rgba(99, 102, 241, 0.1);
         }
 
+        .wishlist-alerts__list {
+          list-style: none;
+          margin: 0 0 12px;
+          padding: 0;
+        }
+
+        .wishlist-alerts__rule {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          margin-bottom: 6px;
+          background: #f9fafb;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+
+        .wishlist-alerts__rule.paused {
+          opacity: 0.6;
+        }
+
+        .wishlist-alerts__fired {
+          color: #059669;
+          font-weight: 600;
+        }
+
+        .wishlist-alerts__actions button {
+          background: none;
+          border: none;
+          color: var(--sf-primary);
+          cursor: pointer;
+          font-size: 13px;
+          padding: 2px 6px;
+        }
+
+        .wishlist-alerts__add {
+          display: flex;
+          gap: 8px;
+        }
+
+        .form-field .wishlist-alerts__add select,
+        .form-field .wishlist-alerts__add input {
+          width: auto;
+          flex: 1;
+          min-width: 0;
+        }
+
+        .wishlist-alerts__empty {
+          margin: 0 0 12px;
+          font-size: 13px;
+          color: var(--sf-text-secondary, #6b7280);
+        }
+
+        .wishlist-alerts__error {
+          margin: 8px 0 0;
+          font-size: 13px;
+          color: #dc2626;
+        }
+
         .form-actions {
           display: flex;
           gap: 12px;
           padding-top: 16px;
         }
 
+        .batch-import {
+          margin-top: 12px;
+          padding: 12px;
+          background: rgba(255, 255, 255, 0.15);
+          border-radius: 8px;
+          color: white;
+          font-size: 13px;
+        }
+
+        .batch-import textarea {
+          width: 100%;
+          box-sizing: border-box;
+          padding: 10px 12px;
+          border: none;
+          border-radius: 8px;
+          font-size: 13px;
+          font-family: inherit;
+          resize: vertical;
+        }
+
+        .batch-import__actions {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 10px;
+          margin-top: 10px;
+        }
+
+        .batch-import__actions button {
+          padding: 8px 16px;
+          background: white;
+          color: #667eea;
+          border: none;
+          border-radius: 8px;
+          font-size: 13px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .batch-import__actions button:disabled {
+          opacity: 0.6;
+          cursor: default;
+        }
+
+        .batch-import__progress {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          margin-bottom: 10px;
+        }
+
+        .batch-import__bar {
+          flex: 1;
+          height: 6px;
+          background: rgba(255, 255, 255, 0.25);
+          border-radius: 3px;
+          overflow: hidden;
+        }
+
+        .batch-import__bar div {
+          height: 100%;
+          background: #10b981;
+          transition: width 0.3s;
+        }
+
+        .batch-import__results {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 320px;
+          overflow-y: auto;
+        }
+
+        .batch-import__result {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 8px;
+          margin-bottom: 4px;
+          background: rgba(255, 255, 255, 0.1);
+          border-radius: 6px;
+        }
+
+        .batch-import__result.error {
+          background: rgba(239, 68, 68, 0.2);
+        }
+
+        .batch-import__result label {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          flex: 1;
+          min-width: 0;
+          cursor: pointer;
+        }
+
+        .batch-import__result img,
+        .batch-import__thumb {
+          width: 36px;
+          height: 36px;
+          flex-shrink: 0;
+          object-fit: contain;
+          background: white;
+          border-radius: 4px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .batch-import__name,
+        .batch-import__url {
+          flex: 1;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .batch-import__price {
+          font-weight: 600;
+        }
+
+        .batch-import__status {
+          flex-shrink: 0;
+          max-width: 50%;
+          text-align: right;
+        }
+
+        .batch-import__error {
+          margin: 8px 0 0;
+        }
+
         @media (max-width: 768px) {
           .wishlist-header {
             flex-direction: column;